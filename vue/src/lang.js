@@ -41,7 +41,9 @@ export default {
       invalidMail: '邮箱格式有誤.'
     },
     video: {
-      Title: '视频'
+      Title: '视频',
+      Offline: '离线观看',
+      Download: '下载'
     }
   },
   'zh-tw': {
@@ -86,7 +88,9 @@ export default {
       invalidMail: '郵箱格式有誤.'
     },
     video: {
-      Title: '視頻'
+      Title: '視頻',
+      Offline: '離線觀看',
+      Download: '下載'
     }
   },
   'en-us': {
@@ -131,7 +135,9 @@ export default {
       invalidMail: 'Invalid email address.'
     },
     video: {
-      Title: 'Video'
+      Title: 'Video',
+      Offline: 'Offline',
+      Download: 'Download'
     }
   }
 }
@@ -0,0 +1,295 @@
+import Vue from 'vue'
+import { Howl } from '@/plugin/player'
+import { stg } from '@/util/index'
+import { claimMediaSession } from '@/plugin/media-session'
+
+// 诗歌播放：播放队列、上一首/下一首、随机、单曲/列表循环，基于 Howl
+// 整个页面只有一个播放器，切换首页的各个标签时不中断；队列和播放位置存在 stg() 里，换了页面也能接着放
+
+// 循环方式：off 不循环，all 列表循环，one 单曲循环
+export const repeats = ['all', 'one', 'off']
+
+const saved = JSON.parse(stg().getItem('hymnQueue')) || {}
+
+const state = Vue.observable({
+  queue: saved.Queue || [],
+  index: saved.Index === undefined ? -1 : saved.Index,
+  // 随机播放时的播放顺序，存的是 queue 的下标
+  order: saved.Order || [],
+  shuffle: !!saved.Shuffle,
+  repeat: saved.Repeat || 'all',
+  playing: false,
+  loading: false,
+  seek: saved.Seek || 0,
+  duration: 0
+})
+
+// 存下来的顺序和队列对不上时重排
+if (state.order.length !== state.queue.length) state.order = state.queue.map((e, i) => i)
+
+let sound = null
+let frame = null
+// 锁屏控制，开始放时接管
+let session = null
+
+const save = () => {
+  stg().setItem('hymnQueue', JSON.stringify({
+    Queue: state.queue,
+    Index: state.index,
+    Order: state.order,
+    Shuffle: state.shuffle,
+    Repeat: state.repeat,
+    Seek: state.seek
+  }))
+}
+
+const shuffled = (list) => {
+  const arr = list.slice()
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[arr[i], arr[j]] = [arr[j], arr[i]]
+  }
+  return arr
+}
+
+// 播放顺序，随机时当前这首排在最前面
+const makeOrder = () => {
+  const all = state.queue.map((e, i) => i)
+  if (!state.shuffle) return all
+  return state.index === -1 ? shuffled(all) : [state.index, ...shuffled(all.filter(i => i !== state.index))]
+}
+
+// 锁屏上显示的进度，播放、暂停和跳转时更新，系统按时间自己往前走
+const syncSession = () => {
+  if (session) session.state(state.playing).position(state.duration, state.seek)
+}
+
+const claim = () => {
+  session = claimMediaSession({
+    play: () => hymnPlayer.play(),
+    pause: () => hymnPlayer.pause(),
+    stop: () => hymnPlayer.pause(),
+    previoustrack: () => hymnPlayer.prev(),
+    nexttrack: () => hymnPlayer.next(),
+    seekto: (seconds) => hymnPlayer.seek(seconds),
+    seekbackward: (offset) => hymnPlayer.seek(Math.max(state.seek - offset, 0)),
+    seekforward: (offset) => hymnPlayer.seek(Math.min(state.seek + offset, state.duration || Infinity))
+  }).metadata(state.queue[state.index])
+  syncSession()
+}
+
+// 先取消上一次的，单曲循环重放时 onplay 会再调用一次
+const progress = () => {
+  cancelAnimationFrame(frame)
+  if (!sound) return
+  const seek = sound.seek()
+  if (typeof seek === 'number') state.seek = seek
+  frame = requestAnimationFrame(progress)
+}
+
+const stopProgress = () => {
+  cancelAnimationFrame(frame)
+  frame = null
+}
+
+const unload = () => {
+  stopProgress()
+  if (sound) sound.unload()
+  sound = null
+  state.playing = false
+}
+
+// 一首放完：单曲循环重放，否则下一首，列表放完且不循环时停下
+const handleEnd = () => {
+  if (state.repeat === 'one') {
+    sound.play()
+    return
+  }
+  const pos = state.order.indexOf(state.index)
+  if (pos === state.order.length - 1 && state.repeat === 'off') {
+    stopProgress()
+    state.playing = false
+    state.seek = 0
+    save()
+    syncSession()
+    return
+  }
+  hymnPlayer.next()
+}
+
+/** 加载第几首，from 为开始的位置(秒)
+ * @param  {Number} index 队列里的下标
+ * @param  {Number} from 秒
+*/
+const load = (index, from = 0) => {
+  unload()
+  const hymn = state.queue[index]
+  if (!hymn) return
+  state.index = index
+  state.seek = from
+  state.duration = 0
+  state.loading = true
+  // html5 边下边放，锁屏和切到后台时也能继续
+  sound = new Howl({
+    src: [hymn.url],
+    html5: true,
+    onload() {
+      state.loading = false
+      state.duration = sound.duration()
+      if (from) sound.seek(from)
+      syncSession()
+    },
+    onloaderror() {
+      state.loading = false
+      state.playing = false
+    },
+    onplay() {
+      state.playing = true
+      progress()
+      claim()
+    },
+    onpause() {
+      state.playing = false
+      stopProgress()
+      save()
+      syncSession()
+    },
+    onend: handleEnd
+  })
+  save()
+}
+
+export const hymnPlayer = {
+  state,
+
+  current() {
+    return state.queue[state.index] || null
+  },
+
+  /** 用一组诗歌替换队列，从第几首开始放
+   * @param  {Array} list [{ id, name, artist, album, url, cover_art_url }]
+   * @param  {Number} index 从第几首开始
+  */
+  setQueue(list, index = 0) {
+    state.queue = list.slice()
+    state.index = index
+    state.order = makeOrder()
+    // 下标可能和原来的一样，直接 play(index) 会接着放上一首，所以先换成新队列里的这一首
+    load(index)
+    this.play()
+  },
+
+  // 加到队列末尾，已经在队列里的不重复添加，返回它在队列里的下标
+  enqueue(hymn) {
+    let index = state.queue.findIndex(e => e.id === hymn.id)
+    if (index === -1) {
+      state.queue.push(hymn)
+      index = state.queue.length - 1
+      // 随机时插到顺序里还没放的部分
+      const pos = state.order.indexOf(state.index)
+      const at = state.shuffle ? pos + 1 + Math.floor(Math.random() * (state.order.length - pos)) : state.order.length
+      state.order.splice(at, 0, index)
+      save()
+    }
+    return index
+  },
+
+  remove(index) {
+    const playing = index === state.index
+    state.queue.splice(index, 1)
+    state.order = state.order.filter(i => i !== index).map(i => i > index ? i - 1 : i)
+    if (playing) {
+      unload()
+      state.index = state.queue.length ? Math.min(index, state.queue.length - 1) : -1
+      state.seek = 0
+    } else if (index < state.index) {
+      state.index--
+    }
+    save()
+    // 队列清空后锁屏上不再显示
+    if (!state.queue.length && session) {
+      session.release()
+      session = null
+    }
+  },
+
+  /** 播放第几首，不传时继续当前这首
+   * @param  {Number} index 队列里的下标
+  */
+  play(index) {
+    if (typeof index === 'number' && (index !== state.index || !sound)) {
+      load(index)
+    } else if (!sound) {
+      // 换了页面后从上次的位置接着放
+      load(state.index, state.seek)
+    }
+    if (sound && !sound.playing()) sound.play()
+  },
+
+  pause() {
+    if (sound) sound.pause()
+  },
+
+  toggle() {
+    if (state.playing) {
+      this.pause()
+    } else {
+      this.play()
+    }
+  },
+
+  next() {
+    this.turn(1)
+  },
+
+  // 放了超过3秒时先回到这一首的开头
+  prev() {
+    if (sound && state.seek > 3) {
+      this.seek(0)
+      return
+    }
+    this.turn(-1)
+  },
+
+  turn(dir) {
+    if (!state.queue.length) return
+    const pos = state.order.indexOf(state.index)
+    let next = pos + dir
+    if (next >= state.order.length || next < 0) {
+      // 随机播放一轮放完后重新打乱
+      if (state.shuffle && dir > 0) state.order = shuffled(state.order)
+      next = (next + state.order.length) % state.order.length
+    }
+    this.play(state.order[next])
+  },
+
+  /** 跳到第几秒
+   * @param  {Number} seconds 秒
+  */
+  seek(seconds) {
+    state.seek = seconds
+    if (sound) sound.seek(seconds)
+    save()
+    syncSession()
+  },
+
+  setShuffle(shuffle) {
+    state.shuffle = shuffle
+    state.order = makeOrder()
+    save()
+  },
+
+  // 依次切换 列表循环 → 单曲循环 → 不循环
+  cycleRepeat() {
+    state.repeat = repeats[(repeats.indexOf(state.repeat) + 1) % repeats.length]
+    save()
+  }
+}
+
+/** 秒数显示为 03:09
+ * @param  {Number} seconds 秒
+*/
+export const formatDuration = (seconds) => {
+  const s = Math.floor(seconds || 0)
+  return `${`${Math.floor(s / 60)}`.padStart(2, '0')}:${`${s % 60}`.padStart(2, '0')}`
+}
@@ -0,0 +1,75 @@
+// 锁屏和通知栏的播放控制：把正在放的诗歌或视频的信息交给系统，系统的按键回调到播放器
+// 诗歌和视频都可能在放，谁最后开始放系统就控制谁，claim 时后来的顶替先前的
+
+const actions = ['play', 'pause', 'stop', 'previoustrack', 'nexttrack', 'seekto', 'seekbackward', 'seekforward']
+
+// 快进快退的秒数，系统没给时用
+const SKIP_SECONDS = 10
+
+let owner = null
+
+export const isMediaSessionSupported = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator
+
+const setHandler = (action, handler) => {
+  // 浏览器不支持的动作会抛错
+  try {
+    navigator.mediaSession.setActionHandler(action, handler || null)
+  } catch (e) {}
+}
+
+/** 系统显示的信息，来自诗歌列表的 name、artist、album、cover_art_url
+ * @param  {Object} o { name, artist, album, cover_art_url }
+*/
+export const toMetadata = (o) => ({
+  title: o.name || '',
+  artist: o.artist || '',
+  album: o.album || '',
+  artwork: o.cover_art_url ? [{ src: o.cover_art_url, sizes: '512x512' }] : []
+})
+
+/** 接管系统的播放控制，不支持时返回的对象什么也不做
+ * @param  {Object} handlers { play, pause, stop, previoustrack, nexttrack, seekto(seconds), seekbackward(seconds), seekforward(seconds) }
+ * @return {Object} { metadata(o), state(playing), position(duration, position, rate), release() }
+*/
+export const claimMediaSession = (handlers) => {
+  const session = {}
+  const active = () => owner === session && isMediaSessionSupported()
+
+  session.metadata = (o) => {
+    if (active() && window.MediaMetadata) navigator.mediaSession.metadata = new window.MediaMetadata(toMetadata(o))
+    return session
+  }
+  session.state = (playing) => {
+    if (active()) navigator.mediaSession.playbackState = playing ? 'playing' : 'paused'
+    return session
+  }
+  session.position = (duration, position, rate = 1) => {
+    // 时长未知或位置超出时长时 setPositionState 会抛错
+    if (active() && navigator.mediaSession.setPositionState && duration > 0 && isFinite(duration)) {
+      try {
+        navigator.mediaSession.setPositionState({ duration, position: Math.min(Math.max(position, 0), duration), playbackRate: rate })
+      } catch (e) {}
+    }
+    return session
+  }
+  session.release = () => {
+    if (!active()) return
+    actions.forEach(action => setHandler(action, null))
+    navigator.mediaSession.metadata = null
+    navigator.mediaSession.playbackState = 'none'
+    owner = null
+  }
+
+  owner = session
+  if (isMediaSessionSupported()) {
+    actions.forEach(action => {
+      const handler = handlers[action]
+      setHandler(action, handler && ((details) => {
+        if (action === 'seekto') handler(details.seekTime)
+        else if (action === 'seekbackward' || action === 'seekforward') handler(details.seekOffset || SKIP_SECONDS)
+        else handler()
+      }))
+    })
+  }
+  return session
+}
@@ -0,0 +1,162 @@
+import { Howl } from '@/plugin/player'
+
+// 诗歌练唱：按歌词的时间把录音切成 Howl 的 sprite，每一句、每一遍的每一节各一段，选出 A-B 一段反复播放，可以放慢
+// 与诗歌播放器分开，用自己的 Howl，不影响播放队列
+
+// 练唱时可选的速度
+export const rates = [0.5, 0.75, 0.9, 1, 1.25]
+
+/** 一段歌词对应的片段，到下一句开始为止，最后一句到录音结束
+ * @param  {Array} cues cuesOf 的结果
+ * @param  {Number} from 开始的一条
+ * @param  {Number} to 结束的一条(含)
+ * @param  {Number} duration 录音的秒数，不知道时为 0
+ * @return {Array} [开始毫秒, 长度毫秒]，还不知道结束时为 null
+*/
+export const spriteOf = (cues, from, to, duration) => {
+  const start = cues[from].Time
+  const end = cues[to + 1] ? cues[to + 1].Time : duration
+  if (!end || end <= start) return null
+  return [Math.round(start * 1000), Math.round((end - start) * 1000)]
+}
+
+/** 每一遍唱的每一节，连着唱的同一节歌词算一段
+ * @param  {Array} cues cuesOf 的结果
+ * @return {Array} [{ Stanza 歌词里第几段, From, To }]
+*/
+export const passagesOf = (cues) => {
+  const passages = []
+  cues.forEach((cue, i) => {
+    const last = passages[passages.length - 1]
+    if (last && last.Stanza === cue.Stanza && last.To === i - 1) {
+      last.To = i
+    } else {
+      passages.push({ Stanza: cue.Stanza, From: i, To: i })
+    }
+  })
+  return passages
+}
+
+export class Practice {
+  /**
+   * @param {Object} o { src, cues, onload, onplay, onpause, ontime(seconds) }
+   */
+  constructor(o) {
+    this._o = o
+    this._cues = o.cues
+    this._rate = 1
+    this._id = null
+    this._frame = null
+    // howler 留着传进去的这个对象，加载后补上的片段和后来选的 A-B 直接加到里面
+    // 对象为空时加载后会被换掉，所以先占一个整段的位置，加载后改成录音的长度
+    this._sprites = { __default: [0, 0] }
+    this._fill(0)
+    this._sound = new Howl({
+      src: [o.src],
+      html5: true,
+      sprite: this._sprites,
+      onload: () => {
+        this._fill(this._sound.duration())
+        if (o.onload) o.onload()
+      },
+      onplay: () => {
+        this._tick()
+        if (o.onplay) o.onplay()
+      },
+      onpause: () => this._paused(),
+      onstop: () => this._paused(),
+      // 不循环的片段放完
+      onend: () => {
+        if (!this._sound.loop(this._id)) this._paused()
+      }
+    })
+  }
+
+  /**
+   * 每一句 l0、l1…，每一遍的每一节 p0、p1…
+   * @param {Number} duration 录音的秒数
+   */
+  _fill(duration) {
+    this._cues.forEach((cue, i) => {
+      const sprite = spriteOf(this._cues, i, i, duration)
+      if (sprite) this._sprites[`l${i}`] = sprite
+    })
+    passagesOf(this._cues).forEach((e, i) => {
+      const sprite = spriteOf(this._cues, e.From, e.To, duration)
+      if (sprite) this._sprites[`p${i}`] = sprite
+    })
+    if (duration) this._sprites.__default = [0, duration * 1000]
+  }
+
+  /**
+   * 从第 from 条到第 to 条反复播放
+   * @param {Number} from 开始的一条
+   * @param {Number} to 结束的一条(含)
+   * @param {Boolean} loop 是否反复，默认反复
+   * @return {Boolean} 片段还不能确定(录音未加载完)时为 false
+   */
+  loop(from, to, loop = true) {
+    const sprite = spriteOf(this._cues, Math.min(from, to), Math.max(from, to), this._sound.duration())
+    if (!sprite) return false
+    this._sprites.ab = [...sprite, loop]
+    this.play('ab')
+    return true
+  }
+
+  /**
+   * 播放一个片段，不传时继续暂停的片段
+   * @param {String} name 片段名
+   */
+  play(name) {
+    if (name) {
+      if (this._id !== null) this._sound.stop(this._id)
+      this._id = this._sound.play(name)
+    } else if (this._id !== null) {
+      this._sound.play(this._id)
+    }
+    if (this._id !== null) this._sound.rate(this._rate, this._id)
+    return this
+  }
+
+  pause() {
+    if (this._id !== null) this._sound.pause(this._id)
+    return this
+  }
+
+  playing() {
+    return this._id !== null && this._sound.playing(this._id)
+  }
+
+  /**
+   * 取或设速度，不用重新加载，正在放的立即生效
+   * @return {Practice/Number}
+   */
+  rate(rate) {
+    if (arguments.length === 0) return this._rate
+    this._rate = parseFloat(rate)
+    if (this._id !== null) this._sound.rate(this._rate, this._id)
+    return this
+  }
+
+  // 现在放到录音的第几秒
+  seek() {
+    const seek = this._id === null ? 0 : this._sound.seek(this._id)
+    return typeof seek === 'number' ? seek : 0
+  }
+
+  unload() {
+    cancelAnimationFrame(this._frame)
+    this._sound.unload()
+  }
+
+  _tick() {
+    cancelAnimationFrame(this._frame)
+    if (this._o.ontime) this._o.ontime(this.seek())
+    this._frame = requestAnimationFrame(() => this._tick())
+  }
+
+  _paused() {
+    cancelAnimationFrame(this._frame)
+    if (this._o.onpause) this._o.onpause()
+  }
+}
@@ -0,0 +1,235 @@
+// 朗读：把句子排成队列逐句交给语音引擎，接口仿照 Howl
+// 引擎只需要 speak(text, { lang, rate, onend, onerror }) 和 cancel()，浏览器里用 Web Speech API，
+// mockSpeechEngine 不发声，按字数计时代替，可以在没有语音的环境里用 useSpeechEngine 换上；项目里还没有自动测试用到它
+
+// 与 Howl.rate 的范围一致
+const RATE_MIN = 0.5
+const RATE_MAX = 4
+
+const clampRate = (rate) => Math.min(Math.max(rate, RATE_MIN), RATE_MAX)
+
+export const isSpeechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window
+
+/** 浏览器的 Web Speech API
+ * @param  {SpeechSynthesis} synth 默认为 window.speechSynthesis
+*/
+export const webSpeechEngine = (synth = window.speechSynthesis) => ({
+  speak(text, o) {
+    const utterance = new window.SpeechSynthesisUtterance(text)
+    utterance.lang = o.lang
+    utterance.rate = o.rate
+    utterance.onend = o.onend
+    utterance.onerror = o.onerror
+    synth.speak(utterance)
+  },
+  cancel() {
+    synth.cancel()
+  }
+})
+
+/** 不发声的引擎，按字数和语速计时后结束，读过的句子记在 spoken 里
+ * @param  {Object} o { charsPerSecond 每秒读几个字 }
+*/
+export const mockSpeechEngine = (o = {}) => {
+  const charsPerSecond = o.charsPerSecond || 5
+  let timer = null
+  return {
+    spoken: [],
+    speak(text, opt) {
+      clearTimeout(timer)
+      this.spoken.push({ text, lang: opt.lang, rate: opt.rate })
+      timer = setTimeout(() => {
+        timer = null
+        if (opt.onend) opt.onend()
+      }, text.length / charsPerSecond / opt.rate * 1000)
+    },
+    cancel() {
+      clearTimeout(timer)
+      timer = null
+    }
+  }
+}
+
+// 阅读页用的引擎，默认为浏览器的 Web Speech API，useSpeechEngine(mockSpeechEngine) 可以换成不发声的
+let engineFactory = null
+
+/** 指定之后 createSpeechEngine 用的引擎，传 null 恢复默认
+ * @param  {Function} factory () => engine
+*/
+export const useSpeechEngine = (factory) => {
+  engineFactory = factory
+}
+
+// 没有指定引擎且浏览器不支持朗读时为 null
+export const createSpeechEngine = () => {
+  if (engineFactory) return engineFactory()
+  return isSpeechSupported() ? webSpeechEngine() : null
+}
+
+export class Speaker {
+  /**
+   * @param {Object} o { engine, lang, rate, onplay, onpause, onstop, onend, onsentence, onrate }
+   */
+  constructor(o = {}) {
+    this._engine = o.engine || webSpeechEngine()
+    this._lang = o.lang || 'zh-CN'
+    this._rate = clampRate(o.rate || 1)
+    this._list = []
+    this._index = 0
+    this._playing = false
+    // 每读一句加一，取消的句子回调时号码对不上就忽略
+    this._token = 0
+    this._events = {}
+    ;['play', 'pause', 'stop', 'end', 'sentence', 'rate'].forEach(event => {
+      this._events[event] = o[`on${event}`] ? [{ fn: o[`on${event}`] }] : []
+    })
+  }
+
+  /**
+   * 换一组句子，从头开始
+   * @param {Array} list [{ Text, StartVerse, ... }]
+   * @return {Speaker}
+   */
+  load(list) {
+    this.stop()
+    this._list = list || []
+    this._index = 0
+    return this
+  }
+
+  /**
+   * 从当前句或指定的句子开始读
+   * @param {Number} index 第几句
+   * @return {Speaker}
+   */
+  play(index) {
+    if (typeof index === 'number') this._index = index
+    if (!this._list[this._index]) return this
+    const resumed = !this._playing
+    this._playing = true
+    this._speak()
+    if (resumed) this._emit('play')
+    return this
+  }
+
+  /**
+   * 暂停，再次 play 时从这一句的开头读
+   * @return {Speaker}
+   */
+  pause() {
+    if (!this._playing) return this
+    this._cancel()
+    this._emit('pause')
+    return this
+  }
+
+  stop() {
+    this._cancel()
+    this._index = 0
+    this._emit('stop')
+    return this
+  }
+
+  playing() {
+    return this._playing
+  }
+
+  /**
+   * 取或设语速，同 Howl.rate：不带参数时返回当前语速，带参数时设置并返回自身
+   * 正在读时从当前句重新开始，新的语速立即生效
+   * @return {Speaker/Number}
+   */
+  rate(rate) {
+    if (arguments.length === 0) return this._rate
+    this._rate = clampRate(parseFloat(rate))
+    if (this._playing) this._speak()
+    this._emit('rate', this._rate)
+    return this
+  }
+
+  /**
+   * 取或设当前读到第几句，同 Howl.seek，位置以句为单位
+   * @return {Speaker/Number}
+   */
+  seek(index) {
+    if (arguments.length === 0) return this._index
+    this._index = Math.min(Math.max(index, 0), Math.max(this._list.length - 1, 0))
+    if (this._playing) {
+      this._speak()
+    } else {
+      this._emit('sentence', this._index, this._list[this._index])
+    }
+    return this
+  }
+
+  /**
+   * 跳到上一节或下一节的第一句
+   * @param {Number} dir 1 下一节，-1 上一节
+   * @return {Speaker}
+   */
+  skip(dir) {
+    const current = this._list[this._index]
+    if (!current) return this
+    let index = this._index
+    if (dir > 0) {
+      while (this._list[index] && this._list[index].StartVerse === current.StartVerse) index++
+      if (index >= this._list.length) return this
+    } else {
+      // 先回到本节的第一句，已经在第一句时再回到上一节的第一句
+      while (index > 0 && this._list[index - 1].StartVerse === current.StartVerse) index--
+      if (index === this._index && index > 0) {
+        const verse = this._list[index - 1].StartVerse
+        while (index > 0 && this._list[index - 1].StartVerse === verse) index--
+      }
+    }
+    return this.seek(index)
+  }
+
+  on(event, fn) {
+    if (typeof fn === 'function') this._events[event].push({ fn })
+    return this
+  }
+
+  off(event, fn) {
+    this._events[event] = fn ? this._events[event].filter(e => e.fn !== fn) : []
+    return this
+  }
+
+  once(event, fn) {
+    if (typeof fn === 'function') this._events[event].push({ fn, once: true })
+    return this
+  }
+
+  _speak() {
+    const token = ++this._token
+    const item = this._list[this._index]
+    this._engine.cancel()
+    this._emit('sentence', this._index, item)
+    const done = () => {
+      if (token !== this._token || !this._playing) return
+      if (this._index + 1 < this._list.length) {
+        this._index++
+        this._speak()
+      } else {
+        this._cancel()
+        this._index = 0
+        this._emit('end')
+      }
+    }
+    // 出错的句子跳过，不中断朗读
+    this._engine.speak(item.Text, { lang: this._lang, rate: this._rate, onend: done, onerror: done })
+  }
+
+  _cancel() {
+    this._playing = false
+    this._token++
+    this._engine.cancel()
+  }
+
+  _emit(event, ...args) {
+    this._events[event].slice().forEach(e => {
+      e.fn.apply(this, args)
+      if (e.once) this.off(event, e.fn)
+    })
+  }
+}
@@ -722,7 +722,6 @@ class BufferUtils {
    * @export
    */
   static equal(arr1, arr2) {
-    const BufferUtils = BufferUtils
     if (!arr1 && !arr2) {
       return true
     }
@@ -1198,8 +1197,6 @@ class AdaptationSet {
    * @return {boolean}
    */
   static areAdaptable(a, b) {
-    const AdaptationSet = AdaptationSet
-
     // All variants should have audio or should all not have audio.
     if (!!a.audio !== !!b.audio) {
       return false
@@ -1250,8 +1247,6 @@ class AdaptationSet {
    * @private
    */
   static areAudiosCompatible_(a, b) {
-    const AdaptationSet = AdaptationSet
-
     // Audio channel counts must not change between adaptations.
     if (a.channelsCount !== b.channelsCount) {
       return false
@@ -1279,8 +1274,6 @@ class AdaptationSet {
    * @private
    */
   static areVideosCompatible_(a, b) {
-    const AdaptationSet = AdaptationSet
-
     // We can only adapt between base-codecs.
     if (!AdaptationSet.canTransitionBetween_(a, b)) {
       return false
@@ -1897,8 +1890,6 @@ class TimeRangesUtils {
    *   a gap.
    */
   static getGapIndex(b, time) {
-    const TimeRangesUtils = TimeRangesUtils
-
     if (!b || !b.length) {
       return null
     }
@@ -3406,7 +3397,7 @@ Uri.QueryData = class {
      * @return {!static QueryData} New instance of the QueryData object.
      */
   clone() {
-    var rv = Uri.QueryData()
+    var rv = new Uri.QueryData()
     rv.encodedQuery_ = this.encodedQuery_
     if (this.keyMap_) {
       var cloneMap = {}
@@ -3954,7 +3945,6 @@ class StringUtils {
    * @export
    */
   static fromBytesAutoDetect(data) {
-    const StringUtils = StringUtils
     if (!data) {
       return ''
     }
@@ -4209,8 +4199,12 @@ class Uint8ArrayUtils {
  */
 class Transmuxer$1 {
   constructor() {
+    // Prefer the real mux.js build when the page loads it; the bundled
+    // Transmuxer is only a placeholder.
+    const MuxTransmuxer = window.muxjs ? window.muxjs.mp4.Transmuxer : muxjs.Transmuxer
+
     /* * @private {muxjs.Transmuxer} */
-    this.muxTransmuxer_ = new Transmuxer({
+    this.muxTransmuxer_ = new MuxTransmuxer({
       'keepOriginalTimestamps': true
     })
 
@@ -4247,7 +4241,7 @@ class Transmuxer$1 {
    * @return {boolean}
    */
   static isSupported(mimeType, contentType) {
-    if (!muxjs || !Transmuxer$1.isTsContainer(mimeType)) {
+    if (!window.muxjs || !Transmuxer$1.isTsContainer(mimeType)) {
       return false
     }
     const convertTsCodecs = Transmuxer$1.convertTsCodecs
@@ -4681,8 +4675,6 @@ Cue.textDecoration = {
  */
 class CueRegion {
   constructor() {
-    const CueRegion = CueRegion
-
     /* *
      * @override
      * @exportInterface
@@ -5158,3941 +5150,14750 @@ class TextEngine {
 TextEngine.parserMap_ = {}
 
 /* *
- * @summary
- * A utility class to help work with |IDestroyable| objects.
- *
- * @final
+ * Reads elements from strings.
+ * 字符串读取器：按行、按单词或按正则从文本中依次读取
  */
-class Destroyer {
+class TextParser {
   /* *
-   * @param {function():!Promise} callback
-   *    A callback to destroy an object. This callback will only be called once
-   *    regardless of how many times |destroy| is called.
+   * @param {string} data
    */
-  constructor(callback) {
-    /* * @private {boolean} */
-    this.destroyed_ = false
-
-    /* * @private {!PublicPromise} */
-    this.waitOnDestroy_ = new PublicPromise()
+  constructor(data) {
+    /* *
+     * @const
+     * @private {string}
+     */
+    this.data_ = data
 
-    /* * @private {function():!Promise} */
-    this.onDestroy_ = callback
+    /* * @private {number} */
+    this.position_ = 0
+  }
+  /* * @return {boolean} Whether it is at the end of the string. */
+  atEnd() {
+    return this.position_ === this.data_.length
   }
-
   /* *
-   * Check if |destroy| has been called. This returning |true| does not mean
-   * that the promise returned by |destroy| has resolved yet.
+   * Reads a line from the parser.  This will read but not return the newline.
+   * Returns null at the end.
    *
-   * @return {boolean}
-   * @final
+   * @return {?string}
    */
-  destroyed() {
-    return this.destroyed_
+  readLine() {
+    return this.readRegexReturnCapture_(/(.*?)(\n|$)/gm, 1)
   }
-
   /* *
-   * Request that the destroy callback be called. Will return a promise that
-   * will resolve once the callback terminates. The promise will never be
-   * rejected.
+   * Reads a word from the parser.  This will not read or return any whitespace
+   * before or after the word (including newlines).  Returns null at the end.
    *
-   * @return {!Promise}
-   * @final
+   * @return {?string}
    */
-  destroy() {
-    if (this.destroyed_) {
-      return this.waitOnDestroy_
+  readWord() {
+    return this.readRegexReturnCapture_(/[^ \t\n]*/gm, 0)
+  }
+  /* *
+   * Skips any continuous whitespace from the parser.  Returns null at the end.
+   */
+  skipWhitespace() {
+    this.readRegex(/[ \t]+/gm)
+  }
+  /* *
+   * Reads the given regular expression from the parser.  This requires the
+   * match to be at the current position; there is no need to include a head
+   * anchor.
+   * This requires that the regex have the global flag to be set.
+   *
+   * @param {!RegExp} regex
+   * @return {Array.<string>} The match object, or null if no match.
+   */
+  readRegex(regex) {
+    const index = this.indexOf_(regex)
+    if (this.atEnd() || index == null || index.position !== this.position_) {
+      return null
     }
 
-    // We have started destroying this object, so we should never get here
-    // again.
-    this.destroyed_ = true
-
-    return this.onDestroy_().then(
-      () => { this.waitOnDestroy_.resolve() },
-      () => { this.waitOnDestroy_.resolve() })
+    this.position_ += index.length
+    return index.results
   }
-
   /* *
-   * Checks if the object is destroyed and throws an error if it is.
-   * @param {*=} error The inner error, if any.
+   * Reads a regex from the parser and returns the given capture.
+   *
+   * @param {!RegExp} regex
+   * @param {number} index
+   * @return {?string}
+   * @private
    */
-  ensureNotDestroyed(error) {
-    if (this.destroyed_) {
-      if (error && error.code === Error.Code.OBJECT_DESTROYED) {
-        throw error
-      } else {
-        throw Destroyer.destroyedError(error)
-      }
+  readRegexReturnCapture_(regex, index) {
+    if (this.atEnd()) {
+      return null
     }
-  }
 
+    const ret = this.readRegex(regex)
+    if (!ret) {
+      return null
+    } else {
+      return ret[index]
+    }
+  }
   /* *
-   * @param {*=} error The inner error, if any.
-   * @return {!Error}
+   * Returns the index info about a regular expression match.
+   *
+   * @param {!RegExp} regex
+   * @return {?{position: number, length: number, results: !Array.<string>}}
+   * @private
    */
-  static destroyedError(error) {
-    return new Error(
-      Error.Severity.CRITICAL,
-      Error.Category.PLAYER,
-      Error.Code.OBJECT_DESTROYED,
-      error)
+  indexOf_(regex) {
+    // The global flag is required to use lastIndex.
+    console.assert(regex.global, 'global flag should be set')
+
+    regex.lastIndex = this.position_
+    const results = regex.exec(this.data_)
+    if (results == null) {
+      return null
+    } else {
+      return {
+        position: results.index,
+        length: results[0].length,
+        results: results
+      }
+    }
   }
 }
 
-// import IClosedCaptionParser from './closed_caption_parser'
-
 /* *
  * @summary
- * MediaSourceEngine wraps all operations on MediaSource and SourceBuffers.
- * All asynchronous operations return a Promise, and all operations are
- * internally synchronized and serialized as needed.  Operations that can
- * be done in parallel will be done in parallel.
+ * WebVTT 字幕解析器
  *
- * @implements {IDestroyable}
+ * @implements {shaka.extern.TextParser}
+ * @export
  */
-class MediaSourceEngine {
+class VttTextParser {
   /* *
-   * @param {HTMLMediaElement} video The video element, whose source is tied to
-   *   MediaSource during the lifetime of the MediaSourceEngine.
-   * @param {!IClosedCaptionParser} closedCaptionParser
-   *    The closed caption parser that should be used to parser closed captions
-   *    from the video stream. MediaSourceEngine takes ownership of the parser.
-   *    When MediaSourceEngine is destroyed, it will destroy the parser.
-   * @param {!shaka.extern.TextDisplayer} textDisplayer
-   *    The text displayer that will be used with the text engine.
-   *    MediaSourceEngine takes ownership of the displayer. When
-   *    MediaSourceEngine is destroyed, it will destroy the displayer.
+   * @override
+   * @export
    */
-  constructor(video, closedCaptionParser, textDisplayer) {
-    /* * @private {HTMLMediaElement} */
-    this.video_ = video
+  parseInit(data) {
+    console.assert(false, 'VTT does not have init segments')
+  }
+  /* *
+   * @override
+   * @export
+   */
+  parseMedia(data, time) {
+    // Get the input as a string.  Normalize newlines to \n.
+    let str = StringUtils.fromUTF8(data)
+    str = str.replace(/\r\n|\r(?=[^\n]|$)/gm, '\n')
+    const blocks = str.split(/\n{2,}/m)
 
-    /* * @private {shaka.extern.TextDisplayer} */
-    this.textDisplayer_ = textDisplayer
+    if (!/^WEBVTT($|[ \t\n])/m.test(blocks[0])) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.TEXT,
+        Error$1.Code.INVALID_TEXT_HEADER)
+    }
+
+    let offset = time.periodStart
+
+    if (blocks[0].includes('X-TIMESTAMP-MAP')) {
+      // https://bit.ly/2K92l7y
+      // The 'X-TIMESTAMP-MAP' header is used in HLS to align text with
+      // the rest of the media.
+      // The header format is 'X-TIMESTAMP-MAP=MPEGTS:n,LOCAL:m'
+      // (the attributes can go in any order)
+      // where n is MPEG-2 time and m is cue time it maps to.
+      // For example 'X-TIMESTAMP-MAP=LOCAL:00:00:00.000,MPEGTS:900000'
+      // means an offset of 10 seconds
+      // 900000/MPEG_TIMESCALE - cue time.
+      const cueTimeMatch = blocks[0].match(/LOCAL:((?:(\d{1,}):)?(\d{2}):(\d{2})\.(\d{3}))/m)
+
+      const mpegTimeMatch = blocks[0].match(/MPEGTS:(\d+)/m)
+      if (cueTimeMatch && mpegTimeMatch) {
+        const parser = new TextParser(cueTimeMatch[1])
+        const cueTime = VttTextParser.parseTime_(parser)
+        if (cueTime == null) {
+          throw new Error$1(
+            Error$1.Severity.CRITICAL,
+            Error$1.Category.TEXT,
+            Error$1.Code.INVALID_TEXT_HEADER)
+        }
 
-    /* * @private {!Object.<ManifestParserUtils.ContentType,
-                           SourceBuffer>} */
-    this.sourceBuffers_ = {}
+        const mpegTime = Number(mpegTimeMatch[1])
+        const mpegTimescale = VttTextParser.MPEG_TIMESCALE_
 
-    /* * @private {TextEngine} */
-    this.textEngine_ = null
+        // Apple-encoded HLS content uses absolute timestamps, so assume the
+        // presence of the map tag means the content uses absolute timestamps.
+        offset = time.periodStart + (mpegTime / mpegTimescale - cueTime)
+      }
+    }
 
-    /* *
-     * @private {!Object.<string,
-     *                    !Array.<MediaSourceEngine.Operation>>}
-     */
-    this.queues_ = {}
+    // Parse VTT regions.
+    /* * !Array.<!CueRegion> */
+    const regions = []
+    for (const line of blocks[0].split('\n')) {
+      if (/^Region:/.test(line)) {
+        const region = VttTextParser.parseRegion_(line)
+        regions.push(region)
+      }
+    }
 
-    /* * @private {EventManager} */
-    this.eventManager_ = new EventManager()
+    // Parse cues.
+    const ret = []
+    for (const block of blocks.slice(1)) {
+      const lines = block.split('\n')
+      const cue = VttTextParser.parseCue_(lines, offset, regions)
+      if (cue) {
+        ret.push(cue)
+      }
+    }
 
-    /* * @private {!Object.<string, !Transmuxer>} */
-    this.transmuxers_ = {}
+    return ret
+  }
+  /* *
+   * Parses a string into a Region object.
+   *
+   * @param {string} text
+   * @return {!CueRegion}
+   * @private
+   */
+  static parseRegion_(text) {
+    const region = new CueRegion()
+    const parser = new TextParser(text)
+    // The region string looks like this:
+    // Region: id=fred width=50% lines=3 regionanchor=0%,100%
+    //         viewportanchor=10%,90% scroll=up
+    let word = parser.readWord()
+    while (word) {
+      if (!VttTextParser.parseRegionSetting_(region, word)) {
+        console.warn('VTT parser encountered an invalid VTTRegion setting: ', word, ' The setting will be ignored.')
+      }
+      parser.skipWhitespace()
+      word = parser.readWord()
+    }
 
-    /* * @private {IClosedCaptionParser} */
-    this.captionParser_ = closedCaptionParser
+    return region
+  }
+  /* *
+   * Parses a text block into a Cue object.
+   *
+   * @param {!Array.<string>} text
+   * @param {number} timeOffset
+   * @param {!Array.<!CueRegion>} regions
+   * @return {Cue}
+   * @private
+   */
+  static parseCue_(text, timeOffset, regions) {
+    // Skip empty blocks.
+    if (text.length === 1 && !text[0]) {
+      return null
+    }
 
-    /* * @private {!PublicPromise} */
-    this.mediaSourceOpen_ = new PublicPromise()
+    // Skip comment blocks.
+    if (/^NOTE($|[ \t])/.test(text[0])) {
+      return null
+    }
 
-    /* * @private {MediaSource} */
-    this.mediaSource_ = this.createMediaSource(this.mediaSourceOpen_)
+    // Skip style blocks.
+    if (text[0] === 'STYLE') {
+      return null
+    }
 
-    /* * @type {!Destroyer} */
-    this.destroyer_ = new Destroyer(() => this.doDestroy_())
-  }
+    let id = null
+    if (!text[0].includes('-->')) {
+      id = text[0]
+      text.splice(0, 1)
+    }
+
+    // Parse the times.
+    const parser = new TextParser(text[0])
+    let start = VttTextParser.parseTime_(parser)
+    const expect = parser.readRegex(/[ \t]+-->[ \t]+/g)
+    let end = VttTextParser.parseTime_(parser)
+
+    if (start == null || expect == null || end == null) {
+      console.warn('Failed to parse VTT time code. Cue skipped:', id, text)
+      return null
+    }
+
+    start += timeOffset
+    end += timeOffset
+
+    // Get the payload.
+    const payload = text.slice(1).join('\n').trim()
 
+    const cue = new Cue(start, end, payload)
+
+    // Parse optional settings.
+    parser.skipWhitespace()
+    let word = parser.readWord()
+    while (word) {
+      if (!VttTextParser.parseCueSetting(cue, word, regions)) {
+        console.warn('VTT parser encountered an invalid VTT setting: ', word, ' The setting will be ignored.')
+      }
+      parser.skipWhitespace()
+      word = parser.readWord()
+    }
+
+    if (id != null) {
+      cue.id = id
+    }
+    return cue
+  }
   /* *
-   * Create a MediaSource object, attach it to the video element, and return it.
-   * Resolves the given promise when the MediaSource is ready.
+   * Parses a WebVTT setting from the given word.
    *
-   * Replaced by unit tests.
-   *
-   * @param {!PublicPromise} p
-   * @return {!MediaSource}
+   * @param {!Cue} cue
+   * @param {string} word
+   * @param {!Array.<!CueRegion>} regions
+   * @return {boolean} True on success.
    */
-  createMediaSource(p) {
-    const mediaSource = new MediaSource()
-
-    // Set up MediaSource on the video element.
-    this.eventManager_.listenOnce(mediaSource, 'sourceopen', p.resolve)
-    this.video_.src =
-        MediaSourceEngine.createObjectURL(mediaSource)
+  static parseCueSetting(cue, word, regions) {
+    let results = null
+    if ((results = /^align:(start|middle|center|end|left|right)$/.exec(word))) {
+      VttTextParser.setTextAlign_(cue, results[1])
+    } else if ((results = /^vertical:(lr|rl)$/.exec(word))) {
+      VttTextParser.setVerticalWritingMode_(cue, results[1])
+    } else if ((results = /^size:([\d.]+)%$/.exec(word))) {
+      cue.size = Number(results[1])
+    } else if ((results = /^position:([\d.]+)%(?:,(line-left|line-right|center|start|end))?$/.exec(word))) {
+      cue.position = Number(results[1])
+      if (results[2]) {
+        VttTextParser.setPositionAlign_(cue, results[2])
+      }
+    } else if ((results = /^region:(.*)$/.exec(word))) {
+      const region = VttTextParser.getRegionById_(regions, results[1])
+      if (region) {
+        cue.region = region
+      }
+    } else {
+      return VttTextParser.parsedLineValueAndInterpretation_(cue, word)
+    }
 
-    return mediaSource
+    return true
   }
+  /* *
+   * @param {!Array.<!CueRegion>} regions
+   * @param {string} id
+   * @return {?CueRegion}
+   * @private
+   */
+  static getRegionById_(regions, id) {
+    const regionsWithId = regions.filter((region) => {
+      return region.id === id
+    })
+    if (!regionsWithId.length) {
+      console.warn('VTT parser could not find a region with id: ', id, ' The region will be ignored.')
+      return null
+    }
+    console.assert(regionsWithId.length === 1, 'VTTRegion ids should be unique!')
 
+    return regionsWithId[0]
+  }
   /* *
-   * Checks if a certain type is supported.
+   * Parses a WebVTTRegion setting from the given word.
    *
-   * @param {shaka.extern.Stream} stream
-   * @return {boolean}
+   * @param {!CueRegion} region
+   * @param {string} word
+   * @return {boolean} True on success.
+   * @private
    */
-  static isStreamSupported(stream) {
-    const fullMimeType = MimeUtils.getFullType(
-      stream.mimeType, stream.codecs)
-    const extendedMimeType = MimeUtils.getExtendedType(stream)
-    return TextEngine.isTypeSupported(fullMimeType) ||
-        MediaSource.isTypeSupported(extendedMimeType) ||
-        Transmuxer$1.isSupported(fullMimeType, stream.type)
+  static parseRegionSetting_(region, word) {
+    let results = null
+    if ((results = /^id=(.*)$/.exec(word))) {
+      region.id = results[1]
+    } else if ((results = /^width=(\d{1,2}|100)%$/.exec(word))) {
+      region.width = Number(results[1])
+    } else if ((results = /^lines=(\d+)$/.exec(word))) {
+      region.height = Number(results[1])
+      region.heightUnits = CueRegion.units.LINES
+    } else if ((results = /^regionanchor=(\d{1,2}|100)%,(\d{1,2}|100)%$/.exec(word))) {
+      region.regionAnchorX = Number(results[1])
+      region.regionAnchorY = Number(results[2])
+    } else if ((results = /^viewportanchor=(\d{1,2}|100)%,(\d{1,2}|100)%$/.exec(word))) {
+      region.viewportAnchorX = Number(results[1])
+      region.viewportAnchorY = Number(results[2])
+    } else if ((results = /^scroll=up$/.exec(word))) {
+      region.scroll = CueRegion.scrollMode.UP
+    } else {
+      return false
+    }
+
+    return true
   }
+  /* *
+   * @param {!Cue} cue
+   * @param {string} align
+   * @private
+   */
+  static setTextAlign_(cue, align) {
+    if (align === 'middle') {
+      cue.textAlign = Cue.textAlign.CENTER
+    } else {
+      console.assert(align.toUpperCase() in Cue.textAlign, align.toUpperCase() + ' Should be in Cue.textAlign values!')
 
+      cue.textAlign = Cue.textAlign[align.toUpperCase()]
+    }
+  }
   /* *
-   * Returns a map of MediaSource support for well-known types.
-   *
-   * @return {!Object.<string, boolean>}
+   * @param {!Cue} cue
+   * @param {string} align
+   * @private
    */
-  static probeSupport() {
-    const testMimeTypes = [
-      // MP4 types
-      `video/mp4; codecs='avc1.42E01E'`,
-      `video/mp4; codecs='avc3.42E01E'`,
-      `video/mp4; codecs='hev1.1.6.L93.90'`,
-      `video/mp4; codecs='hvc1.1.6.L93.90'`,
-      `video/mp4; codecs='hev1.2.4.L153.B0'; eotf='smpte2084'`, // HDR HEVC
-      `video/mp4; codecs='hvc1.2.4.L153.B0'; eotf='smpte2084'`, // HDR HEVC
-      `video/mp4; codecs='vp9'`,
-      `video/mp4; codecs='vp09.00.10.08'`,
-      `video/mp4; codecs='av01.0.01M.08'`,
-      `audio/mp4; codecs='mp4a.40.2'`,
-      `audio/mp4; codecs='ac-3'`,
-      `audio/mp4; codecs='ec-3'`,
-      `audio/mp4; codecs='opus'`,
-      `audio/mp4; codecs='flac'`,
-      // WebM types
-      `video/webm; codecs='vp8'`,
-      `video/webm; codecs='vp9'`,
-      `video/webm; codecs='vp09.00.10.08'`,
-      `audio/webm; codecs='vorbis'`,
-      `audio/webm; codecs='opus'`,
-      // MPEG2 TS types (video/ is also used for audio: https://bit.ly/TsMse)
-      `video/mp2t; codecs='avc1.42E01E'`,
-      `video/mp2t; codecs='avc3.42E01E'`,
-      `video/mp2t; codecs='hvc1.1.6.L93.90'`,
-      `video/mp2t; codecs='mp4a.40.2'`,
-      `video/mp2t; codecs='ac-3'`,
-      `video/mp2t; codecs='ec-3'`,
-      // WebVTT types
-      'text/vtt',
-      `application/mp4; codecs='wvtt'`,
-      // TTML types
-      'application/ttml+xml',
-      `application/mp4; codecs='stpp'`
-    ]
-
-    const support = {}
-    for (const type of testMimeTypes) {
-      if (Platform.supportsMediaSource()) {
-        // Our TextEngine is only effective for MSE platforms at the moment.
-        if (TextEngine.isTypeSupported(type)) {
-          support[type] = true
-        } else {
-          support[type] = MediaSource.isTypeSupported(type) ||
-                          Transmuxer$1.isSupported(type)
-        }
-      } else {
-        support[type] = Platform.supportsMediaType(type)
+  static setPositionAlign_(cue, align) {
+    if (align === 'line-left' || align === 'start') {
+      cue.positionAlign = Cue.positionAlign.LEFT
+    } else if (align === 'line-right' || align === 'end') {
+      cue.positionAlign = Cue.positionAlign.RIGHT
+    } else {
+      cue.positionAlign = Cue.positionAlign.CENTER
+    }
+  }
+  /* *
+   * @param {!Cue} cue
+   * @param {string} value
+   * @private
+   */
+  static setVerticalWritingMode_(cue, value) {
+    if (value === 'lr') {
+      cue.writingMode = Cue.writingMode.VERTICAL_LEFT_TO_RIGHT
+    } else {
+      cue.writingMode = Cue.writingMode.VERTICAL_RIGHT_TO_LEFT
+    }
+  }
+  /* *
+   * @param {!Cue} cue
+   * @param {string} word
+   * @return {boolean}
+   * @private
+   */
+  static parsedLineValueAndInterpretation_(cue, word) {
+    let results = null
+    if ((results = /^line:([\d.]+)%(?:,(start|end|center))?$/.exec(word))) {
+      cue.lineInterpretation = Cue.lineInterpretation.PERCENTAGE
+      cue.line = Number(results[1])
+      if (results[2]) {
+        console.assert(results[2].toUpperCase() in Cue.lineAlign, results[2].toUpperCase() + ' Should be in Cue.lineAlign values!')
+        cue.lineAlign = Cue.lineAlign[results[2].toUpperCase()]
       }
-
-      const basicType = type.split(';')[0]
-      support[basicType] = support[basicType] || support[type]
+    } else if ((results = /^line:(-?\d+)(?:,(start|end|center))?$/.exec(word))) {
+      cue.lineInterpretation = Cue.lineInterpretation.LINE_NUMBER
+      cue.line = Number(results[1])
+      if (results[2]) {
+        console.assert(results[2].toUpperCase() in Cue.lineAlign, results[2].toUpperCase() + ' Should be in Cue.lineAlign values!')
+        cue.lineAlign = Cue.lineAlign[results[2].toUpperCase()]
+      }
+    } else {
+      return false
     }
 
-    return support
+    return true
   }
+  /* *
+   * Parses a WebVTT time from the given parser.
+   *
+   * @param {!TextParser} parser
+   * @return {?number}
+   * @private
+   */
+  static parseTime_(parser) {
+    // 00:00.000 or 00:00:00.000 or 0:00:00.000
+    const results = parser.readRegex(/(?:(\d{1,}):)?(\d{2}):(\d{2})\.(\d{3})/g)
+    if (results == null) {
+      return null
+    }
+    // This capture is optional, but will still be in the array as undefined,
+    // in which case it is 0.
+    const hours = Number(results[1]) || 0
+    const minutes = Number(results[2])
+    const seconds = Number(results[3])
+    const milliseconds = Number(results[4])
+    if (minutes > 59 || seconds > 59) {
+      return null
+    }
 
-  /* * @override */
-  destroy() {
-    return this.destroyer_.destroy()
+    return (milliseconds / 1000) + seconds + (minutes * 60) + (hours * 3600)
   }
+}
+/* *
+ * @const {number}
+ * @private
+ */
+VttTextParser.MPEG_TIMESCALE_ = 90000
 
-  /* * @private */
-  async doDestroy_() {
-    const cleanup = []
+TextEngine.registerParser('text/vtt', () => new VttTextParser())
+TextEngine.registerParser('text/vtt; codecs="vtt"', () => new VttTextParser())
 
-    for (const contentType in this.queues_) {
-      // Make a local copy of the queue and the first item.
-      const q = this.queues_[contentType]
-      const inProgress = q[0]
+/* *
+ * @summary
+ * TTML（含 DFXP、IMSC1）字幕解析器
+ *
+ * @implements {shaka.extern.TextParser}
+ * @export
+ */
+class TtmlTextParser {
+  /* *
+   * @override
+   * @export
+   */
+  parseInit(data) {
+    console.assert(false, 'TTML does not have init segments')
+  }
+  /* *
+   * @override
+   * @export
+   */
+  parseMedia(data, time) {
+    const ttpNs = TtmlTextParser.parameterNs_
+    const ttsNs = TtmlTextParser.styleNs_
+    const str = StringUtils.fromUTF8(data)
+    const ret = []
 
-      // Drop everything else out of the original queue.
-      this.queues_[contentType] = q.slice(0, 1)
+    // dont try to parse empty string as
+    // DOMParser will not throw error but return an errored xml
+    if (str === '') {
+      return ret
+    }
 
-      // We will wait for this item to complete/fail.
-      if (inProgress) {
-        cleanup.push(inProgress.p.catch(Functional.noop))
-      }
+    const tt = XmlUtils.parseXmlString(str, 'tt')
 
-      // The rest will be rejected silently if possible.
-      for (const item of q.slice(1)) {
-        item.p.reject(Destroyer.destroyedError())
-      }
+    if (!tt) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.TEXT,
+        Error$1.Code.INVALID_XML,
+        'Failed to parse TTML.')
     }
 
-    if (this.textEngine_) {
-      cleanup.push(this.textEngine_.destroy())
-    }
-    if (this.textDisplayer_) {
-      cleanup.push(this.textDisplayer_.destroy())
+    const body = tt.getElementsByTagName('body')[0]
+    if (!body) {
+      return []
     }
 
-    for (const contentType in this.transmuxers_) {
-      cleanup.push(this.transmuxers_[contentType].destroy())
-    }
-    await Promise.all(cleanup)
-    if (this.eventManager_) {
-      this.eventManager_.release()
-      this.eventManager_ = null
+    // Get the framerate, subFrameRate and frameRateMultiplier if applicable.
+    const frameRate = XmlUtils.getAttributeNS(tt, ttpNs, 'frameRate')
+    const subFrameRate = XmlUtils.getAttributeNS(tt, ttpNs, 'subFrameRate')
+    const frameRateMultiplier = XmlUtils.getAttributeNS(tt, ttpNs, 'frameRateMultiplier')
+    const tickRate = XmlUtils.getAttributeNS(tt, ttpNs, 'tickRate')
+
+    const cellResolution = XmlUtils.getAttributeNS(tt, ttpNs, 'cellResolution')
+    const spaceStyle = tt.getAttribute('xml:space') || 'default'
+    const extent = XmlUtils.getAttributeNS(tt, ttsNs, 'extent')
+
+    if (spaceStyle !== 'default' && spaceStyle !== 'preserve') {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.TEXT,
+        Error$1.Code.INVALID_XML,
+        'Invalid xml:space value: ' + spaceStyle)
     }
+    const whitespaceTrim = spaceStyle === 'default'
 
-    if (this.video_) {
-      // 'unload' the video element.
-      this.video_.removeAttribute('src')
-      this.video_.load()
-      this.video_ = null
+    const rateInfo = new TtmlTextParser.RateInfo_(frameRate, subFrameRate, frameRateMultiplier, tickRate)
+
+    const cellResolutionInfo = TtmlTextParser.getCellResolution_(cellResolution)
+
+    const metadata = tt.getElementsByTagName('metadata')[0]
+    const metadataElements = metadata ? XmlUtils.getChildren(metadata) : []
+    const styles = Array.from(tt.getElementsByTagName('style'))
+    const regionElements = Array.from(tt.getElementsByTagName('region'))
+    const cueRegions = []
+
+    for (const region of regionElements) {
+      const cueRegion = TtmlTextParser.parseCueRegion_(region, styles, extent)
+      if (cueRegion) {
+        cueRegions.push(cueRegion)
+      }
     }
 
-    this.mediaSource_ = null
-    this.textEngine_ = null
-    this.textDisplayer_ = null
-    this.sourceBuffers_ = {}
-    this.transmuxers_ = {}
-    this.captionParser_ = null
-    this.queues_ = {}
-  }
+    // Only <p> elements carry cue text; <div> and <body> only carry timing
+    // and style which their paragraphs inherit.
+    const paragraphs = Array.from(body.getElementsByTagName('p'))
+    for (const p of paragraphs) {
+      const cue = TtmlTextParser.parseCue_(
+        p, time.periodStart, rateInfo, metadataElements, styles,
+        regionElements, cueRegions, whitespaceTrim, cellResolutionInfo)
+      if (cue) {
+        ret.push(cue)
+      }
+    }
 
-  /* *
-   * @return {!Promise} Resolved when MediaSource is open and attached to the
-   *   media element.  This process is actually initiated by the constructor.
-   */
-  open() {
-    return this.mediaSourceOpen_
+    return ret
   }
-
   /* *
-   * Initialize MediaSourceEngine.
-   *
-   * Note that it is not valid to call this multiple times, except to add or
-   * reinitialize text streams.
-   *
-   * @param {!Map.<ManifestParserUtils.ContentType,
-   *               shaka.extern.Stream>} streamsByType
-   *   A map of content types to streams.  All streams must be supported
-   *   according to MediaSourceEngine.isStreamSupported.
-   * @param {boolean} forceTransmuxTS
-   *   If true, this will transmux TS content even if it is natively supported.
+   * Parses a TTML <p> element into a Cue.
    *
-   * @return {!Promise}
+   * @param {!Element} cueElement
+   * @param {number} offset
+   * @param {!TtmlTextParser.RateInfo_} rateInfo
+   * @param {!Array.<!Element>} metadataElements
+   * @param {!Array.<!Element>} styles
+   * @param {!Array.<!Element>} regionElements
+   * @param {!Array.<!CueRegion>} cueRegions
+   * @param {boolean} whitespaceTrim
+   * @param {?{columns: number, rows: number}} cellResolution
+   * @return {Cue}
+   * @private
    */
-  async init(streamsByType, forceTransmuxTS) {
-    const ContentType = ManifestParserUtils.ContentType
+  static parseCue_(cueElement, offset, rateInfo, metadataElements, styles, regionElements, cueRegions, whitespaceTrim, cellResolution) {
+    // Disregard empty elements:
+    // TTML allows for empty elements like <div></div>.
+    // If cueElement has neither time attributes, nor
+    // non-whitespace text, don't try to make a cue out of it.
+    if (!cueElement.hasAttribute('begin') &&
+        !cueElement.hasAttribute('end') &&
+        /^\s*$/.test(cueElement.textContent)) {
+      return null
+    }
 
-    await this.mediaSourceOpen_
+    // Timing is inherited from the enclosing <div> and <body>, where begin is
+    // relative to the parent's begin.
+    const { start, end } = TtmlTextParser.computeTiming_(cueElement, rateInfo)
+    if (start === null || end === null) {
+      // A cue without complete timing can't be displayed.
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.TEXT,
+        Error$1.Code.INVALID_TEXT_CUE)
+    }
 
-    for (const contentType of streamsByType.keys()) {
-      const stream = streamsByType.get(contentType)
-      console.assert(
-        MediaSourceEngine.isStreamSupported(stream),
-        'Type negotiation should happen before MediaSourceEngine.init!')
+    const payload = TtmlTextParser.getPayload_(cueElement, whitespaceTrim)
 
-      let mimeType = MimeUtils.getFullType(
-        stream.mimeType, stream.codecs)
-      if (contentType === ContentType.TEXT) {
-        this.reinitText(mimeType)
-      } else {
-        if ((forceTransmuxTS || !MediaSource.isTypeSupported(mimeType)) &&
-            Transmuxer$1.isSupported(mimeType, contentType)) {
-          this.transmuxers_[contentType] = new Transmuxer$1()
-          mimeType =
-              Transmuxer$1.convertTsCodecs(contentType, mimeType)
-        }
-        const sourceBuffer = this.mediaSource_.addSourceBuffer(mimeType)
-        this.eventManager_.listen(
-          sourceBuffer, 'error',
-          () => this.onError_(contentType))
-        this.eventManager_.listen(
-          sourceBuffer, 'updateend',
-          () => this.onUpdateEnd_(contentType))
-        this.sourceBuffers_[contentType] = sourceBuffer
-        this.queues_[contentType] = []
+    const cue = new Cue(start + offset, end + offset, payload)
+
+    // Get other properties if available.
+    const regionElement = TtmlTextParser.getElementsFromCollection_(cueElement, 'region', regionElements, /*  prefix= */ '')[0]
+    if (regionElement && regionElement.getAttribute('xml:id')) {
+      const regionId = regionElement.getAttribute('xml:id')
+      const regionsWithId = cueRegions.filter((region) => region.id === regionId)
+      if (regionsWithId.length) {
+        cue.region = regionsWithId[0]
       }
     }
-  }
 
-  /* *
-   * Reinitialize the TextEngine for a new text type.
-   * @param {string} mimeType
-   */
-  reinitText(mimeType) {
-    if (!this.textEngine_) {
-      this.textEngine_ = new TextEngine(this.textDisplayer_)
+    let imageElement = null
+    for (const nameSpace of TtmlTextParser.smpteNsList_) {
+      imageElement = TtmlTextParser.getElementsFromCollection_(cueElement, 'backgroundImage', metadataElements, '#', nameSpace)[0]
+      if (imageElement) {
+        break
+      }
     }
-    this.textEngine_.initParser(mimeType)
-  }
 
-  /* *
-   * @return {boolean} True if the MediaSource is in an 'ended' state, or if the
-   *   object has been destroyed.
-   */
-  ended() {
-    return this.mediaSource_ ? this.mediaSource_.readyState === 'ended' : true
-  }
+    TtmlTextParser.addStyle_(cue, cueElement, regionElement, imageElement, styles, cellResolution)
+
+    // Styled <span> children are kept as nested cues for displayers which can
+    // render them; the flat payload above is what the native displayer shows.
+    for (const span of XmlUtils.getChildren(cueElement).filter((child) => child.localName === 'span')) {
+      const nested = new Cue(cue.startTime, cue.endTime, TtmlTextParser.getPayload_(span, whitespaceTrim))
+      TtmlTextParser.addStyle_(nested, span, regionElement, null, styles, cellResolution)
+      cue.nestedCues.push(nested)
+    }
 
+    return cue
+  }
   /* *
-   * Gets the first timestamp in buffer for the given content type.
+   * Computes the start and end time of an element, in seconds, by walking up
+   * the timed ancestors (div, body) it inherits timing from.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @return {?number} The timestamp in seconds, or null if nothing is buffered.
+   * @param {!Element} element
+   * @param {!TtmlTextParser.RateInfo_} rateInfo
+   * @return {{start: ?number, end: ?number}}
+   * @private
    */
-  bufferStart(contentType) {
-    const ContentType = ManifestParserUtils.ContentType
-    if (contentType === ContentType.TEXT) {
-      return this.textEngine_.bufferStart()
+  static computeTiming_(element, rateInfo) {
+    const parseTime = TtmlTextParser.parseTime_
+    let start = parseTime(element.getAttribute('begin'), rateInfo)
+    let end = parseTime(element.getAttribute('end'), rateInfo)
+    const duration = parseTime(element.getAttribute('dur'), rateInfo)
+
+    if (start === null) {
+      start = 0
+    }
+    if (end === null && duration !== null) {
+      end = start + duration
+    }
+
+    // Walk up the ancestors: a parent's begin shifts the child, and a
+    // parent's end clips it.
+    let parent = element.parentNode
+    while (parent && parent.nodeType === Node.ELEMENT_NODE && parent.localName !== 'tt') {
+      const parentStart = parseTime(parent.getAttribute('begin'), rateInfo) || 0
+      const parentEnd = parseTime(parent.getAttribute('end'), rateInfo)
+      start += parentStart
+      if (end !== null) {
+        end += parentStart
+      }
+      if (parentEnd !== null) {
+        end = end === null ? parentEnd : Math.min(end, parentEnd)
+      }
+      parent = parent.parentNode
     }
-    return TimeRangesUtils.bufferStart(
-      this.getBuffered_(contentType))
-  }
 
+    return { start: start, end: end }
+  }
   /* *
-   * Gets the last timestamp in buffer for the given content type.
+   * Gets the text of an element, turning <br> into newlines.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @return {?number} The timestamp in seconds, or null if nothing is buffered.
+   * @param {!Element} element
+   * @param {boolean} whitespaceTrim
+   * @return {string}
+   * @private
    */
-  bufferEnd(contentType) {
-    const ContentType = ManifestParserUtils.ContentType
-    if (contentType === ContentType.TEXT) {
-      return this.textEngine_.bufferEnd()
+  static getPayload_(element, whitespaceTrim) {
+    let payload = ''
+    for (const node of Array.from(element.childNodes)) {
+      if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+        payload += whitespaceTrim ? node.textContent.replace(/\s+/g, ' ') : node.textContent
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.localName === 'br') {
+          payload += '\n'
+        } else {
+          payload += TtmlTextParser.getPayload_(node, whitespaceTrim)
+        }
+      }
     }
-    return TimeRangesUtils.bufferEnd(
-      this.getBuffered_(contentType))
+    if (whitespaceTrim) {
+      payload = payload.split('\n').map((line) => line.trim()).join('\n')
+    }
+    return payload
   }
-
   /* *
-   * Determines if the given time is inside the buffered range of the given
-   * content type.
+   * Parses an Element into a TextTrackCue or VTTCue.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {number} time Playhead time
-   * @param {number=} smallGapLimit
-   * @return {boolean}
+   * @param {!Element} regionElement
+   * @param {!Array.<!Element>} styles Defined in the top of tt  element and
+   * used principally for images.
+   * @param {?string} globalExtent
+   * @return {CueRegion}
+   * @private
    */
-  isBuffered(contentType, time, smallGapLimit) {
-    const ContentType = ManifestParserUtils.ContentType
-    if (contentType === ContentType.TEXT) {
-      return this.textEngine_.isBuffered(time)
-    } else {
-      const buffered = this.getBuffered_(contentType)
-      return TimeRangesUtils.isBuffered(
-        buffered, time, smallGapLimit)
+  static parseCueRegion_(regionElement, styles, globalExtent) {
+    const region = new CueRegion()
+    const id = regionElement.getAttribute('xml:id')
+    if (!id) {
+      console.warn('TtmlTextParser parser encountered a region with no id. Region will be ignored.')
+      return null
+    }
+    region.id = id
+
+    let globalResults = null
+    if (globalExtent) {
+      globalResults = TtmlTextParser.percentValues_.exec(globalExtent) ||
+          TtmlTextParser.pixelValues_.exec(globalExtent)
+    }
+    const globalWidth = globalResults ? Number(globalResults[1]) : null
+    const globalHeight = globalResults ? Number(globalResults[2]) : null
+
+    let results = null
+    let percentage = null
+
+    const extent = TtmlTextParser.getStyleAttributeFromRegion_(regionElement, styles, 'extent')
+    if (extent) {
+      percentage = TtmlTextParser.percentValues_.exec(extent)
+      results = percentage || TtmlTextParser.pixelValues_.exec(extent)
+      if (results != null) {
+        region.width = Number(results[1])
+        region.height = Number(results[2])
+
+        if (!percentage) {
+          if (globalWidth != null) {
+            region.width = region.width * 100 / globalWidth
+          }
+          if (globalHeight != null) {
+            region.height = region.height * 100 / globalHeight
+          }
+        }
+        region.widthUnits = percentage || globalWidth != null ? CueRegion.units.PERCENTAGE : CueRegion.units.PX
+        region.heightUnits = percentage || globalHeight != null ? CueRegion.units.PERCENTAGE : CueRegion.units.PX
+      }
+    }
+
+    const origin = TtmlTextParser.getStyleAttributeFromRegion_(regionElement, styles, 'origin')
+    if (origin) {
+      percentage = TtmlTextParser.percentValues_.exec(origin)
+      results = percentage || TtmlTextParser.pixelValues_.exec(origin)
+      if (results != null) {
+        region.viewportAnchorX = Number(results[1])
+        region.viewportAnchorY = Number(results[2])
+
+        if (!percentage) {
+          if (globalHeight != null) {
+            region.viewportAnchorY = region.viewportAnchorY * 100 / globalHeight
+          }
+          if (globalWidth != null) {
+            region.viewportAnchorX = region.viewportAnchorX * 100 / globalWidth
+          }
+        }
+
+        region.viewportAnchorUnits = percentage || globalWidth != null ? CueRegion.units.PERCENTAGE : CueRegion.units.PX
+      }
     }
-  }
 
+    return region
+  }
   /* *
-   * Computes how far ahead of the given timestamp is buffered for the given
-   * content type.
+   * Adds applicable style properties to a cue.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {number} time
-   * @return {number} The amount of time buffered ahead in seconds.
+   * @param {!Cue} cue
+   * @param {!Element} cueElement
+   * @param {Element} region
+   * @param {Element} imageElement
+   * @param {!Array.<!Element>} styles
+   * @param {?{columns: number, rows: number}} cellResolution
+   * @private
    */
-  bufferedAheadOf(contentType, time) {
-    const ContentType = ManifestParserUtils.ContentType
-    if (contentType === ContentType.TEXT) {
-      return this.textEngine_.bufferedAheadOf(time)
+  static addStyle_(cue, cueElement, region, imageElement, styles, cellResolution) {
+    const getStyle = (name) => {
+      return TtmlTextParser.getStyleAttribute_(cueElement, region, styles, name)
+    }
+
+    const direction = getStyle('direction')
+    if (direction === 'rtl') {
+      cue.direction = Cue.direction.HORIZONTAL_RIGHT_TO_LEFT
+    }
+
+    // Direction attribute specifies one-dimentional writing direction
+    // (left to right or right to left). Writing mode specifies that
+    // plus whether text is vertical or horizontal.
+    // They should not contradict each other. If they do, we give
+    // preference to writing mode.
+    const writingMode = getStyle('writingMode')
+    // Set cue's direction if the text is horizontal, and cue's writingMode if
+    // it's vertical.
+    if (writingMode === 'tb' || writingMode === 'tblr') {
+      cue.writingMode = Cue.writingMode.VERTICAL_LEFT_TO_RIGHT
+    } else if (writingMode === 'tbrl') {
+      cue.writingMode = Cue.writingMode.VERTICAL_RIGHT_TO_LEFT
+    } else if (writingMode === 'rltb' || writingMode === 'rl') {
+      cue.direction = Cue.direction.HORIZONTAL_RIGHT_TO_LEFT
+    } else if (writingMode) {
+      cue.direction = Cue.direction.HORIZONTAL_LEFT_TO_RIGHT
+    }
+
+    const align = getStyle('textAlign')
+    if (align) {
+      cue.positionAlign = TtmlTextParser.textAlignToPositionAlign_[align]
+      cue.lineAlign = TtmlTextParser.textAlignToLineAlign_[align]
+
+      console.assert(align.toUpperCase() in Cue.textAlign, align.toUpperCase() + ' Should be in Cue.textAlign values!')
+
+      cue.textAlign = Cue.textAlign[align.toUpperCase()]
+    }
+
+    const displayAlign = getStyle('displayAlign')
+    if (displayAlign) {
+      console.assert(displayAlign.toUpperCase() in Cue.displayAlign, displayAlign.toUpperCase() + ' Should be in Cue.displayAlign values!')
+      cue.displayAlign = Cue.displayAlign[displayAlign.toUpperCase()]
+    }
+
+    const color = getStyle('color')
+    if (color) {
+      cue.color = color
+    }
+
+    // Background color should be set on the region, which has a lower
+    // priority than the cue.
+    const backgroundColor = getStyle('backgroundColor')
+    if (backgroundColor) {
+      cue.backgroundColor = backgroundColor
+    }
+
+    const border = getStyle('border')
+    if (border) {
+      cue.border = border
+    }
+
+    const fontFamily = getStyle('fontFamily')
+    if (fontFamily) {
+      cue.fontFamily = fontFamily
+    }
+
+    const fontWeight = getStyle('fontWeight')
+    if (fontWeight && fontWeight === 'bold') {
+      cue.fontWeight = Cue.fontWeight.BOLD
+    }
+
+    const wrapOption = getStyle('wrapOption')
+    if (wrapOption && wrapOption === 'noWrap') {
+      cue.wrapLine = false
     } else {
-      const buffered = this.getBuffered_(contentType)
-      return TimeRangesUtils.bufferedAheadOf(buffered, time)
+      cue.wrapLine = true
     }
-  }
 
-  /* *
-   * Returns info about what is currently buffered.
-   * @return {shaka.extern.BufferedInfo}
-   */
-  getBufferedInfo() {
-    const ContentType = ManifestParserUtils.ContentType
+    const lineHeight = getStyle('lineHeight')
+    if (lineHeight && lineHeight.match(TtmlTextParser.unitValues_)) {
+      cue.lineHeight = lineHeight
+    }
 
-    const getBufferedInfo = TimeRangesUtils.getBufferedInfo
-    const info = {
-      total: getBufferedInfo(this.video_.buffered),
-      audio: getBufferedInfo(this.getBuffered_(ContentType.AUDIO)),
-      video: getBufferedInfo(this.getBuffered_(ContentType.VIDEO)),
-      text: []
+    const fontSize = getStyle('fontSize')
+    if (fontSize) {
+      const isValidFontSizeUnit = fontSize.match(TtmlTextParser.unitValues_) || fontSize.match(TtmlTextParser.percentValue_)
+
+      if (isValidFontSizeUnit) {
+        cue.fontSize = fontSize
+      }
     }
 
-    if (this.textEngine_) {
-      const start = this.textEngine_.bufferStart()
-      const end = this.textEngine_.bufferEnd()
+    const fontStyle = getStyle('fontStyle')
+    if (fontStyle) {
+      console.assert(fontStyle.toUpperCase() in Cue.fontStyle, fontStyle.toUpperCase() + ' Should be in Cue.fontStyle values!')
+      cue.fontStyle = Cue.fontStyle[fontStyle.toUpperCase()]
+    }
 
-      if (start != null && end != null) {
-        info.text.push({ start: start, end: end })
+    if (imageElement) {
+      const backgroundImageType = imageElement.getAttribute('imagetype')
+      const backgroundImageEncoding = imageElement.getAttribute('encoding')
+      const backgroundImageData = imageElement.textContent.trim()
+      if (backgroundImageType === 'PNG' && backgroundImageEncoding === 'Base64' && backgroundImageData) {
+        cue.backgroundImage = 'data:image/png;base64,' + backgroundImageData
       }
     }
-    return info
-  }
 
+    const letterSpacing = getStyle('letterSpacing')
+    if (letterSpacing && letterSpacing.match(TtmlTextParser.unitValues_)) {
+      cue.letterSpacing = letterSpacing
+    }
+
+    const opacity = getStyle('opacity')
+    if (opacity) {
+      cue.opacity = parseFloat(opacity)
+    }
+
+    // Text decoration is an array of values which can come both from the
+    // element's style or be inherited from elements' parent nodes. All of those
+    // values should be applied as long as they don't contradict each other. If
+    // they do, elements' own style gets preference.
+    const textDecorationRegion = TtmlTextParser.getStyleAttributeFromRegion_(region, styles, 'textDecoration')
+    if (textDecorationRegion) {
+      TtmlTextParser.addTextDecoration_(cue, textDecorationRegion)
+    }
+
+    const textDecorationElement = TtmlTextParser.getStyleAttributeFromElement_(cueElement, styles, 'textDecoration')
+    if (textDecorationElement) {
+      TtmlTextParser.addTextDecoration_(cue, textDecorationElement)
+    }
+
+    if (cellResolution) {
+      cue.cellResolution = cellResolution
+    }
+  }
   /* *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @return {TimeRanges} The buffered ranges for the given content type, or
-   *   null if the buffered ranges could not be obtained.
+   * Parses text decoration values and adds/removes them to/from the cue.
+   *
+   * @param {!Cue} cue
+   * @param {string} decoration
    * @private
    */
-  getBuffered_(contentType) {
-    try {
-      return this.sourceBuffers_[contentType].buffered
-    } catch (exception) {
-      if (contentType in this.sourceBuffers_) {
-        // Note: previous MediaSource errors may cause access to |buffered| to
-        // throw.
-        console.error('failed to get buffered range for ' + contentType,
-          exception)
+  static addTextDecoration_(cue, decoration) {
+    for (const value of decoration.split(' ')) {
+      switch (value) {
+        case 'underline':
+          if (!cue.textDecoration.includes(Cue.textDecoration.UNDERLINE)) {
+            cue.textDecoration.push(Cue.textDecoration.UNDERLINE)
+          }
+          break
+        case 'noUnderline':
+          if (cue.textDecoration.includes(Cue.textDecoration.UNDERLINE)) {
+            ArrayUtils.remove(cue.textDecoration, Cue.textDecoration.UNDERLINE)
+          }
+          break
+        case 'lineThrough':
+          if (!cue.textDecoration.includes(Cue.textDecoration.LINE_THROUGH)) {
+            cue.textDecoration.push(Cue.textDecoration.LINE_THROUGH)
+          }
+          break
+        case 'noLineThrough':
+          if (cue.textDecoration.includes(Cue.textDecoration.LINE_THROUGH)) {
+            ArrayUtils.remove(cue.textDecoration, Cue.textDecoration.LINE_THROUGH)
+          }
+          break
+        case 'overline':
+          if (!cue.textDecoration.includes(Cue.textDecoration.OVERLINE)) {
+            cue.textDecoration.push(Cue.textDecoration.OVERLINE)
+          }
+          break
+        case 'noOverline':
+          if (cue.textDecoration.includes(Cue.textDecoration.OVERLINE)) {
+            ArrayUtils.remove(cue.textDecoration, Cue.textDecoration.OVERLINE)
+          }
+          break
       }
-      return null
     }
   }
+  /* *
+   * Finds a specified attribute on either the original cue element or its
+   * associated region and returns the value if the attribute was found.
+   *
+   * @param {!Element} cueElement
+   * @param {Element} region
+   * @param {!Array.<!Element>} styles
+   * @param {string} attribute
+   * @return {?string}
+   * @private
+   */
+  static getStyleAttribute_(cueElement, region, styles, attribute) {
+    // An attribute can be specified on region level or in a styling block
+    // associated with the region or original element.
+    const attr = TtmlTextParser.getStyleAttributeFromElement_(cueElement, styles, attribute)
+    if (attr) {
+      return attr
+    }
 
+    return TtmlTextParser.getStyleAttributeFromRegion_(region, styles, attribute)
+  }
   /* *
-   * Enqueue an operation to append data to the SourceBuffer.
-   * Start and end times are needed for TextEngine, but not for MediaSource.
-   * Start and end times may be null for initialization segments; if present
-   * they are relative to the presentation timeline.
+   * Finds a specified attribute on the element's associated region
+   * and returns the value if the attribute was found.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {BufferSource} data
-   * @param {?number} startTime relative to the start of the presentation
-   * @param {?number} endTime relative to the start of the presentation
-   * @param {?boolean} hasClosedCaptions True if the buffer contains CEA closed
-   * captions
-   * @return {!Promise}
+   * @param {Element} region
+   * @param {!Array.<!Element>} styles
+   * @param {string} attribute
+   * @return {?string}
+   * @private
    */
-  async appendBuffer(contentType, data, startTime, endTime, hasClosedCaptions) {
-    const ContentType = ManifestParserUtils.ContentType
+  static getStyleAttributeFromRegion_(region, styles, attribute) {
+    const ttsNs = TtmlTextParser.styleNs_
 
-    if (contentType === ContentType.TEXT) {
-      await this.textEngine_.appendBuffer(data, startTime, endTime)
-    } else if (this.transmuxers_[contentType]) {
-      const transmuxedData =
-          await this.transmuxers_[contentType].transmux(data)
-      // For HLS CEA-608/708 CLOSED-CAPTIONS, text data is embedded in
-      // the video stream, so textEngine may not have been initialized.
-      if (!this.textEngine_) {
-        this.reinitText('text/vtt')
-      }
-      // This doesn't work for native TS support (ex. Edge/Chromecast),
-      // since no transmuxing is needed for native TS.
-      if (transmuxedData.captions && transmuxedData.captions.length) {
-        const videoOffset =
-        this.sourceBuffers_[ContentType.VIDEO].timestampOffset
-        this.textEngine_.storeAndAppendClosedCaptions(
-          transmuxedData.captions, startTime, endTime, videoOffset)
-      }
-      await this.enqueueOperation_(
-        contentType, () => this.append_(contentType, transmuxedData.data))
-    } else if (hasClosedCaptions && window.muxjs) {
-      if (!this.textEngine_) {
-        this.reinitText('text/vtt')
+    if (!region) {
+      return null
+    }
+
+    const regionChildren = XmlUtils.getChildren(region)
+    for (const child of regionChildren) {
+      const attr = XmlUtils.getAttributeNS(child, ttsNs, attribute)
+      if (attr) {
+        return attr
       }
-      // If it is the init segment for closed captions, initialize the closed
-      // caption parser.
-      if (startTime === null && endTime === null) {
-        this.captionParser_.init(data)
-      } else {
-        this.captionParser_.parseFrom(data, (captions) => {
-          if (captions.length) {
-            const videoOffset =
-            this.sourceBuffers_[ContentType.VIDEO].timestampOffset
-            this.textEngine_.storeAndAppendClosedCaptions(
-              captions, startTime, endTime, videoOffset)
-          }
-        })
+    }
+
+    const attr = XmlUtils.getAttributeNS(region, ttsNs, attribute)
+    if (attr) {
+      return attr
+    }
+
+    const regionStyles = TtmlTextParser.getElementsFromCollection_(region, 'style', styles, '')
+    for (const style of regionStyles) {
+      const styleAttr = XmlUtils.getAttributeNS(style, ttsNs, attribute)
+      if (styleAttr) {
+        return styleAttr
       }
-      await this.enqueueOperation_(
-        contentType,
-        () => this.append_(contentType, data))
-    } else {
-      await this.enqueueOperation_(
-        contentType,
-        () => this.append_(contentType, data))
     }
+    return null
   }
-
   /* *
-   * Set the selected closed captions Id and language.
+   * Finds a specified attribute on the cue element and returns the value
+   * if the attribute was found.  Inline styles on ancestors (span in p, p in
+   * div) are inherited.
    *
-   * @param {string} id
+   * @param {!Element} cueElement
+   * @param {!Array.<!Element>} styles
+   * @param {string} attribute
+   * @return {?string}
+   * @private
    */
-  setSelectedClosedCaptionId(id) {
-    const VIDEO = ManifestParserUtils.ContentType.VIDEO
-    const videoBufferEndTime = this.bufferEnd(VIDEO) || 0
-    this.textEngine_.setSelectedClosedCaptionId(id, videoBufferEndTime)
-  }
+  static getStyleAttributeFromElement_(cueElement, styles, attribute) {
+    const ttsNs = TtmlTextParser.styleNs_
+
+    let element = cueElement
+    while (element && element.nodeType === Node.ELEMENT_NODE && element.localName !== 'tt') {
+      // Styling on elements should take precedence
+      // over the main styling attributes
+      const elementAttribute = XmlUtils.getAttributeNS(element, ttsNs, attribute)
+      if (elementAttribute) {
+        return elementAttribute
+      }
 
+      const elementStyles = TtmlTextParser.getElementsFromCollection_(element, 'style', styles, '')
+      for (const style of elementStyles) {
+        const styleAttr = XmlUtils.getAttributeNS(style, ttsNs, attribute)
+        if (styleAttr) {
+          return styleAttr
+        }
+      }
+      element = element.parentNode
+    }
+    return null
+  }
   /* *
-   * Enqueue an operation to remove data from the SourceBuffer.
+   * Selects items from |collection| whose id matches |attributeName|
+   * from |element|.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {number} startTime relative to the start of the presentation
-   * @param {number} endTime relative to the start of the presentation
-   * @return {!Promise}
+   * @param {Element} element
+   * @param {string} attributeName
+   * @param {!Array.<Element>} collection
+   * @param {string} prefixName
+   * @param {string=} nsName
+   * @return {!Array.<!Element>}
+   * @private
    */
-  async remove(contentType, startTime, endTime) {
-    // On IE11, this operation would be permitted, but would have no effect!
-    // See https://github.com/google/shaka-player/issues/251
-    console.assert(endTime < Number.MAX_VALUE,
-      'remove() with MAX_VALUE or Infinity is not IE-compatible!')
-    const ContentType = ManifestParserUtils.ContentType
-    if (contentType === ContentType.TEXT) {
-      await this.textEngine_.remove(startTime, endTime)
-    } else {
-      await this.enqueueOperation_(
-        contentType,
-        () => this.remove_(contentType, startTime, endTime))
+  static getElementsFromCollection_(element, attributeName, collection, prefixName, nsName) {
+    const items = []
+
+    if (!element || collection.length < 1) {
+      return items
+    }
+
+    const attributeValue = TtmlTextParser.getInheritedAttribute_(element, attributeName, nsName)
+
+    if (attributeValue) {
+      // There could be multiple items in one attribute
+      // <span style='style1 style2'>A cue</span>
+      const itemNames = attributeValue.split(' ')
+
+      for (const name of itemNames) {
+        for (const item of collection) {
+          if ((prefixName + item.getAttribute('xml:id')) === name) {
+            items.push(item)
+            break
+          }
+        }
+      }
     }
-  }
 
+    return items
+  }
   /* *
-   * Enqueue an operation to clear the SourceBuffer.
+   * Traverses upwards from a given node until a given attribute is found.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @return {!Promise}
+   * @param {!Element} element
+   * @param {string} attributeName
+   * @param {string=} nsName
+   * @return {?string}
+   * @private
    */
-  async clear(contentType) {
-    const ContentType = ManifestParserUtils.ContentType
-    if (contentType === ContentType.TEXT) {
-      if (!this.textEngine_) {
-        return
+  static getInheritedAttribute_(element, attributeName, nsName) {
+    let ret = null
+    while (element) {
+      ret = nsName ? XmlUtils.getAttributeNS(element, nsName, attributeName) : element.getAttribute(attributeName)
+      if (ret) {
+        break
       }
 
-      // CaptionParser tracks the latest timestamp and uses this to filter
-      // for duplicate captions.  We do this ourselves, so we must reset
-      // the CaptionParser when we seek.  The best indicator of an
-      // unbuffered seek in MediaSourceEngine is clear().  This causes a
-      // small glitch when we change languages (which also calls clear()),
-      // where the first caption in the new language may be missing.
-      // TODO: Ask mux.js for a switch to remove this timestamp-tracking
-      // feature so that we can do away with these hacks.
-      this.captionParser_.reset()
-
-      await this.textEngine_.remove(0, Infinity)
-    } else {
-      // Note that not all platforms allow clearing to Infinity.
-      await this.enqueueOperation_(
-        contentType,
-        () => this.remove_(contentType, 0, this.mediaSource_.duration))
+      // Element.parentNode can lead to XMLDocument, which is not an Element and
+      // has no getAttribute().
+      const parentNode = element.parentNode
+      if (parentNode instanceof Element) {
+        element = parentNode
+      } else {
+        break
+      }
     }
+    return ret
   }
-
   /* *
-   * Enqueue an operation to flush the SourceBuffer.
-   * This is a workaround for what we believe is a Chromecast bug.
+   * Parses a TTML time from the given word.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @return {!Promise}
+   * @param {?string} text
+   * @param {!TtmlTextParser.RateInfo_} rateInfo
+   * @return {?number}
+   * @private
    */
-  async flush(contentType) {
-    // Flush the pipeline.  Necessary on Chromecast, even though we have removed
-    // everything.
-    const ContentType = ManifestParserUtils.ContentType
-    if (contentType === ContentType.TEXT) {
-      // Nothing to flush for text.
-      return
-    }
-    await this.enqueueOperation_(
-      contentType,
-      () => this.flush_(contentType))
-  }
+  static parseTime_(text, rateInfo) {
+    let ret = null
+    const TtmlTextParser_ = TtmlTextParser
 
-  /* *
-   * Sets the timestamp offset and append window end for the given content type.
-   *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {number} timestampOffset The timestamp offset.  Segments which start
-   *   at time t will be inserted at time t + timestampOffset instead.  This
-   *   value does not affect segments which have already been inserted.
-   * @param {number} appendWindowStart The timestamp to set the append window
-   *   start to.  For future appends, frames/samples with timestamps less than
-   *   this value will be dropped.
-   * @param {number} appendWindowEnd The timestamp to set the append window end
-   *   to.  For future appends, frames/samples with timestamps greater than this
-   *   value will be dropped.
-   * @return {!Promise}
-   */
-  async setStreamProperties(
-    contentType, timestampOffset, appendWindowStart, appendWindowEnd) {
-    const ContentType = ManifestParserUtils.ContentType
-    if (contentType === ContentType.TEXT) {
-      this.textEngine_.setTimestampOffset(timestampOffset)
-      this.textEngine_.setAppendWindow(appendWindowStart, appendWindowEnd)
-      return
+    if (!text) {
+      return null
     }
 
-    await Promise.all([
-      // Queue an abort() to help MSE splice together overlapping segments.
-      // We set appendWindowEnd when we change periods in DASH content, and the
-      // period transition may result in overlap.
-      //
-      // An abort() also helps with MPEG2-TS.  When we append a TS segment, we
-      // always enter a PARSING_MEDIA_SEGMENT state and we can't change the
-      // timestamp offset.  By calling abort(), we reset the state so we can
-      // set it.
-      this.enqueueOperation_(
-        contentType,
-        () => this.abort_(contentType)),
-      this.enqueueOperation_(
-        contentType,
-        () => this.setTimestampOffset_(contentType, timestampOffset)),
-      this.enqueueOperation_(
-        contentType,
-        () => this.setAppendWindow_(
-          contentType, appendWindowStart, appendWindowEnd))
-    ])
-  }
-
-  /* *
-   * @param {string=} reason Valid reasons are 'network' and 'decode'.
-   * @return {!Promise}
-   * @see http://w3c.github.io/media-source/#idl-def-EndOfStreamError
-   */
-  async endOfStream(reason) {
-    await this.enqueueBlockingOperation_(() => {
-      // If endOfStream() has already been called on the media source,
-      // don't call it again.
-      if (this.ended()) {
-        return
-      }
-      // Tizen and IE11 won't let us pass undefined, but it will let us omit the
-      // argument.
-      if (reason) {
-        this.mediaSource_.endOfStream(reason)
-      } else {
-        this.mediaSource_.endOfStream()
-      }
-    })
-  }
+    if (TtmlTextParser_.timeColonFormatFrames_.test(text)) {
+      ret = TtmlTextParser_.parseColonTimeWithFrames_(rateInfo, text)
+    } else if (TtmlTextParser_.timeColonFormat_.test(text)) {
+      ret = TtmlTextParser_.parseTimeFromRegex_(TtmlTextParser_.timeColonFormat_, text)
+    } else if (TtmlTextParser_.timeColonFormatMilliseconds_.test(text)) {
+      ret = TtmlTextParser_.parseTimeFromRegex_(TtmlTextParser_.timeColonFormatMilliseconds_, text)
+    } else if (TtmlTextParser_.timeFramesFormat_.test(text)) {
+      ret = TtmlTextParser_.parseFramesTime_(rateInfo, text)
+    } else if (TtmlTextParser_.timeTickFormat_.test(text)) {
+      ret = TtmlTextParser_.parseTickTime_(rateInfo, text)
+    } else if (TtmlTextParser_.timeHMSFormat_.test(text)) {
+      ret = TtmlTextParser_.parseTimeFromRegex_(TtmlTextParser_.timeHMSFormat_, text)
+    } else if (text) {
+      // It's not empty or null, but it doesn't match a known format.
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.TEXT,
+        Error$1.Code.INVALID_TEXT_CUE,
+        'Could not parse cue time range in TTML')
+    }
 
-  /* *
-   * We only support increasing duration at this time.  Decreasing duration
-   * causes the MSE removal algorithm to run, which results in an 'updateend'
-   * event.  Supporting this scenario would be complicated, and is not currently
-   * needed.
-   *
-   * @param {number} duration
-   * @return {!Promise}
-   */
-  async setDuration(duration) {
-    console.assert(
-      isNaN(this.mediaSource_.duration) ||
-            this.mediaSource_.duration <= duration,
-      'duration cannot decrease: ' + this.mediaSource_.duration + ' -> ' +
-            duration)
-    await this.enqueueBlockingOperation_(() => {
-      this.mediaSource_.duration = duration
-    })
+    return ret
   }
-
   /* *
-   * Get the current MediaSource duration.
+   * Parses a TTML time in frame format.
    *
-   * @return {number}
-   */
-  getDuration() {
-    return this.mediaSource_.duration
-  }
-
-  /* *
-   * Append data to the SourceBuffer.
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {BufferSource} data
+   * @param {!TtmlTextParser.RateInfo_} rateInfo
+   * @param {string} text
+   * @return {?number}
    * @private
    */
-  append_(contentType, data) {
-    // This will trigger an 'updateend' event.
-    this.sourceBuffers_[contentType].appendBuffer(data)
-  }
+  static parseFramesTime_(rateInfo, text) {
+    // 75f or 75.5f
+    const results = TtmlTextParser.timeFramesFormat_.exec(text)
+    const frames = Number(results[1])
 
+    return frames / rateInfo.frameRate
+  }
   /* *
-   * Remove data from the SourceBuffer.
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {number} startTime relative to the start of the presentation
-   * @param {number} endTime relative to the start of the presentation
+   * Parses a TTML time in tick format.
+   *
+   * @param {!TtmlTextParser.RateInfo_} rateInfo
+   * @param {string} text
+   * @return {?number}
    * @private
    */
-  remove_(contentType, startTime, endTime) {
-    if (endTime <= startTime) {
-      // Ignore removal of inverted or empty ranges.
-      // Fake 'updateend' event to resolve the operation.
-      this.onUpdateEnd_(contentType)
-      return
-    }
+  static parseTickTime_(rateInfo, text) {
+    // 50t or 50.5t
+    const results = TtmlTextParser.timeTickFormat_.exec(text)
+    const ticks = Number(results[1])
 
-    // This will trigger an 'updateend' event.
-    this.sourceBuffers_[contentType].remove(startTime, endTime)
+    return ticks / rateInfo.tickRate
   }
-
   /* *
-   * Call abort() on the SourceBuffer.
-   * This resets MSE's last_decode_timestamp on all track buffers, which should
-   * trigger the splicing logic for overlapping segments.
-   * @param {ManifestParserUtils.ContentType} contentType
+   * Parses a TTML colon formatted time containing frames.
+   *
+   * @param {!TtmlTextParser.RateInfo_} rateInfo
+   * @param {string} text
+   * @return {?number}
    * @private
    */
-  abort_(contentType) {
-    // Save the append window, which is reset on abort().
-    const appendWindowStart =
-        this.sourceBuffers_[contentType].appendWindowStart
-    const appendWindowEnd = this.sourceBuffers_[contentType].appendWindowEnd
+  static parseColonTimeWithFrames_(rateInfo, text) {
+    // 01:02:43:07 ('07' is frames) or 01:02:43:07.1 (subframes)
+    const results = TtmlTextParser.timeColonFormatFrames_.exec(text)
 
-    // This will not trigger an 'updateend' event, since nothing is happening.
-    // This is only to reset MSE internals, not to abort an actual operation.
-    this.sourceBuffers_[contentType].abort()
+    const hours = Number(results[1])
+    const minutes = Number(results[2])
+    let seconds = Number(results[3])
+    let frames = Number(results[4])
+    const subframes = Number(results[5]) || 0
 
-    // Restore the append
-    this.sourceBuffers_[contentType].appendWindowStart = appendWindowStart
-    this.sourceBuffers_[contentType].appendWindowEnd = appendWindowEnd
+    frames += subframes / rateInfo.subFrameRate
+    seconds += frames / rateInfo.frameRate
 
-    // Fake an 'updateend' event to resolve the operation.
-    this.onUpdateEnd_(contentType)
+    return seconds + (minutes * 60) + (hours * 3600)
   }
-
   /* *
-   * Nudge the playhead to force the media pipeline to be flushed.
-   * This seems to be necessary on Chromecast to get new content to replace old
-   * content.
-   * @param {ManifestParserUtils.ContentType} contentType
+   * Parses a TTML time with a given regex. Expects regex to be some
+   * sort of a time-matcher to match hours, minutes, seconds and milliseconds
+   *
+   * @param {!RegExp} regex
+   * @param {string} text
+   * @return {?number}
    * @private
    */
-  flush_(contentType) {
-    // Never use flush_ if there's data.  It causes a hiccup in playback.
-    console.assert(
-      this.video_.buffered.length === 0, 'MediaSourceEngine.flush_ should ' +
-        'only be used after clearing all data!')
-
-    // Seeking forces the pipeline to be flushed.
-    this.video_.currentTime -= 0.001
+  static parseTimeFromRegex_(regex, text) {
+    const results = regex.exec(text)
+    if (results == null || results[0] === '') {
+      return null
+    }
+    // This capture is optional, but will still be in the array as undefined,
+    // in which case it is 0.
+    const hours = Number(results[1]) || 0
+    const minutes = Number(results[2]) || 0
+    const seconds = Number(results[3]) || 0
+    const milliseconds = Number(results[4]) || 0
 
-    // Fake an 'updateend' event to resolve the operation.
-    this.onUpdateEnd_(contentType)
+    return (milliseconds / 1000) + seconds + (minutes * 60) + (hours * 3600)
   }
-
   /* *
-   * Set the SourceBuffer's timestamp offset.
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {number} timestampOffset
+   * If ttp:cellResolution provided returns cell resolution info
+   * with number of columns and rows into which the Root Container
+   * Region area is divided
+   *
+   * @param {?string} cellResolution
+   * @return {?{columns: number, rows: number}}
    * @private
    */
-  setTimestampOffset_(contentType, timestampOffset) {
-    // Work around for https://github.com/google/shaka-player/issues/1281:
-    // TODO(https://bit.ly/2ttKiBU): follow up when this is fixed in Edge
-    if (timestampOffset < 0) {
-      // Try to prevent rounding errors in Edge from removing the first
-      // keyframe.
-      timestampOffset += 0.001
+  static getCellResolution_(cellResolution) {
+    if (!cellResolution) {
+      return null
     }
+    const matches = /^(\d+) (\d+)$/.exec(cellResolution)
 
-    this.sourceBuffers_[contentType].timestampOffset = timestampOffset
+    if (!matches) {
+      return null
+    }
 
-    // Fake an 'updateend' event to resolve the operation.
-    this.onUpdateEnd_(contentType)
-  }
+    const columns = parseInt(matches[1], 10)
+    const rows = parseInt(matches[2], 10)
 
+    return { columns, rows }
+  }
+}
+/* *
+ * Contains information about frame/subframe rate
+ * and frame rate multiplier for time in frame format.
+ *
+ * @example 01:02:03:04(4 frames) or 01:02:03:04.1(4 frames, 1 subframe)
+ * @private
+ */
+TtmlTextParser.RateInfo_ = class {
   /* *
-   * Set the SourceBuffer's append window end.
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {number} appendWindowStart
-   * @param {number} appendWindowEnd
-   * @private
+   * @param {?string} frameRate
+   * @param {?string} subFrameRate
+   * @param {?string} frameRateMultiplier
+   * @param {?string} tickRate
    */
-  setAppendWindow_(contentType, appendWindowStart, appendWindowEnd) {
-    // You can't set start > end, so first set start to 0, then set the new
-    // end, then set the new start.  That way, there are no intermediate
-    // states which are invalid.
-    this.sourceBuffers_[contentType].appendWindowStart = 0
-    this.sourceBuffers_[contentType].appendWindowEnd = appendWindowEnd
-    this.sourceBuffers_[contentType].appendWindowStart = appendWindowStart
+  constructor(frameRate, subFrameRate, frameRateMultiplier, tickRate) {
+    /* *
+     * @type {number}
+     */
+    this.frameRate = Number(frameRate) || 30
 
-    // Fake an 'updateend' event to resolve the operation.
-    this.onUpdateEnd_(contentType)
-  }
+    /* *
+     * @type {number}
+     */
+    this.subFrameRate = Number(subFrameRate) || 1
 
-  /* *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @private
-   */
-  onError_(contentType) {
-    const operation = this.queues_[contentType][0]
-    console.assert(operation, 'Spurious error event!')
-    console.assert(!this.sourceBuffers_[contentType].updating,
+    /* *
+     * @type {number}
+     */
+    this.tickRate = Number(tickRate)
+    if (this.tickRate === 0) {
+      if (frameRate) {
+        this.tickRate = this.frameRate * this.subFrameRate
+      } else {
+        this.tickRate = 1
+      }
+    }
+
+    if (frameRateMultiplier) {
+      const multiplierResults = /^(\d+) (\d+)$/g.exec(frameRateMultiplier)
+      if (multiplierResults) {
+        const numerator = Number(multiplierResults[1])
+        const denominator = Number(multiplierResults[2])
+        const multiplierNum = numerator / denominator
+        this.frameRate *= multiplierNum
+      }
+    }
+  }
+}
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 50.17% 10%
+ */
+TtmlTextParser.percentValues_ = /^(\d{1,2}(?:\.\d+)?|100(?:\.0+)?)% (\d{1,2}(?:\.\d+)?|100(?:\.0+)?)%$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 0.6% 90%
+ */
+TtmlTextParser.percentValue_ = /^(\d{1,2}(?:\.\d+)?|100)%$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 100px, 8em, 0.80c
+ */
+TtmlTextParser.unitValues_ = /^(\d+px|\d+em|\d*\.?\d+c)$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 100px
+ */
+TtmlTextParser.pixelValues_ = /^(\d+)px (\d+)px$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 00:00:40:07 (7 frames) or 00:00:40:07.1 (7 frames, 1 subframe)
+ */
+TtmlTextParser.timeColonFormatFrames_ = /^(\d{2,}):(\d{2}):(\d{2}):(\d{2})\.?(\d+)?$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 00:00:40 or 00:40
+ */
+TtmlTextParser.timeColonFormat_ = /^(?:(\d{2,}):)?(\d{2}):(\d{2})$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 01:02:43.0345555 or 02:43.03
+ */
+TtmlTextParser.timeColonFormatMilliseconds_ = /^(?:(\d{2,}):)?(\d{2}):(\d{2}\.\d{2,})$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 75f or 75.5f
+ */
+TtmlTextParser.timeFramesFormat_ = /^(\d*(?:\.\d*)?)f$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 50t or 50.5t
+ */
+TtmlTextParser.timeTickFormat_ = /^(\d*(?:\.\d*)?)t$/
+/* *
+ * @const
+ * @private {!RegExp}
+ * @example 3.45h, 3m or 4.20s
+ */
+TtmlTextParser.timeHMSFormat_ = new RegExp(['^(?:(\\d*(?:\\.\\d*)?)h)?',
+  '(?:(\\d*(?:\\.\\d*)?)m)?',
+  '(?:(\\d*(?:\\.\\d*)?)s)?',
+  '(?:(\\d*(?:\\.\\d*)?)ms)?$'].join(''))
+/* *
+ * @const
+ * @private {!Object.<string, Cue.lineAlign>}
+ */
+TtmlTextParser.textAlignToLineAlign_ = {
+  'left': Cue.lineAlign.START,
+  'center': Cue.lineAlign.CENTER,
+  'right': Cue.lineAlign.END,
+  'start': Cue.lineAlign.START,
+  'end': Cue.lineAlign.END
+}
+/* *
+ * @const
+ * @private {!Object.<string, Cue.positionAlign>}
+ */
+TtmlTextParser.textAlignToPositionAlign_ = {
+  'left': Cue.positionAlign.LEFT,
+  'center': Cue.positionAlign.CENTER,
+  'right': Cue.positionAlign.RIGHT
+}
+/* *
+ * The namespace URL for TTML parameters.  Can be assigned any name in the TTML
+ * document, not just 'ttp:', so we use this with getAttributeNS() to ensure
+ * that we support arbitrary namespace names.
+ *
+ * @const {!Array.<string>}
+ * @private
+ */
+TtmlTextParser.parameterNs_ = 'http://www.w3.org/ns/ttml#parameter'
+/* *
+ * The namespace URL for TTML styles.  Can be assigned any name in the TTML
+ * document, not just 'tts:', so we use this with getAttributeNS() to ensure
+ * that we support arbitrary namespace names.
+ *
+ * @const {string}
+ * @private
+ */
+TtmlTextParser.styleNs_ = 'http://www.w3.org/ns/ttml#styling'
+/* *
+ * The namespace URL for SMPTE fields.
+ * @const {!Array.<string>}
+ * @private
+ */
+TtmlTextParser.smpteNsList_ = [
+  'http://www.smpte-ra.org/schemas/2052-1/2010/smpte-tt',
+  'http://www.smpte-ra.org/schemas/2052-1/2013/smpte-tt'
+]
+
+TextEngine.registerParser('application/ttml+xml', () => new TtmlTextParser())
+
+/* *
+ * @summary
+ * A utility class to help work with |IDestroyable| objects.
+ *
+ * @final
+ */
+class Destroyer {
+  /* *
+   * @param {function():!Promise} callback
+   *    A callback to destroy an object. This callback will only be called once
+   *    regardless of how many times |destroy| is called.
+   */
+  constructor(callback) {
+    /* * @private {boolean} */
+    this.destroyed_ = false
+
+    /* * @private {!PublicPromise} */
+    this.waitOnDestroy_ = new PublicPromise()
+
+    /* * @private {function():!Promise} */
+    this.onDestroy_ = callback
+  }
+
+  /* *
+   * Check if |destroy| has been called. This returning |true| does not mean
+   * that the promise returned by |destroy| has resolved yet.
+   *
+   * @return {boolean}
+   * @final
+   */
+  destroyed() {
+    return this.destroyed_
+  }
+
+  /* *
+   * Request that the destroy callback be called. Will return a promise that
+   * will resolve once the callback terminates. The promise will never be
+   * rejected.
+   *
+   * @return {!Promise}
+   * @final
+   */
+  destroy() {
+    if (this.destroyed_) {
+      return this.waitOnDestroy_
+    }
+
+    // We have started destroying this object, so we should never get here
+    // again.
+    this.destroyed_ = true
+
+    return this.onDestroy_().then(
+      () => { this.waitOnDestroy_.resolve() },
+      () => { this.waitOnDestroy_.resolve() })
+  }
+
+  /* *
+   * Checks if the object is destroyed and throws an error if it is.
+   * @param {*=} error The inner error, if any.
+   */
+  ensureNotDestroyed(error) {
+    if (this.destroyed_) {
+      if (error && error.code === Error.Code.OBJECT_DESTROYED) {
+        throw error
+      } else {
+        throw Destroyer.destroyedError(error)
+      }
+    }
+  }
+
+  /* *
+   * @param {*=} error The inner error, if any.
+   * @return {!Error}
+   */
+  static destroyedError(error) {
+    return new Error(
+      Error.Severity.CRITICAL,
+      Error.Category.PLAYER,
+      Error.Code.OBJECT_DESTROYED,
+      error)
+  }
+}
+
+// import IClosedCaptionParser from './closed_caption_parser'
+
+/* *
+ * @summary
+ * MediaSourceEngine wraps all operations on MediaSource and SourceBuffers.
+ * All asynchronous operations return a Promise, and all operations are
+ * internally synchronized and serialized as needed.  Operations that can
+ * be done in parallel will be done in parallel.
+ *
+ * @implements {IDestroyable}
+ */
+class MediaSourceEngine {
+  /* *
+   * @param {HTMLMediaElement} video The video element, whose source is tied to
+   *   MediaSource during the lifetime of the MediaSourceEngine.
+   * @param {!IClosedCaptionParser} closedCaptionParser
+   *    The closed caption parser that should be used to parser closed captions
+   *    from the video stream. MediaSourceEngine takes ownership of the parser.
+   *    When MediaSourceEngine is destroyed, it will destroy the parser.
+   * @param {!shaka.extern.TextDisplayer} textDisplayer
+   *    The text displayer that will be used with the text engine.
+   *    MediaSourceEngine takes ownership of the displayer. When
+   *    MediaSourceEngine is destroyed, it will destroy the displayer.
+   */
+  constructor(video, closedCaptionParser, textDisplayer) {
+    /* * @private {HTMLMediaElement} */
+    this.video_ = video
+
+    /* * @private {shaka.extern.TextDisplayer} */
+    this.textDisplayer_ = textDisplayer
+
+    /* * @private {!Object.<ManifestParserUtils.ContentType,
+                           SourceBuffer>} */
+    this.sourceBuffers_ = {}
+
+    /* * @private {TextEngine} */
+    this.textEngine_ = null
+
+    /* *
+     * @private {!Object.<string,
+     *                    !Array.<MediaSourceEngine.Operation>>}
+     */
+    this.queues_ = {}
+
+    /* * @private {EventManager} */
+    this.eventManager_ = new EventManager()
+
+    /* * @private {!Object.<string, !Transmuxer>} */
+    this.transmuxers_ = {}
+
+    /* * @private {IClosedCaptionParser} */
+    this.captionParser_ = closedCaptionParser
+
+    /* * @private {!PublicPromise} */
+    this.mediaSourceOpen_ = new PublicPromise()
+
+    /* * @private {MediaSource} */
+    this.mediaSource_ = this.createMediaSource(this.mediaSourceOpen_)
+
+    /* * @type {!Destroyer} */
+    this.destroyer_ = new Destroyer(() => this.doDestroy_())
+  }
+
+  /* *
+   * Create a MediaSource object, attach it to the video element, and return it.
+   * Resolves the given promise when the MediaSource is ready.
+   *
+   * Replaced by unit tests.
+   *
+   * @param {!PublicPromise} p
+   * @return {!MediaSource}
+   */
+  createMediaSource(p) {
+    const mediaSource = new MediaSource()
+
+    // Set up MediaSource on the video element.
+    this.eventManager_.listenOnce(mediaSource, 'sourceopen', p.resolve)
+    this.video_.src =
+        MediaSourceEngine.createObjectURL(mediaSource)
+
+    return mediaSource
+  }
+
+  /* *
+   * Checks if a certain type is supported.
+   *
+   * @param {shaka.extern.Stream} stream
+   * @return {boolean}
+   */
+  static isStreamSupported(stream) {
+    const fullMimeType = MimeUtils.getFullType(
+      stream.mimeType, stream.codecs)
+    const extendedMimeType = MimeUtils.getExtendedType(stream)
+    return TextEngine.isTypeSupported(fullMimeType) ||
+        MediaSource.isTypeSupported(extendedMimeType) ||
+        Transmuxer$1.isSupported(fullMimeType, stream.type)
+  }
+
+  /* *
+   * Returns a map of MediaSource support for well-known types.
+   *
+   * @return {!Object.<string, boolean>}
+   */
+  static probeSupport() {
+    const testMimeTypes = [
+      // MP4 types
+      `video/mp4; codecs='avc1.42E01E'`,
+      `video/mp4; codecs='avc3.42E01E'`,
+      `video/mp4; codecs='hev1.1.6.L93.90'`,
+      `video/mp4; codecs='hvc1.1.6.L93.90'`,
+      `video/mp4; codecs='hev1.2.4.L153.B0'; eotf='smpte2084'`, // HDR HEVC
+      `video/mp4; codecs='hvc1.2.4.L153.B0'; eotf='smpte2084'`, // HDR HEVC
+      `video/mp4; codecs='vp9'`,
+      `video/mp4; codecs='vp09.00.10.08'`,
+      `video/mp4; codecs='av01.0.01M.08'`,
+      `audio/mp4; codecs='mp4a.40.2'`,
+      `audio/mp4; codecs='ac-3'`,
+      `audio/mp4; codecs='ec-3'`,
+      `audio/mp4; codecs='opus'`,
+      `audio/mp4; codecs='flac'`,
+      // WebM types
+      `video/webm; codecs='vp8'`,
+      `video/webm; codecs='vp9'`,
+      `video/webm; codecs='vp09.00.10.08'`,
+      `audio/webm; codecs='vorbis'`,
+      `audio/webm; codecs='opus'`,
+      // MPEG2 TS types (video/ is also used for audio: https://bit.ly/TsMse)
+      `video/mp2t; codecs='avc1.42E01E'`,
+      `video/mp2t; codecs='avc3.42E01E'`,
+      `video/mp2t; codecs='hvc1.1.6.L93.90'`,
+      `video/mp2t; codecs='mp4a.40.2'`,
+      `video/mp2t; codecs='ac-3'`,
+      `video/mp2t; codecs='ec-3'`,
+      // WebVTT types
+      'text/vtt',
+      `application/mp4; codecs='wvtt'`,
+      // TTML types
+      'application/ttml+xml',
+      `application/mp4; codecs='stpp'`
+    ]
+
+    const support = {}
+    for (const type of testMimeTypes) {
+      if (Platform.supportsMediaSource()) {
+        // Our TextEngine is only effective for MSE platforms at the moment.
+        if (TextEngine.isTypeSupported(type)) {
+          support[type] = true
+        } else {
+          support[type] = MediaSource.isTypeSupported(type) ||
+                          Transmuxer$1.isSupported(type)
+        }
+      } else {
+        support[type] = Platform.supportsMediaType(type)
+      }
+
+      const basicType = type.split(';')[0]
+      support[basicType] = support[basicType] || support[type]
+    }
+
+    return support
+  }
+
+  /* * @override */
+  destroy() {
+    return this.destroyer_.destroy()
+  }
+
+  /* * @private */
+  async doDestroy_() {
+    const cleanup = []
+
+    for (const contentType in this.queues_) {
+      // Make a local copy of the queue and the first item.
+      const q = this.queues_[contentType]
+      const inProgress = q[0]
+
+      // Drop everything else out of the original queue.
+      this.queues_[contentType] = q.slice(0, 1)
+
+      // We will wait for this item to complete/fail.
+      if (inProgress) {
+        cleanup.push(inProgress.p.catch(Functional.noop))
+      }
+
+      // The rest will be rejected silently if possible.
+      for (const item of q.slice(1)) {
+        item.p.reject(Destroyer.destroyedError())
+      }
+    }
+
+    if (this.textEngine_) {
+      cleanup.push(this.textEngine_.destroy())
+    }
+    if (this.textDisplayer_) {
+      cleanup.push(this.textDisplayer_.destroy())
+    }
+
+    for (const contentType in this.transmuxers_) {
+      cleanup.push(this.transmuxers_[contentType].destroy())
+    }
+    await Promise.all(cleanup)
+    if (this.eventManager_) {
+      this.eventManager_.release()
+      this.eventManager_ = null
+    }
+
+    if (this.video_) {
+      // 'unload' the video element.
+      this.video_.removeAttribute('src')
+      this.video_.load()
+      this.video_ = null
+    }
+
+    this.mediaSource_ = null
+    this.textEngine_ = null
+    this.textDisplayer_ = null
+    this.sourceBuffers_ = {}
+    this.transmuxers_ = {}
+    this.captionParser_ = null
+    this.queues_ = {}
+  }
+
+  /* *
+   * @return {!Promise} Resolved when MediaSource is open and attached to the
+   *   media element.  This process is actually initiated by the constructor.
+   */
+  open() {
+    return this.mediaSourceOpen_
+  }
+
+  /* *
+   * Initialize MediaSourceEngine.
+   *
+   * Note that it is not valid to call this multiple times, except to add or
+   * reinitialize text streams.
+   *
+   * @param {!Map.<ManifestParserUtils.ContentType,
+   *               shaka.extern.Stream>} streamsByType
+   *   A map of content types to streams.  All streams must be supported
+   *   according to MediaSourceEngine.isStreamSupported.
+   * @param {boolean} forceTransmuxTS
+   *   If true, this will transmux TS content even if it is natively supported.
+   *
+   * @return {!Promise}
+   */
+  async init(streamsByType, forceTransmuxTS) {
+    const ContentType = ManifestParserUtils.ContentType
+
+    await this.mediaSourceOpen_
+
+    for (const contentType of streamsByType.keys()) {
+      const stream = streamsByType.get(contentType)
+      console.assert(
+        MediaSourceEngine.isStreamSupported(stream),
+        'Type negotiation should happen before MediaSourceEngine.init!')
+
+      let mimeType = MimeUtils.getFullType(
+        stream.mimeType, stream.codecs)
+      if (contentType === ContentType.TEXT) {
+        this.reinitText(mimeType)
+      } else {
+        if ((forceTransmuxTS || !MediaSource.isTypeSupported(mimeType)) &&
+            Transmuxer$1.isSupported(mimeType, contentType)) {
+          this.transmuxers_[contentType] = new Transmuxer$1()
+          mimeType =
+              Transmuxer$1.convertTsCodecs(contentType, mimeType)
+        }
+        const sourceBuffer = this.mediaSource_.addSourceBuffer(mimeType)
+        this.eventManager_.listen(
+          sourceBuffer, 'error',
+          () => this.onError_(contentType))
+        this.eventManager_.listen(
+          sourceBuffer, 'updateend',
+          () => this.onUpdateEnd_(contentType))
+        this.sourceBuffers_[contentType] = sourceBuffer
+        this.queues_[contentType] = []
+      }
+    }
+  }
+
+  /* *
+   * Reinitialize the TextEngine for a new text type.
+   * @param {string} mimeType
+   */
+  reinitText(mimeType) {
+    if (!this.textEngine_) {
+      this.textEngine_ = new TextEngine(this.textDisplayer_)
+    }
+    this.textEngine_.initParser(mimeType)
+  }
+
+  /* *
+   * @return {boolean} True if the MediaSource is in an 'ended' state, or if the
+   *   object has been destroyed.
+   */
+  ended() {
+    return this.mediaSource_ ? this.mediaSource_.readyState === 'ended' : true
+  }
+
+  /* *
+   * Gets the first timestamp in buffer for the given content type.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @return {?number} The timestamp in seconds, or null if nothing is buffered.
+   */
+  bufferStart(contentType) {
+    const ContentType = ManifestParserUtils.ContentType
+    if (contentType === ContentType.TEXT) {
+      return this.textEngine_.bufferStart()
+    }
+    return TimeRangesUtils.bufferStart(
+      this.getBuffered_(contentType))
+  }
+
+  /* *
+   * Gets the last timestamp in buffer for the given content type.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @return {?number} The timestamp in seconds, or null if nothing is buffered.
+   */
+  bufferEnd(contentType) {
+    const ContentType = ManifestParserUtils.ContentType
+    if (contentType === ContentType.TEXT) {
+      return this.textEngine_.bufferEnd()
+    }
+    return TimeRangesUtils.bufferEnd(
+      this.getBuffered_(contentType))
+  }
+
+  /* *
+   * Determines if the given time is inside the buffered range of the given
+   * content type.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {number} time Playhead time
+   * @param {number=} smallGapLimit
+   * @return {boolean}
+   */
+  isBuffered(contentType, time, smallGapLimit) {
+    const ContentType = ManifestParserUtils.ContentType
+    if (contentType === ContentType.TEXT) {
+      return this.textEngine_.isBuffered(time)
+    } else {
+      const buffered = this.getBuffered_(contentType)
+      return TimeRangesUtils.isBuffered(
+        buffered, time, smallGapLimit)
+    }
+  }
+
+  /* *
+   * Computes how far ahead of the given timestamp is buffered for the given
+   * content type.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {number} time
+   * @return {number} The amount of time buffered ahead in seconds.
+   */
+  bufferedAheadOf(contentType, time) {
+    const ContentType = ManifestParserUtils.ContentType
+    if (contentType === ContentType.TEXT) {
+      return this.textEngine_.bufferedAheadOf(time)
+    } else {
+      const buffered = this.getBuffered_(contentType)
+      return TimeRangesUtils.bufferedAheadOf(buffered, time)
+    }
+  }
+
+  /* *
+   * Returns info about what is currently buffered.
+   * @return {shaka.extern.BufferedInfo}
+   */
+  getBufferedInfo() {
+    const ContentType = ManifestParserUtils.ContentType
+
+    const getBufferedInfo = TimeRangesUtils.getBufferedInfo
+    const info = {
+      total: getBufferedInfo(this.video_.buffered),
+      audio: getBufferedInfo(this.getBuffered_(ContentType.AUDIO)),
+      video: getBufferedInfo(this.getBuffered_(ContentType.VIDEO)),
+      text: []
+    }
+
+    if (this.textEngine_) {
+      const start = this.textEngine_.bufferStart()
+      const end = this.textEngine_.bufferEnd()
+
+      if (start != null && end != null) {
+        info.text.push({ start: start, end: end })
+      }
+    }
+    return info
+  }
+
+  /* *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @return {TimeRanges} The buffered ranges for the given content type, or
+   *   null if the buffered ranges could not be obtained.
+   * @private
+   */
+  getBuffered_(contentType) {
+    try {
+      return this.sourceBuffers_[contentType].buffered
+    } catch (exception) {
+      if (contentType in this.sourceBuffers_) {
+        // Note: previous MediaSource errors may cause access to |buffered| to
+        // throw.
+        console.error('failed to get buffered range for ' + contentType,
+          exception)
+      }
+      return null
+    }
+  }
+
+  /* *
+   * Enqueue an operation to append data to the SourceBuffer.
+   * Start and end times are needed for TextEngine, but not for MediaSource.
+   * Start and end times may be null for initialization segments; if present
+   * they are relative to the presentation timeline.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {BufferSource} data
+   * @param {?number} startTime relative to the start of the presentation
+   * @param {?number} endTime relative to the start of the presentation
+   * @param {?boolean} hasClosedCaptions True if the buffer contains CEA closed
+   * captions
+   * @return {!Promise}
+   */
+  async appendBuffer(contentType, data, startTime, endTime, hasClosedCaptions) {
+    const ContentType = ManifestParserUtils.ContentType
+
+    if (contentType === ContentType.TEXT) {
+      await this.textEngine_.appendBuffer(data, startTime, endTime)
+    } else if (this.transmuxers_[contentType]) {
+      const transmuxedData =
+          await this.transmuxers_[contentType].transmux(data)
+      // For HLS CEA-608/708 CLOSED-CAPTIONS, text data is embedded in
+      // the video stream, so textEngine may not have been initialized.
+      if (!this.textEngine_) {
+        this.reinitText('text/vtt')
+      }
+      // This doesn't work for native TS support (ex. Edge/Chromecast),
+      // since no transmuxing is needed for native TS.
+      if (transmuxedData.captions && transmuxedData.captions.length) {
+        const videoOffset =
+        this.sourceBuffers_[ContentType.VIDEO].timestampOffset
+        this.textEngine_.storeAndAppendClosedCaptions(
+          transmuxedData.captions, startTime, endTime, videoOffset)
+      }
+      await this.enqueueOperation_(
+        contentType, () => this.append_(contentType, transmuxedData.data))
+    } else if (hasClosedCaptions && window.muxjs) {
+      if (!this.textEngine_) {
+        this.reinitText('text/vtt')
+      }
+      // If it is the init segment for closed captions, initialize the closed
+      // caption parser.
+      if (startTime === null && endTime === null) {
+        this.captionParser_.init(data)
+      } else {
+        this.captionParser_.parseFrom(data, (captions) => {
+          if (captions.length) {
+            const videoOffset =
+            this.sourceBuffers_[ContentType.VIDEO].timestampOffset
+            this.textEngine_.storeAndAppendClosedCaptions(
+              captions, startTime, endTime, videoOffset)
+          }
+        })
+      }
+      await this.enqueueOperation_(
+        contentType,
+        () => this.append_(contentType, data))
+    } else {
+      await this.enqueueOperation_(
+        contentType,
+        () => this.append_(contentType, data))
+    }
+  }
+
+  /* *
+   * Set the selected closed captions Id and language.
+   *
+   * @param {string} id
+   */
+  setSelectedClosedCaptionId(id) {
+    const VIDEO = ManifestParserUtils.ContentType.VIDEO
+    const videoBufferEndTime = this.bufferEnd(VIDEO) || 0
+    this.textEngine_.setSelectedClosedCaptionId(id, videoBufferEndTime)
+  }
+
+  /* *
+   * Enqueue an operation to remove data from the SourceBuffer.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {number} startTime relative to the start of the presentation
+   * @param {number} endTime relative to the start of the presentation
+   * @return {!Promise}
+   */
+  async remove(contentType, startTime, endTime) {
+    // On IE11, this operation would be permitted, but would have no effect!
+    // See https://github.com/google/shaka-player/issues/251
+    console.assert(endTime < Number.MAX_VALUE,
+      'remove() with MAX_VALUE or Infinity is not IE-compatible!')
+    const ContentType = ManifestParserUtils.ContentType
+    if (contentType === ContentType.TEXT) {
+      await this.textEngine_.remove(startTime, endTime)
+    } else {
+      await this.enqueueOperation_(
+        contentType,
+        () => this.remove_(contentType, startTime, endTime))
+    }
+  }
+
+  /* *
+   * Enqueue an operation to clear the SourceBuffer.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @return {!Promise}
+   */
+  async clear(contentType) {
+    const ContentType = ManifestParserUtils.ContentType
+    if (contentType === ContentType.TEXT) {
+      if (!this.textEngine_) {
+        return
+      }
+
+      // CaptionParser tracks the latest timestamp and uses this to filter
+      // for duplicate captions.  We do this ourselves, so we must reset
+      // the CaptionParser when we seek.  The best indicator of an
+      // unbuffered seek in MediaSourceEngine is clear().  This causes a
+      // small glitch when we change languages (which also calls clear()),
+      // where the first caption in the new language may be missing.
+      // TODO: Ask mux.js for a switch to remove this timestamp-tracking
+      // feature so that we can do away with these hacks.
+      this.captionParser_.reset()
+
+      await this.textEngine_.remove(0, Infinity)
+    } else {
+      // Note that not all platforms allow clearing to Infinity.
+      await this.enqueueOperation_(
+        contentType,
+        () => this.remove_(contentType, 0, this.mediaSource_.duration))
+    }
+  }
+
+  /* *
+   * Enqueue an operation to flush the SourceBuffer.
+   * This is a workaround for what we believe is a Chromecast bug.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @return {!Promise}
+   */
+  async flush(contentType) {
+    // Flush the pipeline.  Necessary on Chromecast, even though we have removed
+    // everything.
+    const ContentType = ManifestParserUtils.ContentType
+    if (contentType === ContentType.TEXT) {
+      // Nothing to flush for text.
+      return
+    }
+    await this.enqueueOperation_(
+      contentType,
+      () => this.flush_(contentType))
+  }
+
+  /* *
+   * Sets the timestamp offset and append window end for the given content type.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {number} timestampOffset The timestamp offset.  Segments which start
+   *   at time t will be inserted at time t + timestampOffset instead.  This
+   *   value does not affect segments which have already been inserted.
+   * @param {number} appendWindowStart The timestamp to set the append window
+   *   start to.  For future appends, frames/samples with timestamps less than
+   *   this value will be dropped.
+   * @param {number} appendWindowEnd The timestamp to set the append window end
+   *   to.  For future appends, frames/samples with timestamps greater than this
+   *   value will be dropped.
+   * @return {!Promise}
+   */
+  async setStreamProperties(
+    contentType, timestampOffset, appendWindowStart, appendWindowEnd) {
+    const ContentType = ManifestParserUtils.ContentType
+    if (contentType === ContentType.TEXT) {
+      this.textEngine_.setTimestampOffset(timestampOffset)
+      this.textEngine_.setAppendWindow(appendWindowStart, appendWindowEnd)
+      return
+    }
+
+    await Promise.all([
+      // Queue an abort() to help MSE splice together overlapping segments.
+      // We set appendWindowEnd when we change periods in DASH content, and the
+      // period transition may result in overlap.
+      //
+      // An abort() also helps with MPEG2-TS.  When we append a TS segment, we
+      // always enter a PARSING_MEDIA_SEGMENT state and we can't change the
+      // timestamp offset.  By calling abort(), we reset the state so we can
+      // set it.
+      this.enqueueOperation_(
+        contentType,
+        () => this.abort_(contentType)),
+      this.enqueueOperation_(
+        contentType,
+        () => this.setTimestampOffset_(contentType, timestampOffset)),
+      this.enqueueOperation_(
+        contentType,
+        () => this.setAppendWindow_(
+          contentType, appendWindowStart, appendWindowEnd))
+    ])
+  }
+
+  /* *
+   * @param {string=} reason Valid reasons are 'network' and 'decode'.
+   * @return {!Promise}
+   * @see http://w3c.github.io/media-source/#idl-def-EndOfStreamError
+   */
+  async endOfStream(reason) {
+    await this.enqueueBlockingOperation_(() => {
+      // If endOfStream() has already been called on the media source,
+      // don't call it again.
+      if (this.ended()) {
+        return
+      }
+      // Tizen and IE11 won't let us pass undefined, but it will let us omit the
+      // argument.
+      if (reason) {
+        this.mediaSource_.endOfStream(reason)
+      } else {
+        this.mediaSource_.endOfStream()
+      }
+    })
+  }
+
+  /* *
+   * We only support increasing duration at this time.  Decreasing duration
+   * causes the MSE removal algorithm to run, which results in an 'updateend'
+   * event.  Supporting this scenario would be complicated, and is not currently
+   * needed.
+   *
+   * @param {number} duration
+   * @return {!Promise}
+   */
+  async setDuration(duration) {
+    console.assert(
+      isNaN(this.mediaSource_.duration) ||
+            this.mediaSource_.duration <= duration,
+      'duration cannot decrease: ' + this.mediaSource_.duration + ' -> ' +
+            duration)
+    await this.enqueueBlockingOperation_(() => {
+      this.mediaSource_.duration = duration
+    })
+  }
+
+  /* *
+   * Get the current MediaSource duration.
+   *
+   * @return {number}
+   */
+  getDuration() {
+    return this.mediaSource_.duration
+  }
+
+  /* *
+   * Append data to the SourceBuffer.
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {BufferSource} data
+   * @private
+   */
+  append_(contentType, data) {
+    // This will trigger an 'updateend' event.
+    this.sourceBuffers_[contentType].appendBuffer(data)
+  }
+
+  /* *
+   * Remove data from the SourceBuffer.
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {number} startTime relative to the start of the presentation
+   * @param {number} endTime relative to the start of the presentation
+   * @private
+   */
+  remove_(contentType, startTime, endTime) {
+    if (endTime <= startTime) {
+      // Ignore removal of inverted or empty ranges.
+      // Fake 'updateend' event to resolve the operation.
+      this.onUpdateEnd_(contentType)
+      return
+    }
+
+    // This will trigger an 'updateend' event.
+    this.sourceBuffers_[contentType].remove(startTime, endTime)
+  }
+
+  /* *
+   * Call abort() on the SourceBuffer.
+   * This resets MSE's last_decode_timestamp on all track buffers, which should
+   * trigger the splicing logic for overlapping segments.
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @private
+   */
+  abort_(contentType) {
+    // Save the append window, which is reset on abort().
+    const appendWindowStart =
+        this.sourceBuffers_[contentType].appendWindowStart
+    const appendWindowEnd = this.sourceBuffers_[contentType].appendWindowEnd
+
+    // This will not trigger an 'updateend' event, since nothing is happening.
+    // This is only to reset MSE internals, not to abort an actual operation.
+    this.sourceBuffers_[contentType].abort()
+
+    // Restore the append
+    this.sourceBuffers_[contentType].appendWindowStart = appendWindowStart
+    this.sourceBuffers_[contentType].appendWindowEnd = appendWindowEnd
+
+    // Fake an 'updateend' event to resolve the operation.
+    this.onUpdateEnd_(contentType)
+  }
+
+  /* *
+   * Nudge the playhead to force the media pipeline to be flushed.
+   * This seems to be necessary on Chromecast to get new content to replace old
+   * content.
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @private
+   */
+  flush_(contentType) {
+    // Never use flush_ if there's data.  It causes a hiccup in playback.
+    console.assert(
+      this.video_.buffered.length === 0, 'MediaSourceEngine.flush_ should ' +
+        'only be used after clearing all data!')
+
+    // Seeking forces the pipeline to be flushed.
+    this.video_.currentTime -= 0.001
+
+    // Fake an 'updateend' event to resolve the operation.
+    this.onUpdateEnd_(contentType)
+  }
+
+  /* *
+   * Set the SourceBuffer's timestamp offset.
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {number} timestampOffset
+   * @private
+   */
+  setTimestampOffset_(contentType, timestampOffset) {
+    // Work around for https://github.com/google/shaka-player/issues/1281:
+    // TODO(https://bit.ly/2ttKiBU): follow up when this is fixed in Edge
+    if (timestampOffset < 0) {
+      // Try to prevent rounding errors in Edge from removing the first
+      // keyframe.
+      timestampOffset += 0.001
+    }
+
+    this.sourceBuffers_[contentType].timestampOffset = timestampOffset
+
+    // Fake an 'updateend' event to resolve the operation.
+    this.onUpdateEnd_(contentType)
+  }
+
+  /* *
+   * Set the SourceBuffer's append window end.
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {number} appendWindowStart
+   * @param {number} appendWindowEnd
+   * @private
+   */
+  setAppendWindow_(contentType, appendWindowStart, appendWindowEnd) {
+    // You can't set start > end, so first set start to 0, then set the new
+    // end, then set the new start.  That way, there are no intermediate
+    // states which are invalid.
+    this.sourceBuffers_[contentType].appendWindowStart = 0
+    this.sourceBuffers_[contentType].appendWindowEnd = appendWindowEnd
+    this.sourceBuffers_[contentType].appendWindowStart = appendWindowStart
+
+    // Fake an 'updateend' event to resolve the operation.
+    this.onUpdateEnd_(contentType)
+  }
+
+  /* *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @private
+   */
+  onError_(contentType) {
+    const operation = this.queues_[contentType][0]
+    console.assert(operation, 'Spurious error event!')
+    console.assert(!this.sourceBuffers_[contentType].updating,
       'SourceBuffer should not be updating on error!')
     const code = this.video_.error ? this.video_.error.code : 0
     operation.p.reject(new Error$1(
       Error$1.Severity.CRITICAL,
-      Error$1.Category.MEDIA,
-      Error$1.Code.MEDIA_SOURCE_OPERATION_FAILED,
-      code))
-    // Do not pop from queue.  An 'updateend' event will fire next, and to
-    // avoid synchronizing these two event handlers, we will allow that one to
-    // pop from the queue as normal.  Note that because the operation has
-    // already been rejected, the call to resolve() in the 'updateend' handler
-    // will have no effect.
+      Error$1.Category.MEDIA,
+      Error$1.Code.MEDIA_SOURCE_OPERATION_FAILED,
+      code))
+    // Do not pop from queue.  An 'updateend' event will fire next, and to
+    // avoid synchronizing these two event handlers, we will allow that one to
+    // pop from the queue as normal.  Note that because the operation has
+    // already been rejected, the call to resolve() in the 'updateend' handler
+    // will have no effect.
+  }
+
+  /* *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @private
+   */
+  onUpdateEnd_(contentType) {
+    const operation = this.queues_[contentType][0]
+    console.assert(operation, 'Spurious updateend event!')
+    if (!operation) {
+      return
+    }
+    console.assert(!this.sourceBuffers_[contentType].updating,
+      'SourceBuffer should not be updating on updateend!')
+    operation.p.resolve()
+    this.popFromQueue_(contentType)
+  }
+
+  /* *
+   * Enqueue an operation and start it if appropriate.
+   *
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @param {function()} start
+   * @return {!Promise}
+   * @private
+   */
+  enqueueOperation_(contentType, start) {
+    this.destroyer_.ensureNotDestroyed()
+
+    const operation = {
+      start: start,
+      p: new PublicPromise()
+    }
+    this.queues_[contentType].push(operation)
+
+    if (this.queues_[contentType].length === 1) {
+      this.startOperation_(contentType)
+    }
+    return operation.p
+  }
+
+  /* *
+   * Enqueue an operation which must block all other operations on all
+   * SourceBuffers.
+   *
+   * @param {function()} run
+   * @return {!Promise}
+   * @private
+   */
+  async enqueueBlockingOperation_(run) {
+    this.destroyer_.ensureNotDestroyed()
+
+    /* * @type {Array.<!PublicPromise>} */
+    const allWaiters = []
+
+    // Enqueue a 'wait' operation onto each queue.
+    // This operation signals its readiness when it starts.
+    // When all wait operations are ready, the real operation takes place.
+    for (const contentType in this.sourceBuffers_) {
+      const ready = new PublicPromise()
+      const operation = {
+        start: () => ready.resolve(),
+        p: ready
+      }
+
+      this.queues_[contentType].push(operation)
+      allWaiters.push(ready)
+
+      if (this.queues_[contentType].length === 1) {
+        operation.start()
+      }
+    }
+    // Return a Promise to the real operation, which waits to begin until
+    // there are no other in-progress operations on any SourceBuffers.
+    try {
+      await Promise.all(allWaiters)
+    } catch (error) {
+      // One of the waiters failed, which means we've been destroyed.
+      console.assert(
+        this.destroyer_.destroyed(), 'Should be destroyed by now')
+      // We haven't popped from the queue.  Canceled waiters have been removed
+      // by destroy.  What's left now should just be resolved waiters.  In
+      // uncompiled mode, we will maintain good hygiene and make sure the
+      // assert at the end of destroy passes.  In compiled mode, the queues
+      // are wiped in destroy.
+      throw error
+    }
+
+    // Run the real operation, which is synchronous.
+    try {
+      run()
+    } catch (exception) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MEDIA,
+        Error$1.Code.MEDIA_SOURCE_OPERATION_THREW,
+        exception)
+    } finally {
+      // Unblock the queues.
+      for (const contentType in this.sourceBuffers_) {
+        this.popFromQueue_(contentType)
+      }
+    }
+  }
+
+  /* *
+   * Pop from the front of the queue and start a new operation.
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @private
+   */
+  popFromQueue_(contentType) {
+    // Remove the in-progress operation, which is now complete.
+    this.queues_[contentType].shift()
+    this.startOperation_(contentType)
+  }
+
+  /* *
+   * Starts the next operation in the queue.
+   * @param {ManifestParserUtils.ContentType} contentType
+   * @private
+   */
+  startOperation_(contentType) {
+    // Retrieve the next operation, if any, from the queue and start it.
+    const next = this.queues_[contentType][0]
+    if (next) {
+      try {
+        next.start()
+      } catch (exception) {
+        if (exception.name === 'QuotaExceededError') {
+          next.p.reject(new Error$1(
+            Error$1.Severity.CRITICAL,
+            Error$1.Category.MEDIA,
+            Error$1.Code.QUOTA_EXCEEDED_ERROR,
+            contentType))
+        } else {
+          next.p.reject(new Error$1(
+            Error$1.Severity.CRITICAL,
+            Error$1.Category.MEDIA,
+            Error$1.Code.MEDIA_SOURCE_OPERATION_THREW,
+            exception))
+        }
+        this.popFromQueue_(contentType)
+      }
+    }
+  }
+
+  /* *
+   * @return {!shaka.extern.TextDisplayer}
+   */
+  getTextDisplayer() {
+    console.assert(
+      this.textDisplayer_,
+      'TextDisplayer should only be null when this is destroyed')
+
+    return this.textDisplayer_
+  }
+
+  /* *
+   * @param {!shaka.extern.TextDisplayer} textDisplayer
+   */
+  setTextDisplayer(textDisplayer) {
+    const oldTextDisplayer = this.textDisplayer_
+    this.textDisplayer_ = textDisplayer
+    if (oldTextDisplayer) {
+      textDisplayer.setTextVisibility(oldTextDisplayer.isTextVisible())
+      oldTextDisplayer.destroy()
+    }
+    if (this.textEngine_) {
+      this.textEngine_.setDisplayer(textDisplayer)
+    }
+  }
+}
+/* *
+ * Internal reference to URL.createObjectURL function to avoid
+ * compatibility issues with other libraries and frameworks such as React
+ * Native. For use in unit tests only, not meant for external use.
+ *
+ * @type {function(?):string}
+ */
+MediaSourceEngine.createObjectURL = URL.createObjectURL
+
+/* *
+ * @summary A set of language utility functions.
+ * @final
+ */
+class LanguageUtils {
+  /* *
+   * Check if |locale1| and |locale2| are locale-compatible.
+   *
+   * Locale-compatible is defined as all components in each locale match. Since
+   * we only respect the language and region components, we only check that
+   * the language and region components match.
+   *
+   * Examples:
+   *  Locale A | Locale B | Locale Compatible
+   *  ---------------------------------------
+   *  en-US    | en-US    | true
+   *  en       | en-US    | false
+   *  en-US    | en-CA    | false
+   *
+   * @param {string} locale1
+   * @param {string} locale2
+   * @return {boolean}
+   */
+  static areLocaleCompatible(locale1, locale2) {
+    // Even through they SHOULD already be normalized, let's just be safe and
+    // do it again.
+    locale1 = LanguageUtils.normalize(locale1)
+    locale2 = LanguageUtils.normalize(locale2)
+
+    return locale1 === locale2
+  }
+
+  /* *
+   * Check if |locale1| and |locale2| are language-compatible.
+   *
+   * Language compatible is when the language component of each locale matches.
+   * This means that no matter what region they have (or don't have) as long as
+   * the language components match, they are language-compatible.
+   *
+   * Examples:
+   *  Locale A | Locale B | Language-Compatible
+   *  -----------------------------------------
+   *  en-US    | en-US    | true
+   *  en-US    | en       | true
+   *  en-US    | en-CA    | true
+   *  en-CA    | fr-CA    | false
+   *
+   * @param {string} locale1
+   * @param {string} locale2
+   * @return {boolean}
+   */
+  static areLanguageCompatible(locale1, locale2) {
+    // Even through they SHOULD already be normalized, let's just be safe and
+    // do it again.
+    locale1 = LanguageUtils.normalize(locale1)
+    locale2 = LanguageUtils.normalize(locale2)
+
+    // Get all components. This should only be language and region
+    // since we do not support dialect.
+    /* * @type {!Array.<string>} */
+    const locale1Components = LanguageUtils.disassembleLocale_(locale1)
+    /* * @type {!Array.<string>} */
+    const locale2Components = LanguageUtils.disassembleLocale_(locale2)
+
+    // We are language compatible if we have the same language.
+    return locale1Components[0] === locale2Components[0]
+  }
+
+  /* *
+   * Check if |possibleParent| is the parent locale of |possibleChild|. Because
+   * we do not support dialects, the parent-child relationship is a lot simpler.
+   * In a parent child relationship:
+   *    - The parent and child have the same language-component
+   *    - The parent has no region-component
+   *    - The child has a region-component
+   *
+   * Example:
+   *  Locale A | Locale B | Is A The parent of B?
+   *  --------------------------------------------
+   *  en-US    | en-US    | no
+   *  en-US    | en       | no
+   *  en       | en-US    | yes
+   *  en       | en       | no
+   *  en       | fr       | no
+   *
+   * @param {string} possibleParent
+   * @param {string} possibleChild
+   * @return {boolean}
+   */
+  static isParentOf(possibleParent, possibleChild) {
+    // Even through they SHOULD already be normalized, let's just be safe and
+    // do it again.
+    possibleParent = LanguageUtils.normalize(possibleParent)
+    possibleChild = LanguageUtils.normalize(possibleChild)
+
+    // Get all components. This should only be language and region
+    // since we do not support dialect.
+    /* * @type {!Array.<string>} */
+    const possibleParentComponents =
+        LanguageUtils.disassembleLocale_(possibleParent)
+    /* * @type {!Array.<string>} */
+    const possibleChildComponents =
+        LanguageUtils.disassembleLocale_(possibleChild)
+
+    return possibleParentComponents[0] === possibleChildComponents[0] &&
+           possibleParentComponents.length === 1 &&
+           possibleChildComponents.length === 2
+  }
+
+  /* *
+   * Check if |localeA| shares the same parent with |localeB|. Since we don't
+   * support dialect, we will only look at language and region. For two locales
+   * to be siblings:
+   *    - Both must have language-components
+   *    - Both must have region-components
+   *    - Both must have the same language-component
+   *
+   * Example:
+   *  Locale A | Locale B | Siblings?
+   *  --------------------------------------------
+   *  en-US    | en-US    | yes
+   *  en-US    | en-CA    | yes
+   *  en-US    | en       | no
+   *  en       | en-US    | no
+   *  en       | en       | no
+   *  en       | fr       | no
+   *
+   * @param {string} localeA
+   * @param {string} localeB
+   * @return {boolean}
+   */
+  static isSiblingOf(localeA, localeB) {
+    // Even through they SHOULD already be normalized, let's just be safe and
+    // do it again.
+    localeA = LanguageUtils.normalize(localeA)
+    localeB = LanguageUtils.normalize(localeB)
+
+    // Get all components. This should only be language and region
+    // since we do not support dialect.
+    /* * @type {!Array.<string>} */
+    const localeAComponents = LanguageUtils.disassembleLocale_(localeA)
+    /* * @type {!Array.<string>} */
+    const localeBComponents = LanguageUtils.disassembleLocale_(localeB)
+
+    return localeAComponents.length === 2 &&
+           localeBComponents.length === 2 &&
+           localeAComponents[0] === localeBComponents[0]
+  }
+
+  /* *
+   * Normalize a locale. This will take a locale and canonicalize it to a state
+   * that we are prepared to work with.
+   *
+   * We only support with:
+   *   - language
+   *   - language-REGION
+   *
+   * If given a dialect, we will discard it. We will convert any 3-character
+   * codes to 2-character codes. We will force language codes to lowercase and
+   * region codes to uppercase.
+   *
+   * @param {string} locale
+   * @return {string}
+   */
+  static normalize(locale) {
+    const components = locale.split('-')
+
+    // We are only going to use the language and the region. If there was
+    // a dialect or anything else, we are throwing it a way.
+    let language = components[0] || ''
+    let region = components[1] || ''
+
+    // Convert the language to lower case. It is standard for the language code
+    // to be in lower case, but it will also make the map look-up easier.
+    language = language.toLowerCase()
+    language = LanguageUtils.isoMap_.get(language) || language
+
+    // Convert the region to upper case. It is standard for the region to be in
+    // upper case. If there is no upper code, then it will be an empty string
+    // and this will be a no-op.
+    region = region.toUpperCase()
+
+    return region
+      ? language + '-' + region
+      : language
+  }
+
+  /* *
+   * Check if two language codes are siblings. Language codes are siblings if
+   * they share the same base language while neither one is the base language.
+   *
+   * For example, 'en-US' and 'en-CA' are siblings but 'en-US' and 'en' are not
+   * siblings.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @return {boolean}
+   */
+  static areSiblings(a, b) {
+    const baseA = LanguageUtils.getBase(a)
+    const baseB = LanguageUtils.getBase(b)
+
+    return a !== baseA && b !== baseB && baseA === baseB
+  }
+
+  /* *
+   * Get the normalized base language for a language code.
+   *
+   * @param {string} lang
+   * @return {string}
+   */
+  static getBase(lang) {
+    const splitAt = lang.indexOf('-')
+    let major
+
+    if (splitAt >= 0) {
+      major = lang.substring(0, splitAt)
+    } else {
+      major = lang
+    }
+
+    // Convert the major code to lower case. It is standard for the major code
+    // to be in lower case, but it will also make the map look-up easier.
+    major = major.toLowerCase()
+    major = LanguageUtils.isoMap_.get(major) || major
+
+    return major
+  }
+
+  /* *
+   * Get the normalized language of the given text stream. Will return 'und' if
+   * a language is not found on the text stream.
+   *
+   * This should always be used to get the language from a text stream.
+   *
+   * @param {shaka.extern.Stream} stream
+   * @return {string}
+   */
+  static getLocaleForText(stream) {
+    const ContentType = ManifestParserUtils.ContentType
+    console.assert(
+      stream.type === ContentType.TEXT,
+      'Can only get language from text streams')
+
+    const language = stream.language || 'und'
+    return LanguageUtils.normalize(language)
+  }
+
+  /* *
+   * Get the normalized locale for the given variant. This will look through
+   * the variant to find the locale that represents the content in the variant.
+   * This will return 'und' if no language can be found.
+   *
+   * This should always be used to get the locale from a variant.
+   *
+   * @param {shaka.extern.Variant} variant
+   * @return {string}
+   */
+  static getLocaleForVariant(variant) {
+    // Our preference order is:
+    //  1. Variant
+    //  2. Audio Stream
+    //  3. Video Stream
+    //
+    // We are going to consider all falsy strings to be invalid locales, this
+    // will include empty strings.
+    if (variant.language) {
+      return LanguageUtils.normalize(variant.language)
+    }
+
+    if (variant.audio && variant.audio.language) {
+      return LanguageUtils.normalize(variant.audio.language)
+    }
+
+    if (variant.video && variant.video.language) {
+      return LanguageUtils.normalize(variant.video.language)
+    }
+
+    // No language was found, but we still want to return a valid string.
+    return 'und'
+  }
+
+  /* *
+   * Find the locale in |searchSpace| that comes closest to |target|. If no
+   * locale is found to be close to |target|, then |null| will be returned.
+   *
+   * @param {string} target
+   * @param {!Iterable.<string>} searchSpace
+   * @return {?string}
+   */
+  static findClosestLocale(target, searchSpace) {
+    /* * @type {string} */
+    const safeTarget = LanguageUtils.normalize(target)
+    /* * @type {!Set.<string>} */
+    const safeSearchSpace = new Set()
+    for (const option of searchSpace) {
+      safeSearchSpace.add(LanguageUtils.normalize(option))
+    }
+
+    // Preference 1 - The option is an exact match. For example, 'en-US' is an
+    //    exact match of 'en-US'. So if there is an option that is an exact
+    //    match, it would be the best match possible.
+    for (const option of safeSearchSpace) {
+      if (option === safeTarget) {
+        return option
+      }
+    }
+
+    // Preference 2 - The option is the parent of the target. For example,
+    //    'en' is the parent of 'en-US'. So if there is an option with
+    //    'en', it should be good enough when our preference is 'en-US'.
+    for (const option of safeSearchSpace) {
+      if (LanguageUtils.isParentOf(option, safeTarget)) {
+        return option
+      }
+    }
+
+    // Preference 3 - The option is a sibling of the target. For example,
+    //    'en-US' is a sibling of 'en-CA'. So if there is an option with
+    //    'en_CA', it should be good enough when our preference is 'en-US'.
+    for (const option of safeSearchSpace) {
+      if (LanguageUtils.isSiblingOf(option, safeTarget)) {
+        return option
+      }
+    }
+
+    // Preference 4 - The option is a child of the target. For example,
+    //    'en-US' is the child of 'en'. SO it there is an option with
+    //    'en-US', it should be good enough when our preference is 'en'.
+    for (const option of safeSearchSpace) {
+      if (LanguageUtils.isParentOf(safeTarget, option)) {
+        return option
+      }
+    }
+
+    // Failed to find anything.
+    return null
+  }
+
+  /* *
+   * Take a locale string and break it into its component. Check that each
+   * component matches what we would expect internally for locales. This
+   * should ONLY be used to verify locales that have been normalized.
+   *
+   * @param {string} locale
+   * @return {!Array.<string>}
+   * @private
+   */
+  static disassembleLocale_(locale) {
+    const components = locale.split('-')
+
+    console.assert(
+      components.length <= 2,
+      [
+        'Locales should not have more than 2 components. ',
+        locale,
+        ' has too many components.'
+      ].join())
+
+    return components
+  }
+}
+/* *
+ * A map from 3-letter language codes (ISO 639-2) to 2-letter language codes
+ * (ISO 639-1) for all languages which have both in the registry.
+ *
+ * @const {!Map.<string, string>}
+ * @private
+ */
+LanguageUtils.isoMap_ = new Map([
+  ['aar', 'aa'], ['abk', 'ab'], ['afr', 'af'], ['aka', 'ak'], ['alb', 'sq'],
+  ['amh', 'am'], ['ara', 'ar'], ['arg', 'an'], ['arm', 'hy'], ['asm', 'as'],
+  ['ava', 'av'], ['ave', 'ae'], ['aym', 'ay'], ['aze', 'az'], ['bak', 'ba'],
+  ['bam', 'bm'], ['baq', 'eu'], ['bel', 'be'], ['ben', 'bn'], ['bih', 'bh'],
+  ['bis', 'bi'], ['bod', 'bo'], ['bos', 'bs'], ['bre', 'br'], ['bul', 'bg'],
+  ['bur', 'my'], ['cat', 'ca'], ['ces', 'cs'], ['cha', 'ch'], ['che', 'ce'],
+  ['chi', 'zh'], ['chu', 'cu'], ['chv', 'cv'], ['cor', 'kw'], ['cos', 'co'],
+  ['cre', 'cr'], ['cym', 'cy'], ['cze', 'cs'], ['dan', 'da'], ['deu', 'de'],
+  ['div', 'dv'], ['dut', 'nl'], ['dzo', 'dz'], ['ell', 'el'], ['eng', 'en'],
+  ['epo', 'eo'], ['est', 'et'], ['eus', 'eu'], ['ewe', 'ee'], ['fao', 'fo'],
+  ['fas', 'fa'], ['fij', 'fj'], ['fin', 'fi'], ['fra', 'fr'], ['fre', 'fr'],
+  ['fry', 'fy'], ['ful', 'ff'], ['geo', 'ka'], ['ger', 'de'], ['gla', 'gd'],
+  ['gle', 'ga'], ['glg', 'gl'], ['glv', 'gv'], ['gre', 'el'], ['grn', 'gn'],
+  ['guj', 'gu'], ['hat', 'ht'], ['hau', 'ha'], ['heb', 'he'], ['her', 'hz'],
+  ['hin', 'hi'], ['hmo', 'ho'], ['hrv', 'hr'], ['hun', 'hu'], ['hye', 'hy'],
+  ['ibo', 'ig'], ['ice', 'is'], ['ido', 'io'], ['iii', 'ii'], ['iku', 'iu'],
+  ['ile', 'ie'], ['ina', 'ia'], ['ind', 'id'], ['ipk', 'ik'], ['isl', 'is'],
+  ['ita', 'it'], ['jav', 'jv'], ['jpn', 'ja'], ['kal', 'kl'], ['kan', 'kn'],
+  ['kas', 'ks'], ['kat', 'ka'], ['kau', 'kr'], ['kaz', 'kk'], ['khm', 'km'],
+  ['kik', 'ki'], ['kin', 'rw'], ['kir', 'ky'], ['kom', 'kv'], ['kon', 'kg'],
+  ['kor', 'ko'], ['kua', 'kj'], ['kur', 'ku'], ['lao', 'lo'], ['lat', 'la'],
+  ['lav', 'lv'], ['lim', 'li'], ['lin', 'ln'], ['lit', 'lt'], ['ltz', 'lb'],
+  ['lub', 'lu'], ['lug', 'lg'], ['mac', 'mk'], ['mah', 'mh'], ['mal', 'ml'],
+  ['mao', 'mi'], ['mar', 'mr'], ['may', 'ms'], ['mkd', 'mk'], ['mlg', 'mg'],
+  ['mlt', 'mt'], ['mon', 'mn'], ['mri', 'mi'], ['msa', 'ms'], ['mya', 'my'],
+  ['nau', 'na'], ['nav', 'nv'], ['nbl', 'nr'], ['nde', 'nd'], ['ndo', 'ng'],
+  ['nep', 'ne'], ['nld', 'nl'], ['nno', 'nn'], ['nob', 'nb'], ['nor', 'no'],
+  ['nya', 'ny'], ['oci', 'oc'], ['oji', 'oj'], ['ori', 'or'], ['orm', 'om'],
+  ['oss', 'os'], ['pan', 'pa'], ['per', 'fa'], ['pli', 'pi'], ['pol', 'pl'],
+  ['por', 'pt'], ['pus', 'ps'], ['que', 'qu'], ['roh', 'rm'], ['ron', 'ro'],
+  ['rum', 'ro'], ['run', 'rn'], ['rus', 'ru'], ['sag', 'sg'], ['san', 'sa'],
+  ['sin', 'si'], ['slk', 'sk'], ['slo', 'sk'], ['slv', 'sl'], ['sme', 'se'],
+  ['smo', 'sm'], ['sna', 'sn'], ['snd', 'sd'], ['som', 'so'], ['sot', 'st'],
+  ['spa', 'es'], ['sqi', 'sq'], ['srd', 'sc'], ['srp', 'sr'], ['ssw', 'ss'],
+  ['sun', 'su'], ['swa', 'sw'], ['swe', 'sv'], ['tah', 'ty'], ['tam', 'ta'],
+  ['tat', 'tt'], ['tel', 'te'], ['tgk', 'tg'], ['tgl', 'tl'], ['tha', 'th'],
+  ['tib', 'bo'], ['tir', 'ti'], ['ton', 'to'], ['tsn', 'tn'], ['tso', 'ts'],
+  ['tuk', 'tk'], ['tur', 'tr'], ['twi', 'tw'], ['uig', 'ug'], ['ukr', 'uk'],
+  ['urd', 'ur'], ['uzb', 'uz'], ['ven', 've'], ['vie', 'vi'], ['vol', 'vo'],
+  ['wel', 'cy'], ['wln', 'wa'], ['wol', 'wo'], ['xho', 'xh'], ['yid', 'yi'],
+  ['yor', 'yo'], ['zha', 'za'], ['zho', 'zh'], ['zul', 'zu']
+])
+
+/**
+ * @summary A set of utility functions for dealing with Streams and Manifests.
+ */
+class StreamUtils {
+  /**
+   * @param {shaka.extern.Variant} variant
+   * @param {shaka.extern.Restrictions} restrictions
+   *   Configured restrictions from the user.
+   * @param {{width: number, height: number}} maxHwRes
+   *   The maximum resolution the hardware can handle.
+   *   This is applied separately from user restrictions because the setting
+   *   should not be easily replaced by the user's configuration.
+   * @return {boolean}
+   */
+  static meetsRestrictions(variant, restrictions, maxHwRes) {
+    /** @type {function(number, number, number):boolean} */
+    const inRange = (x, min, max) => {
+      return x >= min && x <= max
+    }
+
+    const video = variant.video
+
+    // |video.width| and |video.height| can be undefined, which breaks
+    // the math, so make sure they are there first.
+    if (video && video.width && video.height) {
+      if (!inRange(video.width,
+        restrictions.minWidth,
+        Math.min(restrictions.maxWidth, maxHwRes.width))) {
+        return false
+      }
+
+      if (!inRange(video.height,
+        restrictions.minHeight,
+        Math.min(restrictions.maxHeight, maxHwRes.height))) {
+        return false
+      }
+
+      if (!inRange(video.width * video.height,
+        restrictions.minPixels,
+        restrictions.maxPixels)) {
+        return false
+      }
+    }
+
+    // |variant.frameRate| can be undefined, which breaks
+    // the math, so make sure they are there first.
+    if (variant && variant.frameRate) {
+      if (!inRange(variant.frameRate,
+        restrictions.minFrameRate,
+        restrictions.maxFrameRate)) {
+        return false
+      }
+    }
+
+    if (!inRange(variant.bandwidth,
+      restrictions.minBandwidth,
+      restrictions.maxBandwidth)) {
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * @param {!Array.<shaka.extern.Variant>} variants
+   * @param {shaka.extern.Restrictions} restrictions
+   * @param {{width: number, height: number}} maxHwRes
+   * @return {boolean} Whether the tracks changed.
+   */
+  static applyRestrictions(variants, restrictions, maxHwRes) {
+    let tracksChanged = false
+
+    for (const variant of variants) {
+      const originalAllowed = variant.allowedByApplication
+      variant.allowedByApplication = StreamUtils.meetsRestrictions(
+        variant, restrictions, maxHwRes)
+
+      if (originalAllowed !== variant.allowedByApplication) {
+        tracksChanged = true
+      }
+    }
+
+    return tracksChanged
+  }
+
+  /**
+   * Alters the given Period to filter out any unplayable streams.
+   *
+   * @param {?shaka.extern.Stream} activeAudio
+   * @param {?shaka.extern.Stream} activeVideo
+   * @param {shaka.extern.Period} period
+   */
+  static filterNewPeriod(activeAudio, activeVideo, period) {
+    if (activeAudio) {
+      console.assert(StreamUtils.isAudio(activeAudio),
+        'Audio streams must have the audio type.')
+    }
+
+    if (activeVideo) {
+      console.assert(StreamUtils.isVideo(activeVideo),
+        'Video streams must have the video type.')
+    }
+
+    // Filter variants.
+    period.variants = period.variants.filter((variant) => {
+      const audio = variant.audio
+      const video = variant.video
+
+      if (audio && !MediaSourceEngine.isStreamSupported(audio)) {
+        console.debug('Dropping variant - audio not compatible with platform',
+          StreamUtils.getStreamSummaryString_(audio))
+        return false
+      }
+
+      if (video && !MediaSourceEngine.isStreamSupported(video)) {
+        console.debug('Dropping variant - video not compatible with platform',
+          StreamUtils.getStreamSummaryString_(video))
+        return false
+      }
+
+      if (audio && activeAudio) {
+        if (!StreamUtils.areStreamsCompatible_(audio, activeAudio)) {
+          console.debug('Droping variant - not compatible with active audio',
+            'active audio',
+            StreamUtils.getStreamSummaryString_(activeAudio),
+            'variant.audio',
+            StreamUtils.getStreamSummaryString_(audio))
+          return false
+        }
+      }
+
+      if (video && activeVideo) {
+        if (!StreamUtils.areStreamsCompatible_(video, activeVideo)) {
+          console.debug('Droping variant - not compatible with active video',
+            'active video',
+            StreamUtils.getStreamSummaryString_(activeVideo),
+            'variant.video',
+            StreamUtils.getStreamSummaryString_(video))
+          return false
+        }
+      }
+
+      return true
+    })
+
+    // Filter text streams.
+    period.textStreams = period.textStreams.filter((stream) => {
+      const fullMimeType = MimeUtils.getFullType(
+        stream.mimeType, stream.codecs)
+      const keep = TextEngine.isTypeSupported(fullMimeType)
+
+      if (!keep) {
+        console.debug('Dropping text stream. Is not supported by the ' +
+                        'platform.', stream)
+      }
+
+      return keep
+    })
+  }
+
+  /**
+   * @param {shaka.extern.Stream} s0
+   * @param {shaka.extern.Stream} s1
+   * @return {boolean}
+   * @private
+   */
+  static areStreamsCompatible_(s0, s1) {
+    // Basic mime types and basic codecs need to match.
+    // For example, we can't adapt between WebM and MP4,
+    // nor can we adapt between mp4a.* to ec-3.
+    // We can switch between text types on the fly,
+    // so don't run this check on text.
+    if (s0.mimeType !== s1.mimeType) {
+      return false
+    }
+
+    if (s0.codecs.split('.')[0] !== s1.codecs.split('.')[0]) {
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * @param {shaka.extern.Variant} variant
+   * @return {shaka.extern.Track}
+   */
+  static variantToTrack(variant) {
+    /** @type {?shaka.extern.Stream} */
+    const audio = variant.audio
+    /** @type {?shaka.extern.Stream} */
+    const video = variant.video
+
+    /** @type {?string} */
+    const audioCodec = audio ? audio.codecs : null
+    /** @type {?string} */
+    const videoCodec = video ? video.codecs : null
+
+    /** @type {!Array.<string>} */
+    const codecs = []
+    if (videoCodec) {
+      codecs.push(videoCodec)
+    }
+    if (audioCodec) {
+      codecs.push(audioCodec)
+    }
+
+    /** @type {!Array.<string>} */
+    const mimeTypes = []
+    if (video) {
+      mimeTypes.push(video.mimeType)
+    }
+    if (audio) {
+      mimeTypes.push(audio.mimeType)
+    }
+    /** @type {?string} */
+    const mimeType = mimeTypes[0] || null
+
+    /** @type {!Array.<string>} */
+    const kinds = []
+    if (audio) {
+      kinds.push(audio.kind)
+    }
+    if (video) {
+      kinds.push(video.kind)
+    }
+    /** @type {?string} */
+    const kind = kinds[0] || null
+
+    /** @type {!Set.<string>} */
+    const roles = new Set()
+    if (audio) {
+      for (const role of audio.roles) {
+        roles.add(role)
+      }
+    }
+    if (video) {
+      for (const role of video.roles) {
+        roles.add(role)
+      }
+    }
+
+    /** @type {shaka.extern.Track} */
+    const track = {
+      id: variant.id,
+      active: false,
+      type: 'variant',
+      bandwidth: variant.bandwidth,
+      language: variant.language,
+      label: null,
+      kind: kind,
+      width: null,
+      height: null,
+      frameRate: null,
+      pixelAspectRatio: null,
+      mimeType: mimeType,
+      codecs: codecs.join(', '),
+      audioCodec: audioCodec,
+      videoCodec: videoCodec,
+      primary: variant.primary,
+      roles: Array.from(roles),
+      audioRoles: null,
+      videoId: null,
+      audioId: null,
+      channelsCount: null,
+      audioSamplingRate: null,
+      audioBandwidth: null,
+      videoBandwidth: null,
+      originalVideoId: null,
+      originalAudioId: null,
+      originalTextId: null
+    }
+
+    if (video) {
+      track.videoId = video.id
+      track.originalVideoId = video.originalId
+      track.width = video.width || null
+      track.height = video.height || null
+      track.frameRate = video.frameRate || null
+      track.pixelAspectRatio = video.pixelAspectRatio || null
+      track.videoBandwidth = video.bandwidth || null
+    }
+
+    if (audio) {
+      track.audioId = audio.id
+      track.originalAudioId = audio.originalId
+      track.channelsCount = audio.channelsCount
+      track.audioSamplingRate = audio.audioSamplingRate
+      track.audioBandwidth = audio.bandwidth || null
+      track.label = audio.label
+      track.audioRoles = audio.roles
+    }
+
+    return track
+  }
+
+  /**
+   * @param {shaka.extern.Stream} stream
+   * @return {shaka.extern.Track}
+   */
+  static textStreamToTrack(stream) {
+    const ContentType = ManifestParserUtils.ContentType
+
+    /** @type {shaka.extern.Track} */
+    const track = {
+      id: stream.id,
+      active: false,
+      type: ContentType.TEXT,
+      bandwidth: 0,
+      language: stream.language,
+      label: stream.label,
+      kind: stream.kind || null,
+      width: null,
+      height: null,
+      frameRate: null,
+      pixelAspectRatio: null,
+      mimeType: stream.mimeType,
+      codecs: stream.codecs || null,
+      audioCodec: null,
+      videoCodec: null,
+      primary: stream.primary,
+      roles: stream.roles,
+      audioRoles: null,
+      videoId: null,
+      audioId: null,
+      channelsCount: null,
+      audioSamplingRate: null,
+      audioBandwidth: null,
+      videoBandwidth: null,
+      originalVideoId: null,
+      originalAudioId: null,
+      originalTextId: stream.originalId
+    }
+
+    return track
+  }
+
+  /**
+   * Generate and return an ID for this track, since the ID field is optional.
+   *
+   * @param {TextTrack|AudioTrack} html5Track
+   * @return {number} The generated ID.
+   */
+  static html5TrackId(html5Track) {
+    if (!html5Track['__shaka_id']) {
+      html5Track['__shaka_id'] = StreamUtils.nextTrackId_++
+    }
+    return html5Track['__shaka_id']
+  }
+
+  /**
+   * @param {TextTrack} textTrack
+   * @return {shaka.extern.Track}
+   */
+  static html5TextTrackToTrack(textTrack) {
+    const CLOSED_CAPTION_MIMETYPE =
+        MimeUtils.CLOSED_CAPTION_MIMETYPE
+    /** @type {shaka.extern.Track} */
+    const track = StreamUtils.html5TrackToGenericShakaTrack_(textTrack)
+    track.active = textTrack.mode !== 'disabled'
+    track.type = 'text'
+    track.originalTextId = textTrack.id
+    if (textTrack.kind === 'captions') {
+      track.mimeType = CLOSED_CAPTION_MIMETYPE
+    }
+
+    return track
+  }
+
+  /**
+   * @param {AudioTrack} audioTrack
+   * @return {shaka.extern.Track}
+   */
+  static html5AudioTrackToTrack(audioTrack) {
+    /** @type {shaka.extern.Track} */
+    const track = StreamUtils.html5TrackToGenericShakaTrack_(audioTrack)
+    track.active = audioTrack.enabled
+    track.type = 'variant'
+    track.originalAudioId = audioTrack.id
+
+    if (audioTrack.kind === 'main') {
+      track.primary = true
+      track.roles = ['main']
+      track.audioRoles = ['main']
+    } else {
+      track.audioRoles = []
+    }
+
+    return track
+  }
+
+  /**
+   * Creates a Track object with non-type specific fields filled out.  The
+   * caller is responsible for completing the Track object with any
+   * type-specific information (audio or text).
+   *
+   * @param {TextTrack|AudioTrack} html5Track
+   * @return {shaka.extern.Track}
+   * @private
+   */
+  static html5TrackToGenericShakaTrack_(html5Track) {
+    /** @type {shaka.extern.Track} */
+    const track = {
+      id: StreamUtils.html5TrackId(html5Track),
+      active: false,
+      type: '',
+      bandwidth: 0,
+      language: LanguageUtils.normalize(html5Track.language),
+      label: html5Track.label,
+      kind: html5Track.kind,
+      width: null,
+      height: null,
+      frameRate: null,
+      pixelAspectRatio: null,
+      mimeType: null,
+      codecs: null,
+      audioCodec: null,
+      videoCodec: null,
+      primary: false,
+      roles: [],
+      audioRoles: null,
+      videoId: null,
+      audioId: null,
+      channelsCount: null,
+      audioSamplingRate: null,
+      audioBandwidth: null,
+      videoBandwidth: null,
+      originalVideoId: null,
+      originalAudioId: null,
+      originalTextId: null
+    }
+
+    return track
+  }
+
+  /**
+   * Determines if the given variant is playable.
+   * @param {!shaka.extern.Variant} variant
+   * @return {boolean}
+   */
+  static isPlayable(variant) {
+    return variant.allowedByApplication && variant.allowedByKeySystem
+  }
+
+  /**
+   * Filters out unplayable variants.
+   * @param {!Array.<!shaka.extern.Variant>} variants
+   * @return {!Array.<!shaka.extern.Variant>}
+   */
+  static getPlayableVariants(variants) {
+    return variants.filter((variant) => {
+      return StreamUtils.isPlayable(variant)
+    })
+  }
+
+  /**
+   * Filters variants according to the given audio channel count config.
+   *
+   * @param {!Array.<shaka.extern.Variant>} variants
+   * @param {number} preferredAudioChannelCount
+   * @return {!Array.<!shaka.extern.Variant>}
+   */
+  static filterVariantsByAudioChannelCount(
+    variants, preferredAudioChannelCount) {
+    // Group variants by their audio channel counts.
+    const variantsWithChannelCounts =
+        variants.filter((v) => v.audio && v.audio.channelsCount)
+
+    /** @type {!Map.<number, !Array.<shaka.extern.Variant>>} */
+    const variantsByChannelCount = new Map()
+    for (const variant of variantsWithChannelCounts) {
+      const count = variant.audio.channelsCount
+      console.assert(count !== null, 'Must have count after filtering!')
+      if (!variantsByChannelCount.has(count)) {
+        variantsByChannelCount.set(count, [])
+      }
+      variantsByChannelCount.get(count).push(variant)
+    }
+
+    /** @type {!Array.<number>} */
+    const channelCounts = Array.from(variantsByChannelCount.keys())
+
+    // If no variant has audio channel count info, return the original variants.
+    if (channelCounts.length === 0) {
+      return variants
+    }
+
+    // Choose the variants with the largest number of audio channels less than
+    // or equal to the configured number of audio channels.
+    const countLessThanOrEqualtoConfig =
+        channelCounts.filter((count) => count <= preferredAudioChannelCount)
+    if (countLessThanOrEqualtoConfig.length) {
+      return variantsByChannelCount.get(
+        Math.max(...countLessThanOrEqualtoConfig))
+    }
+
+    // If all variants have more audio channels than the config, choose the
+    // variants with the fewest audio channels.
+    return variantsByChannelCount.get(Math.min(...channelCounts))
+  }
+
+  /**
+   * Chooses streams according to the given config.
+   *
+   * @param {!Array.<shaka.extern.Stream>} streams
+   * @param {string} preferredLanguage
+   * @param {string} preferredRole
+   * @return {!Array.<!shaka.extern.Stream>}
+   */
+  static filterStreamsByLanguageAndRole(
+    streams, preferredLanguage, preferredRole) {
+    /** @type {!Array.<!shaka.extern.Stream>} */
+    let chosen = streams
+
+    // Start with the set of primary streams.
+    /** @type {!Array.<!shaka.extern.Stream>} */
+    const primary = streams.filter((stream) => {
+      return stream.primary
+    })
+
+    if (primary.length) {
+      chosen = primary
+    }
+
+    // Now reduce the set to one language.  This covers both arbitrary language
+    // choice and the reduction of the "primary" stream set to one language.
+    const firstLanguage = chosen.length ? chosen[0].language : ''
+    chosen = chosen.filter((stream) => {
+      return stream.language === firstLanguage
+    })
+
+    // Find the streams that best match our language preference. This will
+    // override previous selections.
+    if (preferredLanguage) {
+      const closestLocale = LanguageUtils.findClosestLocale(
+        LanguageUtils.normalize(preferredLanguage),
+        streams.map((stream) => stream.language))
+
+      // Only replace |chosen| if we found a locale that is close to our
+      // preference.
+      if (closestLocale) {
+        chosen = streams.filter((stream) => {
+          const locale = LanguageUtils.normalize(stream.language)
+          return locale === closestLocale
+        })
+      }
+    }
+
+    // Now refine the choice based on role preference.
+    if (preferredRole) {
+      const roleMatches = StreamUtils.filterTextStreamsByRole_(
+        chosen, preferredRole)
+      if (roleMatches.length) {
+        return roleMatches
+      } else {
+        console.warn('No exact match for the text role could be found.')
+      }
+    } else {
+      // Prefer text streams with no roles, if they exist.
+      const noRoleMatches = chosen.filter((stream) => {
+        return stream.roles.length === 0
+      })
+      if (noRoleMatches.length) {
+        return noRoleMatches
+      }
+    }
+
+    // Either there was no role preference, or it could not be satisfied.
+    // Choose an arbitrary role, if there are any, and filter out any other
+    // roles. This ensures we never adapt between roles.
+
+    const allRoles = chosen.map((stream) => {
+      return stream.roles
+    }).reduce(Functional.collapseArrays, [])
+
+    if (!allRoles.length) {
+      return chosen
+    }
+    return StreamUtils.filterTextStreamsByRole_(chosen, allRoles[0])
+  }
+
+  /**
+   * Filter text Streams by role.
+   *
+   * @param {!Array.<shaka.extern.Stream>} textStreams
+   * @param {string} preferredRole
+   * @return {!Array.<shaka.extern.Stream>}
+   * @private
+   */
+  static filterTextStreamsByRole_(textStreams, preferredRole) {
+    return textStreams.filter((stream) => {
+      return stream.roles.includes(preferredRole)
+    })
+  }
+
+  /**
+   * Finds a Variant with given audio and video streams.
+   * Returns null if no such Variant was found.
+   *
+   * @param {?shaka.extern.Stream} audio
+   * @param {?shaka.extern.Stream} video
+   * @param {!Array.<!shaka.extern.Variant>} variants
+   * @return {?shaka.extern.Variant}
+   */
+  static getVariantByStreams(audio, video, variants) {
+    if (audio) {
+      console.assert(
+        StreamUtils.isAudio(audio),
+        'Audio streams must have the audio type.')
+    }
+
+    if (video) {
+      console.assert(
+        StreamUtils.isVideo(video),
+        'Video streams must have the video type.')
+    }
+
+    for (const variant of variants) {
+      if (variant.audio === audio && variant.video === video) {
+        return variant
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Checks if the given stream is an audio stream.
+   *
+   * @param {shaka.extern.Stream} stream
+   * @return {boolean}
+   */
+  static isAudio(stream) {
+    const ContentType = ManifestParserUtils.ContentType
+    return stream.type === ContentType.AUDIO
+  }
+
+  /**
+   * Checks if the given stream is a video stream.
+   *
+   * @param {shaka.extern.Stream} stream
+   * @return {boolean}
+   */
+  static isVideo(stream) {
+    const ContentType = ManifestParserUtils.ContentType
+    return stream.type === ContentType.VIDEO
+  }
+
+  /**
+   * Get all non-null streams in the variant as an array.
+   *
+   * @param {shaka.extern.Variant} variant
+   * @return {!Array.<shaka.extern.Stream>}
+   */
+  static getVariantStreams(variant) {
+    const streams = []
+
+    if (variant.audio) {
+      streams.push(variant.audio)
+    }
+    if (variant.video) {
+      streams.push(variant.video)
+    }
+
+    return streams
+  }
+
+  /**
+   * @param {shaka.extern.Stream} stream
+   * @return {string}
+   * @private
+   */
+  static getStreamSummaryString_(stream) {
+    // Accepted parameters for Chromecast can be found (internally) at
+    // go/cast-mime-params
+
+    if (StreamUtils.isAudio(stream)) {
+      return 'type=audio' +
+             ' codecs=' + stream.codecs +
+             ' bandwidth=' + stream.bandwidth +
+             ' channelsCount=' + stream.channelsCount +
+             ' audioSamplingRate=' + stream.audioSamplingRate
+    }
+
+    if (StreamUtils.isVideo(stream)) {
+      return 'type=video' +
+             ' codecs=' + stream.codecs +
+             ' bandwidth=' + stream.bandwidth +
+             ' frameRate=' + stream.frameRate +
+             ' width=' + stream.width +
+             ' height=' + stream.height
+    }
+
+    return 'unexpected stream type'
+  }
+}
+
+/** @private {number} */
+StreamUtils.nextTrackId_ = 0
+
+/* *
+ * @implements {AdaptationSetCriteria}
+ * @final
+ */
+class PreferenceBasedCriteria {
+  /* *
+   * @param {string} language
+   * @param {string} role
+   * @param {number} channelCount
+   * @param {string=} label
+   * @param {string=} type
+   */
+  constructor(language, role, channelCount, label = '', type = '') {
+    /* * @private {string} */
+    this.language_ = language
+    /* * @private {string} */
+    this.role_ = role
+    /* * @private {number} */
+    this.channelCount_ = channelCount
+    /* * @private {string} */
+    this.label_ = label
+    /* * @private {string} */
+    this.type_ = type
+  }
+
+  /* * @override */
+  create(variants) {
+    const Class = PreferenceBasedCriteria
+    let current = []
+
+    const byLanguage = Class.filterByLanguage_(variants, this.language_)
+    const byPrimary = variants.filter((variant) => variant.primary)
+
+    if (byLanguage.length) {
+      current = byLanguage
+    } else if (byPrimary.length) {
+      current = byPrimary
+    } else {
+      current = variants
+    }
+
+    // Now refine the choice based on role preference.
+    if (this.role_) {
+      const byRole = Class.filterVariantsByRole_(current, this.role_,
+        this.type_)
+      if (byRole.length) {
+        current = byRole
+      } else {
+        console.warn('No exact match for variant role could be found.')
+      }
+    }
+
+    if (this.channelCount_) {
+      const byChannel = StreamUtils.filterVariantsByAudioChannelCount(
+        current, this.channelCount_)
+      if (byChannel.length) {
+        current = byChannel
+      } else {
+        console.warn(
+          'No exact match for the channel count could be found.')
+      }
+    }
+
+    if (this.label_) {
+      const byLabel = Class.filterVariantsByLabel_(current, this.label_)
+      if (byLabel.length) {
+        current = byLabel
+      } else {
+        console.warn('No exact match for variant label could be found.')
+      }
+    }
+
+    // Make sure we only return a valid adaptation set.
+    const set = new AdaptationSet(current[0])
+    for (const variant of current) {
+      if (set.canInclude(variant)) {
+        set.add(variant)
+      }
+    }
+
+    return set
+  }
+
+  /* *
+   * @param {!Array.<shaka.extern.Variant>} variants
+   * @param {string} preferredLanguage
+   * @return {!Array.<shaka.extern.Variant>}
+   * @private
+   */
+  static filterByLanguage_(variants, preferredLanguage) {
+    /* * @type {string} */
+    const preferredLocale = LanguageUtils.normalize(preferredLanguage)
+
+    /* * @type {?string} */
+    const closestLocale = LanguageUtils.findClosestLocale(
+      preferredLocale,
+      variants.map((variant) => LanguageUtils.getLocaleForVariant(variant)))
+
+    // There were no locales close to what we preferred.
+    if (!closestLocale) {
+      return []
+    }
+
+    // Find the variants that use the closest variant.
+    return variants.filter((variant) => {
+      return closestLocale === LanguageUtils.getLocaleForVariant(variant)
+    })
+  }
+
+  /* *
+   * Filter Variants by role.
+   *
+   * @param {!Array.<shaka.extern.Variant>} variants
+   * @param {string} preferredRole
+   * @param {string} type
+   * @return {!Array.<shaka.extern.Variant>}
+   * @private
+   */
+  static filterVariantsByRole_(variants, preferredRole, type) {
+    return variants.filter((variant) => {
+      if (type) {
+        const stream = variant[type]
+        return stream && stream.roles.includes(preferredRole)
+      } else {
+        const audio = variant.audio
+        const video = variant.video
+        return (audio && audio.roles.includes(preferredRole)) ||
+               (video && video.roles.includes(preferredRole))
+      }
+    })
+  }
+
+  /* *
+   * Filter Variants by label.
+   *
+   * @param {!Array.<shaka.extern.Variant>} variants
+   * @param {string} preferredLabel
+   * @return {!Array.<shaka.extern.Variant>}
+   * @private
+   */
+  static filterVariantsByLabel_(variants, preferredLabel) {
+    return variants.filter((variant) => {
+      if (!variant.audio) {
+        return false
+      }
+
+      const label1 = variant.audio.label.toLowerCase()
+      const label2 = preferredLabel.toLowerCase()
+      return label1 === label2
+    })
+  }
+}
+
+/* *
+ * The buffering observer watches how much content has been buffered and raises
+ * events when the state changes (enough => not enough or vice versa).
+ *
+ * @final
+ */
+class BufferingObserver {
+  /* *
+   * @param {number} thresholdWhenStarving
+   * @param {number} thresholdWhenSatisfied
+   */
+  constructor(thresholdWhenStarving, thresholdWhenSatisfied) {
+    const State = BufferingObserver.State
+
+    /* * @private {BufferingObserver.State} */
+    this.previousState_ = State.SATISFIED
+
+    /* * @private {!Map.<BufferingObserver.State, number>} */
+    this.thresholds_ = new Map()
+      .set(State.SATISFIED, thresholdWhenSatisfied)
+      .set(State.STARVING, thresholdWhenStarving)
+  }
+
+  /* *
+   * @param {number} thresholdWhenStarving
+   * @param {number} thresholdWhenSatisfied
+   */
+  setThresholds(thresholdWhenStarving, thresholdWhenSatisfied) {
+    const State = BufferingObserver.State
+    this.thresholds_
+      .set(State.SATISFIED, thresholdWhenSatisfied)
+      .set(State.STARVING, thresholdWhenStarving)
+  }
+
+  /* *
+   * Update the observer by telling it how much content has been buffered (in
+   * seconds) and if we are buffered to the end of the presentation. If the
+   * controller believes the state has changed, it will return |true|.
+   *
+   * @param {number} bufferLead
+   * @param {boolean} bufferedToEnd
+   * @return {boolean}
+   */
+  update(bufferLead, bufferedToEnd) {
+    const State = BufferingObserver.State
+
+    /* *
+     * Our threshold for how much we need before we declare ourselves as
+     * starving is based on whether or not we were just starving. If we
+     * were just starving, we are more likely to starve again, so we require
+     * more content to be buffered than if we were not just starving.
+     *
+     * @type {number}
+     */
+    const threshold = this.thresholds_.get(this.previousState_)
+
+    const oldState = this.previousState_
+    const newState = (bufferedToEnd || bufferLead >= threshold)
+      ? (State.SATISFIED)
+      : (State.STARVING)
+
+    // Save the new state now so that calls to |getState| from any callbacks
+    // will be accurate.
+    this.previousState_ = newState
+
+    // Return |true| only when the state has changed.
+    return oldState !== newState
+  }
+
+  /* *
+   * Set which state that the observer should think playback was in.
+   *
+   * @param {BufferingObserver.State} state
+   */
+  setState(state) {
+    this.previousState_ = state
+  }
+
+  /* *
+   * Get the state that the observer last thought playback was in.
+   *
+   * @return {BufferingObserver.State}
+   */
+  getState() {
+    return this.previousState_
+  }
+}
+
+/* *
+ * Rather than using booleans to communicate what state we are in, we have this
+ * enum.
+ *
+ * @enum {number}
+ */
+BufferingObserver.State = {
+  STARVING: 0,
+  SATISFIED: 1
+}
+
+/* *
+ * Backoff represents delay and backoff state.  This is used by NetworkingEngine
+ * for individual requests and by StreamingEngine to retry streaming failures.
+ *
+ * @final
+ */
+class Backoff {
+  /* *
+   * @param {shaka.extern.RetryParameters} parameters
+   * @param {boolean=} autoReset  If true, start at a 'first retry' state and
+   *   and auto-reset that state when we reach maxAttempts.
+   *   Default set to false.
+   */
+  constructor(parameters, autoReset = false) {
+    // Set defaults as we unpack these, so that individual app-level requests in
+    // NetworkingEngine can be missing parameters.
+
+    const defaults = Backoff.defaultRetryParameters()
+
+    /* *
+     * @const
+     * @private {number}
+     */
+    this.maxAttempts_ = (parameters.maxAttempts === null)
+      ? defaults.maxAttempts : parameters.maxAttempts
+
+    console.assert(this.maxAttempts_ >= 1, 'maxAttempts should be >= 1')
+
+    /* *
+     * @const
+     * @private {number}
+     */
+    this.baseDelay_ = (parameters.baseDelay === null)
+      ? defaults.baseDelay : parameters.baseDelay
+
+    console.assert(this.baseDelay_ >= 0, 'baseDelay should be >= 0')
+
+    /* *
+     * @const
+     * @private {number}
+     */
+    this.fuzzFactor_ = (parameters.fuzzFactor === null)
+      ? defaults.fuzzFactor : parameters.fuzzFactor
+
+    console.assert(this.fuzzFactor_ >= 0, 'fuzzFactor should be >= 0')
+
+    /* *
+     * @const
+     * @private {number}
+     */
+    this.backoffFactor_ = (parameters.backoffFactor === null)
+      ? defaults.backoffFactor : parameters.backoffFactor
+
+    console.assert(
+      this.backoffFactor_ >= 0, 'backoffFactor should be >= 0')
+
+    /* * @private {number} */
+    this.numAttempts_ = 0
+
+    /* * @private {number} */
+    this.nextUnfuzzedDelay_ = this.baseDelay_
+
+    /* * @private {boolean} */
+    this.autoReset_ = autoReset
+
+    if (this.autoReset_) {
+      // There is no delay before the first attempt.  In StreamingEngine (the
+      // intended user of auto-reset mode), the first attempt was implied, so we
+      // reset numAttempts to 1.  Therefore maxAttempts (which includes the
+      // first attempt) must be at least 2 for us to see a delay.
+      console.assert(this.maxAttempts_ >= 2,
+        'maxAttempts must be >= 2 for autoReset === true')
+      this.numAttempts_ = 1
+    }
+  }
+
+  /* *
+   * @return {!Promise} Resolves when the caller may make an attempt, possibly
+   *   after a delay.  Rejects if no more attempts are allowed.
+   */
+  async attempt() {
+    if (this.numAttempts_ >= this.maxAttempts_) {
+      if (this.autoReset_) {
+        this.reset_()
+      } else {
+        throw new Error$1(
+          Error$1.Severity.CRITICAL,
+          Error$1.Category.PLAYER,
+          Error$1.Code.ATTEMPTS_EXHAUSTED)
+      }
+    }
+
+    const currentAttempt = this.numAttempts_
+    this.numAttempts_++
+
+    if (currentAttempt === 0) {
+      console.assert(!this.autoReset_, 'Failed to delay with auto-reset!')
+      return
+    }
+
+    // We've already tried before, so delay the Promise.
+
+    // Fuzz the delay to avoid tons of clients hitting the server at once
+    // after it recovers from whatever is causing it to fail.
+    const fuzzedDelayMs = Backoff.fuzz_(
+      this.nextUnfuzzedDelay_, this.fuzzFactor_)
+
+    await new Promise((resolve) => {
+      Backoff.defer(fuzzedDelayMs, resolve)
+    })
+
+    // Update delay_ for next time.
+    this.nextUnfuzzedDelay_ *= this.backoffFactor_
+  }
+
+  /* *
+   * Gets a copy of the default retry parameters.
+   *
+   * @return {shaka.extern.RetryParameters}
+   */
+  static defaultRetryParameters() {
+    // Use a function rather than a constant member so the calling code can
+    // modify the values without affecting other call results.
+    return {
+      maxAttempts: 2,
+      baseDelay: 1000,
+      backoffFactor: 2,
+      fuzzFactor: 0.5,
+      timeout: 0
+    }
+  }
+
+  /* *
+   * Fuzz the input value by +/- fuzzFactor.  For example, a fuzzFactor of 0.5
+   * will create a random value that is between 50% and 150% of the input value.
+   *
+   * @param {number} value
+   * @param {number} fuzzFactor
+   * @return {number} The fuzzed value
+   * @private
+   */
+  static fuzz_(value, fuzzFactor) {
+    // A random number between -1 and +1.
+    const negToPosOne = (Math.random() * 2.0) - 1.0
+
+    // A random number between -fuzzFactor and +fuzzFactor.
+    const negToPosFuzzFactor = negToPosOne * fuzzFactor
+
+    // The original value, fuzzed by +/- fuzzFactor.
+    return value * (1.0 + negToPosFuzzFactor)
+  }
+
+  /* *
+   * Reset state in autoReset mode.
+   * @private
+   */
+  reset_() {
+    console.assert(this.autoReset_, 'Should only be used for auto-reset!')
+    this.numAttempts_ = 1
+    this.nextUnfuzzedDelay_ = this.baseDelay_
+  }
+
+  /* *
+   * This method is only public for testing. It allows us to intercept the
+   * time-delay call.
+   *
+   * @param {number} delayInMs
+   * @param {function()} callback
+   */
+  static defer(delayInMs, callback) {
+    const timer = new Timer(callback)
+    timer.tickAfter(delayInMs / 1000)
+  }
+}
+
+/* *
+ * A utility to wrap abortable operations.  Note that these are not cancelable.
+ * Cancelation implies undoing what has been done so far, whereas aborting only
+ * means that futher work is stopped.
+ *
+ * @implements {shaka.extern.IAbortableOperation.<T>}
+ * @template T
+ * @export
+ */
+class AbortableOperation {
+  /* *
+   * @param {!Promise.<T>} promise
+   *   A Promise which represents the underlying operation.  It is resolved when
+   *   the operation is complete, and rejected if the operation fails or is
+   *   aborted.  Aborted operations should be rejected with a Error
+   *   object using the error code OPERATION_ABORTED.
+   * @param {function():!Promise} onAbort
+   *   Will be called by this object to abort the underlying operation.
+   *   This is not cancelation, and will not necessarily result in any work
+   *   being undone.  abort() should return a Promise which is resolved when the
+   *   underlying operation has been aborted.  The returned Promise should never
+   *   be rejected.
+   */
+  constructor(promise, onAbort) {
+    /* * @const {!Promise.<T>} */
+    this.promise = promise
+
+    /* * @private {function():!Promise} */
+    this.onAbort_ = onAbort
+
+    /* * @private {boolean} */
+    this.aborted_ = false
+  }
+
+  /* *
+   * @param {!Error} error
+   * @return {!AbortableOperation} An operation which has already
+   *   failed with the error given by the caller.
+   * @export
+   */
+  static failed(error) {
+    return new AbortableOperation(
+      Promise.reject(error),
+      () => Promise.resolve())
+  }
+
+  /* *
+   * @return {!AbortableOperation} An operation which has already
+   *   failed with the error OPERATION_ABORTED.
+   * @export
+   */
+  static aborted() {
+    const p = Promise.reject(new Error$1(
+      Error$1.Severity.CRITICAL,
+      Error$1.Category.PLAYER,
+      Error$1.Code.OPERATION_ABORTED))
+    // Silence uncaught rejection errors, which may otherwise occur any place
+    // we don't explicitly handle aborted operations.
+    p.catch(() => {})
+    return new AbortableOperation(p, () => Promise.resolve())
+  }
+
+  /* *
+   * @param {U} value
+   * @return {!AbortableOperation.<U>} An operation which has already
+   *   completed with the given value.
+   * @template U
+   * @export
+   */
+  static completed(value) {
+    return new AbortableOperation(
+      Promise.resolve(value),
+      () => Promise.resolve())
+  }
+
+  /* *
+   * @param {!Promise.<U>} promise
+   * @return {!AbortableOperation.<U>} An operation which cannot be
+   *   aborted.  It will be completed when the given Promise is resolved, or
+   *   will be failed when the given Promise is rejected.
+   * @template U
+   * @export
+   */
+  static notAbortable(promise) {
+    return new AbortableOperation(
+      promise,
+      // abort() here will return a Promise which is resolved when the input
+      // promise either resolves or fails.
+      () => promise.catch(() => {}))
+  }
+
+  /* *
+   * @override
+   * @export
+   */
+  abort() {
+    this.aborted_ = true
+    return this.onAbort_()
+  }
+
+  /* *
+   * @param {!Array.<!AbortableOperation>} operations
+   * @return {!AbortableOperation} An operation which is resolved
+   *   when all operations are successful and fails when any operation fails.
+   *   For this operation, abort() aborts all given operations.
+   * @export
+   */
+  static all(operations) {
+    return new AbortableOperation(
+      Promise.all(operations.map((op) => op.promise)),
+      () => Promise.all(operations.map((op) => op.abort())))
+  }
+
+  /* *
+   * @override
+   * @export
+   */
+  finally(onFinal) {
+    this.promise.then((value) => onFinal(true), (e) => onFinal(false))
+    return this
+  }
+
+  /* *
+   * @param {(undefined|
+   *          function(T):U|
+   *          function(T):!Promise.<U>|
+   *          function(T):!AbortableOperation.<U>)} onSuccess
+   *   A callback to be invoked after this operation is complete, to chain to
+   *   another operation.  The callback can return a plain value, a Promise to
+   *   an asynchronous value, or another AbortableOperation.
+   * @param {function(*)=} onError
+   *   An optional callback to be invoked if this operation fails, to perform
+   *   some cleanup or error handling.  Analogous to the second parameter of
+   *   Promise.prototype.then.
+   * @return {!AbortableOperation.<U>} An operation which is resolved
+   *   when this operation and the operation started by the callback are both
+   *   complete.
+   * @template U
+   * @export
+   */
+  chain(onSuccess, onError) {
+    const newPromise = new PublicPromise()
+
+    // If called before 'this' completes, just abort 'this'.
+    let abort = () => {
+      newPromise.reject(new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.PLAYER,
+        Error$1.Code.OPERATION_ABORTED))
+      return this.abort()
+    }
+
+    this.promise.then((value) => {
+      if (this.aborted_) {
+        // If 'this' is not abortable(), or if abort() is called after 'this'
+        // is complete but before the next stage in the chain begins, we should
+        // stop right away.
+        newPromise.reject(new Error$1(
+          Error$1.Severity.CRITICAL,
+          Error$1.Category.PLAYER,
+          Error$1.Code.OPERATION_ABORTED))
+        return
+      }
+
+      if (!onSuccess) {
+        // No callback?  Pass the success along.
+        newPromise.resolve(value)
+        return
+      }
+
+      // Call the success callback, interpret the return value,
+      // set the Promise state, and get the next abort function.
+      abort = AbortableOperation.wrapChainCallback_(
+        onSuccess, value, newPromise)
+    }, (e) => {
+      // 'This' failed or was aborted.
+
+      if (!onError) {
+        // No callback?  Pass the failure along.
+        newPromise.reject(e)
+        return
+      }
+
+      // Call the error callback, interpret the return value,
+      // set the Promise state, and get the next abort function.
+      abort = AbortableOperation.wrapChainCallback_(
+        onError, e, newPromise)
+    })
+
+    return new AbortableOperation(
+      newPromise,
+      // By creating a closure around abort(), we can update the value of
+      // abort() at various stages.
+      () => abort())
+  }
+
+  /* *
+   * @param {(function(T):U|
+   *          function(T):!Promise.<U>|
+   *          function(T):!AbortableOperation.<U>|
+   *          function(*))} callback
+   *   A callback to be invoked with the given value.
+   * @param {T} value
+   * @param {!PublicPromise} newPromise The promise for the next
+   *   stage in the chain.
+   * @return {function():!Promise} The next abort() function for the chain.
+   * @private
+   * @template T, U
+   */
+  static wrapChainCallback_(callback, value, newPromise) {
+    try {
+      const ret = callback(value)
+
+      if (ret && ret.promise && ret.abort) {
+        // This is an abortable operation, with its own abort() method.
+        // After this point, abort() should abort the operation from the
+        // callback, and the new promise should be tied to the promise
+        // from the callback's operation.
+        newPromise.resolve(ret.promise)
+        // This used to say 'return ret.abort;', but it caused subtle issues by
+        // unbinding part of the abort chain.  There is now a test to ensure
+        // that we don't call abort with the wrong 'this'.
+        return () => ret.abort()
+      } else {
+        // This is a Promise or a plain value, and this step cannot be aborted.
+        newPromise.resolve(ret)
+        // Abort is complete when the returned value/Promise is resolved or
+        // fails, but never fails itself nor returns a value.
+        return () => Promise.resolve(ret).then(() => {}).catch(() => {})
+      }
+    } catch (exception) {
+      // The callback threw an exception or error.  Reject the new Promise and
+      // resolve any future abort call right away.
+      newPromise.reject(exception)
+      return () => Promise.resolve()
+    }
+  }
+}
+
+/* *
+ * @const {!Promise.<T>}
+ * @exportInterface
+ */
+// eslint-disable-next-line no-restricted-syntax
+AbortableOperation.prototype.promise
+
+class ObjectUtils {
+  /* *
+   * Performs a deep clone of the given simple object.  This does not copy
+   * prototypes, custom properties (e.g. read-only), or multiple references to
+   * the same object.  If the caller needs these fields, it will need to set
+   * them after this returns.
+   *
+   * @template T
+   * @param {T} arg
+   * @return {T}
+   */
+  static cloneObject(arg) {
+    const seenObjects = new Set()
+    // This recursively clones the value |val|, using the captured variable
+    // |seenObjects| to track the objects we have already cloned.
+    const clone = (val) => {
+      switch (typeof val) {
+        case 'undefined':
+        case 'boolean':
+        case 'number':
+        case 'string':
+        case 'symbol':
+        case 'function':
+          return val
+        case 'object':
+        default: {
+          // typeof null ==== 'object'
+          if (!val) {
+            return val
+          }
+
+          // This covers Uint8Array and friends, even without a TypedArray
+          // base-class constructor.
+          const isTypedArray =
+              val.buffer && val.buffer.constructor === ArrayBuffer
+          if (isTypedArray) {
+            return val
+          }
+
+          if (seenObjects.has(val)) {
+            return null
+          }
+
+          const isArray = val.constructor === Array
+          if (val.constructor !== Object && !isArray) {
+            return null
+          }
+
+          seenObjects.add(val)
+          const ret = isArray ? [] : {}
+          // Note |name| will equal a number for arrays.
+          for (const name in val) {
+            ret[name] = clone(val[name])
+          }
+
+          // Length is a non-enumerable property, but we should copy it over in
+          // case it is not the default.
+          if (isArray) {
+            ret.length = val.length
+          }
+          return ret
+        }
+      }
+    }
+    return clone(arg)
+  }
+
+  /* *
+   * Performs a shallow clone of the given simple object.  This does not copy
+   * prototypes or custom properties (e.g. read-only).
+   *
+   * @template T
+   * @param {T} original
+   * @return {T}
+   */
+  static shallowCloneObject(original) {
+    const clone = /* * @type {?} */({})
+    for (const k in original) {
+      clone[k] = original[k]
+    }
+    return clone
+  }
+}
+
+/* *
+ * @namespace ArrayUtils
+ * @summary Array utility functions.
+ */
+
+class ArrayUtils {
+  /* *
+   * Returns whether the two values contain the same value.  This correctly
+   * handles comparisons involving NaN.
+   * @param {T} a
+   * @param {T} b
+   * @return {boolean}
+   * @template T
+   */
+  static defaultEquals(a, b) {
+    // NaN !== NaN, so we need to special case it.
+    if (typeof a === 'number' &&
+        typeof b === 'number' && isNaN(a) && isNaN(b)) {
+      return true
+    }
+    return a === b
+  }
+  /* *
+   * Remove given element from array (assumes no duplicates).
+   * @param {!Array.<T>} array
+   * @param {T} element
+   * @template T
+   */
+  static remove(array, element) {
+    const index = array.indexOf(element)
+    if (index > -1) {
+      array.splice(index, 1)
+    }
+  }
+  /* *
+   * Count the number of items in the list that pass the check function.
+   * @param {!Array.<T>} array
+   * @param {function(T):boolean} check
+   * @return {number}
+   * @template T
+   */
+  static count(array, check) {
+    let count = 0
+
+    for (const element of array) {
+      count += check(element) ? 1 : 0
+    }
+
+    return count
+  }
+  /* *
+   * Determines if the given arrays contain the same elements.
+   *
+   * @param {!Array.<T>} a
+   * @param {!Array.<T>} b
+   * @param {function(T, T):boolean=} compareFn
+   * @return {boolean}
+   * @template T
+   */
+  static hasSameElements(a, b, compareFn) {
+    if (!compareFn) {
+      compareFn = ArrayUtils.defaultEquals
+    }
+    if (a.length !== b.length) {
+      return false
+    }
+
+    const copy = b.slice()
+    for (const item of a) {
+      const idx = copy.findIndex((other) => compareFn(item, other))
+      if (idx === -1) {
+        return false
+      }
+      // Since order doesn't matter, just swap the last element with
+      // this one and then drop the last element.
+      copy[idx] = copy[copy.length - 1]
+      copy.pop()
+    }
+
+    return copy.length === 0
+  }
+}
+
+// import IDestroyable from './i_destroyable'
+/* *
+ * A utility for cleaning up AbortableOperations, to help simplify common
+ * patterns and reduce code duplication.
+ *
+ * @implements {IDestroyable}
+ */
+class OperationManager {
+  constructor() {
+    /* * @private {!Array.<!shaka.extern.IAbortableOperation>} */
+    this.operations_ = []
+  }
+
+  /* *
+   * Manage an operation.  This means aborting it on destroy() and removing it
+   * from the management set when it complete.
+   *
+   * @param {!shaka.extern.IAbortableOperation} operation
+   */
+  manage(operation) {
+    this.operations_.push(operation.finally(() => {
+      ArrayUtils.remove(this.operations_, operation)
+    }))
+  }
+
+  /* * @override */
+  destroy() {
+    const cleanup = []
+    for (const op of this.operations_) {
+      // Catch and ignore any failures.  This silences error logs in the
+      // JavaScript console about uncaught Promise failures.
+      op.promise.catch(() => {})
+
+      // Now abort the operation.
+      cleanup.push(op.abort())
+    }
+
+    this.operations_ = []
+    return Promise.all(cleanup)
+  }
+}
+
+/* *
+ * @event NetworkingEngine.RetryEvent
+ * @description Fired when the networking engine receives a recoverable error
+ *   and retries.
+ * @property {string} type
+ *   'retry'
+ * @property {?Error} error
+ *   The error that caused the retry. If it was a non-Shaka error, this is set
+ *   to null.
+ * @exportDoc
+ */
+
+/* *
+ * NetworkingEngine wraps all networking operations.  This accepts plugins that
+ * handle the actual request.  A plugin is registered using registerScheme.
+ * Each scheme has at most one plugin to handle the request.
+ *
+ * @implements {IDestroyable}
+ * @export
+ */
+class NetworkingEngine extends FakeEventTarget {
+  /* *
+   * @param {function(number, number)=} onProgressUpdated Called when a progress
+   *   event is triggered. Passed the duration, in milliseconds, that the
+   *   request took, and the number of bytes transferred.
+   */
+  constructor(onProgressUpdated) {
+    super()
+
+    /* * @private {boolean} */
+    this.destroyed_ = false
+
+    /* * @private {!OperationManager} */
+    this.operationManager_ = new OperationManager()
+
+    /* * @private {!Set.<shaka.extern.RequestFilter>} */
+    this.requestFilters_ = new Set()
+
+    /* * @private {!Set.<shaka.extern.ResponseFilter>} */
+    this.responseFilters_ = new Set()
+
+    /* * @private {?function(number, number)} */
+    this.onProgressUpdated_ = onProgressUpdated || null
+  }
+
+  /* *
+   * Registers a scheme plugin.  This plugin will handle all requests with the
+   * given scheme.  If a plugin with the same scheme already exists, it is
+   * replaced, unless the existing plugin is of higher priority.
+   * If no priority is provided, this defaults to the highest priority of
+   * APPLICATION.
+   *
+   * @param {string} scheme
+   * @param {shaka.extern.SchemePlugin} plugin
+   * @param {number=} priority
+   * @export
+   */
+  static registerScheme(scheme, plugin, priority) {
+    console.assert(
+      priority === undefined || priority > 0, 'explicit priority must be > 0')
+    priority =
+        priority || NetworkingEngine.PluginPriority.APPLICATION
+    const existing = NetworkingEngine.schemes_[scheme]
+    if (!existing || priority >= existing.priority) {
+      NetworkingEngine.schemes_[scheme] = {
+        priority: priority,
+        plugin: plugin
+      }
+    }
+  }
+
+  /* *
+   * Removes a scheme plugin.
+   *
+   * @param {string} scheme
+   * @export
+   */
+  static unregisterScheme(scheme) {
+    delete NetworkingEngine.schemes_[scheme]
+  }
+
+  /* *
+   * Registers a new request filter.  All filters are applied in the order they
+   * are registered.
+   *
+   * @param {shaka.extern.RequestFilter} filter
+   * @export
+   */
+  registerRequestFilter(filter) {
+    this.requestFilters_.add(filter)
+  }
+
+  /* *
+   * Removes a request filter.
+   *
+   * @param {shaka.extern.RequestFilter} filter
+   * @export
+   */
+  unregisterRequestFilter(filter) {
+    this.requestFilters_.delete(filter)
+  }
+
+  /* *
+   * Clears all request filters.
+   *
+   * @export
+   */
+  clearAllRequestFilters() {
+    this.requestFilters_.clear()
+  }
+
+  /* *
+   * Registers a new response filter.  All filters are applied in the order they
+   * are registered.
+   *
+   * @param {shaka.extern.ResponseFilter} filter
+   * @export
+   */
+  registerResponseFilter(filter) {
+    this.responseFilters_.add(filter)
+  }
+
+  /* *
+   * Removes a response filter.
+   *
+   * @param {shaka.extern.ResponseFilter} filter
+   * @export
+   */
+  unregisterResponseFilter(filter) {
+    this.responseFilters_.delete(filter)
+  }
+
+  /* *
+   * Clears all response filters.
+   *
+   * @export
+   */
+  clearAllResponseFilters() {
+    this.responseFilters_.clear()
+  }
+
+  /* *
+   * Gets a copy of the default retry parameters.
+   *
+   * @return {shaka.extern.RetryParameters}
+   *
+   * NOTE: The implementation moved to Backoff to avoid a circular
+   * dependency between the two classes.
+   *
+   * @export
+   */
+  static defaultRetryParameters() {
+    return Backoff.defaultRetryParameters()
+  }
+
+  /* *
+   * Makes a simple network request for the given URIs.
+   *
+   * @param {!Array.<string>} uris
+   * @param {shaka.extern.RetryParameters} retryParams
+   * @return {shaka.extern.Request}
+   * @export
+   */
+  static makeRequest(uris, retryParams) {
+    return {
+      uris: uris,
+      method: 'GET',
+      body: null,
+      headers: {},
+      allowCrossSiteCredentials: false,
+      retryParameters: retryParams,
+      licenseRequestType: null,
+      sessionId: null
+    }
+  }
+
+  /* *
+   * @override
+   * @export
+   */
+  destroy() {
+    this.destroyed_ = true
+    this.requestFilters_.clear()
+    this.responseFilters_.clear()
+    return this.operationManager_.destroy()
+  }
+
+  /* *
+   * Makes a network request and returns the resulting data.
+   *
+   * @param {NetworkingEngine.RequestType} type
+   * @param {shaka.extern.Request} request
+   * @return {!PendingRequest}
+   * @export
+   */
+  request(type, request) {
+    const numBytesRemainingObj =
+        new NetworkingEngine.NumBytesRemainingClass()
+
+    // Reject all requests made after destroy is called.
+    if (this.destroyed_) {
+      const p = Promise.reject(new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.PLAYER,
+        Error$1.Code.OPERATION_ABORTED))
+      // Silence uncaught rejection errors, which may otherwise occur any place
+      // we don't explicitly handle aborted operations.
+      p.catch(() => {})
+      return new PendingRequest(
+        p, () => Promise.resolve(), numBytesRemainingObj)
+    }
+
+    console.assert(
+      request.uris && request.uris.length, 'Request without URIs!')
+
+    // If a request comes from outside the library, some parameters may be left
+    // undefined.  To make it easier for application developers, we will fill
+    // them in with defaults if necessary.
+    //
+    // We clone retryParameters and uris so that if a filter modifies the
+    // request, it doesn't contaminate future requests.
+    request.method = request.method || 'GET'
+    request.headers = request.headers || {}
+    request.retryParameters = request.retryParameters
+      ? ObjectUtils.cloneObject(request.retryParameters)
+      : NetworkingEngine.defaultRetryParameters()
+    request.uris = ObjectUtils.cloneObject(request.uris)
+
+    // Apply the registered filters to the request.
+    const requestFilterOperation = this.filterRequest_(type, request)
+    const requestOperation = requestFilterOperation.chain(
+      () => this.makeRequestWithRetry_(type, request, numBytesRemainingObj))
+    const responseFilterOperation = requestOperation.chain(
+      (responseAndGotProgress) =>
+        this.filterResponse_(type, responseAndGotProgress))
+
+    // Keep track of time spent in filters.
+    const requestFilterStartTime = Date.now()
+    let requestFilterMs = 0
+    requestFilterOperation.promise.then(() => {
+      requestFilterMs = Date.now() - requestFilterStartTime
+    }, () => {}) // Silence errors in this fork of the Promise chain.
+
+    let responseFilterStartTime = 0
+    requestOperation.promise.then(() => {
+      responseFilterStartTime = Date.now()
+    }, () => {}) // Silence errors in this fork of the Promise chain.
+
+    const op = responseFilterOperation.chain((responseAndGotProgress) => {
+      const responseFilterMs = Date.now() - responseFilterStartTime
+      const response = responseAndGotProgress.response
+      response.timeMs += requestFilterMs
+      response.timeMs += responseFilterMs
+      if (!responseAndGotProgress.gotProgress &&
+          this.onProgressUpdated_ &&
+          !response.fromCache &&
+          type === NetworkingEngine.RequestType.SEGMENT) {
+        this.onProgressUpdated_(response.timeMs, response.data.byteLength)
+      }
+      return response
+    }, (e) => {
+      // Any error thrown from elsewhere should be recategorized as CRITICAL
+      // here.  This is because by the time it gets here, we've exhausted
+      // retries.
+      if (e) {
+        console.assert(e instanceof Error$1, 'Wrong error type')
+        e.severity = Error$1.Severity.CRITICAL
+      }
+
+      throw e
+    })
+
+    // Return the pending request, which carries the response operation, and the
+    // number of bytes remaining to be downloaded, updated by the progress
+    // events.  Add the operation to the manager for later cleanup.
+    const pendingRequest =
+        new PendingRequest(
+          op.promise, op.onAbort_, numBytesRemainingObj)
+    this.operationManager_.manage(pendingRequest)
+    return pendingRequest
+  }
+
+  /* *
+   * @param {NetworkingEngine.RequestType} type
+   * @param {shaka.extern.Request} request
+   * @return {!shaka.extern.IAbortableOperation.<undefined>}
+   * @private
+   */
+  filterRequest_(type, request) {
+    let filterOperation = AbortableOperation.completed(undefined)
+
+    for (const requestFilter of this.requestFilters_) {
+      // Request filters are run sequentially.
+      filterOperation = filterOperation.chain(() => {
+        if (request.body) {
+          // TODO: For v2.7 we should remove this or change to always pass a
+          // Uint8Array.  To make it easier for apps to write filters, it may be
+          // better to always pass a Uint8Array so they know what they are
+          // getting; but we shouldn't use ArrayBuffer since that would require
+          // copying buffers if this is a partial view.
+          request.body = BufferUtils.toArrayBuffer(request.body)
+        }
+        return requestFilter(type, request)
+      })
+    }
+
+    // Catch any errors thrown by request filters, and substitute
+    // them with a Shaka-native error.
+    return filterOperation.chain(undefined, (e) => {
+      if (e && e.code === Error$1.Code.OPERATION_ABORTED) {
+        // Don't change anything if the operation was aborted.
+        throw e
+      }
+
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.NETWORK,
+        Error$1.Code.REQUEST_FILTER_ERROR, e)
+    })
+  }
+
+  /* *
+   * @param {NetworkingEngine.RequestType} type
+   * @param {shaka.extern.Request} request
+   * @param {NetworkingEngine.NumBytesRemainingClass}
+   *            numBytesRemainingObj
+   * @return {!shaka.extern.IAbortableOperation.<
+   *            NetworkingEngine.ResponseAndGotProgress>}
+   * @private
+   */
+  makeRequestWithRetry_(type, request, numBytesRemainingObj) {
+    const backoff = new Backoff(
+      request.retryParameters, /*  autoReset= */ false)
+    const index = 0
+    return this.send_(
+      type, request, backoff, index, /*  lastError= */ null,
+      numBytesRemainingObj)
+  }
+
+  /* *
+   * Sends the given request to the correct plugin and retry using Backoff.
+   *
+   * @param {NetworkingEngine.RequestType} type
+   * @param {shaka.extern.Request} request
+   * @param {!Backoff} backoff
+   * @param {number} index
+   * @param {?Error} lastError
+   * @param {NetworkingEngine.NumBytesRemainingClass}
+   *     numBytesRemainingObj
+   * @return {!shaka.extern.IAbortableOperation.<
+   *               NetworkingEngine.ResponseAndGotProgress>}
+   * @private
+   */
+  send_(type, request, backoff, index, lastError, numBytesRemainingObj) {
+    const uri = new Uri(request.uris[index])
+    let scheme = uri.getScheme()
+    // Whether it got a progress event.
+    let gotProgress = false
+    if (!scheme) {
+      // If there is no scheme, infer one from the location.
+      scheme = NetworkingEngine.getLocationProtocol_()
+      console.assert(
+        scheme[scheme.length - 1] === ':',
+        'location.protocol expected to end with a colon!')
+      // Drop the colon.
+      scheme = scheme.slice(0, -1)
+
+      // Override the original URI to make the scheme explicit.
+      uri.setScheme(scheme)
+      request.uris[index] = uri.toString()
+    }
+
+    // Schemes are meant to be case-insensitive.
+    // See https://github.com/google/shaka-player/issues/2173
+    // and https://tools.ietf.org/html/rfc3986#section-3.1
+    scheme = scheme.toLowerCase()
+
+    const object = NetworkingEngine.schemes_[scheme]
+    const plugin = object ? object.plugin : null
+    if (!plugin) {
+      return AbortableOperation.failed(
+        new Error$1(
+          Error$1.Severity.CRITICAL,
+          Error$1.Category.NETWORK,
+          Error$1.Code.UNSUPPORTED_SCHEME,
+          uri))
+    }
+    // Every attempt must have an associated backoff.attempt() call so that the
+    // accounting is correct.
+    const backoffOperation =
+        AbortableOperation.notAbortable(backoff.attempt())
+
+    let startTimeMs
+    const sendOperation = backoffOperation.chain(() => {
+      if (this.destroyed_) {
+        return AbortableOperation.aborted()
+      }
+
+      startTimeMs = Date.now()
+      const segment = NetworkingEngine.RequestType.SEGMENT
+
+      return plugin(request.uris[index],
+        request,
+        type,
+        // The following function is passed to plugin.
+        (time, bytes, numBytesRemaining) => {
+          if (this.onProgressUpdated_ && type === segment) {
+            this.onProgressUpdated_(time, bytes)
+            gotProgress = true
+            numBytesRemainingObj.setBytes(numBytesRemaining)
+          }
+        })
+    }).chain((response) => {
+      if (response.timeMs === undefined) {
+        response.timeMs = Date.now() - startTimeMs
+      }
+      const responseAndGotProgress = {
+        response: response,
+        gotProgress: gotProgress
+      }
+
+      return responseAndGotProgress
+    }, (error) => {
+      if (this.destroyed_) {
+        return AbortableOperation.aborted()
+      }
+
+      if (error.code === Error$1.Code.OPERATION_ABORTED) {
+        // Don't change anything if the operation was aborted.
+        throw error
+      } else if (error.code === Error$1.Code.ATTEMPTS_EXHAUSTED) {
+        console.assert(lastError, 'Should have last error')
+        throw lastError
+      }
+
+      if (error.severity === Error$1.Severity.RECOVERABLE) {
+        // Don't pass in a non-shaka error, even if one is somehow thrown
+        // instead, call the listener with a null error.
+        const errorOrNull = error instanceof Error$1 ? error : null
+        const event = new FakeEvent('retry', { 'error': errorOrNull })
+        this.dispatchEvent(event)
+
+        // Move to the next URI.
+        index = (index + 1) % request.uris.length
+        const shakaError = /* * @type {Error} */(error)
+        return this.send_(
+          type, request, backoff, index, shakaError, numBytesRemainingObj)
+      }
+
+      // The error was not recoverable, so do not try again.
+      throw error
+    })
+
+    return sendOperation
+  }
+
+  /* *
+   * @param {NetworkingEngine.RequestType} type
+   * @param {NetworkingEngine.ResponseAndGotProgress}
+   *        responseAndGotProgress
+   * @return {!shaka.extern.IAbortableOperation.<
+   *               NetworkingEngine.ResponseAndGotProgress>}
+   * @private
+   */
+  filterResponse_(type, responseAndGotProgress) {
+    let filterOperation = AbortableOperation.completed(undefined)
+    for (const responseFilter of this.responseFilters_) {
+      // Response filters are run sequentially.
+      filterOperation = filterOperation.chain(() => {
+        const resp = responseAndGotProgress.response
+        if (resp.data) {
+          // TODO: See TODO in filterRequest_.
+          resp.data = BufferUtils.toArrayBuffer(resp.data)
+        }
+        return responseFilter(type, resp)
+      })
+    }
+    // If successful, return the filtered response with whether it got
+    // progress.
+    return filterOperation.chain(() => {
+      return responseAndGotProgress
+    }, (e) => {
+      // Catch any errors thrown by request filters, and substitute
+      // them with a Shaka-native error.
+
+      if (e && e.code === Error$1.Code.OPERATION_ABORTED) {
+        // Don't change anything if the operation was aborted.
+        throw e
+      }
+
+      // The error is assumed to be critical if the original wasn't a Shaka
+      // error.
+      let severity = Error$1.Severity.CRITICAL
+      if (e instanceof Error$1) {
+        severity = e.severity
+      }
+
+      throw new Error$1(
+        severity,
+        Error$1.Category.NETWORK,
+        Error$1.Code.RESPONSE_FILTER_ERROR, e)
+    })
+  }
+
+  /* *
+   * This is here only for testability.  We can't mock location in our tests on
+   * all browsers, so instead we mock this.
+   *
+   * @return {string} The value of location.protocol.
+   * @private
+   */
+  static getLocationProtocol_() {
+    return location.protocol
+  }
+}
+
+/* *
+ * A wrapper class for the number of bytes remaining to be downloaded for the
+ * request.
+ * Instead of using PendingRequest directly, this class is needed to be sent to
+ * plugin as a parameter, and a Promise is returned, before PendingRequest is
+ * created.
+ *
+ * @export
+ */
+NetworkingEngine.NumBytesRemainingClass = class {
+  /* *
+   * Constructor
+   */
+  constructor() {
+    /* * @private {number} */
+    this.bytesToLoad_ = 0
+  }
+
+  /* *
+   * @param {number} bytesToLoad
+   */
+  setBytes(bytesToLoad) {
+    this.bytesToLoad_ = bytesToLoad
+  }
+
+  /* *
+   * @return {number}
+   */
+  getBytes() {
+    return this.bytesToLoad_
+  }
+}
+
+/* *
+ * Request types.  Allows a filter to decide which requests to read/alter.
+ *
+ * @enum {number}
+ * @export
+ */
+NetworkingEngine.RequestType = {
+  'MANIFEST': 0,
+  'SEGMENT': 1,
+  'LICENSE': 2,
+  'APP': 3,
+  'TIMING': 4
+}
+/* *
+ * Priority level for network scheme plugins.
+ * If multiple plugins are provided for the same scheme, only the
+ * highest-priority one is used.
+ *
+ * @enum {number}
+ * @export
+ */
+NetworkingEngine.PluginPriority = {
+  'FALLBACK': 1,
+  'PREFERRED': 2,
+  'APPLICATION': 3
+}
+/* *
+ * Contains the scheme plugins.
+ *
+ * @private {!Object.<string, NetworkingEngine.SchemeObject>}
+ */
+NetworkingEngine.schemes_ = {}
+/* *
+ * A pending network request. This can track the current progress of the
+ * download, and allows the request to be aborted if the network is slow.
+ *
+ * @implements {shaka.extern.IAbortableOperation.<shaka.extern.Response>}
+ * @extends {AbortableOperation}
+ * @export
+ */
+class PendingRequest extends AbortableOperation {
+  /* *
+       * @param {!Promise} promise
+       *   A Promise which represents the underlying operation.  It is resolved
+       *   when the operation is complete, and rejected if the operation fails
+       *   or is aborted.  Aborted operations should be rejected with a
+       *   Error object using the error code OPERATION_ABORTED.
+       * @param {function():!Promise} onAbort
+       *   Will be called by this object to abort the underlying operation.
+       *   This is not cancelation, and will not necessarily result in any work
+       *   being undone.  abort() should return a Promise which is resolved when
+       *   the underlying operation has been aborted.  The returned Promise
+       *   should never be rejected.
+       * @param {NetworkingEngine.NumBytesRemainingClass}
+       *   numBytesRemainingObj
+       */
+  constructor(promise, onAbort, numBytesRemainingObj) {
+    super(promise, onAbort)
+
+    /* * @private {NetworkingEngine.NumBytesRemainingClass} */
+    this.bytesRemaining_ = numBytesRemainingObj
+  }
+
+  /* *
+       * @return {number}
+       */
+  getBytesRemaining() {
+    return this.bytesRemaining_.getBytes()
+  }
+}
+
+/* *
+ * @summary A set of http networking utility functions.
+ * @exportDoc
+ */
+class HttpPluginUtils {
+  /* *
+   * @param {!Object.<string,string>} headers
+   * @param {BufferSource} data
+   * @param {number} status
+   * @param {string} uri
+   * @param {string} responseURL
+   * @param {NetworkingEngine.RequestType} requestType
+   * @return {!shaka.extern.Response}
+   */
+  static makeResponse(headers, data, status, uri, responseURL, requestType) {
+    if (status >= 200 && status <= 299 && status !== 202) {
+      // Most 2xx HTTP codes are success cases.
+      /* * @type {shaka.extern.Response} */
+      const response = {
+        uri: responseURL || uri,
+        originalUri: uri,
+        data: data,
+        headers: headers,
+        fromCache: !!headers['x-shaka-from-cache']
+      }
+      return response
+    } else {
+      let responseText = null
+      try {
+        responseText = StringUtils.fromBytesAutoDetect(data)
+      } catch (exception) {}
+      console.debug('HTTP error text:', responseText)
+
+      const severity = status === 401 || status === 403
+        ? Error$1.Severity.CRITICAL
+        : Error$1.Severity.RECOVERABLE
+
+      throw new Error$1(
+        severity,
+        Error$1.Category.NETWORK,
+        Error$1.Code.BAD_HTTP_STATUS,
+        uri,
+        status,
+        responseText,
+        headers,
+        requestType)
+    }
+  }
+}
+
+/* *
+ * @summary A networking plugin to handle http and https URIs via the Fetch API.
+ * 基于 fetch 的 http/https 请求插件，支持进度回调、中止与超时
+ * @export
+ */
+class HttpFetchPlugin {
+  /* *
+   * @param {string} uri
+   * @param {shaka.extern.Request} request
+   * @param {NetworkingEngine.RequestType=} requestType
+   * @param {shaka.extern.ProgressUpdated=} progressUpdated Called when a
+   *   progress event happened.
+   * @return {!shaka.extern.IAbortableOperation.<shaka.extern.Response>}
+   * @export
+   */
+  static parse(uri, request, requestType, progressUpdated) {
+    const headers = new HttpFetchPlugin.Headers_()
+    for (const key in request.headers) {
+      headers.append(key, request.headers[key])
+    }
+
+    const controller = new HttpFetchPlugin.AbortController_()
+
+    /* * @type {!RequestInit} */
+    const init = {
+      // Edge does not treat null as undefined for body
+      // https://bit.ly/2luyE6x
+      body: request.body || undefined,
+      headers: headers,
+      method: request.method,
+      signal: controller.signal,
+      credentials: request.allowCrossSiteCredentials ? 'include' : undefined
+    }
+
+    /* * @type {HttpFetchPlugin.AbortStatus} */
+    const abortStatus = {
+      canceled: false,
+      timedOut: false
+    }
+
+    const pendingRequest = HttpFetchPlugin.request_(
+      uri, requestType, init, abortStatus, progressUpdated || (() => {}))
+
+    /* * @type {!AbortableOperation} */
+    const op = new AbortableOperation(pendingRequest, () => {
+      abortStatus.canceled = true
+      controller.abort()
+      return Promise.resolve()
+    })
+
+    // The fetch API does not timeout natively, so do a timeout manually using
+    // the AbortController.
+    const timeoutMs = request.retryParameters.timeout
+    if (timeoutMs) {
+      const timer = new Timer(() => {
+        abortStatus.timedOut = true
+        controller.abort()
+      })
+
+      timer.tickAfter(timeoutMs / 1000)
+
+      // To avoid calling |abort| on the network request after it finished, we
+      // will stop the timer when the requests resolves/rejects.
+      op.finally(() => {
+        timer.stop()
+      })
+    }
+
+    return op
+  }
+
+  /* *
+   * @param {string} uri
+   * @param {NetworkingEngine.RequestType} requestType
+   * @param {!RequestInit} init
+   * @param {HttpFetchPlugin.AbortStatus} abortStatus
+   * @param {shaka.extern.ProgressUpdated} progressUpdated
+   * @return {!Promise<!shaka.extern.Response>}
+   * @private
+   */
+  static async request_(uri, requestType, init, abortStatus, progressUpdated) {
+    const fetch = HttpFetchPlugin.fetch_
+    const ReadableStream = HttpFetchPlugin.ReadableStream_
+    let response
+    let arrayBuffer
+    let loaded = 0
+    let lastLoaded = 0
+
+    // Last time stamp when we got a progress event.
+    let lastTime = Date.now()
+
+    try {
+      // The promise returned by fetch resolves as soon as the HTTP response
+      // headers are available. The download itself isn't done until the
+      // promise for retrieving the data (arrayBuffer, blob, etc) has resolved.
+      response = await fetch(uri, init)
+      // Getting the reader in this way allows us to observe the process of
+      // downloading the body, instead of just waiting for an opaque promise to
+      // resolve.
+      // We first clone the response because calling getReader locks the body
+      // stream; if we didn't clone it here, we would be unable to get the
+      // response's arrayBuffer later.
+      const reader = response.clone().body.getReader()
+
+      const contentLengthRaw = response.headers.get('Content-Length')
+      const contentLength =
+          contentLengthRaw ? parseInt(contentLengthRaw, 10) : 0
+
+      const start = (controller) => {
+        const push = async() => {
+          let readObj
+          try {
+            readObj = await reader.read()
+          } catch (e) {
+            // If we abort the request, we'll get an error here.  Just ignore it
+            // since real errors will be reported when we read the buffer below.
+            console.debug('error reading from stream', e.message)
+            return
+          }
+
+          if (!readObj.done) {
+            loaded += readObj.value.byteLength
+          }
+
+          const currentTime = Date.now()
+          // If the time between last time and this time we got progress event
+          // is long enough, or if a whole segment is downloaded, call
+          // progressUpdated().
+          if (currentTime - lastTime > 100 || readObj.done) {
+            progressUpdated(currentTime - lastTime, loaded - lastLoaded,
+              contentLength - loaded)
+            lastLoaded = loaded
+            lastTime = currentTime
+          }
+
+          if (readObj.done) {
+            console.assert(!readObj.value,
+              'readObj should be unset when "done" is true.')
+            controller.close()
+          } else {
+            controller.enqueue(readObj.value)
+            push()
+          }
+        }
+        push()
+      }
+      // Create a ReadableStream to use the reader. We don't need to use the
+      // actual stream for anything, though, as we are using the response's
+      // arrayBuffer method to get the body, so we don't store the
+      // ReadableStream.
+      new ReadableStream({ start }) // eslint-disable-line no-new
+      arrayBuffer = await response.arrayBuffer()
+    } catch (error) {
+      if (abortStatus.canceled) {
+        throw new Error$1(
+          Error$1.Severity.RECOVERABLE,
+          Error$1.Category.NETWORK,
+          Error$1.Code.OPERATION_ABORTED,
+          uri, requestType)
+      } else if (abortStatus.timedOut) {
+        throw new Error$1(
+          Error$1.Severity.RECOVERABLE,
+          Error$1.Category.NETWORK,
+          Error$1.Code.TIMEOUT,
+          uri, requestType)
+      } else {
+        throw new Error$1(
+          Error$1.Severity.RECOVERABLE,
+          Error$1.Category.NETWORK,
+          Error$1.Code.HTTP_ERROR,
+          uri, error, requestType)
+      }
+    }
+
+    const headers = {}
+    /* * @type {Headers} */
+    const responseHeaders = response.headers
+    // Split some header values into lines, as the XHR plugin does.
+    responseHeaders.forEach((value, key) => {
+      // Since Edge incorrectly return the header with a leading new line
+      // character ('\n'), we trim the header here.
+      headers[key.trim()] = value
+    })
+
+    return HttpPluginUtils.makeResponse(headers,
+      arrayBuffer, response.status, uri, response.url, requestType)
+  }
+
+  /* *
+   * Determine if the Fetch API is supported in the browser. Note: this is
+   * deliberately exposed as a method to allow the client app to use the same
+   * logic as Shaka when determining support.
+   * @return {boolean}
+   * @export
+   */
+  static isSupported() {
+    // On Edge, ReadableStream exists, but attempting to construct it results in
+    // an error. See https://bit.ly/2zwaFLL
+    // So this has to check that ReadableStream is present AND usable.
+    if (window.ReadableStream) {
+      try {
+        new ReadableStream({}) // eslint-disable-line no-new
+      } catch (e) {
+        return false
+      }
+    } else {
+      return false
+    }
+    return !!(window.fetch && window.AbortController)
+  }
+}
+
+/* *
+ * @typedef {{
+ *   canceled: boolean,
+ *   timedOut: boolean
+ * }}
+ * @property {boolean} canceled
+ *   Indicates if the request was canceled.
+ * @property {boolean} timedOut
+ *   Indicates if the request timed out.
+ */
+HttpFetchPlugin.AbortStatus = undefined
+
+/* *
+ * Overridden in unit tests, but compiled out in production.
+ *
+ * @const {function(string, !RequestInit)}
+ * @private
+ */
+HttpFetchPlugin.fetch_ = (...args) => window.fetch(...args)
+
+/* *
+ * Overridden in unit tests, but compiled out in production.
+ *
+ * @const {function(new: AbortController)}
+ * @private
+ */
+HttpFetchPlugin.AbortController_ = window.AbortController
+
+/* *
+ * Overridden in unit tests, but compiled out in production.
+ *
+ * @const {function(new: ReadableStream, !Object)}
+ * @private
+ */
+HttpFetchPlugin.ReadableStream_ = window.ReadableStream
+
+/* *
+ * Overridden in unit tests, but compiled out in production.
+ *
+ * @const {function(new: Headers)}
+ * @private
+ */
+HttpFetchPlugin.Headers_ = window.Headers
+
+if (HttpFetchPlugin.isSupported()) {
+  NetworkingEngine.registerScheme('http', HttpFetchPlugin.parse,
+    NetworkingEngine.PluginPriority.PREFERRED)
+  NetworkingEngine.registerScheme('https', HttpFetchPlugin.parse,
+    NetworkingEngine.PluginPriority.PREFERRED)
+}
+
+/* *
+ * @summary A networking plugin to handle http and https URIs via XHR.
+ * 基于 XMLHttpRequest 的 http/https 请求插件，作为 fetch 不可用时的兜底
+ * @export
+ */
+class HttpXHRPlugin {
+  /* *
+   * @param {string} uri
+   * @param {shaka.extern.Request} request
+   * @param {NetworkingEngine.RequestType=} requestType
+   * @param {shaka.extern.ProgressUpdated=} progressUpdated Called when a
+   *   progress event happened.
+   * @return {!shaka.extern.IAbortableOperation.<shaka.extern.Response>}
+   * @export
+   */
+  static parse(uri, request, requestType, progressUpdated) {
+    const xhr = new HttpXHRPlugin.Xhr_()
+
+    // Last time stamp when we got a progress event.
+    let lastTime = Date.now()
+    // Last number of bytes loaded, from progress event.
+    let lastLoaded = 0
+
+    const promise = new Promise((resolve, reject) => {
+      xhr.open(request.method, uri, true)
+      xhr.responseType = 'arraybuffer'
+      xhr.timeout = request.retryParameters.timeout
+      xhr.withCredentials = request.allowCrossSiteCredentials
+
+      xhr.onabort = () => {
+        reject(new Error$1(
+          Error$1.Severity.RECOVERABLE,
+          Error$1.Category.NETWORK,
+          Error$1.Code.OPERATION_ABORTED,
+          uri, requestType))
+      }
+      xhr.onload = (event) => {
+        const target = event.target
+        console.assert(target, 'XHR onload has no target!')
+        // Since IE and Edge incorrectly return the header with a leading new
+        // line character ('\n'), we trim the header here.
+        const headerLines = target.getAllResponseHeaders().trim().split('\r\n')
+        const headers = {}
+        for (const header of headerLines) {
+          /* * @type {!Array.<string>} */
+          const parts = header.split(': ')
+          headers[parts[0].toLowerCase()] = parts.slice(1).join(': ')
+        }
+
+        try {
+          const response = HttpPluginUtils.makeResponse(headers,
+            target.response, target.status, uri, target.responseURL,
+            requestType)
+          resolve(response)
+        } catch (error) {
+          console.assert(error instanceof Error$1,
+            'Wrong error type!')
+          reject(error)
+        }
+      }
+      xhr.onerror = (event) => {
+        reject(new Error$1(
+          Error$1.Severity.RECOVERABLE,
+          Error$1.Category.NETWORK,
+          Error$1.Code.HTTP_ERROR,
+          uri, event, requestType))
+      }
+      xhr.ontimeout = (event) => {
+        reject(new Error$1(
+          Error$1.Severity.RECOVERABLE,
+          Error$1.Category.NETWORK,
+          Error$1.Code.TIMEOUT,
+          uri, requestType))
+      }
+      xhr.onprogress = (event) => {
+        const currentTime = Date.now()
+        // If the time between last time and this time we got progress event
+        // is long enough, or if a whole segment is downloaded, call
+        // progressUpdated().
+        if (progressUpdated &&
+            (currentTime - lastTime > 100 ||
+            (event.lengthComputable && event.loaded === event.total))) {
+          progressUpdated(currentTime - lastTime, event.loaded - lastLoaded,
+            event.total - event.loaded)
+          lastLoaded = event.loaded
+          lastTime = currentTime
+        }
+      }
+
+      for (const key in request.headers) {
+        // The Fetch API automatically normalizes outgoing header keys to
+        // lowercase. For consistency's sake, do it here too.
+        const lowercasedKey = key.toLowerCase()
+        xhr.setRequestHeader(lowercasedKey, request.headers[key])
+      }
+      xhr.send(request.body)
+    })
+
+    return new AbortableOperation(
+      promise,
+      () => {
+        xhr.abort()
+        return Promise.resolve()
+      })
+  }
+}
+
+/* *
+ * Overridden in unit tests, but compiled out in production.
+ *
+ * @const {function(new: XMLHttpRequest)}
+ * @private
+ */
+HttpXHRPlugin.Xhr_ = window.XMLHttpRequest
+
+NetworkingEngine.registerScheme('http', HttpXHRPlugin.parse,
+  NetworkingEngine.PluginPriority.FALLBACK)
+NetworkingEngine.registerScheme('https', HttpXHRPlugin.parse,
+  NetworkingEngine.PluginPriority.FALLBACK)
+
+/* *
+ * @summary A networking plugin to handle data URIs.
+ * @see https://developer.mozilla.org/en-US/docs/Web/HTTP/data_URIs
+ * @export
+ */
+class DataUriPlugin {
+  /* *
+   * @param {string} uri
+   * @param {shaka.extern.Request} request
+   * @param {NetworkingEngine.RequestType=} requestType
+   * @param {shaka.extern.ProgressUpdated=} progressUpdated
+   * @return {!shaka.extern.IAbortableOperation.<shaka.extern.Response>}
+   * @export
+   */
+  static parse(uri, request, requestType, progressUpdated) {
+    try {
+      const parsed = DataUriPlugin.parseRaw(uri)
+
+      /* * @type {shaka.extern.Response} */
+      const response = {
+        uri: uri,
+        originalUri: uri,
+        data: parsed.data,
+        headers: {
+          'content-type': parsed.contentType
+        }
+      }
+
+      return AbortableOperation.completed(response)
+    } catch (error) {
+      return AbortableOperation.failed(error)
+    }
+  }
+
+  /* *
+   * @param {string} uri
+   * @return {{data: BufferSource, contentType: string}}
+   */
+  static parseRaw(uri) {
+    // Extract the scheme.
+    const parts = uri.split(':')
+    if (parts.length < 2 || parts[0] !== 'data') {
+      console.error('Bad data URI, failed to parse scheme')
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.NETWORK,
+        Error$1.Code.MALFORMED_DATA_URI,
+        uri)
+    }
+    const path = parts.slice(1).join(':')
+
+    // Extract the encoding and MIME type (required but can be empty).
+    const infoAndData = path.split(',')
+    if (infoAndData.length < 2) {
+      console.error('Bad data URI, failed to extract encoding and MIME type')
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.NETWORK,
+        Error$1.Code.MALFORMED_DATA_URI,
+        uri)
+    }
+    const info = infoAndData[0]
+    const dataStr = window.decodeURIComponent(infoAndData.slice(1).join(','))
+
+    // The MIME type is always the first thing in the semicolon-separated list
+    // of type parameters.  It may be blank.
+    const typeInfoList = info.split(';')
+    const contentType = typeInfoList[0]
+
+    // Check for base64 encoding, which is always the last in the
+    // semicolon-separated list if present.
+    let base64Encoded = false
+    if (typeInfoList.length > 1 &&
+        typeInfoList[typeInfoList.length - 1] === 'base64') {
+      base64Encoded = true
+      typeInfoList.pop()
+    }
+
+    // Convert the data.
+    /* * @type {BufferSource} */
+    let data
+    if (base64Encoded) {
+      data = Uint8ArrayUtils.fromBase64(dataStr)
+    } else {
+      data = StringUtils.toUTF8(dataStr)
+    }
+
+    return { data: data, contentType }
+  }
+}
+
+NetworkingEngine.registerScheme('data', DataUriPlugin.parse)
+
+/* *
+ * @summary An interface to register manifest parsers.
+ * @exportDoc
+ */
+class ManifestParser {
+  /* *
+   * Registers a manifest parser by file extension.
+   *
+   * @param {string} extension The file extension of the manifest.
+   * @param {shaka.extern.ManifestParser.Factory} parserFactory The factory
+   *   used to create parser instances.
+   * @export
+   */
+  static registerParserByExtension(extension, parserFactory) {
+    ManifestParser.parsersByExtension[extension] = parserFactory
+  }
+
+  /* *
+   * Registers a manifest parser by MIME type.
+   *
+   * @param {string} mimeType The MIME type of the manifest.
+   * @param {shaka.extern.ManifestParser.Factory} parserFactory The factory
+   *   used to create parser instances.
+   * @export
+   */
+  static registerParserByMime(mimeType, parserFactory) {
+    ManifestParser.parsersByMime[mimeType] = parserFactory
+  }
+
+  /* *
+   * Unregisters a manifest parser by MIME type.
+   *
+   * @param {string} mimeType The MIME type of the manifest.
+   * @export
+   */
+  static unregisterParserByMime(mimeType) {
+    delete ManifestParser.parsersByMime[mimeType]
+  }
+  /* *
+   * Returns a map of manifest support for well-known types.
+   *
+   * @return {!Object.<string, boolean>}
+   */
+  static probeSupport() {
+    const support = {}
+
+    // Make sure all registered parsers are shown, but only for MSE-enabled
+    // platforms where our parsers matter.
+    if (Platform.supportsMediaSource()) {
+      for (const type in ManifestParser.parsersByMime) {
+        support[type] = true
+      }
+      for (const type in ManifestParser.parsersByExtension) {
+        support[type] = true
+      }
+    }
+
+    // Make sure all well-known types are tested as well, just to show an
+    // explicit false for things people might be expecting.
+    const testMimeTypes = [
+      // DASH
+      'application/dash+xml',
+      // HLS
+      'application/x-mpegurl',
+      'application/vnd.apple.mpegurl',
+      // SmoothStreaming
+      'application/vnd.ms-sstr+xml'
+    ]
+    const testExtensions = {
+      // DASH
+      'mpd': 'application/dash+xml',
+      // HLS
+      'm3u8': 'application/x-mpegurl',
+      // SmoothStreaming
+      'ism': 'application/vnd.ms-sstr+xml'
+    }
+
+    for (const type of testMimeTypes) {
+      // Only query our parsers for MSE-enabled platforms.  Otherwise, query a
+      // temporary media element for native support for these types.
+      if (Platform.supportsMediaSource()) {
+        support[type] = !!ManifestParser.parsersByMime[type]
+      } else {
+        support[type] = Platform.supportsMediaType(type)
+      }
+    }
+
+    for (const extension in testExtensions) {
+      // Only query our parsers for MSE-enabled platforms.  Otherwise, query a
+      // temporary media element for native support for these MIME type for the
+      // extension.
+      if (Platform.supportsMediaSource()) {
+        support[extension] = !!ManifestParser.parsersByExtension[extension]
+      } else {
+        const type = testExtensions[extension]
+        support[extension] = Platform.supportsMediaType(type)
+      }
+    }
+
+    return support
+  }
+  /* *
+   * Get a factory that can create a manifest parser that should be able to
+   * parse the manifest at |uri|.
+   *
+   * @param {string} uri
+   * @param {!NetworkingEngine} netEngine
+   * @param {shaka.extern.RetryParameters} retryParams
+   * @param {?string} mimeType
+   * @return {!Promise.<shaka.extern.ManifestParser.Factory>}
+   */
+  static async getFactory(uri, netEngine, retryParams, mimeType) {
+    // Try using the MIME type we were given.
+    if (mimeType) {
+      const factory = ManifestParser.parsersByMime[mimeType.toLowerCase()]
+      if (factory) {
+        return factory
+      }
+
+      console.warn(
+        'Could not determine manifest type using MIME type ', mimeType)
+    }
+
+    const extension = ManifestParser.getExtension(uri)
+    if (extension) {
+      const factory = ManifestParser.parsersByExtension[extension]
+      if (factory) {
+        return factory
+      }
+
+      console.warn(
+        'Could not determine manifest type for extension ', extension)
+    } else {
+      console.warn('Could not find extension for ', uri)
+    }
+
+    if (!mimeType) {
+      mimeType = await ManifestParser.getMimeType(uri, netEngine, retryParams)
+
+      if (mimeType) {
+        const factory = ManifestParser.parsersByMime[mimeType]
+        if (factory) {
+          return factory
+        }
+
+        console.warn('Could not determine manifest type using MIME type',
+          mimeType)
+      }
+    }
+
+    throw new Error$1(
+      Error$1.Severity.CRITICAL,
+      Error$1.Category.MANIFEST,
+      Error$1.Code.UNABLE_TO_GUESS_MANIFEST_TYPE,
+      uri)
+  }
+  /* *
+   * @param {string} uri
+   * @param {!NetworkingEngine} netEngine
+   * @param {shaka.extern.RetryParameters} retryParams
+   * @return {!Promise.<string>}
+   */
+  static async getMimeType(uri, netEngine, retryParams) {
+    const type = NetworkingEngine.RequestType.MANIFEST
+
+    const request = NetworkingEngine.makeRequest([uri], retryParams)
+    request.method = 'HEAD'
+
+    const response = await netEngine.request(type, request).promise
+
+    // https://bit.ly/2K9s9kf says this header should always be available,
+    // but just to be safe:
+    const mimeType = response.headers['content-type']
+    return mimeType ? mimeType.toLowerCase().split(';').shift() : ''
+  }
+  /* *
+   * @param {string} uri
+   * @return {string}
+   */
+  static getExtension(uri) {
+    const uriObj = new Uri(uri)
+    const uriPieces = uriObj.getPath().split('/')
+    const uriFilename = uriPieces.pop()
+    const filenamePieces = uriFilename.split('.')
+
+    // Only one piece means there is no extension.
+    if (filenamePieces.length === 1) {
+      return ''
+    }
+
+    return filenamePieces.pop().toLowerCase()
+  }
+  /* *
+   * Determines whether or not this URI and MIME type are supported by our own
+   * manifest parsers on this platform.  This takes into account whether or not
+   * MediaSource is available, as well as which parsers are registered to the
+   * system.
+   *
+   * @param {string} uri
+   * @param {string} mimeType
+   * @return {boolean}
+   */
+  static isSupported(uri, mimeType) {
+    // Without MediaSource, our own parsers are useless.
+    if (!Platform.supportsMediaSource()) {
+      return false
+    }
+
+    if (mimeType in ManifestParser.parsersByMime) {
+      return true
+    }
+
+    const extension = ManifestParser.getExtension(uri)
+    if (extension in ManifestParser.parsersByExtension) {
+      return true
+    }
+
+    return false
+  }
+}
+/* *
+ * Contains the parser factory functions indexed by MIME type.
+ *
+ * @type {!Object.<string, shaka.extern.ManifestParser.Factory>}
+ */
+ManifestParser.parsersByMime = {}
+/* *
+ * Contains the parser factory functions indexed by file extension.
+ *
+ * @type {!Object.<string, shaka.extern.ManifestParser.Factory>}
+ */
+ManifestParser.parsersByExtension = {}
+/* *
+ * @summary
+ * PresentationTimeline.
+ * 媒体时间线：记录总时长、可用窗口（直播）和最大分片时长
+ *
+ * A PresentationTimeline defines the current seekable range of a presentation
+ * and the window of segments that are available. All times are in seconds and
+ * relative to the start of the presentation.
+ *
+ * @export
+ */
+class PresentationTimeline {
+  /* *
+   * @param {?number} presentationStartTime The wall-clock time, in seconds,
+   *   when the presentation started or will start. Only required for live.
+   * @param {number} presentationDelay The delay to give the presentation, in
+   *   seconds.  Only required for live.
+   * @param {boolean=} autoCorrectDrift Whether to account for drift when
+   *   determining the availability window.
+   */
+  constructor(presentationStartTime, presentationDelay, autoCorrectDrift = true) {
+    /* * @private {?number} */
+    this.presentationStartTime_ = presentationStartTime
+
+    /* * @private {number} */
+    this.presentationDelay_ = presentationDelay
+
+    /* * @private {number} */
+    this.duration_ = Infinity
+
+    /* * @private {number} */
+    this.segmentAvailabilityDuration_ = Infinity
+
+    /* *
+     * The maximum segment duration (in seconds).  Can be based on explicitly-
+     * known segments or on signalling in the manifest.
+     *
+     * @private {number}
+     */
+    this.maxSegmentDuration_ = 1
+
+    /* * @private {?number} */
+    this.minSegmentStartTime_ = null
+
+    /* * @private {?number} */
+    this.maxSegmentEndTime_ = null
+
+    /* * @private {number} */
+    this.clockOffset_ = 0
+
+    /* * @private {boolean} */
+    this.static_ = true
+
+    /* * @private {number} */
+    this.userSeekStart_ = 0
+
+    /* * @private {boolean} */
+    this.autoCorrectDrift_ = autoCorrectDrift
+  }
+  /* *
+   * @return {number} The presentation's duration.
+   * @export
+   */
+  getDuration() {
+    return this.duration_
+  }
+  /* *
+   * @return {number} The presentation's max segment duration.
+   * @export
+   */
+  getMaxSegmentDuration() {
+    return this.maxSegmentDuration_
+  }
+  /* *
+   * Sets the presentation's duration.
+   *
+   * @param {number} duration The presentation's duration in seconds.
+   *   Infinity indicates that the presentation continues indefinitely.
+   * @export
+   */
+  setDuration(duration) {
+    console.assert(duration > 0, 'duration must be > 0')
+    this.duration_ = duration
+  }
+  /* *
+   * @return {?number} The presentation's start time.
+   * @export
+   */
+  getPresentationStartTime() {
+    return this.presentationStartTime_
+  }
+  /* *
+   * Sets the clock offset, which is the difference between the client's clock
+   * and the server's clock, in milliseconds (i.e., serverTime = Date.now() +
+   * clockOffset).
+   *
+   * @param {number} offset The clock offset, in ms.
+   * @export
+   */
+  setClockOffset(offset) {
+    this.clockOffset_ = offset
+  }
+  /* *
+   * Sets the presentation's static flag.
+   *
+   * @param {boolean} isStatic If true, the presentation is static, meaning all
+   *   segments are available at once.
+   * @export
+   */
+  setStatic(isStatic) {
+    this.static_ = isStatic
+  }
+  /* *
+   * Sets the presentation's segment availability duration. The 'segment
+   * availability duration' is the duration of the window in which segments
+   * are available (the DASH timeShiftBufferDepth).
+   *
+   * @param {number} segmentAvailabilityDuration
+   * @export
+   */
+  setSegmentAvailabilityDuration(segmentAvailabilityDuration) {
+    console.assert(segmentAvailabilityDuration >= 0, 'segmentAvailabilityDuration must be >= 0')
+    this.segmentAvailabilityDuration_ = segmentAvailabilityDuration
+  }
+  /* *
+   * Sets the presentation delay in seconds.
+   *
+   * @param {number} delay
+   * @export
+   */
+  setDelay(delay) {
+    console.assert(delay >= 0, 'delay must be >= 0')
+    this.presentationDelay_ = delay
+  }
+  /* *
+   * Gets the presentation delay in seconds.
+   * @return {number}
+   * @export
+   */
+  getDelay() {
+    return this.presentationDelay_
+  }
+  /* *
+   * Gives PresentationTimeline a Stream's segments so it can size and position
+   * the segment availability window, and account for missing segment
+   * information.
+   *
+   * @param {!Array.<SegmentReference>} references
+   * @export
+   */
+  notifySegments(references) {
+    if (references.length === 0) {
+      return
+    }
+
+    const firstReferenceStartTime = references[0].startTime
+    const lastReferenceEndTime = references[references.length - 1].endTime
+
+    this.notifyMinSegmentStartTime(firstReferenceStartTime)
+
+    this.maxSegmentDuration_ = references.reduce((max, r) => {
+      return Math.max(max, r.endTime - r.startTime)
+    }, this.maxSegmentDuration_)
+
+    this.maxSegmentEndTime_ = Math.max(this.maxSegmentEndTime_ || 0, lastReferenceEndTime)
+
+    if (this.presentationStartTime_ !== null && this.autoCorrectDrift_) {
+      // Since we have explicit segment end times, calculate a presentation
+      // start based on them.  This start time accounts for drift.
+      const now = (Date.now() + this.clockOffset_) / 1000
+      this.presentationStartTime_ = now - this.maxSegmentEndTime_ - this.maxSegmentDuration_
+    }
+
+    console.debug('notifySegments:', 'maxSegmentDuration=' + this.maxSegmentDuration_)
+  }
+  /* *
+   * Gives PresentationTimeline a Stream's minimum segment start time.
+   *
+   * @param {number} startTime
+   * @export
+   */
+  notifyMinSegmentStartTime(startTime) {
+    if (this.minSegmentStartTime_ === null) {
+      // No data yet, and Math.max would always return startTime in this case.
+      this.minSegmentStartTime_ = startTime
+    } else {
+      // Otherwise, we want the latest of the two.
+      this.minSegmentStartTime_ = Math.max(this.minSegmentStartTime_, startTime)
+    }
+  }
+  /* *
+   * Gives PresentationTimeline a Stream's maximum segment duration so it can
+   * size and position the segment availability window.  This function should
+   * be called once for each Stream (no more, no less), but does not have to be
+   * called if notifySegments() is called instead for a particular stream.
+   *
+   * @param {number} maxSegmentDuration The maximum segment duration for a
+   *   particular stream.
+   * @export
+   */
+  notifyMaxSegmentDuration(maxSegmentDuration) {
+    this.maxSegmentDuration_ = Math.max(this.maxSegmentDuration_, maxSegmentDuration)
+  }
+  /* *
+   * @return {boolean} True if the presentation is live; otherwise, return
+   *   false.
+   * @export
+   */
+  isLive() {
+    return this.duration_ === Infinity && !this.static_
+  }
+  /* *
+   * @return {boolean} True if the presentation is in progress (meaning not
+   *   live, but also not completely available); otherwise, return false.
+   * @export
+   */
+  isInProgress() {
+    return this.duration_ !== Infinity && !this.static_
+  }
+  /* *
+   * Gets the presentation's current segment availability start time.  Segments
+   * ending at or before this time should be assumed to be unavailable.
+   *
+   * @return {number} The current segment availability start time, in seconds,
+   *   relative to the start of the presentation.
+   * @export
+   */
+  getSegmentAvailabilityStart() {
+    console.assert(this.segmentAvailabilityDuration_ >= 0, 'The availability duration should be positive')
+
+    if (this.segmentAvailabilityDuration_ === Infinity) {
+      return this.userSeekStart_
+    }
+
+    const end = this.getSegmentAvailabilityEnd()
+    const start = end - this.segmentAvailabilityDuration_
+    return Math.max(this.userSeekStart_, start)
+  }
+  /* *
+   * Sets the start time of the user-defined seek range.  This is only used for
+   * VOD content.
+   *
+   * @param {number} time
+   * @export
+   */
+  setUserSeekStart(time) {
+    this.userSeekStart_ = time
+  }
+  /* *
+   * Gets the presentation's current segment availability end time.  Segments
+   * starting after this time should be assumed to be unavailable.
+   *
+   * @return {number} The current segment availability end time, in seconds,
+   *   relative to the start of the presentation.  Always returns the
+   *   presentation's duration for video-on-demand.
+   * @export
+   */
+  getSegmentAvailabilityEnd() {
+    if (!this.isLive() && !this.isInProgress()) {
+      return this.duration_
+    }
+
+    return Math.min(this.getLiveEdge_(), this.duration_)
+  }
+  /* *
+   * Gets the seek range start time, offset by the given amount.  This is used
+   * to ensure that we don't 'fall' back out of the seek window while we are
+   * buffering.
+   *
+   * @param {number} offset The offset to add to the start time.
+   * @return {number} The current seek start time, in seconds, relative to the
+   *   start of the presentation.
+   * @export
+   */
+  getSafeSeekRangeStart(offset) {
+    // The earliest known segment time, ignoring segment availability duration.
+    const earliestSegmentTime = Math.max(this.minSegmentStartTime_ || 0, this.userSeekStart_)
+    if (this.segmentAvailabilityDuration_ === Infinity) {
+      return earliestSegmentTime
+    }
+
+    // AKA the live edge for live streams.
+    const availabilityEnd = this.getSegmentAvailabilityEnd()
+
+    // The ideal availability start, not considering known segments.
+    const availabilityStart = availabilityEnd - this.segmentAvailabilityDuration_
+
+    // Add the offset to the availability start to ensure that we don't fall
+    // outside the availability window while we buffer; we don't need to add the
+    // offset to earliestSegmentTime since that won't change over time.
+    // Also see: https://github.com/google/shaka-player/issues/692
+    const desiredStart = Math.min(availabilityStart + offset, this.getSeekRangeEnd())
+    return Math.max(earliestSegmentTime, desiredStart)
+  }
+  /* *
+   * Gets the seek range start time.
+   *
+   * @return {number}
+   * @export
+   */
+  getSeekRangeStart() {
+    return this.getSafeSeekRangeStart(/*  offset= */ 0)
+  }
+  /* *
+   * Gets the seek range end.
+   *
+   * @return {number}
+   * @export
+   */
+  getSeekRangeEnd() {
+    const useDelay = this.isLive() || this.isInProgress()
+    const delay = useDelay ? this.presentationDelay_ : 0
+    return Math.max(0, this.getSegmentAvailabilityEnd() - delay)
+  }
+  /* *
+   * @return {number} The current presentation time in seconds.
+   * @private
+   */
+  getLiveEdge_() {
+    console.assert(this.presentationStartTime_ !== null, 'Cannot calculate the live edge with unknown presentation start time')
+    const now = (Date.now() + this.clockOffset_) / 1000
+    return Math.max(0, now - this.maxSegmentDuration_ - this.presentationStartTime_)
+  }
+}
+
+/* *
+ * @summary
+ * SegmentReference provides the start time, end time, and location of a
+ * media segment.
+ * 媒体分片引用：记录分片的起止时间（相对于整个媒体时间线）和地址
+ *
+ * @export
+ */
+class SegmentReference {
+  /* *
+   * @param {number} position The segment's position within a particular
+   *   Period.  The following should hold true between any two SegmentReferences
+   *   from the same Period, r1 and r2: IF r2.position > r1.position THEN
+   *   [ (r2.startTime > r1.startTime) OR (r2.startTime == r1.startTime AND
+   *   r2.endTime >= r1.endTime) ]
+   * @param {number} startTime The segment's start time in seconds.
+   * @param {number} endTime The segment's end time in seconds.  The segment
+   *   ends the instant before this time, so |endTime| must be strictly greater
+   *   than |startTime|.
+   * @param {function():!Array.<string>} uris A function that creates the URIs
+   *   of the resource containing the segment.
+   * @param {number} startByte The offset from the start of the resource to the
+   *   start of the segment.
+   * @param {?number} endByte The offset from the start of the resource to the
+   *   end of the segment, inclusive.  A value of null indicates that the
+   *   segment extends to the end of the resource.
+   * @param {InitSegmentReference} initSegmentReference The segment's
+   *   initialization segment metadata, or null if the segments are
+   *   self-initializing.
+   * @param {number} timestampOffset The amount of time, in seconds, that must
+   *   be added to the segment's internal timestamps to align it to the
+   *   presentation timeline.
+   * @param {number} appendWindowStart The start of the append window for this
+   *   reference, relative to the presentation.  Any content from before this
+   *   time will be removed by MediaSource.
+   * @param {number} appendWindowEnd The end of the append window for this
+   *   reference, relative to the presentation.  Any content from after this
+   *   time will be removed by MediaSource.
+   */
+  constructor(
+    position, startTime, endTime, uris, startByte, endByte,
+    initSegmentReference, timestampOffset, appendWindowStart, appendWindowEnd) {
+    console.assert(startTime < endTime, 'startTime must be less than endTime')
+    console.assert((startByte < endByte) || (endByte === null), 'startByte must be < endByte')
+
+    /* * @const {number} */
+    this.position = position
+
+    /* * @type {number} */
+    this.startTime = startTime
+
+    /* * @type {number} */
+    this.endTime = endTime
+
+    /* * @type {function():!Array.<string>} */
+    this.getUris = uris
+
+    /* * @const {number} */
+    this.startByte = startByte
+
+    /* * @const {?number} */
+    this.endByte = endByte
+
+    /* * @type {InitSegmentReference} */
+    this.initSegmentReference = initSegmentReference
+
+    /* * @type {number} */
+    this.timestampOffset = timestampOffset
+
+    /* * @type {number} */
+    this.appendWindowStart = appendWindowStart
+
+    /* * @type {number} */
+    this.appendWindowEnd = appendWindowEnd
+  }
+  /* *
+   * Returns the segment's position within a particular Period.
+   *
+   * @return {number} The segment's position.
+   * @export
+   */
+  getPosition() {
+    return this.position
+  }
+  /* *
+   * Returns the segment's start time in seconds.
+   *
+   * @return {number}
+   * @export
+   */
+  getStartTime() {
+    return this.startTime
+  }
+  /* *
+   * Returns the segment's end time in seconds.
+   *
+   * @return {number}
+   * @export
+   */
+  getEndTime() {
+    return this.endTime
+  }
+  /* *
+   * Returns the size of the segment.
+   * @return {?number}
+   */
+  getSize() {
+    if (this.endByte) {
+      return this.endByte - this.startByte
+    } else {
+      return null
+    }
+  }
+}
+
+/* *
+ * @summary
+ * InitSegmentReference provides the location of an initialization segment.
+ *
+ * @export
+ */
+class InitSegmentReference {
+  /* *
+   * @param {function():!Array.<string>} uris A function that creates the URIs
+   *   of the resource containing the segment.
+   * @param {number} startByte The offset from the start of the resource to the
+   *   start of the segment.
+   * @param {?number} endByte The offset from the start of the resource to the
+   *   end of the segment, inclusive.  A value of null indicates that the
+   *   segment extends to the end of the resource.
+   */
+  constructor(uris, startByte, endByte) {
+    /* * @type {function():!Array.<string>} */
+    this.getUris = uris
+
+    /* * @const {number} */
+    this.startByte = startByte
+
+    /* * @const {?number} */
+    this.endByte = endByte
+  }
+  /* *
+   * Returns the offset from the start of the resource to the
+   * start of the segment.
+   *
+   * @return {number}
+   * @export
+   */
+  getStartByte() {
+    return this.startByte
+  }
+  /* *
+   * Returns the offset from the start of the resource to the end of the
+   * segment, inclusive.  A value of null indicates that the segment extends
+   * to the end of the resource.
+   *
+   * @return {?number}
+   * @export
+   */
+  getEndByte() {
+    return this.endByte
+  }
+  /* *
+   * Returns the size of the init segment.
+   * @return {?number}
+   */
+  getSize() {
+    if (this.endByte) {
+      return this.endByte - this.startByte
+    } else {
+      return null
+    }
+  }
+}
+
+/* *
+ * @summary
+ * SegmentIndex.
+ * 分片索引：按时间查找分片位置，按位置取分片引用
+ *
+ * @export
+ */
+class SegmentIndex {
+  /* *
+   * @param {!Array.<!SegmentReference>} references The list of
+   *   SegmentReferences, which must be sorted first by their start times
+   *   (ascending) and second by their end times (ascending), and have
+   *   continuous, increasing positions.
+   */
+  constructor(references) {
+    SegmentIndex.assertCorrectReferences_(references)
+
+    /* * @private {!Array.<!SegmentReference>} */
+    this.references_ = references
+  }
+  /* *
+   * @override
+   * @export
+   */
+  release() {
+    this.references_ = []
+  }
+  /* *
+   * Finds the position of the segment for the given time, in seconds, relative
+   * to the start of the presentation.  Returns the position of the segment
+   * with the largest end time if more than one segment is known for the given
+   * time.
+   *
+   * @param {number} time
+   * @return {?number} The position of the segment, or null if the position of
+   *   the segment could not be determined.
+   * @export
+   */
+  find(time) {
+    // For live streams, searching from the end is faster.  For VOD, it
+    // balances out either way.  In both cases, references.length is small
+    // enough that the difference isn't huge.
+    for (let i = this.references_.length - 1; i >= 0; --i) {
+      const r = this.references_[i]
+      // Note that a segment ends immediately before the end time.
+      if ((time >= r.startTime) && (time < r.endTime)) {
+        return r.position
+      }
+    }
+    if (this.references_.length && time < this.references_[0].startTime) {
+      return this.references_[0].position
+    }
+
+    return null
+  }
+  /* *
+   * Gets the SegmentReference for the segment at the given position.
+   *
+   * @param {number} position The position of the segment.
+   * @return {SegmentReference} The SegmentReference, or null if
+   *   no such SegmentReference exists.
+   * @export
+   */
+  get(position) {
+    if (this.references_.length === 0) {
+      return null
+    }
+
+    const index = position - this.references_[0].position
+    if (index < 0 || index >= this.references_.length) {
+      return null
+    }
+
+    return this.references_[index]
+  }
+  /* *
+   * Offset all segment references by a fixed amount.
+   *
+   * @param {number} offset The amount to add to each segment's start and end
+   *   times.
+   * @export
+   */
+  offset(offset) {
+    for (const ref of this.references_) {
+      ref.startTime += offset
+      ref.endTime += offset
+      ref.timestampOffset += offset
+      ref.appendWindowStart += offset
+      ref.appendWindowEnd += offset
+    }
+  }
+  /* *
+   * Merges the given SegmentReferences.  Supports extending the original
+   * references only.  Will not replace old references or interleave new ones.
+   *
+   * @param {!Array.<!SegmentReference>} references The list of
+   *   SegmentReferences, which must be sorted first by their start times
+   *   (ascending) and second by their end times (ascending), and have
+   *   continuous, increasing positions.
+   * @export
+   */
+  merge(references) {
+    SegmentIndex.assertCorrectReferences_(references)
+
+    if (!references.length) {
+      return
+    }
+
+    const lastOld = this.references_[this.references_.length - 1]
+    if (!lastOld) {
+      this.references_ = references.slice()
+      return
+    }
+
+    // Only the references after the last known one are new.  The existing
+    // references keep their positions, so the new ones are renumbered to
+    // continue on from the old ones.
+    let position = lastOld.position
+    for (const r of references) {
+      if (r.startTime >= lastOld.endTime - ManifestParserUtils.GAP_OVERLAP_TOLERANCE_SECONDS) {
+        this.references_.push(new SegmentReference(
+          ++position, r.startTime, r.endTime, r.getUris, r.startByte,
+          r.endByte, r.initSegmentReference, r.timestampOffset,
+          r.appendWindowStart, r.appendWindowEnd))
+      }
+    }
+  }
+  /* *
+   * Removes all SegmentReferences that end before the given time.
+   *
+   * @param {number} time The time in seconds.
+   * @export
+   */
+  evict(time) {
+    this.references_ = this.references_.filter((ref) => ref.endTime > time)
+  }
+  /* *
+   * Drops references that start after windowEnd, or end before windowStart,
+   * and contracts the last reference so that it ends at windowEnd.
+   *
+   * @param {number} windowStart
+   * @param {?number} windowEnd
+   * @export
+   */
+  fit(windowStart, windowEnd) {
+    console.assert(windowEnd !== null, 'Content must have a known duration to fit segments')
+
+    // Drop any references that start at or after the window end.
+    while (this.references_.length) {
+      const lastReference = this.references_[this.references_.length - 1]
+      if (lastReference.startTime >= windowEnd) {
+        this.references_.pop()
+      } else {
+        break
+      }
+    }
+
+    while (this.references_.length) {
+      const firstReference = this.references_[0]
+      if (firstReference.endTime <= windowStart) {
+        this.references_.shift()
+      } else {
+        break
+      }
+    }
+
+    if (this.references_.length === 0) {
+      return
+    }
+
+    // Adjust the last SegmentReference.
+    const lastReference = this.references_[this.references_.length - 1]
+    lastReference.endTime = windowEnd
+  }
+  /* *
+   * @return {!Array.<!SegmentReference>}
+   */
+  references() {
+    return this.references_
+  }
+  /* *
+   * Asserts that the given SegmentReferences are sorted and have consecutive
+   * positions.
+   *
+   * @param {!Array.<!SegmentReference>} references
+   * @private
+   */
+  static assertCorrectReferences_(references) {
+    console.assert(references.every((r2, i) => {
+      if (i === 0) {
+        return true
+      }
+      const r1 = references[i - 1]
+      if (r2.position !== r1.position + 1) {
+        return false
+      }
+      if (r1.startTime < r2.startTime) {
+        return true
+      } else if (r1.startTime > r2.startTime) {
+        return false
+      } else {
+        return r1.endTime <= r2.endTime
+      }
+    }), 'SegmentReferences are incorrect')
+  }
+}
+
+/* *
+ * @summary A set of XML utility functions.
+ */
+class XmlUtils {
+  /* *
+   * Finds a child XML element.
+   * @param {!Node} elem The parent XML element.
+   * @param {string} name The child XML element's tag name.
+   * @return {Element} The child XML element, or null if a child XML element
+   *   does not exist with the given tag name OR if there exists more than one
+   *   child XML element with the given tag name.
+   */
+  static findChild(elem, name) {
+    const children = XmlUtils.findChildren(elem, name)
+    if (children.length !== 1) {
+      return null
+    }
+    return children[0]
+  }
+  /* *
+   * Finds child XML elements.
+   * @param {!Node} elem The parent XML element.
+   * @param {string} name The child XML element's tag name.
+   * @return {!Array.<!Element>} The child XML elements.
+   */
+  static findChildren(elem, name) {
+    return Array.prototype.filter.call(elem.childNodes, (child) => {
+      return child instanceof Element && child.tagName === name
+    })
+  }
+  /* *
+   * Returns all child elements of the given node.
+   * @param {!Node} elem
+   * @return {!Array.<!Element>}
+   */
+  static getChildren(elem) {
+    return Array.from(elem.childNodes).filter((child) => {
+      return child instanceof Element
+    })
+  }
+  /* *
+   * Gets a namespace-qualified attribute.
+   * @param {!Element} elem The element to get from.
+   * @param {string} ns The namespace URI.
+   * @param {string} name The local name of the attribute.
+   * @return {?string} The attribute's value, or null if not present.
+   */
+  static getAttributeNS(elem, ns, name) {
+    // Some browsers return the empty string when the attribute is missing,
+    // so check if it exists first.  See: https://mzl.la/2L7F0UK
+    return elem.hasAttributeNS(ns, name) ? elem.getAttributeNS(ns, name) : null
+  }
+  /* *
+   * Gets the text contents of a node.
+   * @param {!Node} elem The XML element.
+   * @return {?string} The text contents, or null if there are none.
+   */
+  static getContents(elem) {
+    const isText = (child) => {
+      return child.nodeType === Node.TEXT_NODE ||
+          child.nodeType === Node.CDATA_SECTION_NODE
+    }
+    if (!Array.prototype.every.call(elem.childNodes, isText)) {
+      return null
+    }
+
+    // Read merged text content from all text nodes.
+    return elem.textContent.trim()
+  }
+  /* *
+   * Parses an attribute by its name.
+   * @param {!Element} elem The XML element.
+   * @param {string} name The attribute name.
+   * @param {function(string): (T|null)} parseFunction A function that parses
+   *   the attribute.
+   * @param {(T|null)=} defaultValue The attribute's default value, if not
+   *   specified, the attibute's default value is null.
+   * @return {(T|null)} The parsed attribute on success, or the attribute's
+   *   default value if the attribute does not exist or could not be parsed.
+   * @template T
+   */
+  static parseAttr(elem, name, parseFunction, defaultValue = null) {
+    let parsedValue = null
+
+    const value = elem.getAttribute(name)
+    if (value !== null) {
+      parsedValue = parseFunction(value)
+    }
+    return parsedValue === null ? defaultValue : parsedValue
+  }
+  /* *
+   * Parses an XML date string.
+   * @param {string} dateString
+   * @return {?number} The parsed date in seconds on success; otherwise, return
+   *   null.
+   */
+  static parseDate(dateString) {
+    if (!dateString) {
+      return null
+    }
+
+    // Times in the manifest should be in UTC. If they don't specify a timezone,
+    // Date.parse() will use the local timezone instead of UTC.  So manually add
+    // the timezone if missing ('Z' indicates the UTC timezone).
+    // Format: YYYY-MM-DDThh:mm:ss.ssssss
+    if (/^\d+-\d+-\d+T\d+:\d+:\d+(\.\d+)?$/.test(dateString)) {
+      dateString += 'Z'
+    }
+
+    const result = Date.parse(dateString)
+    return (!isNaN(result) ? Math.floor(result / 1000.0) : null)
+  }
+  /* *
+   * Parses an XML duration string.
+   * Negative values are not supported. Years and months are treated as exactly
+   * 365 and 30 days respectively.
+   * @param {string} durationString The duration string, e.g., 'PT1H3M43.2S',
+   *   which means 1 hour, 3 minutes, and 43.2 seconds.
+   * @return {?number} The parsed duration in seconds on success; otherwise,
+   *   return null.
+   * @see {@link http://www.datypic.com/sc/xsd/t-xsd_duration.html}
+   */
+  static parseDuration(durationString) {
+    if (!durationString) {
+      return null
+    }
+
+    const re = '^P(?:([0-9]*)Y)?(?:([0-9]*)M)?(?:([0-9]*)D)?' +
+               '(?:T(?:([0-9]*)H)?(?:([0-9]*)M)?(?:([0-9.]*)S)?)?$'
+    const matches = new RegExp(re).exec(durationString)
+
+    if (!matches) {
+      console.warn('Invalid duration string:', durationString)
+      return null
+    }
+
+    // Note: Number(null) == 0 but Number(undefined) == NaN.
+    const years = Number(matches[1] || null)
+    const months = Number(matches[2] || null)
+    const days = Number(matches[3] || null)
+    const hours = Number(matches[4] || null)
+    const minutes = Number(matches[5] || null)
+    const seconds = Number(matches[6] || null)
+
+    // Assume a year always has 365 days and a month always has 30 days.
+    const d = (60 * 60 * 24 * 365) * years +
+              (60 * 60 * 24 * 30) * months +
+              (60 * 60 * 24) * days +
+              (60 * 60) * hours +
+              60 * minutes +
+              seconds
+    return isFinite(d) ? d : null
+  }
+  /* *
+   * Parses a range string.
+   * @param {string} rangeString The range string, e.g., '101-9213'.
+   * @return {?{start: number, end: number}} The parsed range on success;
+   *   otherwise, return null.
+   */
+  static parseRange(rangeString) {
+    const matches = /([0-9]+)-([0-9]+)/.exec(rangeString)
+
+    if (!matches) {
+      return null
+    }
+
+    const start = Number(matches[1])
+    if (!isFinite(start)) {
+      return null
+    }
+
+    const end = Number(matches[2])
+    if (!isFinite(end)) {
+      return null
+    }
+
+    return { start: start, end: end }
+  }
+  /* *
+   * Parses an integer.
+   * @param {string} intString The integer string.
+   * @return {?number} The parsed integer on success; otherwise, return null.
+   */
+  static parseInt(intString) {
+    const n = Number(intString)
+    return (n % 1 === 0) ? n : null
+  }
+  /* *
+   * Parses a positive integer.
+   * @param {string} intString The integer string.
+   * @return {?number} The parsed positive integer on success; otherwise,
+   *   return null.
+   */
+  static parsePositiveInt(intString) {
+    const n = Number(intString)
+    return (n % 1 === 0) && (n > 0) ? n : null
+  }
+  /* *
+   * Parses a non-negative integer.
+   * @param {string} intString The integer string.
+   * @return {?number} The parsed non-negative integer on success; otherwise,
+   *   return null.
+   */
+  static parseNonNegativeInt(intString) {
+    const n = Number(intString)
+    return (n % 1 === 0) && (n >= 0) ? n : null
+  }
+  /* *
+   * Parses a floating point number.
+   * @param {string} floatString The floating point number string.
+   * @return {?number} The parsed floating point number on success; otherwise,
+   *   return null. May return -Infinity or Infinity.
+   */
+  static parseFloat(floatString) {
+    const n = Number(floatString)
+    return !isNaN(n) ? n : null
+  }
+  /* *
+   * Evaluate a division expressed as a string.
+   * @param {string} exprString
+   *   The expression to evaluate, e.g. '200/2'. Can also be a single number.
+   * @return {?number} The evaluated expression as floating point number on
+   *   success; otherwise return null.
+   */
+  static evalDivision(exprString) {
+    let res
+    let n
+    if ((res = exprString.match(/^(\d+)\/(\d+)$/))) {
+      n = Number(res[1]) / Number(res[2])
+    } else {
+      n = Number(exprString)
+    }
+    return !isNaN(n) ? n : null
+  }
+  /* *
+   * Parse a string and return the resulting root element if
+   * it was valid XML.
+   * @param {string} xmlString
+   * @param {string} expectedRootElemName
+   * @return {Element}
+   */
+  static parseXmlString(xmlString, expectedRootElemName) {
+    const parser = new DOMParser()
+    let rootElem = null
+    let xml = null
+    try {
+      xml = parser.parseFromString(xmlString, 'text/xml')
+    } catch (exception) {}
+    if (xml) {
+      // The top-level element in the loaded xml should have the
+      // same type as the element linked.
+      if (xml.documentElement.tagName === expectedRootElemName) {
+        rootElem = xml.documentElement
+      }
+    }
+    if (rootElem && rootElem.getElementsByTagName('parsererror').length > 0) {
+      return null
+    } // It had a parser error in it.
+
+    return rootElem
+  }
+  /* *
+   * Parse some UTF8 data and return the resulting root element if
+   * it was valid XML.
+   * @param {BufferSource} data
+   * @param {string} expectedRootElemName
+   * @return {Element}
+   */
+  static parseXml(data, expectedRootElemName) {
+    try {
+      const string = StringUtils.fromUTF8(data)
+      return XmlUtils.parseXmlString(string, expectedRootElemName)
+    } catch (exception) {
+      return null
+    }
+  }
+}
+
+/* *
+ * @summary Parses a SIDX (segment index) box into SegmentReferences.
+ */
+class Mp4SegmentIndexParser {
+  /* *
+   * Parses SegmentReferences from an ISO BMFF SIDX structure.
+   * @param {!BufferSource} sidxData The MP4's container's SIDX.
+   * @param {number} sidxOffset The SIDX's offset, in bytes, from the start of
+   *   the MP4 container.
+   * @param {function():!Array.<string>} uris The possible locations of the MP4
+   *   file that contains the segments.
+   * @param {InitSegmentReference} initSegmentReference
+   * @param {number} timestampOffset
+   * @param {number} appendWindowStart
+   * @param {number} appendWindowEnd
+   * @return {!Array.<!SegmentReference>}
+   */
+  static parse(
+    sidxData, sidxOffset, uris, initSegmentReference, timestampOffset,
+    appendWindowStart, appendWindowEnd) {
+    let references
+
+    const parser = new Mp4Parser()
+      .fullBox('sidx', (box) => {
+        references = Mp4SegmentIndexParser.parseSIDX_(
+          sidxOffset,
+          initSegmentReference,
+          timestampOffset,
+          appendWindowStart,
+          appendWindowEnd,
+          uris,
+          box)
+      })
+
+    if (sidxData) {
+      parser.parse(sidxData)
+    }
+
+    if (references) {
+      return references
+    } else {
+      console.error('Invalid box type, expected "sidx".')
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MEDIA,
+        Error$1.Code.MP4_SIDX_WRONG_BOX_TYPE)
+    }
+  }
+  /* *
+   * Parse a SIDX box from the given reader.
+   *
+   * @param {number} sidxOffset
+   * @param {InitSegmentReference} initSegmentReference
+   * @param {number} timestampOffset
+   * @param {number} appendWindowStart
+   * @param {number} appendWindowEnd
+   * @param {function():!Array.<string>} uris The possible locations of the MP4
+   *   file that contains the segments.
+   * @param {!shaka.extern.ParsedBox} box
+   * @return {!Array.<!SegmentReference>}
+   * @private
+   */
+  static parseSIDX_(
+    sidxOffset, initSegmentReference, timestampOffset, appendWindowStart,
+    appendWindowEnd, uris, box) {
+    console.assert(box.version !== null, 'SIDX is a full box and should have a valid version.')
+
+    const references = []
+
+    // Parse the SIDX structure.
+    // Skip reference_ID (32 bits).
+    box.reader.skip(4)
+
+    const timescale = box.reader.readUint32()
+
+    if (timescale === 0) {
+      console.error('Invalid timescale.')
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MEDIA,
+        Error$1.Code.MP4_SIDX_INVALID_TIMESCALE)
+    }
+
+    let earliestPresentationTime
+    let firstOffset
+
+    if (box.version === 0) {
+      earliestPresentationTime = box.reader.readUint32()
+      firstOffset = box.reader.readUint32()
+    } else {
+      earliestPresentationTime = box.reader.readUint64()
+      firstOffset = box.reader.readUint64()
+    }
+
+    // Skip reserved (16 bits).
+    box.reader.skip(2)
+
+    // Add references.
+    const referenceCount = box.reader.readUint16()
+
+    // Subtract the presentation time offset
+    let unscaledStartTime = earliestPresentationTime
+    let startByte = sidxOffset + box.size + firstOffset
+
+    for (let i = 0; i < referenceCount; i++) {
+      // |chunk| is 1 bit for |referenceType|, and 31 bits for |referenceSize|.
+      const chunk = box.reader.readUint32()
+      const referenceType = (chunk & 0x80000000) >>> 31
+      const referenceSize = chunk & 0x7FFFFFFF
+
+      const subsegmentDuration = box.reader.readUint32()
+
+      // Skipping 1 bit for |startsWithSap|, 3 bits for |sapType|, and 28 bits
+      // for |sapDelta|.
+      box.reader.skip(4)
+
+      // If |referenceType| is 1 then the reference is to another SIDX.
+      // We do not support this.
+      if (referenceType === 1) {
+        console.error('Heirarchical SIDXs are not supported.')
+        throw new Error$1(
+          Error$1.Severity.CRITICAL,
+          Error$1.Category.MEDIA,
+          Error$1.Code.MP4_SIDX_TYPE_NOT_SUPPORTED)
+      }
+
+      // The media timestamps inside the container.
+      const nativeStartTime = unscaledStartTime / timescale
+      const nativeEndTime = (unscaledStartTime + subsegmentDuration) / timescale
+
+      references.push(
+        new SegmentReference(
+          references.length,
+          nativeStartTime + timestampOffset,
+          nativeEndTime + timestampOffset,
+          uris,
+          startByte,
+          startByte + referenceSize - 1,
+          initSegmentReference,
+          timestampOffset,
+          appendWindowStart,
+          appendWindowEnd))
+
+      unscaledStartTime += subsegmentDuration
+      startByte += referenceSize
+    }
+
+    box.parser.stop()
+    return references
+  }
+}
+
+/* *
+ * @summary MPEG-DASH Manifest Parser utility functions.
+ */
+class MpdUtils {
+  /* *
+   * Fills a SegmentTemplate URI template.  This function does not validate the
+   * resulting URI.
+   *
+   * @param {string} uriTemplate
+   * @param {?string} representationId
+   * @param {?number} number
+   * @param {?number} bandwidth
+   * @param {?number} time
+   * @return {string} A URI string.
+   * @see ISO/IEC 23009-1:2014 section 5.3.9.4.4
+   */
+  static fillUriTemplate(uriTemplate, representationId, number, bandwidth, time) {
+    /* * @type {!Object.<string, ?number|?string>} */
+    const valueTable = {
+      'RepresentationID': representationId,
+      'Number': number,
+      'Bandwidth': bandwidth,
+      'Time': time
+    }
+
+    const re = /\$(RepresentationID|Number|Bandwidth|Time)?(?:%0([0-9]+)([diouxX]))?\$/g
+    const uri = uriTemplate.replace(re, (match, name, widthString, format) => {
+      if (match === '$$') {
+        return '$'
+      }
+
+      let value = valueTable[name]
+      console.assert(value !== undefined, 'Unrecognized identifier')
+
+      // Note that |value| may be 0 or ''.
+      if (value === null) {
+        console.warn('URL template does not have an available substitution for identifier "' + name + '":', uriTemplate)
+        return match
+      }
+
+      if (name === 'RepresentationID' && widthString) {
+        console.warn('URL template should not contain a width specifier for identifier "RepresentationID":', uriTemplate)
+        widthString = undefined
+      }
+
+      if (name === 'Time') {
+        console.assert(Math.abs(value - Math.round(value)) < 0.2, 'Calculated $Time$ values must be close to integers')
+        value = Math.round(value)
+      }
+
+      /* * @type {string} */
+      let valueString
+      switch (format) {
+        case undefined: // Happens if there is no format specifier.
+        case 'd':
+        case 'i':
+        case 'u':
+          valueString = value.toString()
+          break
+        case 'o':
+          valueString = value.toString(8)
+          break
+        case 'x':
+          valueString = value.toString(16)
+          break
+        case 'X':
+          valueString = value.toString(16).toUpperCase()
+          break
+        default:
+          console.assert(false, 'Unhandled format specifier')
+          valueString = value.toString()
+          break
+      }
+
+      // Create a padding string.
+      const width = window.parseInt(widthString, 10) || 1
+      const paddingSize = Math.max(0, width - valueString.length)
+      const padding = (new Array(paddingSize + 1)).join('0')
+
+      return padding + valueString
+    })
+
+    return uri
+  }
+  /* *
+   * Expands a SegmentTimeline into an array-based timeline.  The results are in
+   * seconds.
+   *
+   * @param {!Element} segmentTimeline
+   * @param {number} timescale
+   * @param {number} unscaledPresentationTimeOffset
+   * @param {number} periodDuration The Period's duration in seconds.
+   *   Infinity indicates that the Period continues indefinitely.
+   * @return {!Array.<MpdUtils.TimeRange>}
+   */
+  static createTimeline(segmentTimeline, timescale, unscaledPresentationTimeOffset, periodDuration) {
+    console.assert(timescale > 0 && timescale < Infinity, 'timescale must be a positive, possibly non-integer number')
+
+    // Alias.
+    const timePoints = XmlUtils.findChildren(segmentTimeline, 'S')
+
+    /* * @type {!Array.<MpdUtils.TimeRange>} */
+    const timeline = []
+    let lastEndTime = 0
+
+    for (let i = 0; i < timePoints.length; ++i) {
+      const timePoint = timePoints[i]
+      let t = XmlUtils.parseAttr(timePoint, 't', XmlUtils.parseNonNegativeInt)
+      const d = XmlUtils.parseAttr(timePoint, 'd', XmlUtils.parseNonNegativeInt)
+      const r = XmlUtils.parseAttr(timePoint, 'r', XmlUtils.parseInt)
+
+      // Adjust the start time to account for the presentation time offset.
+      if (t !== null) {
+        t -= unscaledPresentationTimeOffset
+      }
+
+      if (!d) {
+        console.warn('"S" element must have a duration: ignoring the remaining "S" elements.', timePoint)
+        return timeline
+      }
+
+      let startTime = t !== null ? t : lastEndTime
+
+      let repeat = r || 0
+      if (repeat < 0) {
+        if (i + 1 < timePoints.length) {
+          const nextTimePoint = timePoints[i + 1]
+          const nextStartTime = XmlUtils.parseAttr(nextTimePoint, 't', XmlUtils.parseNonNegativeInt)
+          if (nextStartTime === null) {
+            console.warn('An "S" element cannot have a negative repeat if the next "S" element does not have a valid start time: ignoring the remaining "S" elements.', timePoint)
+            return timeline
+          } else if (startTime >= nextStartTime) {
+            console.warn('An "S" element cannot have a negative repeatif its start time exceeds the next "S" element\'s start time: ignoring the remaining "S" elements.', timePoint)
+            return timeline
+          }
+          repeat = Math.ceil((nextStartTime - startTime) / d) - 1
+        } else {
+          if (periodDuration === Infinity) {
+            // The DASH spec. actually allows the last "S" element to have a
+            // negative repeat value even when the Period has an infinite
+            // duration.  No one uses this feature and no one ever should, ever.
+            console.warn('The last "S" element cannot have a negative repeat if the Period has an infinite duration: ignoring the last "S" element.', timePoint)
+            return timeline
+          } else if (startTime / timescale >= periodDuration) {
+            console.warn('The last "S" element cannot have a negative repeat if its start time exceeds the Period\'s duration: igoring the last "S" element.', timePoint)
+            return timeline
+          }
+          repeat = Math.ceil((periodDuration * timescale - startTime) / d) - 1
+        }
+      }
+
+      // The end of the last segment may be before the start of the current
+      // segment (a gap) or after the start of the current segment (an
+      // overlap). If there is a gap/overlap then stretch/compress the end of
+      // the last segment to the start of the current segment.
+      //
+      // Note: it is possible to move the start of the current segment to the
+      // end of the last segment, but this would complicate the computation of
+      // the $Time$ placeholder later on.
+      if ((timeline.length > 0) && (startTime !== lastEndTime)) {
+        const delta = startTime - lastEndTime
+
+        if (Math.abs(delta / timescale) >= ManifestParserUtils.GAP_OVERLAP_TOLERANCE_SECONDS) {
+          console.warn('SegmentTimeline contains a large gap/overlap: the content may have errors in it.', timePoint)
+        }
+
+        timeline[timeline.length - 1].end = startTime / timescale
+      }
+
+      for (let j = 0; j <= repeat; ++j) {
+        const endTime = startTime + d
+        const item = {
+          start: startTime / timescale,
+          end: endTime / timescale,
+          unscaledStart: startTime
+        }
+        timeline.push(item)
+
+        startTime = endTime
+        lastEndTime = endTime
+      }
+    }
+
+    return timeline
+  }
+  /* *
+   * Parses common segment info for SegmentList and SegmentTemplate.
+   *
+   * @param {DashParser.Context} context
+   * @param {function(?DashParser.InheritanceFrame):Element} callback
+   *   Gets the element that contains the segment info.
+   * @return {MpdUtils.SegmentInfo}
+   */
+  static parseSegmentInfo(context, callback) {
+    console.assert(callback(context.representation), 'There must be at least one element of the given type.')
+
+    const timescaleStr = MpdUtils.inheritAttribute(context, callback, 'timescale')
+    let timescale = 1
+    if (timescaleStr) {
+      timescale = XmlUtils.parsePositiveInt(timescaleStr) || 1
+    }
+
+    const durationStr = MpdUtils.inheritAttribute(context, callback, 'duration')
+    let segmentDuration = XmlUtils.parsePositiveInt(durationStr || '')
+    if (segmentDuration) {
+      segmentDuration /= timescale
+    }
+
+    const startNumberStr = MpdUtils.inheritAttribute(context, callback, 'startNumber')
+    const unscaledPresentationTimeOffset = Number(MpdUtils.inheritAttribute(context, callback, 'presentationTimeOffset')) || 0
+    let startNumber = XmlUtils.parseNonNegativeInt(startNumberStr || '')
+    if (startNumberStr === null || startNumber === null) {
+      startNumber = 1
+    }
+
+    const timelineNode = MpdUtils.inheritChild(context, callback, 'SegmentTimeline')
+    /* * @type {Array.<MpdUtils.TimeRange>} */
+    let timeline = null
+    if (timelineNode) {
+      timeline = MpdUtils.createTimeline(
+        timelineNode, timescale, unscaledPresentationTimeOffset,
+        context.periodInfo.duration || Infinity)
+    }
+
+    const scaledPresentationTimeOffset = (unscaledPresentationTimeOffset / timescale) || 0
+    return {
+      timescale: timescale,
+      segmentDuration: segmentDuration,
+      startNumber: startNumber,
+      scaledPresentationTimeOffset: scaledPresentationTimeOffset,
+      unscaledPresentationTimeOffset: unscaledPresentationTimeOffset,
+      timeline: timeline
+    }
+  }
+  /* *
+   * Searches the inheritance for a Segment* with the given attribute.
+   *
+   * @param {DashParser.Context} context
+   * @param {function(?DashParser.InheritanceFrame):Element} callback
+   *   Gets the Element that contains the attribute to inherit.
+   * @param {string} attribute
+   * @return {?string}
+   */
+  static inheritAttribute(context, callback, attribute) {
+    /* * @type {!Array.<!Element>} */
+    const nodes = [
+      callback(context.representation),
+      callback(context.adaptationSet),
+      callback(context.period)
+    ].filter(Functional.isNotNull)
+
+    return nodes
+      .map((s) => { return s.getAttribute(attribute) })
+      .reduce((all, part) => { return all || part })
+  }
+  /* *
+   * Searches the inheritance for a Segment* with the given child.
+   *
+   * @param {DashParser.Context} context
+   * @param {function(?DashParser.InheritanceFrame):Element} callback
+   *   Gets the Element that contains the child to inherit.
+   * @param {string} child
+   * @return {Element}
+   */
+  static inheritChild(context, callback, child) {
+    /* * @type {!Array.<!Element>} */
+    const nodes = [
+      callback(context.representation),
+      callback(context.adaptationSet),
+      callback(context.period)
+    ].filter(Functional.isNotNull)
+
+    return nodes
+      .map((s) => { return XmlUtils.findChild(s, child) })
+      .reduce((all, part) => { return all || part })
+  }
+}
+/* *
+ * @typedef {{
+ *   start: number,
+ *   unscaledStart: number,
+ *   end: number
+ * }}
+ *
+ * @description
+ * Defines a time range of a media segment.  Times are in seconds.
+ *
+ * @property {number} start
+ *   The start time of the range.
+ * @property {number} unscaledStart
+ *   The start time of the range in representation timescale units.
+ * @property {number} end
+ *   The end time (exclusive) of the range.
+ */
+MpdUtils.TimeRange = undefined
+/* *
+ * @typedef {{
+ *   timescale: number,
+ *   segmentDuration: ?number,
+ *   startNumber: number,
+ *   scaledPresentationTimeOffset: number,
+ *   unscaledPresentationTimeOffset: number,
+ *   timeline: Array.<MpdUtils.TimeRange>
+ * }}
+ *
+ * @description
+ * Contains common information between SegmentList and SegmentTemplate items.
+ */
+MpdUtils.SegmentInfo = undefined
+
+/* *
+ * @summary A set of functions for parsing SegmentBase elements.
+ */
+class SegmentBase {
+  /* *
+   * Creates an init segment reference from a Context object.
+   *
+   * @param {DashParser.Context} context
+   * @param {function(?DashParser.InheritanceFrame):Element} callback
+   * @return {InitSegmentReference}
+   */
+  static createInitSegment(context, callback) {
+    const initialization = MpdUtils.inheritChild(context, callback, 'Initialization')
+    if (!initialization) {
+      return null
+    }
+
+    let resolvedUris = context.representation.baseUris
+    const uri = initialization.getAttribute('sourceURL')
+    if (uri) {
+      resolvedUris = ManifestParserUtils.resolveUris(context.representation.baseUris, [uri])
+    }
+
+    let startByte = 0
+    let endByte = null
+    const range = XmlUtils.parseAttr(initialization, 'range', XmlUtils.parseRange)
+    if (range) {
+      startByte = range.start
+      endByte = range.end
+    }
+
+    const getUris = () => resolvedUris
+    return new InitSegmentReference(getUris, startByte, endByte)
+  }
+  /* *
+   * Creates a new Stream object.
+   *
+   * @param {DashParser.Context} context
+   * @param {DashParser.RequestInitSegmentCallback} requestInitSegment
+   * @throws {Error$1} When there is a parsing error.
+   * @return {DashParser.StreamInfo}
+   */
+  static createStream(context, requestInitSegment) {
+    console.assert(context.representation.segmentBase, 'Should only be called with SegmentBase')
+    // Since SegmentBase does not need updates, simply treat any call as
+    // the initial parse.
+    const representationIndex = MpdUtils.inheritAttribute(context, SegmentBase.fromInheritance_, 'indexRange')
+    const indexRange = XmlUtils.parseRange(representationIndex || '')
+    const indexElem = MpdUtils.inheritChild(context, SegmentBase.fromInheritance_, 'RepresentationIndex')
+    const unscaledPresentationTimeOffset = Number(MpdUtils.inheritAttribute(context, SegmentBase.fromInheritance_, 'presentationTimeOffset')) || 0
+    const timescaleStr = MpdUtils.inheritAttribute(context, SegmentBase.fromInheritance_, 'timescale')
+    let timescale = 1
+    if (timescaleStr) {
+      timescale = XmlUtils.parsePositiveInt(timescaleStr) || 1
+    }
+
+    const scaledPresentationTimeOffset = unscaledPresentationTimeOffset / timescale || 0
+    const periodStart = context.periodInfo.start
+    const periodEnd = context.periodInfo.duration ? periodStart + context.periodInfo.duration : Infinity
+
+    let indexUris = context.representation.baseUris
+    let indexRangeStart = indexRange ? indexRange.start : 0
+    let indexRangeEnd = indexRange ? indexRange.end : null
+    if (indexElem) {
+      const representationUri = indexElem.getAttribute('sourceURL')
+      if (representationUri) {
+        indexUris = ManifestParserUtils.resolveUris(context.representation.baseUris, [representationUri])
+      }
+
+      const range = XmlUtils.parseAttr(indexElem, 'range', XmlUtils.parseRange)
+      if (range) {
+        indexRangeStart = range.start
+        indexRangeEnd = range.end
+      }
+    }
+
+    if (!indexRange && !indexElem) {
+      console.error('SegmentBase does not contain sufficient segment information: the SegmentBase does not contain @indexRange or a RepresentationIndex element.', context.representation)
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_NO_SEGMENT_INFO)
+    }
+
+    if (context.representation.mimeType === 'video/webm' || context.representation.mimeType === 'audio/webm') {
+      // The WebM cue parser is not part of this build, so only ISO BMFF
+      // segment indexes can be used.
+      console.error('WebM SegmentBase is not supported.', context.representation)
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_UNSUPPORTED_CONTAINER)
+    }
+
+    const initSegmentReference = SegmentBase.createInitSegment(context, SegmentBase.fromInheritance_)
+    const timestampOffset = periodStart - scaledPresentationTimeOffset
+
+    /* * @type {?SegmentIndex} */
+    let segmentIndex = null
+    const stream = {
+      createSegmentIndex: async() => {
+        if (segmentIndex) {
+          return
+        }
+        const responseData = await requestInitSegment(indexUris, indexRangeStart, indexRangeEnd)
+        const references = Mp4SegmentIndexParser.parse(
+          responseData, indexRangeStart, () => context.representation.baseUris,
+          initSegmentReference, timestampOffset, periodStart, periodEnd)
+        segmentIndex = new SegmentIndex(references)
+        if (periodEnd !== Infinity) {
+          segmentIndex.fit(periodStart, periodEnd)
+        }
+        stream.segmentIndex = segmentIndex
+      },
+      segmentIndex: null,
+      initSegmentReference: initSegmentReference,
+      scaledPresentationTimeOffset: scaledPresentationTimeOffset
+    }
+    return stream
+  }
+  /* *
+   * @param {?DashParser.InheritanceFrame} frame
+   * @return {Element}
+   * @private
+   */
+  static fromInheritance_(frame) {
+    return frame.segmentBase
+  }
+}
+
+/* *
+ * @summary A set of functions for parsing SegmentList elements.
+ */
+class SegmentList {
+  /* *
+   * Creates a new Stream object or updates the Stream in the manifest.
+   *
+   * @param {DashParser.Context} context
+   * @param {!Object.<string, !SegmentIndex>} segmentIndexMap
+   * @throws {Error$1} When there is a parsing error.
+   * @return {DashParser.StreamInfo}
+   */
+  static createStream(context, segmentIndexMap) {
+    console.assert(context.representation.segmentList, 'Should only be called with SegmentList')
+
+    const initSegmentReference = SegmentBase.createInitSegment(context, SegmentList.fromInheritance_)
+    const info = SegmentList.parseSegmentListInfo_(context)
+
+    SegmentList.checkSegmentListInfo_(context, info)
+
+    /* * @type {SegmentIndex} */
+    let segmentIndex = null
+    let id = null
+    if (context.period.id && context.representation.id) {
+      // Only check/store the index if period and representation IDs are set.
+      id = context.period.id + ',' + context.representation.id
+      segmentIndex = segmentIndexMap[id]
+    }
+
+    const references = SegmentList.createSegmentReferences_(
+      context.periodInfo.start, context.periodInfo.duration,
+      info.startNumber, context.representation.baseUris, info,
+      initSegmentReference)
+
+    if (segmentIndex) {
+      segmentIndex.merge(references)
+      const start = context.presentationTimeline.getSegmentAvailabilityStart()
+      segmentIndex.evict(start)
+    } else {
+      context.presentationTimeline.notifySegments(references)
+      segmentIndex = new SegmentIndex(references)
+      if (id && context.dynamic) {
+        segmentIndexMap[id] = segmentIndex
+      }
+    }
+
+    if (!context.dynamic || !context.periodInfo.isLastPeriod) {
+      const periodStart = context.periodInfo.start
+      const periodEnd = context.periodInfo.duration ? periodStart + context.periodInfo.duration : Infinity
+      segmentIndex.fit(periodStart, periodEnd)
+    }
+
+    return {
+      createSegmentIndex: () => Promise.resolve(),
+      segmentIndex: segmentIndex,
+      initSegmentReference: initSegmentReference,
+      scaledPresentationTimeOffset: info.scaledPresentationTimeOffset
+    }
+  }
+  /* *
+   * @param {?DashParser.InheritanceFrame} frame
+   * @return {Element}
+   * @private
+   */
+  static fromInheritance_(frame) {
+    return frame.segmentList
+  }
+  /* *
+   * Parses the SegmentList items to create an info object.
+   *
+   * @param {DashParser.Context} context
+   * @return {SegmentList.SegmentListInfo}
+   * @private
+   */
+  static parseSegmentListInfo_(context) {
+    const mediaSegments = SegmentList.parseMediaSegments_(context)
+    const segmentInfo = MpdUtils.parseSegmentInfo(context, SegmentList.fromInheritance_)
+
+    let startNumber = segmentInfo.startNumber
+    if (startNumber === 0) {
+      console.warn('SegmentList@startNumber must be > 0')
+      startNumber = 1
+    }
+
+    let startTime = 0
+    if (segmentInfo.segmentDuration) {
+      // See DASH sec. 5.3.9.5.3
+      // Don't use presentationTimeOffset for @duration.
+      startTime = segmentInfo.segmentDuration * (startNumber - 1)
+    } else if (segmentInfo.timeline && segmentInfo.timeline.length > 0) {
+      // The presentationTimeOffset was considered in timeline creation.
+      startTime = segmentInfo.timeline[0].start
+    }
+
+    return {
+      segmentDuration: segmentInfo.segmentDuration,
+      startTime: startTime,
+      startNumber: startNumber,
+      scaledPresentationTimeOffset: segmentInfo.scaledPresentationTimeOffset,
+      timeline: segmentInfo.timeline,
+      mediaSegments: mediaSegments
+    }
+  }
+  /* *
+   * Checks whether a SegmentListInfo object is valid.
+   *
+   * @param {DashParser.Context} context
+   * @param {SegmentList.SegmentListInfo} info
+   * @throws {Error$1} When there is a parsing error.
+   * @private
+   */
+  static checkSegmentListInfo_(context, info) {
+    if (!info.segmentDuration && !info.timeline && info.mediaSegments.length > 1) {
+      console.warn('SegmentList does not contain sufficient segment information: the SegmentList specifies multiple segments, but does not specify a segment duration or timeline.', context.representation)
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_NO_SEGMENT_INFO)
+    }
+
+    if (!info.segmentDuration && !context.periodInfo.duration && !info.timeline && info.mediaSegments.length === 1) {
+      console.warn('SegmentList does not contain sufficient segment information: the SegmentList specifies one segment, but does not specify a segment duration, period duration, or timeline.', context.representation)
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_NO_SEGMENT_INFO)
+    }
+
+    if (info.timeline && info.timeline.length === 0) {
+      console.warn('SegmentList does not contain sufficient segment information: the SegmentList has an empty timeline.', context.representation)
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_NO_SEGMENT_INFO)
+    }
+  }
+  /* *
+   * Creates an array of segment references for the given data.
+   *
+   * @param {number} periodStart in seconds.
+   * @param {?number} periodDuration in seconds.
+   * @param {number} startNumber
+   * @param {!Array.<string>} baseUris
+   * @param {SegmentList.SegmentListInfo} info
+   * @param {InitSegmentReference} initSegmentReference
+   * @return {!Array.<!SegmentReference>}
+   * @private
+   */
+  static createSegmentReferences_(periodStart, periodDuration, startNumber, baseUris, info, initSegmentReference) {
+    let max = info.mediaSegments.length
+    if (info.timeline && info.timeline.length !== info.mediaSegments.length) {
+      max = Math.min(info.timeline.length, info.mediaSegments.length)
+      console.warn('The number of items in the segment timeline and the number of segment URLs do not match, truncating', info.mediaSegments.length, 'to', max)
+    }
+
+    const timestampOffset = periodStart - info.scaledPresentationTimeOffset
+    const appendWindowStart = periodStart
+    const appendWindowEnd = periodDuration ? periodStart + periodDuration : Infinity
+
+    /* * @type {!Array.<!SegmentReference>} */
+    const references = []
+    let prevEndTime = info.startTime
+    for (let i = 0; i < max; i++) {
+      const segment = info.mediaSegments[i]
+      const mediaUri = ManifestParserUtils.resolveUris(baseUris, [segment.mediaUri])
+
+      const startTime = prevEndTime
+      let endTime
+
+      if (info.segmentDuration !== null) {
+        endTime = startTime + info.segmentDuration
+      } else if (info.timeline) {
+        // Ignore the timepoint start since they are continuous.
+        endTime = info.timeline[i].end
+      } else {
+        // If segmentDuration and timeline are null then there must
+        // be exactly one segment.
+        console.assert(info.mediaSegments.length === 1 && periodDuration, 'There should be exactly one segment with a Period duration.')
+        endTime = startTime + periodDuration
+      }
+
+      const getUris = () => mediaUri
+      references.push(
+        new SegmentReference(
+          i + startNumber,
+          periodStart + startTime,
+          periodStart + endTime,
+          getUris,
+          segment.start,
+          segment.end,
+          initSegmentReference,
+          timestampOffset,
+          appendWindowStart, appendWindowEnd))
+      prevEndTime = endTime
+    }
+
+    return references
+  }
+  /* *
+   * Parses the media URIs from the context.
+   *
+   * @param {DashParser.Context} context
+   * @return {!Array.<SegmentList.MediaSegment>}
+   * @private
+   */
+  static parseMediaSegments_(context) {
+    /* * @type {!Array.<!Element>} */
+    const segmentLists = [
+      context.representation.segmentList,
+      context.adaptationSet.segmentList,
+      context.period.segmentList
+    ].filter(Functional.isNotNull)
+
+    // Search each SegmentList for one with at least one SegmentURL element,
+    // select the first one, and convert each SegmentURL element to a tuple.
+    return segmentLists
+      .map((node) => { return XmlUtils.findChildren(node, 'SegmentURL') })
+      .reduce((all, part) => { return all.length > 0 ? all : part })
+      .map((urlNode) => {
+        if (urlNode.getAttribute('indexRange') && !context.indexRangeWarningGiven) {
+          context.indexRangeWarningGiven = true
+          console.warn('We do not support the SegmentURL@indexRange attribute on SegmentList.  We only use the SegmentList@duration attribute or SegmentTimeline, which must be accurate.')
+        }
+
+        const uri = urlNode.getAttribute('media')
+        const range = XmlUtils.parseAttr(urlNode, 'mediaRange', XmlUtils.parseRange, { start: 0, end: null })
+        return { mediaUri: uri, start: range.start, end: range.end }
+      })
+  }
+}
+/* *
+ * @typedef {{
+ *   mediaUri: string,
+ *   start: number,
+ *   end: ?number
+ * }}
+ *
+ * @property {string} mediaUri
+ *   The URI of the segment.
+ * @property {number} start
+ *   The start byte of the segment.
+ * @property {?number} end
+ *   The end byte of the segment, or null.
+ */
+SegmentList.MediaSegment = undefined
+/* *
+ * @typedef {{
+ *   segmentDuration: ?number,
+ *   startTime: number,
+ *   startNumber: number,
+ *   scaledPresentationTimeOffset: number,
+ *   timeline: Array.<MpdUtils.TimeRange>,
+ *   mediaSegments: !Array.<SegmentList.MediaSegment>
+ * }}
+ * @private
+ *
+ * @description
+ * Contains information about a SegmentList.
+ */
+SegmentList.SegmentListInfo = undefined
+
+/* *
+ * @summary A set of functions for parsing SegmentTemplate elements.
+ */
+class SegmentTemplate {
+  /* *
+   * Creates a new StreamInfo object.
+   * Updates the existing SegmentIndex, if any.
+   *
+   * @param {DashParser.Context} context
+   * @param {DashParser.RequestInitSegmentCallback} requestInitSegment
+   * @param {!Object.<string, !SegmentIndex>} segmentIndexMap
+   * @param {boolean} isUpdate True if the manifest is being updated.
+   * @throws {Error$1} When there is a parsing error.
+   * @return {DashParser.StreamInfo}
+   */
+  static createStream(context, requestInitSegment, segmentIndexMap, isUpdate) {
+    console.assert(context.representation.segmentTemplate, 'Should only be called with SegmentTemplate')
+
+    const initSegmentReference = SegmentTemplate.createInitSegment_(context)
+    const info = SegmentTemplate.parseSegmentTemplateInfo_(context)
+
+    SegmentTemplate.checkSegmentTemplateInfo_(context, info)
+
+    const periodStart = context.periodInfo.start
+    const periodEnd = context.periodInfo.duration ? periodStart + context.periodInfo.duration : Infinity
+
+    if (info.indexTemplate) {
+      // The stream's segments are described by an index segment (sidx) that
+      // is referenced through a URI template.
+      const indexUris = SegmentTemplate.createIndexUris_(context, info)
+      const timestampOffset = periodStart - info.scaledPresentationTimeOffset
+
+      /* * @type {?SegmentIndex} */
+      let segmentIndex = null
+      const stream = {
+        createSegmentIndex: async() => {
+          if (segmentIndex) {
+            return
+          }
+          const responseData = await requestInitSegment(indexUris, 0, null)
+          const references = Mp4SegmentIndexParser.parse(
+            responseData, 0, () => context.representation.baseUris,
+            initSegmentReference, timestampOffset, periodStart, periodEnd)
+          segmentIndex = new SegmentIndex(references)
+          if (periodEnd !== Infinity) {
+            segmentIndex.fit(periodStart, periodEnd)
+          }
+          stream.segmentIndex = segmentIndex
+        },
+        segmentIndex: null,
+        initSegmentReference: initSegmentReference,
+        scaledPresentationTimeOffset: info.scaledPresentationTimeOffset
+      }
+      return stream
+    }
+
+    if (info.segmentDuration) {
+      if (!isUpdate) {
+        context.presentationTimeline.notifyMaxSegmentDuration(info.segmentDuration)
+        context.presentationTimeline.notifyMinSegmentStartTime(periodStart)
+      }
+    }
+
+    const references = info.segmentDuration
+      ? SegmentTemplate.createFromDuration_(context, info, initSegmentReference)
+      : SegmentTemplate.createFromTimeline_(context, info, initSegmentReference)
+
+    /* * @type {SegmentIndex} */
+    let segmentIndex = null
+    let id = null
+    if (context.period.id && context.representation.id) {
+      // Only check/store the index if period and representation IDs are set.
+      id = context.period.id + ',' + context.representation.id
+      segmentIndex = segmentIndexMap[id]
+    }
+
+    if (segmentIndex) {
+      segmentIndex.merge(references)
+      const start = context.presentationTimeline.getSegmentAvailabilityStart()
+      segmentIndex.evict(start)
+    } else {
+      if (!info.segmentDuration) {
+        context.presentationTimeline.notifySegments(references)
+      }
+      segmentIndex = new SegmentIndex(references)
+      if (id && context.dynamic) {
+        segmentIndexMap[id] = segmentIndex
+      }
+    }
+
+    if (!context.dynamic || !context.periodInfo.isLastPeriod) {
+      segmentIndex.fit(periodStart, periodEnd)
+    }
+
+    return {
+      createSegmentIndex: () => Promise.resolve(),
+      segmentIndex: segmentIndex,
+      initSegmentReference: initSegmentReference,
+      scaledPresentationTimeOffset: info.scaledPresentationTimeOffset
+    }
+  }
+  /* *
+   * @param {?DashParser.InheritanceFrame} frame
+   * @return {Element}
+   * @private
+   */
+  static fromInheritance_(frame) {
+    return frame.segmentTemplate
+  }
+  /* *
+   * Parses a SegmentTemplate element into an info object.
+   *
+   * @param {DashParser.Context} context
+   * @return {SegmentTemplate.SegmentTemplateInfo}
+   * @private
+   */
+  static parseSegmentTemplateInfo_(context) {
+    const segmentInfo = MpdUtils.parseSegmentInfo(context, SegmentTemplate.fromInheritance_)
+
+    const media = MpdUtils.inheritAttribute(context, SegmentTemplate.fromInheritance_, 'media')
+    const index = MpdUtils.inheritAttribute(context, SegmentTemplate.fromInheritance_, 'index')
+
+    return {
+      segmentDuration: segmentInfo.segmentDuration,
+      timescale: segmentInfo.timescale,
+      startNumber: segmentInfo.startNumber,
+      scaledPresentationTimeOffset: segmentInfo.scaledPresentationTimeOffset,
+      unscaledPresentationTimeOffset: segmentInfo.unscaledPresentationTimeOffset,
+      timeline: segmentInfo.timeline,
+      mediaTemplate: media,
+      indexTemplate: index
+    }
+  }
+  /* *
+   * Verifies a SegmentTemplate info object.
+   *
+   * @param {DashParser.Context} context
+   * @param {SegmentTemplate.SegmentTemplateInfo} info
+   * @throws {Error$1} When there is a parsing error.
+   * @private
+   */
+  static checkSegmentTemplateInfo_(context, info) {
+    let n = 0
+    n += info.indexTemplate ? 1 : 0
+    n += info.timeline ? 1 : 0
+    n += info.segmentDuration ? 1 : 0
+
+    if (n === 0) {
+      console.error('SegmentTemplate does not contain any segment information: the SegmentTemplate must contain either an index URL template, a SegmentTimeline, or a segment duration.', context.representation)
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_NO_SEGMENT_INFO)
+    } else if (n !== 1) {
+      console.warn('SegmentTemplate containes multiple segment information sources: the SegmentTemplate should only contain an index URL template, a SegmentTimeline or a segment duration.', context.representation)
+      if (info.indexTemplate) {
+        console.info('Using the index URL template by default.')
+        info.timeline = null
+        info.segmentDuration = null
+      } else {
+        console.assert(info.timeline, 'There should be a timeline')
+        console.info('Using the SegmentTimeline by default.')
+        info.segmentDuration = null
+      }
+    }
+
+    if (!info.indexTemplate && !info.mediaTemplate) {
+      console.error('SegmentTemplate does not contain sufficient segment information: the SegmentTemplate\'s media URL template is missing.', context.representation)
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_NO_SEGMENT_INFO)
+    }
+  }
+  /* *
+   * Resolves the index URL template into URIs.
+   *
+   * @param {DashParser.Context} context
+   * @param {SegmentTemplate.SegmentTemplateInfo} info
+   * @return {!Array.<string>}
+   * @private
+   */
+  static createIndexUris_(context, info) {
+    const representationId = context.representation.id
+    const bandwidth = context.bandwidth || null
+    const filledTemplate = MpdUtils.fillUriTemplate(info.indexTemplate, representationId, null, bandwidth, null)
+    return ManifestParserUtils.resolveUris(context.representation.baseUris, [filledTemplate])
+  }
+  /* *
+   * Creates segment references for a segment duration.
+   * 对于直播流，只生成当前可用窗口内的分片
+   *
+   * @param {DashParser.Context} context
+   * @param {SegmentTemplate.SegmentTemplateInfo} info
+   * @param {InitSegmentReference} initSegmentReference
+   * @return {!Array.<!SegmentReference>}
+   * @private
+   */
+  static createFromDuration_(context, info, initSegmentReference) {
+    console.assert(info.mediaTemplate, 'There should be a media template with duration')
+
+    const periodStart = context.periodInfo.start
+    const periodDuration = context.periodInfo.duration
+    const periodEnd = periodDuration ? periodStart + periodDuration : Infinity
+    const segmentDuration = info.segmentDuration
+    const timeline = context.presentationTimeline
+
+    // For VOD, every segment in the Period is available.  For live, generate
+    // only the segments in (or slightly ahead of) the availability window.
+    let windowStart = periodStart
+    let windowEnd = periodEnd
+    if (context.dynamic) {
+      windowStart = Math.max(periodStart, timeline.getSegmentAvailabilityStart())
+      windowEnd = Math.min(periodEnd, timeline.getSegmentAvailabilityEnd() + segmentDuration)
+    }
+
+    if (windowEnd === Infinity) {
+      console.warn('A SegmentTemplate with a segment duration needs a Period duration or mediaPresentationDuration for VOD content.', context.representation)
+      return []
+    }
+
+    const firstIndex = Math.max(0, Math.floor((windowStart - periodStart) / segmentDuration))
+    const lastIndex = Math.ceil((windowEnd - periodStart) / segmentDuration)
+
+    const timestampOffset = periodStart - info.scaledPresentationTimeOffset
+    const appendWindowEnd = periodEnd
+
+    const references = []
+    for (let i = firstIndex; i < lastIndex; i++) {
+      const position = i + info.startNumber
+      const segmentStart = i * segmentDuration
+      const segmentEnd = Math.min(segmentStart + segmentDuration, periodEnd - periodStart)
+      if (segmentEnd <= segmentStart) {
+        break
+      }
+      const unscaledStart = (segmentStart + info.scaledPresentationTimeOffset) * info.timescale
+      const getUris = SegmentTemplate.createUrisCallback_(context, info, position, unscaledStart)
+      references.push(new SegmentReference(
+        position,
+        periodStart + segmentStart,
+        periodStart + segmentEnd,
+        getUris,
+        /*  startByte= */ 0,
+        /*  endByte= */ null,
+        initSegmentReference,
+        timestampOffset,
+        /*  appendWindowStart= */ periodStart,
+        appendWindowEnd))
+    }
+    return references
+  }
+  /* *
+   * Creates segment references from a timeline.
+   *
+   * @param {DashParser.Context} context
+   * @param {SegmentTemplate.SegmentTemplateInfo} info
+   * @param {InitSegmentReference} initSegmentReference
+   * @return {!Array.<!SegmentReference>}
+   * @private
+   */
+  static createFromTimeline_(context, info, initSegmentReference) {
+    const periodStart = context.periodInfo.start
+    const periodDuration = context.periodInfo.duration
+    const timestampOffset = periodStart - info.scaledPresentationTimeOffset
+    const appendWindowEnd = periodDuration ? periodStart + periodDuration : Infinity
+
+    /* * @type {!Array.<!SegmentReference>} */
+    const references = []
+    for (let i = 0; i < info.timeline.length; i++) {
+      const start = info.timeline[i].start
+      const unscaledStart = info.timeline[i].unscaledStart
+      const end = info.timeline[i].end
+
+      // Note: i = k - 1, where k indexes the segments in the Representation.
+      const segmentReplacement = i + info.startNumber
+
+      // Consider the presentation time offset in segment uri computation
+      const timeReplacement = unscaledStart + info.unscaledPresentationTimeOffset
+      const getUris = SegmentTemplate.createUrisCallback_(context, info, segmentReplacement, timeReplacement)
+
+      references.push(new SegmentReference(
+        segmentReplacement,
+        periodStart + start,
+        periodStart + end,
+        getUris,
+        /*  startByte= */ 0,
+        /*  endByte= */ null,
+        initSegmentReference,
+        timestampOffset,
+        /*  appendWindowStart= */ periodStart,
+        appendWindowEnd))
+    }
+
+    return references
+  }
+  /* *
+   * Creates a lazy URI callback for a media segment.
+   *
+   * @param {DashParser.Context} context
+   * @param {SegmentTemplate.SegmentTemplateInfo} info
+   * @param {number} number
+   * @param {number} time
+   * @return {function():!Array.<string>}
+   * @private
+   */
+  static createUrisCallback_(context, info, number, time) {
+    const repId = context.representation.id
+    const bandwidth = context.bandwidth || null
+    const baseUris = context.representation.baseUris
+    const template = info.mediaTemplate
+    return () => {
+      const mediaUri = MpdUtils.fillUriTemplate(template, repId, number, bandwidth, time)
+      return ManifestParserUtils.resolveUris(baseUris, [mediaUri])
+    }
+  }
+  /* *
+   * Creates an init segment reference from a context object.
+   *
+   * @param {DashParser.Context} context
+   * @return {InitSegmentReference}
+   * @private
+   */
+  static createInitSegment_(context) {
+    const initialization = MpdUtils.inheritAttribute(context, SegmentTemplate.fromInheritance_, 'initialization')
+    if (!initialization) {
+      return null
+    }
+
+    const repId = context.representation.id
+    const bandwidth = context.bandwidth || null
+    const baseUris = context.representation.baseUris
+    const getUris = () => {
+      console.assert(initialization, 'Should have returned earler')
+      const filledTemplate = MpdUtils.fillUriTemplate(initialization, repId, null, bandwidth, null)
+      const resolvedUris = ManifestParserUtils.resolveUris(baseUris, [filledTemplate])
+      return resolvedUris
+    }
+
+    return new InitSegmentReference(getUris, 0, null)
+  }
+}
+/* *
+ * @typedef {{
+ *   timescale: number,
+ *   segmentDuration: ?number,
+ *   startNumber: number,
+ *   scaledPresentationTimeOffset: number,
+ *   unscaledPresentationTimeOffset: number,
+ *   timeline: Array.<MpdUtils.TimeRange>,
+ *   mediaTemplate: ?string,
+ *   indexTemplate: ?string
+ * }}
+ * @private
+ *
+ * @description
+ * Contains information about a SegmentTemplate.
+ */
+SegmentTemplate.SegmentTemplateInfo = undefined
+
+/* *
+ * Creates a new DASH parser.
+ * DASH 清单解析器：解析 MPD，生成 Period / Variant / 文本流结构
+ *
+ * @implements {shaka.extern.ManifestParser}
+ * @export
+ */
+class DashParser {
+  constructor() {
+    /* * @private {?shaka.extern.ManifestConfiguration} */
+    this.config_ = null
+
+    /* * @private {?shaka.extern.ManifestParser.PlayerInterface} */
+    this.playerInterface_ = null
+
+    /* * @private {!Array.<string>} */
+    this.manifestUris_ = []
+
+    /* * @private {?shaka.extern.Manifest} */
+    this.manifest_ = null
+
+    /* * @private {!Array.<string>} */
+    this.periodIds_ = []
+
+    /* * @private {number} */
+    this.globalId_ = 1
+
+    /* *
+     * A map of IDs to SegmentIndex objects.
+     * ID: Period@id,AdaptationSet@id,@Representation@id
+     * e.g.: '1,5,23'
+     * @private {!Object.<string, !SegmentIndex>}
+     */
+    this.segmentIndexMap_ = {}
+
+    /* *
+     * The update period in seconds, or 0 for no updates.
+     * @private {number}
+     */
+    this.updatePeriod_ = 0
+
+    /* *
+     * An ewma that tracks how long updates take.
+     * This is to mitigate issues caused by slow parsing on embedded devices.
+     * @private {!Ewma}
+     */
+    this.averageUpdateDuration_ = new Ewma(5)
+
+    /* * @private {Timer} */
+    this.updateTimer_ = new Timer(() => {
+      this.onUpdate_()
+    })
+
+    /* * @private {!OperationManager} */
+    this.operationManager_ = new OperationManager()
+  }
+  /* *
+   * @override
+   * @exportInterface
+   */
+  configure(config) {
+    console.assert(config.dash !== null, 'DashManifestConfiguration should not be null!')
+
+    this.config_ = config
+  }
+  /* *
+   * @override
+   * @exportInterface
+   */
+  async start(uri, playerInterface) {
+    console.assert(this.config_, 'Must call configure() before start()!')
+    this.manifestUris_ = [uri]
+    this.playerInterface_ = playerInterface
+
+    const updateDelay = await this.requestManifest_()
+
+    if (this.playerInterface_) {
+      this.setUpdateTimer_(updateDelay)
+    }
+
+    // Make sure that the parser has not been destroyed.
+    if (!this.playerInterface_) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.PLAYER,
+        Error$1.Code.OPERATION_ABORTED)
+    }
+
+    console.assert(this.manifest_, 'Manifest should be non-null!')
+    return this.manifest_
+  }
+  /* *
+   * @override
+   * @exportInterface
+   */
+  stop() {
+    this.playerInterface_ = null
+    this.config_ = null
+    this.manifestUris_ = []
+    this.manifest_ = null
+    this.periodIds_ = []
+    this.segmentIndexMap_ = {}
+
+    if (this.updateTimer_ !== null) {
+      this.updateTimer_.stop()
+      this.updateTimer_ = null
+    }
+
+    return this.operationManager_.destroy()
+  }
+  /* *
+   * @override
+   * @exportInterface
+   */
+  async update() {
+    try {
+      await this.requestManifest_()
+    } catch (error) {
+      if (!this.playerInterface_ || !error) {
+        return
+      }
+      console.assert(error instanceof Error$1, 'Bad error type')
+      this.playerInterface_.onError(error)
+    }
+  }
+  /* *
+   * @override
+   * @exportInterface
+   */
+  onExpirationUpdated(sessionId, expiration) {
+    // No-op
+  }
+  /* *
+   * Makes a network request for the manifest and parses the resulting data.
+   *
+   * @return {!Promise.<number>} Resolves with the time it took, in seconds, to
+   *   fulfill the request and parse the data.
+   * @private
+   */
+  async requestManifest_() {
+    const requestType = NetworkingEngine.RequestType.MANIFEST
+    const request = NetworkingEngine.makeRequest(this.manifestUris_, this.config_.retryParameters)
+    const networkingEngine = this.playerInterface_.networkingEngine
+
+    const startTime = Date.now()
+    const operation = networkingEngine.request(requestType, request)
+    this.operationManager_.manage(operation)
+
+    const response = await operation.promise
+
+    // Detect calls to stop().
+    if (!this.playerInterface_) {
+      return 0
+    }
+
+    // For redirections add the response uri to the first entry in the
+    // Manifest Uris array.
+    if (response.uri && !this.manifestUris_.includes(response.uri)) {
+      this.manifestUris_.unshift(response.uri)
+    }
+
+    // This may throw, but it will result in a failed promise.
+    await this.parseManifest_(response.data, response.uri)
+    // Keep track of how long the longest manifest update took.
+    const endTime = Date.now()
+    const updateDuration = (endTime - startTime) / 1000.0
+    this.averageUpdateDuration_.sample(1, updateDuration)
+
+    // Let the caller know how long this update took.
+    return updateDuration
+  }
+  /* *
+   * Parses the manifest XML.  This also handles updates and will update the
+   * stored manifest.
+   *
+   * @param {BufferSource} data
+   * @param {string} finalManifestUri The final manifest URI, which may
+   *   differ from this.manifestUri_ if there has been a redirect.
+   * @return {!Promise}
+   * @throws {Error$1} When there is a parsing error.
+   * @private
+   */
+  async parseManifest_(data, finalManifestUri) {
+    const mpd = XmlUtils.parseXml(data, 'MPD')
+    if (!mpd) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_INVALID_XML,
+        finalManifestUri)
+    }
+
+    if (XmlUtils.findChildren(mpd, 'Period').some((p) => p.getAttributeNS('http://www.w3.org/1999/xlink', 'href'))) {
+      // Remote (xlink) periods are not resolved by this parser.
+      console.warn('xlink:href Periods are not supported and will be ignored.')
+    }
+
+    // Get any Location elements.  This will update the manifest location and
+    // the base URI.
+    /* * @type {!Array.<string>} */
+    let manifestBaseUris = [finalManifestUri]
+    /* * @type {!Array.<string>} */
+    const locations = XmlUtils.findChildren(mpd, 'Location')
+      .map(XmlUtils.getContents)
+      .filter(Functional.isNotNull)
+    if (locations.length > 0) {
+      const absoluteLocations = ManifestParserUtils.resolveUris(manifestBaseUris, locations)
+      this.manifestUris_ = absoluteLocations
+      manifestBaseUris = absoluteLocations
+    }
+
+    const uris = XmlUtils.findChildren(mpd, 'BaseURL').map(XmlUtils.getContents)
+    const baseUris = ManifestParserUtils.resolveUris(manifestBaseUris, uris)
+
+    let availabilityTimeOffset = 0
+    if (uris && uris.length) {
+      availabilityTimeOffset = XmlUtils.parseAttr(XmlUtils.findChildren(mpd, 'BaseURL')[0], 'availabilityTimeOffset', XmlUtils.parseFloat) || 0
+    }
+
+    const ignoreMinBufferTime = this.config_.dash.ignoreMinBufferTime
+    let minBufferTime = 0
+    if (!ignoreMinBufferTime) {
+      minBufferTime = XmlUtils.parseAttr(mpd, 'minBufferTime', XmlUtils.parseDuration)
+    }
+
+    this.updatePeriod_ = /* * @type {number} */ (XmlUtils.parseAttr(mpd, 'minimumUpdatePeriod', XmlUtils.parseDuration, -1))
+
+    const presentationStartTime = XmlUtils.parseAttr(mpd, 'availabilityStartTime', XmlUtils.parseDate)
+    let segmentAvailabilityDuration = XmlUtils.parseAttr(mpd, 'timeShiftBufferDepth', XmlUtils.parseDuration)
+
+    const ignoreSuggestedPresentationDelay = this.config_.dash.ignoreSuggestedPresentationDelay
+    let suggestedPresentationDelay = null
+    if (!ignoreSuggestedPresentationDelay) {
+      suggestedPresentationDelay = XmlUtils.parseAttr(mpd, 'suggestedPresentationDelay', XmlUtils.parseDuration)
+    }
+
+    const maxSegmentDuration = XmlUtils.parseAttr(mpd, 'maxSegmentDuration', XmlUtils.parseDuration)
+    const mpdType = mpd.getAttribute('type') || 'static'
+
+    /* * @type {!PresentationTimeline} */
+    let presentationTimeline
+    if (this.manifest_) {
+      presentationTimeline = this.manifest_.presentationTimeline
+    } else {
+      // DASH IOP v3.0 suggests using a default delay between minBufferTime
+      // and timeShiftBufferDepth.  This is literally the range of all
+      // feasible choices for the value.  Nothing older than
+      // timeShiftBufferDepth is still available, and anything less than
+      // minBufferTime will cause buffering issues.
+      //
+      // We have decided that our default will be 1.5 * minBufferTime,
+      // or 10s (configurable) whichever is larger.  This is fairly
+      // conservative.  Content providers should provide a suggestedPresentationDelay
+      // whenever possible to optimize the live streaming experience.
+      const defaultPresentationDelay = Math.max(
+        this.config_.dash.defaultPresentationDelay,
+        minBufferTime * 1.5)
+      const presentationDelay = suggestedPresentationDelay !== null
+        ? suggestedPresentationDelay : defaultPresentationDelay
+      presentationTimeline = new PresentationTimeline(
+        presentationStartTime, presentationDelay,
+        this.config_.dash.autoCorrectDrift)
+    }
+
+    /* * @type {DashParser.Context} */
+    const context = {
+      // Don't base on updatePeriod_ since emsg boxes can cause manifest
+      // updates.
+      dynamic: mpdType !== 'static',
+      presentationTimeline: presentationTimeline,
+      period: null,
+      periodInfo: null,
+      adaptationSet: null,
+      representation: null,
+      bandwidth: 0,
+      indexRangeWarningGiven: false,
+      availabilityTimeOffset: availabilityTimeOffset
+    }
+
+    const periodsAndDuration = this.parsePeriods_(context, baseUris, mpd)
+    const duration = periodsAndDuration.duration
+    const periods = periodsAndDuration.periods
+
+    presentationTimeline.setStatic(mpdType === 'static')
+    if (mpdType === 'static' || !periodsAndDuration.durationDerivedFromPeriods) {
+      // Ignore duration calculated from Period lengths if this is dynamic.
+      presentationTimeline.setDuration(duration || Infinity)
+    }
+
+    // The segments are available earlier than the availability start time.
+    // If the stream is low latency and the user has not configured the
+    // lowLatencyMode, but if it has been configured to activate the
+    // lowLatencyMode if a stream of this type is detected, we automatically
+    // activate the lowLatencyMode.
+    if (this.config_.availabilityWindowOverride && !isNaN(this.config_.availabilityWindowOverride)) {
+      segmentAvailabilityDuration = this.config_.availabilityWindowOverride
+    }
+
+    if (segmentAvailabilityDuration === null) {
+      // The spec says that the availability window is infinite if the
+      // attribute is missing.
+      segmentAvailabilityDuration = Infinity
+    }
+    presentationTimeline.setSegmentAvailabilityDuration(segmentAvailabilityDuration)
+
+    // Use @maxSegmentDuration to override smaller, derived values.
+    presentationTimeline.notifyMaxSegmentDuration(maxSegmentDuration || 1)
+
+    if (this.manifest_) {
+      // This is a manifest update, so we're done.
+      this.manifest_.periods = this.manifest_.periods.concat(periods)
+      if (periods.length > 0) {
+        await this.playerInterface_.filterNewPeriod(periods[periods.length - 1])
+      }
+      return
+    }
+
+    // This is the first manifest parse, so we cannot return until we calculate
+    // the clock offset.
+    const timingElements = XmlUtils.findChildren(mpd, 'UTCTiming')
+
+    const offset = await this.parseUtcTiming_(baseUris, timingElements)
+    // Detect calls to stop().
+    if (!this.playerInterface_) {
+      return
+    }
+
+    presentationTimeline.setClockOffset(offset)
+
+    this.manifest_ = {
+      presentationTimeline: presentationTimeline,
+      periods: periods,
+      offlineSessionIds: [],
+      minBufferTime: minBufferTime || 0
+    }
+
+    await this.playerInterface_.filterAllPeriods(this.manifest_.periods)
+  }
+  /* *
+   * Reads and parses the periods from the manifest.  This first does some
+   * partial parsing so the start and duration is available when parsing
+   * children.
+   *
+   * @param {DashParser.Context} context
+   * @param {!Array.<string>} baseUris
+   * @param {!Element} mpd
+   * @return {{
+   *   periods: !Array.<shaka.extern.Period>,
+   *   duration: ?number,
+   *   durationDerivedFromPeriods: boolean
+   * }}
+   * @private
+   */
+  parsePeriods_(context, baseUris, mpd) {
+    const presentationDuration = XmlUtils.parseAttr(mpd, 'mediaPresentationDuration', XmlUtils.parseDuration)
+
+    const periods = []
+    let prevEnd = 0
+    const periodNodes = XmlUtils.findChildren(mpd, 'Period')
+    for (let i = 0; i < periodNodes.length; i++) {
+      const elem = periodNodes[i]
+      const next = periodNodes[i + 1]
+      const start = /* * @type {number} */ (XmlUtils.parseAttr(elem, 'start', XmlUtils.parseDuration, prevEnd))
+      const givenDuration = XmlUtils.parseAttr(elem, 'duration', XmlUtils.parseDuration)
+
+      let periodDuration = null
+      if (next) {
+        // 'The difference between the start time of a Period and the start time
+        // of the following Period is the duration of the media content
+        // represented by this Period.'
+        const nextStart = XmlUtils.parseAttr(next, 'start', XmlUtils.parseDuration)
+        if (nextStart !== null) {
+          periodDuration = nextStart - start
+        }
+      } else if (presentationDuration !== null) {
+        // 'The Period extends until the Period.start of the next Period, or
+        // until the end of the Media Presentation in the case of the last
+        // Period.'
+        periodDuration = presentationDuration - start
+      }
+
+      const threshold = ManifestParserUtils.GAP_OVERLAP_TOLERANCE_SECONDS
+      if (periodDuration && givenDuration && Math.abs(periodDuration - givenDuration) > threshold) {
+        console.warn('There is a gap/overlap between Periods', elem)
+      }
+      // Only use the @duration in the MPD if we can't calculate it.  We should
+      // favor the @start of the following Period.  This ensures that there
+      // aren't gaps between Periods.
+      if (periodDuration === null) {
+        periodDuration = givenDuration
+      }
+
+      // Parse child nodes.
+      const info = {
+        start: start,
+        duration: periodDuration,
+        node: elem,
+        index: i,
+        isLastPeriod: periodDuration === null || !next
+      }
+      const period = this.parsePeriod_(context, baseUris, info)
+      periods.push(period)
+
+      // If the period ID is new, add it to the list.  This must be done for
+      // both the initial manifest parse and for updates.
+      // See https://github.com/google/shaka-player/issues/963
+      const periodId = context.period.id
+      console.assert(periodId, 'Period IDs should not be null!')
+      if (!this.periodIds_.includes(periodId)) {
+        this.periodIds_.push(periodId)
+      }
+
+      if (periodDuration === null) {
+        if (next) {
+          // If the duration is still null and we aren't at the end, then we
+          // will skip any remaining periods.
+          console.warn('Skipping Period', i + 1, 'and any subsequent Periods:', 'Period', i + 1, 'does not have a valid start time.', next)
+        }
+
+        // The duration is unknown, so the end is unknown.
+        prevEnd = null
+        break
+      }
+
+      prevEnd = start + periodDuration
+    }
+
+    // If the manifest is an update, only return the periods which are new.
+    const newPeriods = this.manifest_
+      ? periods.filter((p) => !this.manifest_.periods.some((old) => old.startTime === p.startTime))
+      : periods
+
+    if (presentationDuration !== null) {
+      if (prevEnd !== presentationDuration) {
+        console.warn('@mediaPresentationDuration does not match the total duration of all Periods.')
+        // Assume @mediaPresentationDuration is correct.
+      }
+      return {
+        periods: newPeriods,
+        duration: presentationDuration,
+        durationDerivedFromPeriods: false
+      }
+    } else {
+      return {
+        periods: newPeriods,
+        duration: prevEnd,
+        durationDerivedFromPeriods: true
+      }
+    }
+  }
+  /* *
+   * Parses a Period XML element.  Unlike the other parse methods, this is not
+   * given the Node; it is given a PeriodInfo structure.  Also, partial parsing
+   * was done before this was called so start and duration are valid.
+   *
+   * @param {DashParser.Context} context
+   * @param {!Array.<string>} baseUris
+   * @param {DashParser.PeriodInfo} periodInfo
+   * @return {shaka.extern.Period}
+   * @throws {Error$1} When there is a parsing error.
+   * @private
+   */
+  parsePeriod_(context, baseUris, periodInfo) {
+    const ContentType = ManifestParserUtils.ContentType
+
+    context.period = this.createFrame_(periodInfo.node, null, baseUris)
+    context.periodInfo = periodInfo
+
+    // If the period doesn't have an ID, give it one based on its start time.
+    if (!context.period.id) {
+      console.info('No Period ID given for Period with start time ' + periodInfo.start + ',  Assigning a default')
+      context.period.id = '__shaka_period_' + periodInfo.start
+    }
+
+    const adaptationSetNodes = XmlUtils.findChildren(periodInfo.node, 'AdaptationSet')
+    const adaptationSets = adaptationSetNodes
+      .map((node) => this.parseAdaptationSet_(context, node))
+      .filter(Functional.isNotNull)
+
+    // For dynamic manifests, we use rep IDs internally, and they must be
+    // unique.
+    if (context.dynamic) {
+      const ids = []
+      for (const set of adaptationSets) {
+        for (const id of set.representationIds) {
+          ids.push(id)
+        }
+      }
+
+      const uniqueIds = new Set(ids)
+
+      if (ids.length !== uniqueIds.size) {
+        throw new Error$1(
+          Error$1.Severity.CRITICAL,
+          Error$1.Category.MANIFEST,
+          Error$1.Code.DASH_DUPLICATE_REPRESENTATION_ID)
+      }
+    }
+
+    const normalAdaptationSets = adaptationSets.filter((as) => { return !as.trickModeFor })
+
+    const trickModeAdaptationSets = adaptationSets.filter((as) => { return as.trickModeFor })
+
+    // Attach trick mode tracks to normal tracks.
+    for (const trickModeSet of trickModeAdaptationSets) {
+      // There may be multiple trick mode streams, but we do not currently
+      // support that.  Just choose one.
+      const trickModeVideo = trickModeSet.streams[0]
+      const targetId = trickModeSet.trickModeFor
+      for (const normalSet of normalAdaptationSets) {
+        if (normalSet.id === targetId) {
+          for (const stream of normalSet.streams) {
+            stream.trickModeVideo = trickModeVideo
+          }
+        }
+      }
+    }
+
+    const audioSets = this.config_.disableAudio ? [] : this.getSetsOfType_(normalAdaptationSets, ContentType.AUDIO)
+    const videoSets = this.config_.disableVideo ? [] : this.getSetsOfType_(normalAdaptationSets, ContentType.VIDEO)
+    const textSets = this.config_.disableText ? [] : this.getSetsOfType_(normalAdaptationSets, ContentType.TEXT)
+
+    if (!videoSets.length && !audioSets.length) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_EMPTY_PERIOD)
+    }
+
+    // In case of audio-only or video-only content, we create an array of one
+    // item containing a null.  This way, the double-loop works for all kinds
+    // of content.
+    if (!audioSets.length) {
+      audioSets.push(null)
+    }
+    if (!videoSets.length) {
+      videoSets.push(null)
+    }
+
+    // TODO: Limit number of combinations.  Come up with a heuristic
+    // to decide which audio tracks to combine with which video tracks.
+    const variants = []
+    for (const audio of audioSets) {
+      for (const video of videoSets) {
+        this.createVariants_(audio, video, variants)
+      }
+    }
+
+    const textStreams = []
+    for (const textSet of textSets) {
+      textStreams.push(...textSet.streams)
+    }
+
+    return {
+      startTime: periodInfo.start,
+      textStreams: textStreams,
+      variants: variants
+    }
+  }
+  /* *
+   * @param {!Array.<!DashParser.AdaptationInfo>} adaptationSets
+   * @param {string} type
+   * @return {!Array.<!DashParser.AdaptationInfo>}
+   * @private
+   */
+  getSetsOfType_(adaptationSets, type) {
+    return adaptationSets.filter((as) => { return as.contentType === type })
+  }
+  /* *
+   * Combines Streams into Variants.
+   *
+   * @param {?DashParser.AdaptationInfo} audio
+   * @param {?DashParser.AdaptationInfo} video
+   * @param {!Array.<shaka.extern.Variant>} variants New variants are pushed
+   *   onto this array.
+   * @private
+   */
+  createVariants_(audio, video, variants) {
+    const ContentType = ManifestParserUtils.ContentType
+
+    // Since both audio and video are of the same type, this assertion will
+    // catch certain mistakes at runtime that the compiler would miss.
+    console.assert(!audio || audio.contentType === ContentType.AUDIO, 'Audio parameter mismatch!')
+    console.assert(!video || video.contentType === ContentType.VIDEO, 'Video parameter mismatch!')
+
+    /* * @type {number} */
+    let bandwidth
+    /* * @type {shaka.extern.Variant} */
+    let variant
+
+    if (!audio && !video) {
+      return
+    }
+
+    if (audio && video) {
+      for (const audioStream of audio.streams) {
+        for (const videoStream of video.streams) {
+          bandwidth = (audioStream.bandwidth || 0) + (videoStream.bandwidth || 0)
+          variant = this.createVariant_(audio, audioStream, videoStream, bandwidth, audio.main || video.main)
+          variants.push(variant)
+        }
+      }
+    } else {
+      const set = audio || video
+      for (const stream of set.streams) {
+        bandwidth = stream.bandwidth || 0
+        variant = this.createVariant_(
+          set,
+          audio ? stream : null,
+          video ? stream : null,
+          bandwidth,
+          set.main)
+        variants.push(variant)
+      }
+    }
+  }
+  /* *
+   * @param {!DashParser.AdaptationInfo} set
+   * @param {?shaka.extern.Stream} audio
+   * @param {?shaka.extern.Stream} video
+   * @param {number} bandwidth
+   * @param {boolean} primary
+   * @return {shaka.extern.Variant}
+   * @private
+   */
+  createVariant_(set, audio, video, bandwidth, primary) {
+    return {
+      id: this.globalId_++,
+      language: audio ? audio.language : 'und',
+      primary: primary,
+      audio: audio,
+      video: video,
+      bandwidth: bandwidth,
+      // DRM is not part of this build, so encrypted content is not offered.
+      drmInfos: [],
+      allowedByApplication: true,
+      allowedByKeySystem: !((audio && audio.encrypted) || (video && video.encrypted))
+    }
+  }
+  /* *
+   * Parses an AdaptationSet XML element.
+   *
+   * @param {DashParser.Context} context
+   * @param {!Element} elem The AdaptationSet element.
+   * @return {?DashParser.AdaptationInfo}
+   * @throws {Error$1} When there is a parsing error.
+   * @private
+   */
+  parseAdaptationSet_(context, elem) {
+    const ContentType = ManifestParserUtils.ContentType
+
+    context.adaptationSet = this.createFrame_(elem, context.period, null)
+
+    let main = false
+    const roleElements = XmlUtils.findChildren(elem, 'Role')
+    const roleValues = roleElements.map((role) => {
+      return role.getAttribute('value')
+    }).filter(Functional.isNotNull)
+
+    // Default kind for text streams is 'subtitle' if unspecified in the
+    // manifest.
+    let kind
+    const isText = context.adaptationSet.contentType === ContentType.TEXT
+    if (isText) {
+      kind = ManifestParserUtils.TextStreamKind.SUBTITLE
+    }
+
+    for (const roleElement of roleElements) {
+      const scheme = roleElement.getAttribute('schemeIdUri')
+      if (scheme === null || scheme === 'urn:mpeg:dash:role:2011') {
+        // These only apply for the given scheme, but allow them to be specified
+        // if there is no scheme specified.
+        // See: DASH section 5.8.5.5
+        const value = roleElement.getAttribute('value')
+        switch (value) {
+          case 'main':
+            main = true
+            break
+          case 'caption':
+          case 'subtitle':
+            kind = value
+            break
+        }
+      }
+    }
+
+    const essentialProperties = XmlUtils.findChildren(elem, 'EssentialProperty')
+    // ID of real AdaptationSet if this is a trick mode set:
+    let trickModeFor = null
+    let unrecognizedEssentialProperty = false
+    for (const prop of essentialProperties) {
+      const schemeId = prop.getAttribute('schemeIdUri')
+      if (schemeId === 'http://dashif.org/guidelines/trickmode') {
+        trickModeFor = prop.getAttribute('value')
+      } else {
+        unrecognizedEssentialProperty = true
+      }
+    }
+
+    const accessibilities = XmlUtils.findChildren(elem, 'Accessibility')
+    const closedCaptions = new Map()
+    for (const prop of accessibilities) {
+      const schemeId = prop.getAttribute('schemeIdUri')
+      const value = prop.getAttribute('value')
+      if (schemeId === 'urn:scte:dash:cc:cea-608:2015' || schemeId === 'urn:scte:dash:cc:cea-708:2015') {
+        let channelId = 1
+        if (value !== null) {
+          for (const captionStr of value.split(';')) {
+            let channel
+            let language
+            // Some closed caption descriptions have channel number and
+            // language, like 'CC1=eng' or '1=lang:eng', others may only have
+            // the language, like 'eng'.
+            if (!captionStr.includes('=')) {
+              // Since only odd numbers are used as channel numbers, like CC1,
+              // CC3, CC5, etc, when the channel number is not provided, use
+              // channelId as the channel number and increase it by 2 each time.
+              channel = 'CC' + channelId
+              channelId += 2
+              language = captionStr
+            } else {
+              const channelAndLanguage = captionStr.split('=')
+              // The channel info can be '1' or 'CC1'.
+              // If the channel info only has channel number(like '1'), add 'CC'
+              // as prefix so that it can be a full channel id (like 'CC1').
+              channel = channelAndLanguage[0].startsWith('CC')
+                ? channelAndLanguage[0] : 'CC' + channelAndLanguage[0]
+              // The language info can be different formats, like 'eng',
+              // 'lang:eng', or 'lang:eng,war:1,er:1'. Extract the language info
+              // and convert it to 2-letter language code format.
+              language = channelAndLanguage[1].split(',')[0].split(':').pop()
+            }
+            closedCaptions.set(channel, LanguageUtils.normalize(language))
+          }
+        } else {
+          // If channel and language information has not been provided, assign
+          // 'CC1' as channel id and 'und' as language info.
+          closedCaptions.set('CC1', 'und')
+        }
+      }
+    }
+
+    // According to DASH spec (2014) section 5.8.4.8, 'the successful processing
+    // of the descriptor is essential to properly use the information in the
+    // parent element'.  According to DASH IOP v3.3, section 3.3.4, 'if the
+    // scheme or the value' for EssentialProperty is not recognized, 'the DASH
+    // client shall ignore the parent element.'
+    if (unrecognizedEssentialProperty) {
+      // Stop parsing this AdaptationSet and let the caller filter out the
+      // nulls.
+      return null
+    }
+
+    // ContentProtection is parsed only to flag the streams as encrypted; key
+    // systems are not supported by this build.
+    const encrypted = XmlUtils.findChildren(elem, 'ContentProtection').length > 0
+
+    const language = LanguageUtils.normalize(elem.getAttribute('lang') || 'und')
+
+    // This attribute is currently non-standard, but it is supported by Kaltura.
+    let label = elem.getAttribute('label')
+
+    // See DASH IOP 4.3 here https://dashif.org/docs/DASH-IF-IOP-v4.3.pdf (page 35)
+    const labelElements = XmlUtils.findChildren(elem, 'Label')
+    if (labelElements && labelElements.length) {
+      // NOTE: Right now only one label field is supported.
+      const firstLabelElement = labelElements[0]
+      if (firstLabelElement.textContent) {
+        label = firstLabelElement.textContent
+      }
+    }
+
+    // Parse Representations into Streams.
+    const representations = XmlUtils.findChildren(elem, 'Representation')
+    const streams = representations.map((representation) => {
+      return this.parseRepresentation_(context, encrypted, kind, language, label, main, roleValues, closedCaptions, representation)
+    }).filter((s) => !!s)
+
+    if (streams.length === 0) {
+      // Ignore empty AdaptationSets if ignoreEmptyAdaptationSet is true
+      // or they are for text content.
+      if (this.config_.dash.ignoreEmptyAdaptationSet || isText) {
+        return null
+      }
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.DASH_EMPTY_ADAPTATION_SET)
+    }
+
+    // If AdaptationSet's type is unknown or is ambiguously 'application',
+    // guess based on the information in the first stream.  If the attributes
+    // mimeType and codecs are split across levels, they will both be inherited
+    // down to the stream level by this point, so the stream will have all the
+    // necessary information.
+    if (!context.adaptationSet.contentType || context.adaptationSet.contentType === ContentType.APPLICATION) {
+      const mimeType = streams[0].mimeType
+      const codecs = streams[0].codecs
+      context.adaptationSet.contentType = DashParser.guessContentType_(mimeType, codecs)
+
+      for (const stream of streams) {
+        stream.type = context.adaptationSet.contentType
+      }
+    }
+
+    const repIds = representations
+      .map((node) => { return node.getAttribute('id') })
+      .filter(Functional.isNotNull)
+
+    return {
+      id: context.adaptationSet.id || ('__fake__' + this.globalId_++),
+      contentType: context.adaptationSet.contentType,
+      language: language,
+      main: main,
+      streams: streams,
+      trickModeFor: trickModeFor,
+      representationIds: repIds
+    }
+  }
+  /* *
+   * Parses a Representation XML element.
+   *
+   * @param {DashParser.Context} context
+   * @param {boolean} encrypted
+   * @param {string|undefined} kind
+   * @param {string} language
+   * @param {string} label
+   * @param {boolean} isPrimary
+   * @param {!Array.<string>} roles
+   * @param {Map.<string, string>} closedCaptions
+   * @param {!Element} node
+   * @return {?shaka.extern.Stream} The Stream, or null when there is a
+   *   non-critical parsing error.
+   * @throws {Error$1} When there is a parsing error.
+   * @private
+   */
+  parseRepresentation_(context, encrypted, kind, language, label, isPrimary, roles, closedCaptions, node) {
+    const ContentType = ManifestParserUtils.ContentType
+
+    context.representation = this.createFrame_(node, context.adaptationSet, null)
+    if (!this.verifyRepresentation_(context.representation)) {
+      console.warn('Skipping Representation', context.representation)
+      return null
+    }
+
+    // NOTE: bandwidth is a mandatory attribute according to the spec, and zero
+    // does not make sense in the DASH spec's bandwidth formulas.
+    // In some content, however, the attribute is missing or zero.
+    // To avoid NaN at the variant level on broken content, fall back to zero.
+    // https://github.com/google/shaka-player/issues/938#issuecomment-317278180
+    context.bandwidth = XmlUtils.parseAttr(node, 'bandwidth', XmlUtils.parsePositiveInt) || 0
+
+    /* * @type {?DashParser.StreamInfo} */
+    let streamInfo
+
+    const requestInitSegment = (uris, startByte, endByte) => {
+      return this.requestInitSegment_(uris, startByte, endByte)
+    }
+
+    if (context.representation.segmentBase) {
+      streamInfo = SegmentBase.createStream(context, requestInitSegment)
+    } else if (context.representation.segmentList) {
+      streamInfo = SegmentList.createStream(context, this.segmentIndexMap_)
+    } else if (context.representation.segmentTemplate) {
+      streamInfo = SegmentTemplate.createStream(context, requestInitSegment, this.segmentIndexMap_, !!this.manifest_)
+    } else {
+      console.assert(context.representation.contentType === ContentType.TEXT || context.representation.contentType === ContentType.APPLICATION, 'Must have Segment* with non-text streams.')
+
+      const baseUris = context.representation.baseUris
+      const duration = context.periodInfo.duration || 0
+      const periodStart = context.periodInfo.start
+      streamInfo = {
+        createSegmentIndex: () => Promise.resolve(),
+        segmentIndex: duration
+          ? new SegmentIndex([new SegmentReference(
+            1, periodStart, periodStart + duration, () => baseUris,
+            /*  startByte= */ 0, /*  endByte= */ null,
+            /*  initSegmentReference= */ null, /*  timestampOffset= */ periodStart,
+            /*  appendWindowStart= */ periodStart,
+            /*  appendWindowEnd= */ periodStart + duration)])
+          : null,
+        initSegmentReference: null,
+        scaledPresentationTimeOffset: 0
+      }
+      if (!duration) {
+        console.warn('A text Representation without Segment* needs a Period duration.', context.representation)
+        return null
+      }
+    }
+
+    const contentProtectionElems = XmlUtils.findChildren(node, 'ContentProtection')
+    const hasKeySystem = encrypted || contentProtectionElems.length > 0
+
+    /* * @type {shaka.extern.Stream} */
+    const stream = {
+      id: this.globalId_++,
+      originalId: context.representation.id,
+      createSegmentIndex: () => streamInfo.createSegmentIndex().then(() => {
+        stream.segmentIndex = streamInfo.segmentIndex
+      }),
+      segmentIndex: streamInfo.segmentIndex,
+      mimeType: context.representation.mimeType,
+      codecs: context.representation.codecs,
+      frameRate: context.representation.frameRate,
+      pixelAspectRatio: context.representation.pixelAspectRatio,
+      bandwidth: context.bandwidth,
+      width: context.representation.width,
+      height: context.representation.height,
+      kind: kind,
+      encrypted: hasKeySystem,
+      keyId: null,
+      language: language,
+      label: label,
+      type: context.adaptationSet.contentType,
+      primary: isPrimary,
+      trickModeVideo: null,
+      emsgSchemeIdUris: context.representation.emsgSchemeIdUris,
+      roles: roles,
+      channelsCount: context.representation.numChannels,
+      audioSamplingRate: context.representation.audioSamplingRate,
+      closedCaptions: closedCaptions.size ? closedCaptions : null
+    }
+    return stream
+  }
+  /* *
+   * Called when the update timer ticks.
+   *
+   * @return {!Promise}
+   * @private
+   */
+  async onUpdate_() {
+    console.assert(this.updatePeriod_ >= 0, 'There should be an update period')
+
+    console.info('Updating manifest...')
+
+    // Default the update delay to 0 seconds so that if there is an error we can
+    // try again right away.
+    let updateDelay = 0
+
+    try {
+      updateDelay = await this.requestManifest_()
+    } catch (error) {
+      console.assert(error instanceof Error$1, 'Should only receive a Shaka error')
+
+      // Try updating again, but ensure we haven't been destroyed.
+      if (this.playerInterface_) {
+        // We will retry updating, so override the severity of the error.
+        error.severity = Error$1.Severity.RECOVERABLE
+        this.playerInterface_.onError(error)
+      }
+    }
+
+    // Detect a call to stop()
+    if (!this.playerInterface_) {
+      return
+    }
+
+    this.setUpdateTimer_(updateDelay)
+  }
+  /* *
+   * Sets the update timer.  Does nothing if the manifest does not specify an
+   * update period.
+   *
+   * @param {number} offset An offset, in seconds, to apply to the manifest's
+   *   update period.
+   * @private
+   */
+  setUpdateTimer_(offset) {
+    // NOTE: An updatePeriod_ of -1 means the attribute was missing.
+    // An attribute which is present and set to 0 should still result in
+    // periodic updates.  For more, see:
+    // https://github.com/google/shaka-player/issues/331
+    if (this.updatePeriod_ < 0) {
+      return
+    }
+
+    const finalDelay = Math.max(
+      DashParser.MIN_UPDATE_PERIOD_,
+      this.updatePeriod_ - offset,
+      this.averageUpdateDuration_.getEstimate())
+
+    // We do not run the update timer repeatedly.
+    this.updateTimer_.tickAfter(/*  seconds= */ finalDelay)
+  }
+  /* *
+   * Creates a new inheritance frame for the given element.
+   *
+   * @param {!Element} elem
+   * @param {?DashParser.InheritanceFrame} parent
+   * @param {Array.<string>} baseUris
+   * @return {DashParser.InheritanceFrame}
+   * @private
+   */
+  createFrame_(elem, parent, baseUris) {
+    console.assert(parent || baseUris, 'Must provide either parent or baseUris')
+
+    parent = parent || /* * @type {DashParser.InheritanceFrame} */ ({
+      contentType: '',
+      mimeType: '',
+      codecs: '',
+      emsgSchemeIdUris: [],
+      frameRate: undefined,
+      numChannels: null,
+      audioSamplingRate: null
+    })
+    baseUris = baseUris || parent.baseUris
+
+    const parseNumber = XmlUtils.parseNonNegativeInt
+    const evalDivision = XmlUtils.evalDivision
+    const uris = XmlUtils.findChildren(elem, 'BaseURL').map(XmlUtils.getContents)
+
+    let contentType = elem.getAttribute('contentType') || parent.contentType
+    const mimeType = elem.getAttribute('mimeType') || parent.mimeType
+    const codecs = elem.getAttribute('codecs') || parent.codecs
+    const frameRate = XmlUtils.parseAttr(elem, 'frameRate', evalDivision) || parent.frameRate
+    const pixelAspectRatio = elem.getAttribute('sar') || parent.pixelAspectRatio
+    const emsgSchemeIdUris = this.emsgSchemeIdUris_(XmlUtils.findChildren(elem, 'InbandEventStream'), parent.emsgSchemeIdUris)
+    const audioChannelConfigs = XmlUtils.findChildren(elem, 'AudioChannelConfiguration')
+    const numChannels = this.parseAudioChannels_(audioChannelConfigs) || parent.numChannels
+    const audioSamplingRate = XmlUtils.parseAttr(elem, 'audioSamplingRate', parseNumber) || parent.audioSamplingRate
+
+    if (!contentType) {
+      contentType = DashParser.guessContentType_(mimeType, codecs)
+    }
+
+    return {
+      baseUris: ManifestParserUtils.resolveUris(baseUris, uris),
+      segmentBase: XmlUtils.findChild(elem, 'SegmentBase') || parent.segmentBase,
+      segmentList: XmlUtils.findChild(elem, 'SegmentList') || parent.segmentList,
+      segmentTemplate: XmlUtils.findChild(elem, 'SegmentTemplate') || parent.segmentTemplate,
+      width: XmlUtils.parseAttr(elem, 'width', parseNumber) || parent.width,
+      height: XmlUtils.parseAttr(elem, 'height', parseNumber) || parent.height,
+      contentType: contentType,
+      mimeType: mimeType,
+      codecs: codecs,
+      frameRate: frameRate,
+      pixelAspectRatio: pixelAspectRatio,
+      emsgSchemeIdUris: emsgSchemeIdUris,
+      id: elem.getAttribute('id'),
+      numChannels: numChannels,
+      audioSamplingRate: audioSamplingRate
+    }
+  }
+  /* *
+   * Returns a new array of InbandEventStream schemeIdUri containing the union
+   * of the ones parsed from inBandEventStreams and the ones provided in
+   * emsgSchemeIdUris.
+   *
+   * @param {!Array.<!Element>} inBandEventStreams Array of InbandEventStream
+   *     elements to parse and add to the returned array.
+   * @param {!Array.<string>} emsgSchemeIdUris Array of parsed
+   *     InbandEventStream schemeIdUri attributes to add to the returned array.
+   * @return {!Array.<string>} schemeIdUris Array of parsed
+   *     InbandEventStream schemeIdUri attributes.
+   * @private
+   */
+  emsgSchemeIdUris_(inBandEventStreams, emsgSchemeIdUris) {
+    const schemeIdUris = emsgSchemeIdUris.slice()
+    for (const event of inBandEventStreams) {
+      const schemeIdUri = event.getAttribute('schemeIdUri')
+      if (!schemeIdUris.includes(schemeIdUri)) {
+        schemeIdUris.push(schemeIdUri)
+      }
+    }
+    return schemeIdUris
+  }
+  /* *
+   * @param {!Array.<!Element>} audioChannelConfigs An array of
+   *   AudioChannelConfiguration elements.
+   * @return {?number} The number of audio channels, or null if unknown.
+   * @private
+   */
+  parseAudioChannels_(audioChannelConfigs) {
+    for (const elem of audioChannelConfigs) {
+      const scheme = elem.getAttribute('schemeIdUri')
+      if (!scheme) {
+        continue
+      }
+
+      const value = elem.getAttribute('value')
+      if (!value) {
+        continue
+      }
+
+      switch (scheme) {
+        case 'urn:mpeg:dash:outputChannelPositionList:2012':
+          // A space-separated list of speaker positions, so the number of
+          // channels is the length of this list.
+          return value.trim().split(/ +/).length
+
+        case 'urn:mpeg:dash:23003:3:audio_channel_configuration:2011':
+        case 'urn:dts:dash:audio_channel_configuration:2012': {
+          // As far as we can tell, this is a number of channels.
+          const intValue = XmlUtils.parsePositiveInt(value)
+          if (intValue) {
+            return intValue
+          }
+          continue
+        }
+
+        case 'tag:dolby.com,2014:dash:audio_channel_configuration:2011':
+        case 'urn:dolby:dash:audio_channel_configuration:2011': {
+          // A hex-encoded 16-bit integer, in which each bit represents a
+          // channel.
+          let hexValue = window.parseInt(value, 16)
+          if (!hexValue) { // 0 or NaN
+            console.warn('Channel parsing failure! Ignoring scheme and value', scheme, value)
+            continue
+          }
+          // Count the 1-bits in hexValue.
+          let numBits = 0
+          while (hexValue) {
+            if (hexValue & 1) {
+              ++numBits
+            }
+            hexValue >>= 1
+          }
+          return numBits
+        }
+
+        default:
+          console.warn('Unrecognized audio channel scheme:', scheme, value)
+          continue
+      }
+    }
+
+    return null
+  }
+  /* *
+   * Verifies that a Representation has exactly one Segment* element.  Prints
+   * warnings if there is a problem.
+   *
+   * @param {DashParser.InheritanceFrame} frame
+   * @return {boolean} True if the Representation is usable; otherwise return
+   *   false.
+   * @private
+   */
+  verifyRepresentation_(frame) {
+    const ContentType = ManifestParserUtils.ContentType
+
+    let n = 0
+    n += frame.segmentBase ? 1 : 0
+    n += frame.segmentList ? 1 : 0
+    n += frame.segmentTemplate ? 1 : 0
+
+    if (n === 0) {
+      // TODO: Extend with the list of MIME types registered to TextEngine.
+      if (frame.contentType === ContentType.TEXT || frame.contentType === ContentType.APPLICATION) {
+        return true
+      } else {
+        console.warn('Representation does not contain a segment information source: the Representation must contain one of SegmentBase, SegmentList, SegmentTemplate, or explicitly indicate that it is "text".', frame)
+        return false
+      }
+    }
+
+    if (n !== 1) {
+      console.warn('Representation contains multiple segment information sources: the Representation should only contain one of SegmentBase, SegmentList, or SegmentTemplate.', frame)
+      if (frame.segmentBase) {
+        console.info('Using SegmentBase by default.')
+        frame.segmentList = null
+        frame.segmentTemplate = null
+      } else {
+        console.assert(frame.segmentList, 'There should be a SegmentList')
+        console.info('Using SegmentList by default.')
+        frame.segmentTemplate = null
+      }
+    }
+
+    return true
+  }
+  /* *
+   * Makes a request to the given URI and calculates the clock offset.
+   *
+   * @param {!Array.<string>} baseUris
+   * @param {string} uri
+   * @param {string} method
+   * @return {!Promise.<number>}
+   * @private
+   */
+  async requestForTiming_(baseUris, uri, method) {
+    const requestUris = ManifestParserUtils.resolveUris(baseUris, [uri])
+    const request = NetworkingEngine.makeRequest(requestUris, this.config_.retryParameters)
+    request.method = method
+    const type = NetworkingEngine.RequestType.TIMING
+
+    const operation = this.playerInterface_.networkingEngine.request(type, request)
+    this.operationManager_.manage(operation)
+
+    const response = await operation.promise
+    let text
+    if (method === 'HEAD') {
+      if (!response.headers || !response.headers['date']) {
+        console.warn('UTC timing response is missing', 'expected date header')
+        return 0
+      }
+      text = response.headers['date']
+    } else {
+      text = StringUtils.fromUTF8(response.data)
+    }
+    const date = Date.parse(text)
+    if (isNaN(date)) {
+      console.warn('Unable to parse date from UTC timing response')
+      return 0
+    }
+    return (date - Date.now())
   }
-
   /* *
-   * @param {ManifestParserUtils.ContentType} contentType
+   * Parses an array of UTCTiming elements.
+   *
+   * @param {!Array.<string>} baseUris
+   * @param {!Array.<!Element>} elems
+   * @return {!Promise.<number>}
    * @private
    */
-  onUpdateEnd_(contentType) {
-    const operation = this.queues_[contentType][0]
-    console.assert(operation, 'Spurious updateend event!')
-    if (!operation) {
-      return
+  async parseUtcTiming_(baseUris, elems) {
+    const schemesAndValues = elems.map((elem) => {
+      return {
+        scheme: elem.getAttribute('schemeIdUri'),
+        value: elem.getAttribute('value')
+      }
+    })
+
+    // If there's nothing specified in the manifest, but we have a default from
+    // the config, use that.
+    const clockSyncUri = this.config_.dash.clockSyncUri
+    if (!schemesAndValues.length && clockSyncUri) {
+      schemesAndValues.push({
+        scheme: 'urn:mpeg:dash:utc:http-head:2014',
+        value: clockSyncUri
+      })
     }
-    console.assert(!this.sourceBuffers_[contentType].updating,
-      'SourceBuffer should not be updating on updateend!')
-    operation.p.resolve()
-    this.popFromQueue_(contentType)
+
+    for (const sv of schemesAndValues) {
+      try {
+        const scheme = sv.scheme
+        const value = sv.value
+        switch (scheme) {
+          // See DASH IOP Guidelines Section 4.7
+          // https://bit.ly/DashIop3-2
+          // Some old ISO23009-1 drafts used 2012.
+          case 'urn:mpeg:dash:utc:http-head:2014':
+          case 'urn:mpeg:dash:utc:http-head:2012':
+            return await this.requestForTiming_(baseUris, value, 'HEAD')
+          case 'urn:mpeg:dash:utc:http-xsdate:2014':
+          case 'urn:mpeg:dash:utc:http-iso:2014':
+          case 'urn:mpeg:dash:utc:http-xsdate:2012':
+          case 'urn:mpeg:dash:utc:http-iso:2012':
+            return await this.requestForTiming_(baseUris, value, 'GET')
+          case 'urn:mpeg:dash:utc:direct:2014':
+          case 'urn:mpeg:dash:utc:direct:2012': {
+            const date = Date.parse(value)
+            return isNaN(date) ? 0 : (date - Date.now())
+          }
+
+          case 'urn:mpeg:dash:utc:http-ntp:2014':
+          case 'urn:mpeg:dash:utc:ntp:2014':
+          case 'urn:mpeg:dash:utc:sntp:2014':
+            console.warn('NTP UTCTiming scheme is not supported')
+            break
+          default:
+            console.warn('Unrecognized scheme in UTCTiming element', scheme)
+            break
+        }
+      } catch (e) {
+        console.warn('Error fetching time from UTCTiming elem', e.message)
+      }
+    }
+
+    console.warn('A UTCTiming element should always be given in live manifests! This content may not play on clients with bad clocks!')
+    return 0
   }
+  /* *
+   * Makes a network request on behalf of SegmentBase.createStream.
+   *
+   * @param {!Array.<string>} uris
+   * @param {?number} startByte
+   * @param {?number} endByte
+   * @return {!Promise.<BufferSource>}
+   * @private
+   */
+  async requestInitSegment_(uris, startByte, endByte) {
+    const requestType = NetworkingEngine.RequestType.SEGMENT
+
+    const request = Networking.createSegmentRequest(
+      uris,
+      startByte,
+      endByte,
+      this.config_.retryParameters)
 
+    const networkingEngine = this.playerInterface_.networkingEngine
+    const operation = networkingEngine.request(requestType, request)
+    this.operationManager_.manage(operation)
+    const response = await operation.promise
+    return response.data
+  }
   /* *
-   * Enqueue an operation and start it if appropriate.
+   * Guess the content type based on MIME type and codecs.
    *
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @param {function()} start
-   * @return {!Promise}
+   * @param {string} mimeType
+   * @param {string} codecs
+   * @return {string}
    * @private
    */
-  enqueueOperation_(contentType, start) {
-    this.destroyer_.ensureNotDestroyed()
+  static guessContentType_(mimeType, codecs) {
+    const fullMimeType = MimeUtils.getFullType(mimeType, codecs)
 
-    const operation = {
-      start: start,
-      p: new PublicPromise()
+    if (TextEngine.isTypeSupported(fullMimeType)) {
+      // If it's supported by TextEngine, it's definitely text.
+      // We don't check MediaSourceEngine, because that would report support
+      // for platform-supported video and audio types as well.
+      return ManifestParserUtils.ContentType.TEXT
     }
-    this.queues_[contentType].push(operation)
 
-    if (this.queues_[contentType].length === 1) {
-      this.startOperation_(contentType)
-    }
-    return operation.p
+    // Otherwise, just split the MIME type.  This handles video and audio
+    // types well.
+    return mimeType.split('/')[0]
+  }
+}
+/* *
+ * Contains the minimum amount of time, in seconds, between manifest update
+ * requests.
+ *
+ * @private
+ * @const {number}
+ */
+DashParser.MIN_UPDATE_PERIOD_ = 3
+/* *
+ * @typedef {
+ *   function(!Array.<string>, ?number, ?number):!Promise.<BufferSource>
+ * }
+ */
+DashParser.RequestInitSegmentCallback = undefined
+/* *
+ * @typedef {{
+ *   segmentBase: Element,
+ *   segmentList: Element,
+ *   segmentTemplate: Element,
+ *   baseUris: !Array.<string>,
+ *   width: (number|undefined),
+ *   height: (number|undefined),
+ *   contentType: string,
+ *   mimeType: string,
+ *   codecs: string,
+ *   frameRate: (number|undefined),
+ *   pixelAspectRatio: (string|undefined),
+ *   emsgSchemeIdUris: !Array.<string>,
+ *   id: ?string,
+ *   numChannels: ?number,
+ *   audioSamplingRate: ?number
+ * }}
+ *
+ * @description
+ * A collection of elements and properties which are inherited across levels
+ * of a DASH manifest.
+ */
+DashParser.InheritanceFrame = undefined
+/* *
+ * @typedef {{
+ *   dynamic: boolean,
+ *   presentationTimeline: !PresentationTimeline,
+ *   period: ?DashParser.InheritanceFrame,
+ *   periodInfo: ?DashParser.PeriodInfo,
+ *   adaptationSet: ?DashParser.InheritanceFrame,
+ *   representation: ?DashParser.InheritanceFrame,
+ *   bandwidth: number,
+ *   indexRangeWarningGiven: boolean,
+ *   availabilityTimeOffset: number
+ * }}
+ *
+ * @description
+ * Contains context data for the streams.  This is designed to be
+ * shallow-copyable, so the parser must overwrite (not modify) each key as the
+ * parser moves through the manifest and the parsing context changes.
+ */
+DashParser.Context = undefined
+/* *
+ * @typedef {{
+ *   start: number,
+ *   duration: ?number,
+ *   node: !Element,
+ *   index: number,
+ *   isLastPeriod: boolean
+ * }}
+ *
+ * @description
+ * Contains information about a Period element.
+ */
+DashParser.PeriodInfo = undefined
+/* *
+ * @typedef {{
+ *   id: string,
+ *   contentType: ?string,
+ *   language: string,
+ *   main: boolean,
+ *   streams: !Array.<shaka.extern.Stream>,
+ *   trickModeFor: ?string,
+ *   representationIds: !Array.<string>
+ * }}
+ *
+ * @description
+ * Contains information about an AdaptationSet element.
+ */
+DashParser.AdaptationInfo = undefined
+/* *
+ * @typedef {{
+ *   createSegmentIndex: function():!Promise,
+ *   segmentIndex: SegmentIndex,
+ *   initSegmentReference: InitSegmentReference,
+ *   scaledPresentationTimeOffset: number
+ * }}
+ *
+ * @description
+ * Contains information about a Stream.  This is passed from the createStream
+ * methods.
+ */
+DashParser.StreamInfo = undefined
+
+ManifestParser.registerParserByExtension('mpd', () => new DashParser())
+ManifestParser.registerParserByMime('application/dash+xml', () => new DashParser())
+ManifestParser.registerParserByMime('video/vnd.mpeg.dash.mpd', () => new DashParser())
+
+/* *
+ * @summary
+ * HLS attribute, e.g. CODECS="avc1.42E01E,mp4a.40.2"
+ * HLS 标签属性：名称 + 值
+ */
+class Attribute {
+  /* *
+   * @param {string} name
+   * @param {string} value
+   */
+  constructor(name, value) {
+    /* * @const {string} */
+    this.name = name
+
+    /* * @const {string} */
+    this.value = value
   }
+}
 
+/* *
+ * @summary
+ * HLS tag, e.g. #EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360
+ * HLS 标签：名称、属性列表以及可选的单值（如 EXTINF 的时长）
+ */
+class Tag {
   /* *
-   * Enqueue an operation which must block all other operations on all
-   * SourceBuffers.
+   * @param {number} id
+   * @param {string} name
+   * @param {!Array.<Attribute>} attributes
+   * @param {?string=} value
+   */
+  constructor(id, name, attributes, value = null) {
+    /* * @const {number} */
+    this.id = id
+
+    /* * @const {string} */
+    this.name = name
+
+    /* * @const {!Array.<Attribute>} */
+    this.attributes = attributes
+
+    /* * @const {?string} */
+    this.value = value
+  }
+  /* *
+   * Create the string representation of the tag.
    *
-   * @param {function()} run
-   * @return {!Promise}
-   * @private
+   * For the DRM system - the full tag needs to be passed down to the CDM.
+   * There are two ways of doing this (1) save the original tag or (2) recreate
+   * the tag.
+   * As in some cases (like in tests) the tag never existed in string form, it
+   * is far easier to recreate the tag from the parsed form.
+   *
+   * @return {string}
+   * @override
    */
-  async enqueueBlockingOperation_(run) {
-    this.destroyer_.ensureNotDestroyed()
+  toString() {
+    /* *
+     * @param {Attribute} attr
+     * @return {string}
+     */
+    const tagToString = (attr) => {
+      return attr.name + '="' + attr.value + '"'
+    }
+    // A valid tag can only follow 1 of 4 patterns.
+    //  1) <NAME>:<VALUE>
+    //  2) <NAME>:<ATTRIBUTE LIST>
+    //  3) <NAME>
+    //  4) <NAME>:<VALUE>,<ATTRIBUTE_LIST>
 
-    /* * @type {Array.<!PublicPromise>} */
-    const allWaiters = []
+    let tagString = '#' + this.name
+    const curAttrs = this.attributes ? this.attributes.map(tagToString) : []
 
-    // Enqueue a 'wait' operation onto each queue.
-    // This operation signals its readiness when it starts.
-    // When all wait operations are ready, the real operation takes place.
-    for (const contentType in this.sourceBuffers_) {
-      const ready = new PublicPromise()
-      const operation = {
-        start: () => ready.resolve(),
-        p: ready
-      }
+    if (this.value || curAttrs.length) {
+      tagString += ':'
+    }
 
-      this.queues_[contentType].push(operation)
-      allWaiters.push(ready)
+    if (this.value && curAttrs.length) {
+      tagString += this.value + ',' + curAttrs.join(',')
+    } else if (this.value) {
+      tagString += this.value
+    } else if (curAttrs.length) {
+      tagString += curAttrs.join(',')
+    }
 
-      if (this.queues_[contentType].length === 1) {
-        operation.start()
-      }
+    return tagString
+  }
+  /* *
+   * Adds an attribute to an HLS Tag.
+   *
+   * @param {!Attribute} attribute
+   */
+  addAttribute(attribute) {
+    this.attributes.push(attribute)
+  }
+  /* *
+   * Gets the first attribute of the tag with a specified name.
+   *
+   * @param {string} name
+   * @return {?Attribute} attribute
+   */
+  getAttribute(name) {
+    const attributes = this.attributes.filter((attr) => {
+      return attr.name === name
+    })
+
+    console.assert(attributes.length < 2, 'A tag should not have multiple attributes with the same name!')
+
+    if (attributes.length) {
+      return attributes[0]
+    } else {
+      return null
     }
-    // Return a Promise to the real operation, which waits to begin until
-    // there are no other in-progress operations on any SourceBuffers.
-    try {
-      await Promise.all(allWaiters)
-    } catch (error) {
-      // One of the waiters failed, which means we've been destroyed.
-      console.assert(
-        this.destroyer_.destroyed(), 'Should be destroyed by now')
-      // We haven't popped from the queue.  Canceled waiters have been removed
-      // by destroy.  What's left now should just be resolved waiters.  In
-      // uncompiled mode, we will maintain good hygiene and make sure the
-      // assert at the end of destroy passes.  In compiled mode, the queues
-      // are wiped in destroy.
-      throw error
+  }
+  /* *
+   * Gets the value of the first attribute of the tag with a specified name.
+   * If not found, returns an optional default value.
+   *
+   * @param {string} name
+   * @param {string=} defaultValue
+   * @return {?string}
+   */
+  getAttributeValue(name, defaultValue) {
+    const attribute = this.getAttribute(name)
+    return attribute ? attribute.value : (defaultValue || null)
+  }
+  /* *
+   * Finds the attribute and returns its value.
+   * Throws an error if attribute was not found.
+   *
+   * @param {string} name
+   * @return {string}
+   */
+  getRequiredAttrValue(name) {
+    const attribute = this.getAttribute(name)
+    if (!attribute) {
+      console.error('Missing required attribute ' + name)
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_REQUIRED_ATTRIBUTE_MISSING,
+        name)
     }
 
-    // Run the real operation, which is synchronous.
-    try {
-      run()
-    } catch (exception) {
+    return attribute.value
+  }
+}
+
+/* *
+ * @summary
+ * HLS segment: an absolute URI and the tags that apply to it.
+ */
+class Segment {
+  /* *
+   * @param {string} uri
+   * @param {!Array.<Tag>} tags
+   */
+  constructor(uri, tags) {
+    /* * @const {!Array.<Tag>} */
+    this.tags = tags
+
+    /* * @const {string} */
+    this.absoluteUri = uri
+  }
+}
+
+/* *
+ * @summary
+ * HLS playlist, either a master playlist or a media playlist.
+ */
+class Playlist {
+  /* *
+   * @param {string} absoluteUri An absolute, final URI after redirects.
+   * @param {!Playlist.Type} type
+   * @param {!Array.<Tag>} tags
+   * @param {!Array.<Segment>=} segments
+   */
+  constructor(absoluteUri, type, tags, segments) {
+    /* *
+     * An absolute, final URI after redirects.
+     *
+     * @const {string}
+     */
+    this.absoluteUri = absoluteUri
+
+    /* * @const {Playlist.Type} */
+    this.type = type
+
+    /* * @const {!Array.<Tag>} */
+    this.tags = tags
+
+    /* * @const {Array.<Segment>} */
+    this.segments = segments || null
+  }
+}
+/* *
+ * @enum {number}
+ */
+Playlist.Type = {
+  MASTER: 0,
+  MEDIA: 1
+}
+
+/* *
+ * @summary
+ * Parses the text of an HLS playlist into tags and segments.
+ * HLS 文本解析：把 m3u8 文本拆成标签和分片
+ */
+class ManifestTextParser {
+  constructor() {
+    /* * @private {number} */
+    this.globalId_ = 0
+  }
+  /* *
+   * @param {BufferSource} data
+   * @param {string} absolutePlaylistUri An absolute, final URI after
+   *   redirects.
+   * @return {!Playlist}
+   * @throws {Error$1}
+   */
+  parsePlaylist(data, absolutePlaylistUri) {
+    const MEDIA_PLAYLIST_TAGS = ManifestTextParser.MEDIA_PLAYLIST_TAGS
+    const SEGMENT_TAGS = ManifestTextParser.SEGMENT_TAGS
+
+    // Get the input as a string.  Normalize newlines to \n.
+    let str = StringUtils.fromUTF8(data)
+    str = str.replace(/\r\n|\r(?=[^\n]|$)/gm, '\n').trim()
+
+    const lines = str.split(/\n+/m)
+
+    if (!/^#EXTM3U($|[ \t\n])/m.test(lines[0])) {
       throw new Error$1(
         Error$1.Severity.CRITICAL,
-        Error$1.Category.MEDIA,
-        Error$1.Code.MEDIA_SOURCE_OPERATION_THREW,
-        exception)
-    } finally {
-      // Unblock the queues.
-      for (const contentType in this.sourceBuffers_) {
-        this.popFromQueue_(contentType)
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_PLAYLIST_HEADER_MISSING)
+    }
+
+    /* * @type {Playlist.Type} */
+    let playlistType = Playlist.Type.MASTER
+
+    // First, look for media playlist tags, so that we know what the playlist
+    // type really is before we start parsing.
+    // TODO: refactor the for loop for better readability.
+    // Whether to skip the next element; initialize to true to skip first
+    // element.
+    let skip = true
+    for (const line of lines) {
+      // Ignore comments.
+      if (ManifestTextParser.isComment_(line) || skip) {
+        skip = false
+        continue
+      }
+      const tag = this.parseTag_(line)
+      // We're assuming that if we find any media playlist tag this is a media
+      // playlist, so break out of the loop as soon as we find one.
+      if (MEDIA_PLAYLIST_TAGS.includes(tag.name)) {
+        playlistType = Playlist.Type.MEDIA
+        break
+      } else if (tag.name === 'EXT-X-STREAM-INF') {
+        skip = true
+      }
+    }
+
+    /* * @type {!Array.<Tag>} */
+    const tags = []
+    // Initialize to 'true' to skip the first element.
+    skip = true
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i]
+      const next = lines[i + 1]
+      // Skip comments
+      if (ManifestTextParser.isComment_(line) || skip) {
+        skip = false
+        continue
+      }
+
+      const tag = this.parseTag_(line)
+      if (SEGMENT_TAGS.includes(tag.name)) {
+        if (playlistType !== Playlist.Type.MEDIA) {
+          // Only media playlists should contain segment tags
+          throw new Error$1(
+            Error$1.Severity.CRITICAL,
+            Error$1.Category.MANIFEST,
+            Error$1.Code.HLS_INVALID_PLAYLIST_HIERARCHY)
+        }
+
+        const segmentsData = lines.splice(i, lines.length - i)
+        const segments = this.parseSegments_(absolutePlaylistUri, segmentsData, tags)
+        return new Playlist(absolutePlaylistUri, playlistType, tags, segments)
+      }
+
+      tags.push(tag)
+
+      // An EXT-X-STREAM-INF tag is followed by a URI of a media playlist.
+      // Add the URI to the tag object.
+      if (tag.name === 'EXT-X-STREAM-INF') {
+        const tagUri = new Attribute('URI', next)
+        tag.addAttribute(tagUri)
+        skip = true
       }
     }
-  }
 
-  /* *
-   * Pop from the front of the queue and start a new operation.
-   * @param {ManifestParserUtils.ContentType} contentType
-   * @private
-   */
-  popFromQueue_(contentType) {
-    // Remove the in-progress operation, which is now complete.
-    this.queues_[contentType].shift()
-    this.startOperation_(contentType)
+    return new Playlist(absolutePlaylistUri, playlistType, tags)
   }
-
   /* *
-   * Starts the next operation in the queue.
-   * @param {ManifestParserUtils.ContentType} contentType
+   * Parses an array of strings into an array of HLS Segment objects.
+   *
+   * @param {string} absoluteMediaPlaylistUri
+   * @param {!Array.<string>} lines
+   * @param {!Array.<!Tag>} playlistTags
+   * @return {!Array.<Segment>}
    * @private
-   */
-  startOperation_(contentType) {
-    // Retrieve the next operation, if any, from the queue and start it.
-    const next = this.queues_[contentType][0]
-    if (next) {
-      try {
-        next.start()
-      } catch (exception) {
-        if (exception.name === 'QuotaExceededError') {
-          next.p.reject(new Error$1(
-            Error$1.Severity.CRITICAL,
-            Error$1.Category.MEDIA,
-            Error$1.Code.QUOTA_EXCEEDED_ERROR,
-            contentType))
+   * @throws {Error$1}
+   */
+  parseSegments_(absoluteMediaPlaylistUri, lines, playlistTags) {
+    /* * @type {!Array.<Segment>} */
+    const segments = []
+    /* * @type {!Array.<Tag>} */
+    let segmentTags = []
+
+    for (const line of lines) {
+      if (/^(#EXT)/.test(line)) {
+        const tag = this.parseTag_(line)
+        if (ManifestTextParser.MEDIA_PLAYLIST_TAGS.includes(tag.name)) {
+          playlistTags.push(tag)
         } else {
-          next.p.reject(new Error$1(
-            Error$1.Severity.CRITICAL,
-            Error$1.Category.MEDIA,
-            Error$1.Code.MEDIA_SOURCE_OPERATION_THREW,
-            exception))
+          segmentTags.push(tag)
         }
-        this.popFromQueue_(contentType)
+      } else if (ManifestTextParser.isComment_(line)) {
+        // Skip comments.
+      } else {
+        const verbatimSegmentUri = line.trim()
+        const absoluteSegmentUri = ManifestParserUtils.resolveUris([absoluteMediaPlaylistUri], [verbatimSegmentUri])[0]
+        // The URI appears after all of the tags describing the segment.
+        const segment = new Segment(absoluteSegmentUri, segmentTags)
+        segments.push(segment)
+        segmentTags = []
       }
     }
-  }
 
+    // Tags left over after the last URI (e.g. EXT-X-ENDLIST after a
+    // discontinuity tag) describe the playlist rather than a segment.
+    playlistTags.push(...segmentTags.filter((tag) => {
+      return ManifestTextParser.MEDIA_PLAYLIST_TAGS.includes(tag.name)
+    }))
+
+    return segments
+  }
   /* *
-   * @return {!shaka.extern.TextDisplayer}
+   * Parses a string into an HLS Tag object while tracking what id to use next.
+   *
+   * @param {string} word
+   * @return {!Tag}
+   * @throws {Error$1}
+   * @private
    */
-  getTextDisplayer() {
-    console.assert(
-      this.textDisplayer_,
-      'TextDisplayer should only be null when this is destroyed')
-
-    return this.textDisplayer_
+  parseTag_(word) {
+    return ManifestTextParser.parseTag(this.globalId_++, word)
   }
-
   /* *
-   * @param {!shaka.extern.TextDisplayer} textDisplayer
+   * Parses a string into an HLS Tag object.
+   *
+   * @param {number} id
+   * @param {string} word
+   * @return {!Tag}
+   * @throws {Error$1}
    */
-  setTextDisplayer(textDisplayer) {
-    const oldTextDisplayer = this.textDisplayer_
-    this.textDisplayer_ = textDisplayer
-    if (oldTextDisplayer) {
-      textDisplayer.setTextVisibility(oldTextDisplayer.isTextVisible())
-      oldTextDisplayer.destroy()
-    }
-    if (this.textEngine_) {
-      this.textEngine_.setDisplayer(textDisplayer)
+  static parseTag(id, word) {
+    /* *
+     * HLS tags start with '#EXT'. A tag can have a set of attributes
+     *   (#EXT-<tagname>:<attribute list>) and/or a value (#EXT-<tagname>:<value>).
+     *   An attribute's format is 'AttributeName=AttributeValue'.
+     *   The given string should be in format of '#EXT-<tagname>:<value>' or
+     *   '#EXT-<tagname>:<attribute list>'. We're parsing value and attribute
+     *   list here.
+     *   Each attribute value is either a quoted string or an unquoted string
+     *   (decimal integers, floats, resolutions, enumerated strings).
+     */
+    const blocks = word.match(/^#(EXT[^:]*)(?::(.*))?$/)
+    if (!blocks) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.INVALID_HLS_TAG,
+        word)
+    }
+    const name = blocks[1]
+    const data = blocks[2]
+    const attributes = []
+    let value
+
+    if (data) {
+      // The value of EXTINF may be followed by a free-form title, which may
+      // contain anything (including '='), so it is never an attribute list.
+      if (name === 'EXTINF') {
+        value = data.split(',')[0]
+        return new Tag(id, name, attributes, value)
+      }
+
+      let rest = data
+      const blockValue = /^([^,="]+)(?:,|$)/.exec(rest)
+      if (blockValue) {
+        value = blockValue[1]
+        rest = rest.slice(blockValue[0].length)
+      }
+
+      const blockAttrRegex = /^([^=,]+)=(?:"([^"]*)"|([^",]*))(?:,|$)/
+      let blockAttrs
+      while ((blockAttrs = blockAttrRegex.exec(rest))) {
+        const attrName = blockAttrs[1].trim()
+        const attrValue = blockAttrs[2] !== undefined ? blockAttrs[2] : blockAttrs[3]
+        attributes.push(new Attribute(attrName, attrValue))
+        rest = rest.slice(blockAttrs[0].length)
+      }
     }
+
+    return new Tag(id, name, attributes, value)
+  }
+  /* *
+   * @param {string} line
+   * @return {boolean}
+   * @private
+   */
+  static isComment_(line) {
+    return /^#(?!EXT)/m.test(line)
   }
 }
 /* *
- * Internal reference to URL.createObjectURL function to avoid
- * compatibility issues with other libraries and frameworks such as React
- * Native. For use in unit tests only, not meant for external use.
+ * HLS tags that only appear on Media Playlists.
+ * Used to determine a playlist type.
  *
- * @type {function(?):string}
+ * @const {!Array.<string>}
  */
-MediaSourceEngine.createObjectURL = URL.createObjectURL
+ManifestTextParser.MEDIA_PLAYLIST_TAGS = [
+  'EXT-X-TARGETDURATION',
+  'EXT-X-MEDIA-SEQUENCE',
+  'EXT-X-DISCONTINUITY-SEQUENCE',
+  'EXT-X-PLAYLIST-TYPE',
+  'EXT-X-I-FRAMES-ONLY',
+  'EXT-X-ENDLIST'
+]
+/* *
+ * HLS tags that only appear on Segments in a Media Playlists.
+ * Used to determine the start of the segments info.
+ *
+ * @const {!Array.<string>}
+ */
+ManifestTextParser.SEGMENT_TAGS = [
+  'EXTINF',
+  'EXT-X-BYTERANGE',
+  'EXT-X-DISCONTINUITY',
+  'EXT-X-PROGRAM-DATE-TIME',
+  'EXT-X-KEY',
+  'EXT-X-DATERANGE',
+  'EXT-X-MAP'
+]
 
 /* *
- * @summary A set of language utility functions.
- * @final
+ * @summary A set of HLS utility functions.
  */
-class LanguageUtils {
+class Utils {
   /* *
-   * Check if |locale1| and |locale2| are locale-compatible.
-   *
-   * Locale-compatible is defined as all components in each locale match. Since
-   * we only respect the language and region components, we only check that
-   * the language and region components match.
-   *
-   * Examples:
-   *  Locale A | Locale B | Locale Compatible
-   *  ---------------------------------------
-   *  en-US    | en-US    | true
-   *  en       | en-US    | false
-   *  en-US    | en-CA    | false
-   *
-   * @param {string} locale1
-   * @param {string} locale2
-   * @return {boolean}
+   * @param {!Array.<!Tag>} tags
+   * @param {string} name
+   * @return {!Array.<!Tag>}
    */
-  static areLocaleCompatible(locale1, locale2) {
-    // Even through they SHOULD already be normalized, let's just be safe and
-    // do it again.
-    locale1 = LanguageUtils.normalize(locale1)
-    locale2 = LanguageUtils.normalize(locale2)
-
-    return locale1 === locale2
+  static filterTagsByName(tags, name) {
+    return tags.filter((tag) => {
+      return tag.name === name
+    })
+  }
+  /* *
+   * @param {!Array.<!Tag>} tags
+   * @param {string} type
+   * @return {!Array.<!Tag>}
+   */
+  static filterTagsByType(tags, type) {
+    return tags.filter((tag) => {
+      const tagType = tag.getRequiredAttrValue('TYPE')
+      return tagType === type
+    })
   }
+  /* *
+   * @param {!Array.<!Tag>} tags
+   * @param {string} name
+   * @return {Tag}
+   */
+  static getFirstTagWithName(tags, name) {
+    const tagsWithName = Utils.filterTagsByName(tags, name)
+    if (!tagsWithName.length) {
+      return null
+    }
 
+    return tagsWithName[0]
+  }
   /* *
-   * Check if |locale1| and |locale2| are language-compatible.
-   *
-   * Language compatible is when the language component of each locale matches.
-   * This means that no matter what region they have (or don't have) as long as
-   * the language components match, they are language-compatible.
-   *
-   * Examples:
-   *  Locale A | Locale B | Language-Compatible
-   *  -----------------------------------------
-   *  en-US    | en-US    | true
-   *  en-US    | en       | true
-   *  en-US    | en-CA    | true
-   *  en-CA    | fr-CA    | false
+   * Get the numerical value of the first tag with the given name if possible.
+   * Return the default value if the tag is not present.
    *
-   * @param {string} locale1
-   * @param {string} locale2
-   * @return {boolean}
+   * @param {!Array.<!Tag>} tags
+   * @param {string} name
+   * @param {number} defaultValue
+   * @return {number}
    */
-  static areLanguageCompatible(locale1, locale2) {
-    const LanguageUtils = LanguageUtils
+  static getFirstTagWithNameAsNumber(tags, name, defaultValue) {
+    const tag = Utils.getFirstTagWithName(tags, name)
+    const value = tag ? Number(tag.value) : defaultValue
+    return value
+  }
+  /* *
+   * @param {string} parentAbsoluteUri
+   * @param {!Tag} tag
+   * @param {string} attributeName
+   * @return {!Array.<string>}
+   */
+  static constructAbsoluteUri(parentAbsoluteUri, tag, attributeName) {
+    const attributeValue = tag.getRequiredAttrValue(attributeName)
+    return ManifestParserUtils.resolveUris([parentAbsoluteUri], [attributeValue])
+  }
+}
 
-    // Even through they SHOULD already be normalized, let's just be safe and
-    // do it again.
-    locale1 = LanguageUtils.normalize(locale1)
-    locale2 = LanguageUtils.normalize(locale2)
+/* *
+ * Creates a new HLS parser.
+ * HLS 清单解析器：解析主播放列表（多码率、替代音轨、字幕）和媒体播放列表
+ *
+ * @implements {shaka.extern.ManifestParser}
+ * @export
+ */
+class HlsParser {
+  constructor() {
+    /* * @private {?shaka.extern.ManifestParser.PlayerInterface} */
+    this.playerInterface_ = null
 
-    // Get all components. This should only be language and region
-    // since we do not support dialect.
-    /* * @type {!Array.<string>} */
-    const locale1Components = LanguageUtils.disassembleLocale_(locale1)
-    /* * @type {!Array.<string>} */
-    const locale2Components = LanguageUtils.disassembleLocale_(locale2)
+    /* * @private {?shaka.extern.ManifestConfiguration} */
+    this.config_ = null
 
-    // We are language compatible if we have the same language.
-    return locale1Components[0] === locale2Components[0]
-  }
+    /* * @private {number} */
+    this.globalId_ = 1
 
-  /* *
-   * Check if |possibleParent| is the parent locale of |possibleChild|. Because
-   * we do not support dialects, the parent-child relationship is a lot simpler.
-   * In a parent child relationship:
-   *    - The parent and child have the same language-component
-   *    - The parent has no region-component
-   *    - The child has a region-component
-   *
-   * Example:
-   *  Locale A | Locale B | Is A The parent of B?
-   *  --------------------------------------------
-   *  en-US    | en-US    | no
-   *  en-US    | en       | no
-   *  en       | en-US    | yes
-   *  en       | en       | no
-   *  en       | fr       | no
-   *
-   * @param {string} possibleParent
-   * @param {string} possibleChild
-   * @return {boolean}
-   */
-  static isParentOf(possibleParent, possibleChild) {
-    const LanguageUtils = LanguageUtils
+    /* *
+     * A map from media playlist URI to its StreamInfo, so a playlist shared by
+     * several variants is only fetched once.
+     * @private {!Map.<string, !Promise.<?HlsParser.StreamInfo>>}
+     */
+    this.uriToStreamInfosMap_ = new Map()
 
-    // Even through they SHOULD already be normalized, let's just be safe and
-    // do it again.
-    possibleParent = LanguageUtils.normalize(possibleParent)
-    possibleChild = LanguageUtils.normalize(possibleChild)
+    /* *
+     * The values are strings of the form '<VIDEO URI> - <AUDIO URI>',
+     * where the URIs are the verbatim media playlist URIs as they appeared in
+     * the master playlist.
+     *
+     * Used to avoid duplicates that vary only in their text stream.
+     *
+     * @private {!Set.<string>}
+     */
+    this.variantUriSet_ = new Set()
 
-    // Get all components. This should only be language and region
-    // since we do not support dialect.
-    /* * @type {!Array.<string>} */
-    const possibleParentComponents =
-        LanguageUtils.disassembleLocale_(possibleParent)
-    /* * @type {!Array.<string>} */
-    const possibleChildComponents =
-        LanguageUtils.disassembleLocale_(possibleChild)
+    /* *
+     * A map from (verbatim) media playlist URI to stream infos representing the
+     * playlists.
+     *
+     * On update, used to iterate through and update from media playlists.
+     *
+     * @private {!Map.<string, HlsParser.StreamInfo>}
+     */
+    this.streamsToUpdate_ = new Map()
+
+    /* *
+     * A map from EXT-X-MEDIA tag id to the stream info created for it.
+     * @private {!Map.<string, !Promise.<?HlsParser.StreamInfo>>}
+     */
+    this.mediaTagsToStreamInfosMap_ = new Map()
+
+    /* *
+     * A map from audio group ID to the codecs declared for it by the variants
+     * that reference it.
+     * @private {!Map.<string, !Array.<string>>}
+     */
+    this.groupIdToCodecsMap_ = new Map()
+
+    /* *
+     * The tags of the master playlist.
+     * @private {!Array.<!Tag>}
+     */
+    this.masterTags_ = []
+
+    /* * @private {PresentationTimeline} */
+    this.presentationTimeline_ = null
+
+    /* * @private {string} */
+    this.masterPlaylistUri_ = ''
+
+    /* * @private {ManifestTextParser} */
+    this.manifestTextParser_ = new ManifestTextParser()
+
+    /* *
+     * This is the number of seconds we want to wait between finishing a
+     * manifest update and starting the next one. This will be set when we parse
+     * the manifest.
+     *
+     * @private {number}
+     */
+    this.updatePlaylistDelay_ = 0
+
+    /* *
+     * This timer is used to trigger the start of a manifest update. A manifest
+     * update is async. Once the update is finished, the timer will be restarted
+     * to trigger the next update. The timer will only be started if the content
+     * is live content.
+     *
+     * @private {Timer}
+     */
+    this.updatePlaylistTimer_ = new Timer(() => {
+      this.onUpdate_()
+    })
+
+    /* * @private {HlsParser.PresentationType_} */
+    this.presentationType_ = HlsParser.PresentationType_.VOD
+
+    /* * @private {?shaka.extern.Manifest} */
+    this.manifest_ = null
+
+    /* * @private {number} */
+    this.maxTargetDuration_ = 0
+
+    /* * @private {number} */
+    this.minTargetDuration_ = Infinity
 
-    return possibleParentComponents[0] === possibleChildComponents[0] &&
-           possibleParentComponents.length === 1 &&
-           possibleChildComponents.length === 2
+    /* * @private {OperationManager} */
+    this.operationManager_ = new OperationManager()
   }
-
   /* *
-   * Check if |localeA| shares the same parent with |localeB|. Since we don't
-   * support dialect, we will only look at language and region. For two locales
-   * to be siblings:
-   *    - Both must have language-components
-   *    - Both must have region-components
-   *    - Both must have the same language-component
-   *
-   * Example:
-   *  Locale A | Locale B | Siblings?
-   *  --------------------------------------------
-   *  en-US    | en-US    | yes
-   *  en-US    | en-CA    | yes
-   *  en-US    | en       | no
-   *  en       | en-US    | no
-   *  en       | en       | no
-   *  en       | fr       | no
-   *
-   * @param {string} localeA
-   * @param {string} localeB
-   * @return {boolean}
+   * @override
+   * @exportInterface
    */
-  static isSiblingOf(localeA, localeB) {
-    const LanguageUtils = LanguageUtils
-
-    // Even through they SHOULD already be normalized, let's just be safe and
-    // do it again.
-    localeA = LanguageUtils.normalize(localeA)
-    localeB = LanguageUtils.normalize(localeB)
-
-    // Get all components. This should only be language and region
-    // since we do not support dialect.
-    /* * @type {!Array.<string>} */
-    const localeAComponents = LanguageUtils.disassembleLocale_(localeA)
-    /* * @type {!Array.<string>} */
-    const localeBComponents = LanguageUtils.disassembleLocale_(localeB)
-
-    return localeAComponents.length === 2 &&
-           localeBComponents.length === 2 &&
-           localeAComponents[0] === localeBComponents[0]
+  configure(config) {
+    this.config_ = config
   }
-
   /* *
-   * Normalize a locale. This will take a locale and canonicalize it to a state
-   * that we are prepared to work with.
-   *
-   * We only support with:
-   *   - language
-   *   - language-REGION
-   *
-   * If given a dialect, we will discard it. We will convert any 3-character
-   * codes to 2-character codes. We will force language codes to lowercase and
-   * region codes to uppercase.
-   *
-   * @param {string} locale
-   * @return {string}
+   * @override
+   * @exportInterface
    */
-  static normalize(locale) {
-    const LanguageUtils = LanguageUtils
+  async start(uri, playerInterface) {
+    console.assert(this.config_, 'Must call configure() before start()!')
+    this.playerInterface_ = playerInterface
 
-    const components = locale.split('-')
+    const response = await this.requestManifest_(uri)
 
-    // We are only going to use the language and the region. If there was
-    // a dialect or anything else, we are throwing it a way.
-    let language = components[0] || ''
-    let region = components[1] || ''
+    // Record the master playlist URI after redirects.
+    this.masterPlaylistUri_ = response.uri
 
-    // Convert the language to lower case. It is standard for the language code
-    // to be in lower case, but it will also make the map look-up easier.
-    language = language.toLowerCase()
-    language = LanguageUtils.isoMap_.get(language) || language
+    console.assert(response.data, 'Response data should be non-null!')
+    await this.parseManifest_(response.data)
 
-    // Convert the region to upper case. It is standard for the region to be in
-    // upper case. If there is no upper code, then it will be an empty string
-    // and this will be a no-op.
-    region = region.toUpperCase()
+    // Start the update timer if we want updates.
+    const delay = this.updatePlaylistDelay_
+    if (delay > 0) {
+      this.updatePlaylistTimer_.tickAfter(/*  seconds= */ delay)
+    }
 
-    return region
-      ? language + '-' + region
-      : language
+    console.assert(this.manifest_, 'Manifest should be non-null')
+    return this.manifest_
   }
-
   /* *
-   * Check if two language codes are siblings. Language codes are siblings if
-   * they share the same base language while neither one is the base language.
-   *
-   * For example, 'en-US' and 'en-CA' are siblings but 'en-US' and 'en' are not
-   * siblings.
-   *
-   * @param {string} a
-   * @param {string} b
-   * @return {boolean}
+   * @override
+   * @exportInterface
    */
-  static areSiblings(a, b) {
-    const LanguageUtils = LanguageUtils
+  stop() {
+    // Make sure we don't update the manifest again. Even if the timer is not
+    // running, this is safe to call.
+    if (this.updatePlaylistTimer_) {
+      this.updatePlaylistTimer_.stop()
+      this.updatePlaylistTimer_ = null
+    }
 
-    const baseA = LanguageUtils.getBase(a)
-    const baseB = LanguageUtils.getBase(b)
+    /* * @type {!Array.<!Promise>} */
+    const pending = []
 
-    return a !== baseA && b !== baseB && baseA === baseB
-  }
+    if (this.operationManager_) {
+      pending.push(this.operationManager_.destroy())
+      this.operationManager_ = null
+    }
+
+    this.playerInterface_ = null
+    this.config_ = null
+    this.variantUriSet_.clear()
+    this.streamsToUpdate_.clear()
+    this.uriToStreamInfosMap_.clear()
+    this.mediaTagsToStreamInfosMap_.clear()
+    this.groupIdToCodecsMap_.clear()
+    this.masterTags_ = []
+    this.manifest_ = null
 
+    return Promise.all(pending)
+  }
   /* *
-   * Get the normalized base language for a language code.
-   *
-   * @param {string} lang
-   * @return {string}
+   * @override
+   * @exportInterface
    */
-  static getBase(lang) {
-    const LanguageUtils = LanguageUtils
+  async update() {
+    if (!this.isLive_()) {
+      return
+    }
 
-    const splitAt = lang.indexOf('-')
-    let major
+    /* * @type {!Array.<!Promise>} */
+    const updates = []
 
-    if (splitAt >= 0) {
-      major = lang.substring(0, splitAt)
-    } else {
-      major = lang
+    for (const streamInfo of this.streamsToUpdate_.values()) {
+      updates.push(this.updateStream_(streamInfo))
     }
 
-    // Convert the major code to lower case. It is standard for the major code
-    // to be in lower case, but it will also make the map look-up easier.
-    major = major.toLowerCase()
-    major = LanguageUtils.isoMap_.get(major) || major
+    await Promise.all(updates)
 
-    return major
-  }
+    // Now that streams have been updated, notify the presentation timeline.
+    this.notifySegments_()
+
+    // If any hasEndList is false, the stream is still live.
+    const stillLive = Array.from(this.streamsToUpdate_.values()).some((s) => !s.hasEndList)
+    if (!stillLive) {
+      // Convert the presentation to VOD and set the duration.
+      const PresentationType = HlsParser.PresentationType_
+      this.setPresentationType_(PresentationType.VOD)
 
+      const maxTimestamps = Array.from(this.streamsToUpdate_.values()).map((s) => {
+        return s.maxTimestamp
+      })
+      // The duration is the minimum of the end times of all streams.
+      this.presentationTimeline_.setDuration(Math.min(...maxTimestamps))
+    }
+  }
   /* *
-   * Get the normalized language of the given text stream. Will return 'und' if
-   * a language is not found on the text stream.
-   *
-   * This should always be used to get the language from a text stream.
+   * Updates a stream.
    *
-   * @param {shaka.extern.Stream} stream
-   * @return {string}
+   * @param {!HlsParser.StreamInfo} streamInfo
+   * @return {!Promise}
+   * @throws {Error$1}
+   * @private
    */
-  static getLocaleForText(stream) {
-    const LanguageUtils = LanguageUtils
+  async updateStream_(streamInfo) {
+    const PresentationType = HlsParser.PresentationType_
 
-    const ContentType = ManifestParserUtils.ContentType
-    console.assert(
-      stream.type === ContentType.TEXT,
-      'Can only get language from text streams')
+    const response = await this.requestManifest_(streamInfo.absoluteMediaPlaylistUri)
 
-    const language = stream.language || 'und'
-    return LanguageUtils.normalize(language)
-  }
+    /* * @type {Playlist} */
+    const playlist = this.manifestTextParser_.parsePlaylist(response.data, response.uri)
 
-  /* *
-   * Get the normalized locale for the given variant. This will look through
-   * the variant to find the locale that represents the content in the variant.
-   * This will return 'und' if no language can be found.
-   *
-   * This should always be used to get the locale from a variant.
-   *
-   * @param {shaka.extern.Variant} variant
-   * @return {string}
-   */
-  static getLocaleForVariant(variant) {
-    const LanguageUtils = LanguageUtils
+    if (playlist.type !== Playlist.Type.MEDIA) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_INVALID_PLAYLIST_HIERARCHY)
+    }
 
-    // Our preference order is:
-    //  1. Variant
-    //  2. Audio Stream
-    //  3. Video Stream
-    //
-    // We are going to consider all falsy strings to be invalid locales, this
-    // will include empty strings.
-    if (variant.language) {
-      return LanguageUtils.normalize(variant.language)
+    const stream = streamInfo.stream
+    const segmentIndex = stream.segmentIndex
+    const lastReference = segmentIndex.references()[segmentIndex.references().length - 1]
+
+    const segments = this.getNewSegments_(playlist, lastReference)
+    const references = await this.createSegments_(
+      streamInfo.verbatimMediaPlaylistUri, playlist, stream.type,
+      stream.mimeType, segments, lastReference)
+
+    segmentIndex.merge(references)
+    if (references.length) {
+      streamInfo.maxTimestamp = references[references.length - 1].endTime
     }
 
-    if (variant.audio && variant.audio.language) {
-      return LanguageUtils.normalize(variant.audio.language)
+    // Once the last segment has been added to the playlist,
+    // #EXT-X-ENDLIST tag will be appended.
+    // If that happened, treat the rest of the EVENT presentation as VOD.
+    const endListTag = Utils.getFirstTagWithName(playlist.tags, 'EXT-X-ENDLIST')
+
+    if (endListTag) {
+      // Flag this for later.  We don't convert the whole presentation into VOD
+      // until we've seen the ENDLIST tag for all active playlists.
+      streamInfo.hasEndList = true
     }
 
-    if (variant.video && variant.video.language) {
-      return LanguageUtils.normalize(variant.video.language)
+    if (this.presentationType_ === PresentationType.LIVE) {
+      // Evict segments that have fallen out of the sliding window.
+      const start = this.presentationTimeline_.getSegmentAvailabilityStart()
+      segmentIndex.evict(start)
     }
 
-    // No language was found, but we still want to return a valid string.
-    return 'und'
+    this.presentationType_ !== PresentationType.VOD && console.debug('Updated', streamInfo.verbatimMediaPlaylistUri)
   }
-
   /* *
-   * Find the locale in |searchSpace| that comes closest to |target|. If no
-   * locale is found to be close to |target|, then |null| will be returned.
+   * @override
+   * @exportInterface
+   */
+  onExpirationUpdated(sessionId, expiration) {
+    // No-op
+  }
+  /* *
+   * Parses the manifest.
    *
-   * @param {string} target
-   * @param {!Iterable.<string>} searchSpace
-   * @return {?string}
+   * @param {BufferSource} data
+   * @throws {Error$1}
+   * @return {!Promise}
+   * @private
    */
-  static findClosestLocale(target, searchSpace) {
-    const LanguageUtils = LanguageUtils
+  async parseManifest_(data) {
+    console.assert(this.masterPlaylistUri_, 'Master playlist URI must be set before calling parseManifest_!')
 
-    /* * @type {string} */
-    const safeTarget = LanguageUtils.normalize(target)
-    /* * @type {!Set.<string>} */
-    const safeSearchSpace = new Set()
-    for (const option of searchSpace) {
-      safeSearchSpace.add(LanguageUtils.normalize(option))
-    }
+    const playlist = this.manifestTextParser_.parsePlaylist(data, this.masterPlaylistUri_)
 
-    // Preference 1 - The option is an exact match. For example, 'en-US' is an
-    //    exact match of 'en-US'. So if there is an option that is an exact
-    //    match, it would be the best match possible.
-    for (const option of safeSearchSpace) {
-      if (option === safeTarget) {
-        return option
+    /* * @type {!Array.<!Tag>} */
+    let variantTags
+    /* * @type {!Array.<!Tag>} */
+    let mediaTags
+
+    if (playlist.type === Playlist.Type.MASTER) {
+      this.masterTags_ = playlist.tags
+      variantTags = Utils.filterTagsByName(playlist.tags, 'EXT-X-STREAM-INF')
+      mediaTags = Utils.filterTagsByName(playlist.tags, 'EXT-X-MEDIA')
+    } else {
+      // A media playlist was given directly: treat it as the only variant of
+      // an implied master playlist.  Codecs are guessed from the segments.
+      variantTags = [new Tag(/*  id= */ -1, 'EXT-X-STREAM-INF', [
+        new Attribute('BANDWIDTH', '0'),
+        new Attribute('URI', this.masterPlaylistUri_)
+      ])]
+      mediaTags = []
+    }
+
+    // Audio renditions inherit their codecs from the variants that reference
+    // their group, so collect those before creating any stream.
+    for (const tag of variantTags) {
+      const audioGroupId = tag.getAttributeValue('AUDIO')
+      if (audioGroupId && !this.groupIdToCodecsMap_.has(audioGroupId)) {
+        this.groupIdToCodecsMap_.set(audioGroupId, this.getCodecsForVariantTag_(tag))
       }
     }
 
-    // Preference 2 - The option is the parent of the target. For example,
-    //    'en' is the parent of 'en-US'. So if there is an option with
-    //    'en', it should be good enough when our preference is 'en-US'.
-    for (const option of safeSearchSpace) {
-      if (LanguageUtils.isParentOf(option, safeTarget)) {
-        return option
+    // Parse audio and video media tags first, so that we can extract segment
+    // start time from audio/video streams and reuse for text streams.
+    await this.createStreamInfosFromMediaTags_(mediaTags)
+    const variants = await this.createVariantsForTags_(variantTags)
+    const textStreams = await this.parseTexts_(mediaTags)
+
+    // Make sure that the parser has not been destroyed.
+    if (!this.playerInterface_) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.PLAYER,
+        Error$1.Code.OPERATION_ABORTED)
+    }
+
+    if (variants.length === 0) {
+      // There are no playable variants: every media playlist was skipped.
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_COULD_NOT_GUESS_MIME_TYPE,
+        this.masterPlaylistUri_)
+    }
+
+    // Find the min and max timestamp of the earliest segment in all streams.
+    // Find the minimum duration of all streams as well.
+    let minFirstTimestamp = Infinity
+    let minDuration = Infinity
+
+    for (const streamInfo of this.uriToStreamInfosMap_.values()) {
+      const info = await streamInfo
+      if (!info || info.stream.type === ManifestParserUtils.ContentType.TEXT) {
+        continue
+      }
+      minFirstTimestamp = Math.min(minFirstTimestamp, info.minTimestamp)
+      minDuration = Math.min(minDuration, info.maxTimestamp - info.minTimestamp)
+    }
+
+    // This assert is our own sanity check.
+    console.assert(this.presentationTimeline_ === null, 'Presentation timeline created early!')
+    this.createPresentationTimeline_(minDuration)
+
+    // For VOD, the presentation starts at zero: shift every audio/video
+    // stream so that the earliest segment across all of them starts at 0.
+    // Live streams keep their media timestamps.
+    const firstTimestamp = isFinite(minFirstTimestamp) ? minFirstTimestamp : 0
+    const offset = this.isLive_() ? 0 : firstTimestamp
+    for (const streamInfo of this.uriToStreamInfosMap_.values()) {
+      const info = await streamInfo
+      if (!info) {
+        continue
       }
+      if (info.stream.type === ManifestParserUtils.ContentType.TEXT) {
+        // Subtitle segments can't be probed for a start time.  Line them up
+        // with the first audio/video segment, and give them the same
+        // timestamp offset so that cue times (e.g. from X-TIMESTAMP-MAP) are
+        // mapped like the media.
+        const shift = firstTimestamp - offset
+        for (const ref of info.stream.segmentIndex.references()) {
+          ref.startTime += shift
+          ref.endTime += shift
+          ref.timestampOffset = -offset
+        }
+        continue
+      }
+      info.stream.segmentIndex.offset(-offset)
+      info.minTimestamp -= offset
+      info.maxTimestamp -= offset
+    }
+    if (!this.isLive_()) {
+      this.presentationTimeline_.setDuration(minDuration === Infinity ? 0 : minDuration)
     }
 
-    // Preference 3 - The option is a sibling of the target. For example,
-    //    'en-US' is a sibling of 'en-CA'. So if there is an option with
-    //    'en_CA', it should be good enough when our preference is 'en-US'.
-    for (const option of safeSearchSpace) {
-      if (LanguageUtils.isSiblingOf(option, safeTarget)) {
-        return option
+    this.notifySegments_()
+
+    /* * @type {shaka.extern.Period} */
+    const period = {
+      startTime: 0,
+      variants: variants,
+      textStreams: textStreams
+    }
+
+    this.manifest_ = {
+      presentationTimeline: this.presentationTimeline_,
+      periods: [period],
+      offlineSessionIds: [],
+      minBufferTime: 0
+    }
+
+    await this.playerInterface_.filterAllPeriods(this.manifest_.periods)
+  }
+  /* *
+   * Creates the presentation timeline once the presentation type is known.
+   *
+   * @param {number} minDuration The shortest duration of any stream.
+   * @private
+   */
+  createPresentationTimeline_(minDuration) {
+    if (this.isLive_()) {
+      // The HLS spec (RFC 8216) states in 6.3.4:
+      // 'the client MUST wait for at least the target duration before
+      // attempting to reload the Playlist file again'
+      this.updatePlaylistDelay_ = this.minTargetDuration_
+
+      // The spec says nothing much about seeking in live content, but Safari's
+      // built-in HLS implementation does not allow it.  Therefore we will set
+      // the availability window equal to the presentation delay.  The player
+      // will be able to buffer ahead three segments, but the seek window will
+      // be zero-sized.
+      const PresentationType = HlsParser.PresentationType_
+
+      if (this.presentationType_ === PresentationType.LIVE) {
+        // This defaults to the presentation delay, which has the effect of
+        // making the live stream unseekable.  This is consistent with Apple's
+        // HLS implementation.
+        let segmentAvailabilityDuration = HlsParser.DEFAULT_LIVE_DELAY_ * this.maxTargetDuration_
+
+        // The app can override that with a longer duration, to allow seeking.
+        if (!isNaN(this.config_.availabilityWindowOverride)) {
+          segmentAvailabilityDuration = this.config_.availabilityWindowOverride
+        } else if (isFinite(minDuration)) {
+          // Otherwise the playlist window itself is the availability window.
+          segmentAvailabilityDuration = Math.max(segmentAvailabilityDuration, minDuration)
+        }
+
+        this.presentationTimeline_ = new PresentationTimeline(
+          /*  presentationStartTime= */ 0,
+          /*  delay= */ HlsParser.DEFAULT_LIVE_DELAY_ * this.maxTargetDuration_)
+        this.presentationTimeline_.setSegmentAvailabilityDuration(segmentAvailabilityDuration)
+      } else {
+        // EVENT playlists only grow, so everything stays available.
+        this.presentationTimeline_ = new PresentationTimeline(
+          /*  presentationStartTime= */ 0,
+          /*  delay= */ HlsParser.DEFAULT_LIVE_DELAY_ * this.maxTargetDuration_)
       }
+      this.presentationTimeline_.setStatic(false)
+    } else {
+      this.presentationTimeline_ = new PresentationTimeline(
+        /*  presentationStartTime= */ null, /*  delay= */ 0)
+      this.presentationTimeline_.setStatic(true)
     }
 
-    // Preference 4 - The option is a child of the target. For example,
-    //    'en-US' is the child of 'en'. SO it there is an option with
-    //    'en-US', it should be good enough when our preference is 'en'.
-    for (const option of safeSearchSpace) {
-      if (LanguageUtils.isParentOf(safeTarget, option)) {
-        return option
+    this.presentationTimeline_.notifyMaxSegmentDuration(this.maxTargetDuration_)
+  }
+  /* *
+   * Tells the presentation timeline about every audio and video segment.
+   * @private
+   */
+  notifySegments_() {
+    for (const streamInfo of this.streamsToUpdate_.values()) {
+      if (streamInfo.stream.type === ManifestParserUtils.ContentType.TEXT) {
+        continue
       }
+      this.presentationTimeline_.notifySegments(streamInfo.stream.segmentIndex.references())
     }
-
-    // Failed to find anything.
-    return null
   }
-
   /* *
-   * Take a locale string and break it into its component. Check that each
-   * component matches what we would expect internally for locales. This
-   * should ONLY be used to verify locales that have been normalized.
+   * Parses the text (subtitle) media tags into text streams.
    *
-   * @param {string} locale
-   * @return {!Array.<string>}
+   * @param {!Array.<!Tag>} mediaTags Media tags from the master playlist.
+   * @return {!Promise.<!Array.<!shaka.extern.Stream>>}
    * @private
    */
-  static disassembleLocale_(locale) {
-    const components = locale.split('-')
-
-    console.assert(
-      components.length <= 2,
-      [
-        'Locales should not have more than 2 components. ',
-        locale,
-        ' has too many components.'
-      ].join())
+  async parseTexts_(mediaTags) {
+    // Create text stream for each Subtitle media tag.
+    const subtitleTags = Utils.filterTagsByType(mediaTags, 'SUBTITLES')
+    const textStreamPromises = subtitleTags.map(async(tag) => {
+      if (this.config_.disableText) {
+        return null
+      }
+      try {
+        const streamInfo = await this.createStreamInfoFromMediaTag_(tag)
+        console.assert(streamInfo, 'Should always have a streamInfo for text')
+        return streamInfo.stream
+      } catch (e) {
+        if (this.config_.hls.ignoreTextStreamFailures) {
+          return null
+        }
+        throw e
+      }
+    })
+    const textStreams = await Promise.all(textStreamPromises)
 
-    return components
+    return textStreams.filter((s) => s)
   }
-}
-/* *
- * A map from 3-letter language codes (ISO 639-2) to 2-letter language codes
- * (ISO 639-1) for all languages which have both in the registry.
- *
- * @const {!Map.<string, string>}
- * @private
- */
-LanguageUtils.isoMap_ = new Map([
-  ['aar', 'aa'], ['abk', 'ab'], ['afr', 'af'], ['aka', 'ak'], ['alb', 'sq'],
-  ['amh', 'am'], ['ara', 'ar'], ['arg', 'an'], ['arm', 'hy'], ['asm', 'as'],
-  ['ava', 'av'], ['ave', 'ae'], ['aym', 'ay'], ['aze', 'az'], ['bak', 'ba'],
-  ['bam', 'bm'], ['baq', 'eu'], ['bel', 'be'], ['ben', 'bn'], ['bih', 'bh'],
-  ['bis', 'bi'], ['bod', 'bo'], ['bos', 'bs'], ['bre', 'br'], ['bul', 'bg'],
-  ['bur', 'my'], ['cat', 'ca'], ['ces', 'cs'], ['cha', 'ch'], ['che', 'ce'],
-  ['chi', 'zh'], ['chu', 'cu'], ['chv', 'cv'], ['cor', 'kw'], ['cos', 'co'],
-  ['cre', 'cr'], ['cym', 'cy'], ['cze', 'cs'], ['dan', 'da'], ['deu', 'de'],
-  ['div', 'dv'], ['dut', 'nl'], ['dzo', 'dz'], ['ell', 'el'], ['eng', 'en'],
-  ['epo', 'eo'], ['est', 'et'], ['eus', 'eu'], ['ewe', 'ee'], ['fao', 'fo'],
-  ['fas', 'fa'], ['fij', 'fj'], ['fin', 'fi'], ['fra', 'fr'], ['fre', 'fr'],
-  ['fry', 'fy'], ['ful', 'ff'], ['geo', 'ka'], ['ger', 'de'], ['gla', 'gd'],
-  ['gle', 'ga'], ['glg', 'gl'], ['glv', 'gv'], ['gre', 'el'], ['grn', 'gn'],
-  ['guj', 'gu'], ['hat', 'ht'], ['hau', 'ha'], ['heb', 'he'], ['her', 'hz'],
-  ['hin', 'hi'], ['hmo', 'ho'], ['hrv', 'hr'], ['hun', 'hu'], ['hye', 'hy'],
-  ['ibo', 'ig'], ['ice', 'is'], ['ido', 'io'], ['iii', 'ii'], ['iku', 'iu'],
-  ['ile', 'ie'], ['ina', 'ia'], ['ind', 'id'], ['ipk', 'ik'], ['isl', 'is'],
-  ['ita', 'it'], ['jav', 'jv'], ['jpn', 'ja'], ['kal', 'kl'], ['kan', 'kn'],
-  ['kas', 'ks'], ['kat', 'ka'], ['kau', 'kr'], ['kaz', 'kk'], ['khm', 'km'],
-  ['kik', 'ki'], ['kin', 'rw'], ['kir', 'ky'], ['kom', 'kv'], ['kon', 'kg'],
-  ['kor', 'ko'], ['kua', 'kj'], ['kur', 'ku'], ['lao', 'lo'], ['lat', 'la'],
-  ['lav', 'lv'], ['lim', 'li'], ['lin', 'ln'], ['lit', 'lt'], ['ltz', 'lb'],
-  ['lub', 'lu'], ['lug', 'lg'], ['mac', 'mk'], ['mah', 'mh'], ['mal', 'ml'],
-  ['mao', 'mi'], ['mar', 'mr'], ['may', 'ms'], ['mkd', 'mk'], ['mlg', 'mg'],
-  ['mlt', 'mt'], ['mon', 'mn'], ['mri', 'mi'], ['msa', 'ms'], ['mya', 'my'],
-  ['nau', 'na'], ['nav', 'nv'], ['nbl', 'nr'], ['nde', 'nd'], ['ndo', 'ng'],
-  ['nep', 'ne'], ['nld', 'nl'], ['nno', 'nn'], ['nob', 'nb'], ['nor', 'no'],
-  ['nya', 'ny'], ['oci', 'oc'], ['oji', 'oj'], ['ori', 'or'], ['orm', 'om'],
-  ['oss', 'os'], ['pan', 'pa'], ['per', 'fa'], ['pli', 'pi'], ['pol', 'pl'],
-  ['por', 'pt'], ['pus', 'ps'], ['que', 'qu'], ['roh', 'rm'], ['ron', 'ro'],
-  ['rum', 'ro'], ['run', 'rn'], ['rus', 'ru'], ['sag', 'sg'], ['san', 'sa'],
-  ['sin', 'si'], ['slk', 'sk'], ['slo', 'sk'], ['slv', 'sl'], ['sme', 'se'],
-  ['smo', 'sm'], ['sna', 'sn'], ['snd', 'sd'], ['som', 'so'], ['sot', 'st'],
-  ['spa', 'es'], ['sqi', 'sq'], ['srd', 'sc'], ['srp', 'sr'], ['ssw', 'ss'],
-  ['sun', 'su'], ['swa', 'sw'], ['swe', 'sv'], ['tah', 'ty'], ['tam', 'ta'],
-  ['tat', 'tt'], ['tel', 'te'], ['tgk', 'tg'], ['tgl', 'tl'], ['tha', 'th'],
-  ['tib', 'bo'], ['tir', 'ti'], ['ton', 'to'], ['tsn', 'tn'], ['tso', 'ts'],
-  ['tuk', 'tk'], ['tur', 'tr'], ['twi', 'tw'], ['uig', 'ug'], ['ukr', 'uk'],
-  ['urd', 'ur'], ['uzb', 'uz'], ['ven', 've'], ['vie', 'vi'], ['vol', 'vo'],
-  ['wel', 'cy'], ['wln', 'wa'], ['wol', 'wo'], ['xho', 'xh'], ['yid', 'yi'],
-  ['yor', 'yo'], ['zha', 'za'], ['zho', 'zh'], ['zul', 'zu']
-])
+  /* *
+   * @param {!Array.<!Tag>} mediaTags Media tags from the master playlist.
+   * @return {!Promise}
+   * @private
+   */
+  async createStreamInfosFromMediaTags_(mediaTags) {
+    // Filter out subtitles and media tags without uri.
+    mediaTags = mediaTags.filter((tag) => {
+      const uri = tag.getAttributeValue('URI') || ''
+      const type = tag.getAttributeValue('TYPE')
+      return type !== 'SUBTITLES' && uri !== ''
+    })
 
-/**
- * @summary A set of utility functions for dealing with Streams and Manifests.
- */
-class StreamUtils {
-  /**
-   * @param {shaka.extern.Variant} variant
-   * @param {shaka.extern.Restrictions} restrictions
-   *   Configured restrictions from the user.
-   * @param {{width: number, height: number}} maxHwRes
-   *   The maximum resolution the hardware can handle.
-   *   This is applied separately from user restrictions because the setting
-   *   should not be easily replaced by the user's configuration.
-   * @return {boolean}
+    // Create stream info for each audio / video media tag.
+    const promises = mediaTags.map((tag) => {
+      return this.createStreamInfoFromMediaTag_(tag)
+    })
+    await Promise.all(promises)
+  }
+  /* *
+   * @param {!Array.<!Tag>} tags Variant tags from the master playlist.
+   * @return {!Promise.<!Array.<!shaka.extern.Variant>>}
+   * @private
    */
-  static meetsRestrictions(variant, restrictions, maxHwRes) {
-    /** @type {function(number, number, number):boolean} */
-    const inRange = (x, min, max) => {
-      return x >= min && x <= max
-    }
+  async createVariantsForTags_(tags) {
+    // Create variants for each variant tag.
+    const variantsPromises = tags.map(async(tag) => {
+      const frameRate = tag.getAttributeValue('FRAME-RATE')
+      const bandwidth = Number(tag.getRequiredAttrValue('BANDWIDTH'))
 
-    const video = variant.video
+      const resolution = tag.getAttributeValue('RESOLUTION')
+      const [width, height] = resolution ? resolution.split('x') : [null, null]
 
-    // |video.width| and |video.height| can be undefined, which breaks
-    // the math, so make sure they are there first.
-    if (video && video.width && video.height) {
-      if (!inRange(video.width,
-        restrictions.minWidth,
-        Math.min(restrictions.maxWidth, maxHwRes.width))) {
-        return false
-      }
+      const streamInfos = await this.createStreamInfosForVariantTag_(tag)
 
-      if (!inRange(video.height,
-        restrictions.minHeight,
-        Math.min(restrictions.maxHeight, maxHwRes.height))) {
-        return false
-      }
+      if (streamInfos) {
+        console.assert(streamInfos.audio.length || streamInfos.video.length, 'We should have created a stream!')
 
-      if (!inRange(video.width * video.height,
-        restrictions.minPixels,
-        restrictions.maxPixels)) {
-        return false
+        return this.createVariants_(
+          streamInfos.audio,
+          streamInfos.video,
+          bandwidth,
+          width,
+          height,
+          frameRate)
       }
+      // We do not support AES-128 encryption with HLS yet. If the streamInfos
+      // is null because of AES-128 encryption, do not create variants for that.
+      return []
+    })
+
+    const allVariants = await Promise.all(variantsPromises)
+    let variants = allVariants.reduce(Functional.collapseArrays, [])
+    // Filter out null variants.
+    variants = variants.filter((variant) => variant !== null)
+    return variants
+  }
+  /* *
+   * Create audio and video streamInfos from an 'EXT-X-STREAM-INF' tag and its
+   * related media tags.
+   *
+   * @param {!Tag} tag
+   * @return {!Promise.<?HlsParser.StreamInfos>}
+   * @private
+   */
+  async createStreamInfosForVariantTag_(tag) {
+    const ContentType = ManifestParserUtils.ContentType
+    /* * @type {!Array.<string>} */
+    let allCodecs = this.getCodecsForVariantTag_(tag)
+    const audioGroupId = tag.getAttributeValue('AUDIO')
+    const videoGroupId = tag.getAttributeValue('VIDEO')
+    console.assert(audioGroupId === null || videoGroupId === null, 'Unexpected: both video and audio described by media tags!')
+
+    const groupId = audioGroupId || videoGroupId
+    const streamInfos = await this.getStreamInfosByGroupId_(groupId)
+
+    // Make an educated guess about the stream type.
+    console.debug('Guessing stream type for', tag.toString())
+    let type
+    let ignoreStream = false
+
+    // The Microsoft HLS manifest generators will make audio-only variants
+    // that link to their URI both directly and through an audio tag.
+    // In that case, ignore the local URI and use the version in the
+    // AUDIO tag, so you inherit its language.
+    // As an example, see the manifest linked in issue #860.
+    const streamURI = tag.getRequiredAttrValue('URI')
+    const hasSameUri = audioGroupId && streamInfos.some((info) => {
+      return info.verbatimMediaPlaylistUri === streamURI
+    })
+
+    const videoCodecs = this.guessCodecsSafe_(ContentType.VIDEO, allCodecs)
+    const audioCodecs = this.guessCodecsSafe_(ContentType.AUDIO, allCodecs)
+
+    if (streamInfos.length && audioGroupId && hasSameUri) {
+      // The variant's own URI duplicates an AUDIO media tag.
+      console.debug('Guessing audio-only with duplicate media tag.')
+      type = ContentType.AUDIO
+      ignoreStream = true
+    } else if (audioCodecs && !videoCodecs) {
+      // There are no associated media tags, and there's only audio codec,
+      // and no video codec, so it should be audio.
+      type = ContentType.AUDIO
+      console.debug('Guessing audio-only.')
+    } else if (!streamInfos.length && audioCodecs && videoCodecs) {
+      // There are both audio and video codecs, so assume multiplexed content.
+      // Note that the default used when CODECS is missing assumes multiple
+      // (and therefore multiplexed).
+      // Recombine the codec strings into one so that MediaSource isn't
+      // lied to later. (That would trigger an error in Chrome.)
+      console.debug('Guessing multiplexed audio+video.')
+      type = ContentType.VIDEO
+      allCodecs = [[videoCodecs, audioCodecs].join(',')]
+    } else if (streamInfos.length && audioCodecs && videoCodecs) {
+      // There are both audio and video codecs, and the audio is described
+      // through media tags, so this is the video stream.
+      console.debug('Guessing video with audio in media tags.')
+      type = ContentType.VIDEO
+      allCodecs = [videoCodecs]
+    } else {
+      // Either there are no codecs, or there's only video codecs.
+      console.debug('Guessing video.')
+      type = ContentType.VIDEO
     }
 
-    // |variant.frameRate| can be undefined, which breaks
-    // the math, so make sure they are there first.
-    if (variant && variant.frameRate) {
-      if (!inRange(variant.frameRate,
-        restrictions.minFrameRate,
-        restrictions.maxFrameRate)) {
-        return false
-      }
+    let streamInfo
+    if (!ignoreStream) {
+      streamInfo = await this.createStreamInfo_(streamURI, allCodecs, type, /*  language= */ 'und', /*  primary= */ false, /*  name= */ null, /*  channelcount= */ null, /*  closedCaptions= */ null)
     }
 
-    if (!inRange(variant.bandwidth,
-      restrictions.minBandwidth,
-      restrictions.maxBandwidth)) {
-      return false
+    // Make sure that the parser has not been destroyed.
+    if (!this.playerInterface_) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.PLAYER,
+        Error$1.Code.OPERATION_ABORTED)
     }
 
-    return true
-  }
+    // This stream was skipped (unsupported or AES-128 encrypted).
+    if (streamInfo === null) {
+      console.debug('streamInfo is null')
+      return null
+    }
 
-  /**
-   * @param {!Array.<shaka.extern.Variant>} variants
-   * @param {shaka.extern.Restrictions} restrictions
-   * @param {{width: number, height: number}} maxHwRes
-   * @return {boolean} Whether the tracks changed.
-   */
-  static applyRestrictions(variants, restrictions, maxHwRes) {
-    let tracksChanged = false
+    const closedCaptions = this.getClosedCaptions_(tag)
+    if (streamInfo && closedCaptions && streamInfo.stream.type === ContentType.VIDEO) {
+      streamInfo.stream.closedCaptions = closedCaptions
+    }
 
-    for (const variant of variants) {
-      const originalAllowed = variant.allowedByApplication
-      variant.allowedByApplication = StreamUtils.meetsRestrictions(
-        variant, restrictions, maxHwRes)
+    const audioStreamInfos = streamInfos.filter((info) => info.stream.type === ContentType.AUDIO)
+    const videoStreamInfos = streamInfos.filter((info) => info.stream.type === ContentType.VIDEO)
 
-      if (originalAllowed !== variant.allowedByApplication) {
-        tracksChanged = true
+    if (streamInfo) {
+      if (streamInfo.stream.type === ContentType.AUDIO) {
+        audioStreamInfos.push(streamInfo)
+      } else {
+        videoStreamInfos.push(streamInfo)
       }
     }
 
-    return tracksChanged
+    return {
+      audio: audioStreamInfos,
+      video: videoStreamInfos
+    }
   }
-
-  /**
-   * Alters the given Period to filter out any unplayable streams.
+  /* *
+   * Get the codecs from the 'EXT-X-STREAM-INF' tag.
    *
-   * @param {?shaka.extern.Stream} activeAudio
-   * @param {?shaka.extern.Stream} activeVideo
-   * @param {shaka.extern.Period} period
+   * @param {!Tag} tag
+   * @return {!Array.<string>} codecs
+   * @private
    */
-  static filterNewPeriod(activeAudio, activeVideo, period) {
-    const StreamUtils = StreamUtils
+  getCodecsForVariantTag_(tag) {
+    // These are the default codecs to assume if none are specified.
+    //
+    // The video codec is H.264, with baseline profile and level 3.0.
+    // http://blog.pearce.org.nz/2013/11/what-does-h264avc1-codecs-parameters.html
+    //
+    // The audio codec is 'low-complexity' AAC.
+    const defaultCodecs = 'avc1.42E01E,mp4a.40.2'
 
-    if (activeAudio) {
-      console.assert(StreamUtils.isAudio(activeAudio),
-        'Audio streams must have the audio type.')
-    }
+    const codecsString = tag.getAttributeValue('CODECS', defaultCodecs)
+    // Strip out internal whitespace while splitting on commas:
+    /* * @type {!Array.<string>} */
+    const codecs = codecsString.split(/\s*,\s*/)
 
-    if (activeVideo) {
-      console.assert(StreamUtils.isVideo(activeVideo),
-        'Video streams must have the video type.')
+    // Filter out duplicate codecs.
+    const seen = new Set()
+    const ret = []
+    for (const codec of codecs) {
+      // HLS says the CODECS field needs to include all codecs that appear in
+      // the content. This means that if the content changes profiles, it should
+      // include both. Since all known browsers support changing profiles
+      // without any other work, just ignore them.  See also:
+      // https://github.com/google/shaka-player/issues/1817
+      const shortCodec = MimeUtils.getCodecBase(codec)
+      if (!seen.has(shortCodec)) {
+        ret.push(codec)
+        seen.add(shortCodec)
+      } else {
+        console.debug('Ignoring duplicate codec')
+      }
+    }
+    return ret
+  }
+  /* *
+   * Get the channel count information for an HLS audio track.
+   * CHANNELS specifies an ordered, '/' separated list of parameters.
+   * If the type is audio, the first parameter will be a decimal integer
+   * specifying the number of independent, simultaneous audio channels.
+   * No other channels parameters are currently defined.
+   *
+   * @param {!Tag} tag
+   * @return {?number}
+   * @private
+   */
+  getChannelsCount_(tag) {
+    const channels = tag.getAttributeValue('CHANNELS')
+    if (!channels) {
+      return null
+    }
+    const channelcountstring = channels.split('/')[0]
+    const count = parseInt(channelcountstring, 10)
+    return isNaN(count) ? null : count
+  }
+  /* *
+   * Get the closed captions map information for the EXT-X-STREAM-INF tag, to
+   * create the stream info.
+   * @param {!Tag} tag
+   * @return {Map.<string, string>} closedCaptions
+   * @private
+   */
+  getClosedCaptions_(tag) {
+    const type = 'CLOSED-CAPTIONS'
+    const closedCaptionsAttr = tag.getAttributeValue(type)
+    if (!closedCaptionsAttr || closedCaptionsAttr === 'NONE') {
+      return null
+    }
+    const closedCaptions = new Map()
+    for (const mediaTag of this.closedCaptionTags_(closedCaptionsAttr)) {
+      const language = LanguageUtils.normalize(mediaTag.getAttributeValue('LANGUAGE') || 'und')
+      const channel = mediaTag.getRequiredAttrValue('INSTREAM-ID')
+      closedCaptions.set(channel, language)
     }
+    return closedCaptions.size ? closedCaptions : null
+  }
+  /* *
+   * The CLOSED-CAPTIONS media tags of the master playlist for a group ID.
+   * @param {string} groupId
+   * @return {!Array.<!Tag>}
+   * @private
+   */
+  closedCaptionTags_(groupId) {
+    const tags = this.masterTags_ || []
+    return tags.filter((tag) => {
+      return tag.name === 'EXT-X-MEDIA' &&
+          tag.getAttributeValue('TYPE') === 'CLOSED-CAPTIONS' &&
+          tag.getAttributeValue('GROUP-ID') === groupId
+    })
+  }
+  /* *
+   * Get a list of streamInfos by group ID.
+   *
+   * @param {?string} groupId
+   * @return {!Promise.<!Array.<!HlsParser.StreamInfo>>}
+   * @private
+   */
+  async getStreamInfosByGroupId_(groupId) {
+    if (!groupId) {
+      return []
+    }
+    const infos = await Promise.all(Array.from(this.mediaTagsToStreamInfosMap_.values()))
+    return infos.filter((info) => info && info.groupId === groupId)
+  }
+  /* *
+   * Create variants from audio and video streamInfos.
+   *
+   * @param {!Array.<!HlsParser.StreamInfo>} audioInfos
+   * @param {!Array.<!HlsParser.StreamInfo>} videoInfos
+   * @param {number} bandwidth
+   * @param {?string} width
+   * @param {?string} height
+   * @param {?string} frameRate
+   * @return {!Array.<!shaka.extern.Variant>}
+   * @private
+   */
+  createVariants_(audioInfos, videoInfos, bandwidth, width, height, frameRate) {
+    const ContentType = ManifestParserUtils.ContentType
 
-    // Filter variants.
-    period.variants = period.variants.filter((variant) => {
-      const audio = variant.audio
-      const video = variant.video
+    for (const info of videoInfos) {
+      this.addVideoAttributes_(info.stream, width, height, frameRate)
+    }
 
-      if (audio && !MediaSourceEngine.isStreamSupported(audio)) {
-        console.debug('Dropping variant - audio not compatible with platform',
-          StreamUtils.getStreamSummaryString_(audio))
-        return false
-      }
+    // In case of audio-only or video-only content or the audio/video is
+    // disabled by the config, we create an array of one item containing
+    // a null. This way, the double-loop works for all kinds of content.
+    // NOTE: we currently don't have support for audio-only content.
+    const disableAudio = this.config_ ? this.config_.disableAudio : false
+    if (!audioInfos.length || disableAudio) {
+      audioInfos = [null]
+    }
+    const disableVideo = this.config_ ? this.config_.disableVideo : false
+    if (!videoInfos.length || disableVideo) {
+      videoInfos = [null]
+    }
 
-      if (video && !MediaSourceEngine.isStreamSupported(video)) {
-        console.debug('Dropping variant - video not compatible with platform',
-          StreamUtils.getStreamSummaryString_(video))
-        return false
-      }
+    const variants = []
+    for (const audioInfo of audioInfos) {
+      for (const videoInfo of videoInfos) {
+        const audioStream = audioInfo ? audioInfo.stream : null
+        const videoStream = videoInfo ? videoInfo.stream : null
+        const audioDrmInfos = audioInfo ? audioInfo.drmInfos : null
+        const videoDrmInfos = videoInfo ? videoInfo.drmInfos : null
+        const videoStreamUri = videoInfo ? videoInfo.verbatimMediaPlaylistUri : ''
+        const audioStreamUri = audioInfo ? audioInfo.verbatimMediaPlaylistUri : ''
+        const variantUriKey = videoStreamUri + ' - ' + audioStreamUri
 
-      if (audio && activeAudio) {
-        if (!StreamUtils.areStreamsCompatible_(audio, activeAudio)) {
-          console.debug('Droping variant - not compatible with active audio',
-            'active audio',
-            StreamUtils.getStreamSummaryString_(activeAudio),
-            'variant.audio',
-            StreamUtils.getStreamSummaryString_(audio))
-          return false
+        if (!audioStream && !videoStream) {
+          continue
         }
-      }
 
-      if (video && activeVideo) {
-        if (!StreamUtils.areStreamsCompatible_(video, activeVideo)) {
-          console.debug('Droping variant - not compatible with active video',
-            'active video',
-            StreamUtils.getStreamSummaryString_(activeVideo),
-            'variant.video',
-            StreamUtils.getStreamSummaryString_(video))
-          return false
+        if (audioStream && videoStream) {
+          if (audioDrmInfos !== videoDrmInfos) {
+            console.warn('Incompatible DRM info in HLS variant.  Skipping.')
+            continue
+          }
         }
-      }
 
-      return true
-    })
+        if (this.variantUriSet_.has(variantUriKey)) {
+          // This happens when two variants only differ in their text streams.
+          console.debug('Skipping variant which only differs in text streams.')
+          continue
+        }
 
-    // Filter text streams.
-    period.textStreams = period.textStreams.filter((stream) => {
-      const fullMimeType = MimeUtils.getFullType(
-        stream.mimeType, stream.codecs)
-      const keep = TextEngine.isTypeSupported(fullMimeType)
+        // Since both audio and video are of the same type, this assertion will
+        // catch certain mistakes at runtime that the compiler would miss.
+        console.assert(!audioStream || audioStream.type === ContentType.AUDIO, 'Audio parameter mismatch!')
+        console.assert(!videoStream || videoStream.type === ContentType.VIDEO, 'Video parameter mismatch!')
 
-      if (!keep) {
-        console.debug('Dropping text stream. Is not supported by the ' +
-                        'platform.', stream)
+        const variant = this.createVariant_(audioStream, videoStream, bandwidth)
+        variants.push(variant)
+        this.variantUriSet_.add(variantUriKey)
       }
-
-      return keep
-    })
+    }
+    return variants
   }
+  /* *
+   * @param {shaka.extern.Stream} audio
+   * @param {shaka.extern.Stream} video
+   * @param {number} bandwidth
+   * @return {!shaka.extern.Variant}
+   * @private
+   */
+  createVariant_(audio, video, bandwidth) {
+    const ContentType = ManifestParserUtils.ContentType
 
-  /**
-   * @param {shaka.extern.Stream} s0
-   * @param {shaka.extern.Stream} s1
-   * @return {boolean}
+    // Since both audio and video are of the same type, this assertion will
+    // catch certain mistakes at runtime that the compiler would miss.
+    console.assert(!audio || audio.type === ContentType.AUDIO, 'Audio parameter mismatch!')
+    console.assert(!video || video.type === ContentType.VIDEO, 'Video parameter mismatch!')
+
+    return {
+      id: this.globalId_++,
+      language: audio ? audio.language : 'und',
+      primary: (!!audio && audio.primary) || (!!video && video.primary),
+      audio: audio,
+      video: video,
+      bandwidth: bandwidth,
+      drmInfos: [],
+      allowedByApplication: true,
+      allowedByKeySystem: !((audio && audio.encrypted) || (video && video.encrypted))
+    }
+  }
+  /* *
+   * Parse EXT-X-MEDIA media tag into a Stream object.
+   *
+   * @param {Tag} tag
+   * @return {!Promise.<?HlsParser.StreamInfo>}
    * @private
    */
-  static areStreamsCompatible_(s0, s1) {
-    // Basic mime types and basic codecs need to match.
-    // For example, we can't adapt between WebM and MP4,
-    // nor can we adapt between mp4a.* to ec-3.
-    // We can switch between text types on the fly,
-    // so don't run this check on text.
-    if (s0.mimeType !== s1.mimeType) {
-      return false
+  createStreamInfoFromMediaTag_(tag) {
+    const key = String(tag.id)
+    if (this.mediaTagsToStreamInfosMap_.has(key)) {
+      return this.mediaTagsToStreamInfosMap_.get(key)
+    }
+    const promise = this.createStreamInfoFromMediaTagOnce_(tag)
+    this.mediaTagsToStreamInfosMap_.set(key, promise)
+    return promise
+  }
+  /* *
+   * @param {Tag} tag
+   * @return {!Promise.<?HlsParser.StreamInfo>}
+   * @private
+   */
+  async createStreamInfoFromMediaTagOnce_(tag) {
+    const groupId = tag.getRequiredAttrValue('GROUP-ID')
+    /* * @type {!Array.<string>} */
+    let codecs = []
+    /* * @type {string} */
+    const type = HlsParser.getType_(tag)
+    // Text does not require a codec.
+    if (type !== ManifestParserUtils.ContentType.TEXT && this.groupIdToCodecsMap_.has(groupId)) {
+      codecs = this.groupIdToCodecsMap_.get(groupId)
     }
 
-    if (s0.codecs.split('.')[0] !== s1.codecs.split('.')[0]) {
-      return false
+    const verbatimMediaPlaylistUri = tag.getRequiredAttrValue('URI')
+
+    // Check if the stream has already been created as part of another Variant
+    // and return it if it has.
+    if (this.uriToStreamInfosMap_.has(verbatimMediaPlaylistUri)) {
+      return this.uriToStreamInfosMap_.get(verbatimMediaPlaylistUri)
     }
 
-    return true
-  }
+    let language = tag.getAttributeValue('LANGUAGE')
+    if (language) {
+      language = LanguageUtils.normalize(language)
+    }
+    const name = tag.getAttributeValue('NAME')
 
-  /**
-   * @param {shaka.extern.Variant} variant
-   * @return {shaka.extern.Track}
-   */
-  static variantToTrack(variant) {
-    /** @type {?shaka.extern.Stream} */
-    const audio = variant.audio
-    /** @type {?shaka.extern.Stream} */
-    const video = variant.video
+    const defaultAttrValue = tag.getAttribute('DEFAULT')
+    const primary = !!defaultAttrValue && defaultAttrValue.value === 'YES'
 
-    /** @type {?string} */
-    const audioCodec = audio ? audio.codecs : null
-    /** @type {?string} */
-    const videoCodec = video ? video.codecs : null
+    const channelsCount = type === 'audio' ? this.getChannelsCount_(tag) : null
+    const streamInfo = await this.createStreamInfo_(verbatimMediaPlaylistUri, codecs, type, language || 'und', primary, name, channelsCount, /*  closedCaptions= */ null)
+    if (streamInfo) {
+      streamInfo.groupId = groupId
+      // e.g. public.accessibility.describes-video
+      const characteristics = tag.getAttributeValue('CHARACTERISTICS')
+      if (characteristics) {
+        streamInfo.stream.roles = characteristics.split(',')
+      }
+    }
 
-    /** @type {!Array.<string>} */
-    const codecs = []
-    if (videoCodec) {
-      codecs.push(videoCodec)
+    // TODO: This check is necessary because of the possibility of multiple
+    // calls to createStreamInfoFromMediaTag_ before either has resolved.
+    if (this.uriToStreamInfosMap_.has(verbatimMediaPlaylistUri)) {
+      return this.uriToStreamInfosMap_.get(verbatimMediaPlaylistUri)
     }
-    if (audioCodec) {
-      codecs.push(audioCodec)
+    if (streamInfo === null) {
+      return null
     }
 
-    /** @type {!Array.<string>} */
-    const mimeTypes = []
-    if (video) {
-      mimeTypes.push(video.mimeType)
-    }
-    if (audio) {
-      mimeTypes.push(audio.mimeType)
+    this.uriToStreamInfosMap_.set(verbatimMediaPlaylistUri, Promise.resolve(streamInfo))
+    return streamInfo
+  }
+  /* *
+   * Parse an EXT-X-MEDIA, EXT-X-STREAM-INF media playlist into a Stream object.
+   * Returns null if the stream was skipped.
+   *
+   * @param {string} verbatimMediaPlaylistUri
+   * @param {!Array.<string>} codecs
+   * @param {string} type
+   * @param {string} language
+   * @param {boolean} primary
+   * @param {?string} name
+   * @param {?number} channelsCount
+   * @param {Map.<string, string>} closedCaptions
+   * @return {!Promise.<?HlsParser.StreamInfo>}
+   * @throws Error$1
+   * @private
+   */
+  createStreamInfo_(verbatimMediaPlaylistUri, codecs, type, language, primary, name, channelsCount, closedCaptions) {
+    // Variants which share a media playlist (e.g. audio-only variants that
+    // only differ in bandwidth) must share a single Stream.
+    if (this.uriToStreamInfosMap_.has(verbatimMediaPlaylistUri)) {
+      return this.uriToStreamInfosMap_.get(verbatimMediaPlaylistUri)
     }
-    /** @type {?string} */
-    const mimeType = mimeTypes[0] || null
+    const promise = this.createStreamInfoOnce_(verbatimMediaPlaylistUri, codecs, type, language, primary, name, channelsCount, closedCaptions)
+    this.uriToStreamInfosMap_.set(verbatimMediaPlaylistUri, promise)
+    return promise
+  }
+  /* *
+   * @param {string} verbatimMediaPlaylistUri
+   * @param {!Array.<string>} codecs
+   * @param {string} type
+   * @param {string} language
+   * @param {boolean} primary
+   * @param {?string} name
+   * @param {?number} channelsCount
+   * @param {Map.<string, string>} closedCaptions
+   * @return {!Promise.<?HlsParser.StreamInfo>}
+   * @private
+   */
+  async createStreamInfoOnce_(verbatimMediaPlaylistUri, codecs, type, language, primary, name, channelsCount, closedCaptions) {
+    // TODO: Refactor, too many parameters
+    const absoluteMediaPlaylistUri = ManifestParserUtils.resolveUris([this.masterPlaylistUri_], [verbatimMediaPlaylistUri])[0]
 
-    /** @type {!Array.<string>} */
-    const kinds = []
-    if (audio) {
-      kinds.push(audio.kind)
+    const response = await this.requestManifest_(absoluteMediaPlaylistUri)
+
+    // Record the final URI after redirects.
+    const finalMediaPlaylistUri = response.uri
+
+    /* * @const {!Playlist} */
+    const playlist = this.manifestTextParser_.parsePlaylist(response.data, finalMediaPlaylistUri)
+
+    if (playlist.type !== Playlist.Type.MEDIA) {
+      // EXT-X-MEDIA and EXT-X-STREAM-INF tags should point to media playlists.
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_INVALID_PLAYLIST_HIERARCHY)
     }
-    if (video) {
-      kinds.push(video.kind)
+
+    /* * @type {!Array.<!Tag>} */
+    const drmTags = []
+    for (const segment of playlist.segments) {
+      const segmentKeyTags = Utils.filterTagsByName(segment.tags, 'EXT-X-KEY')
+      drmTags.push(...segmentKeyTags)
     }
-    /** @type {?string} */
-    const kind = kinds[0] || null
 
-    /** @type {!Set.<string>} */
-    const roles = new Set()
-    if (audio) {
-      for (const role of audio.roles) {
-        roles.add(role)
+    let encrypted = false
+    for (const drmTag of drmTags) {
+      const method = drmTag.getRequiredAttrValue('METHOD')
+      if (method === 'AES-128') {
+        // AES-128 segment decryption is not supported; skip the stream so the
+        // other variants can still play.
+        console.warn('Skipping AES-128 encrypted stream', verbatimMediaPlaylistUri)
+        return null
+      }
+      if (method !== 'NONE') {
+        // SAMPLE-AES needs a key system, which this build does not have.  The
+        // stream is kept but flagged, so variants using it are filtered out.
+        encrypted = true
       }
     }
-    if (video) {
-      for (const role of video.roles) {
-        roles.add(role)
+
+    let mimeType
+    try {
+      mimeType = await this.guessMimeType_(type, codecs.join(','), playlist)
+    } catch (error) {
+      if (error.code === Error$1.Code.HLS_INTERNAL_SKIP_STREAM) {
+        return null
       }
+      throw error
     }
 
-    /** @type {shaka.extern.Track} */
-    const track = {
-      id: variant.id,
-      active: false,
-      type: 'variant',
-      bandwidth: variant.bandwidth,
-      language: variant.language,
-      label: null,
-      kind: kind,
-      width: null,
-      height: null,
-      frameRate: null,
-      pixelAspectRatio: null,
+    // Some values we cannot figure out, and aren't important enough to ask
+    // the user to provide through config values. A lot of these are only
+    // relevant to ABR, which isn't necessary if there's only one variant.
+    // So these unknowns should be set to false or null, largely.
+    const allCodecs = codecs.join(',')
+    const mediaCodecs = type === ManifestParserUtils.ContentType.TEXT
+      ? '' : (this.guessCodecsSafe_(type, codecs) || allCodecs)
+
+    // MediaSource expects no codec strings combined with raw formats.
+    // TODO(#2337): Instead, create a Stream flag indicating a raw format.
+    const finalCodecs = HlsParser.RAW_FORMATS_.includes(mimeType) ? '' : mediaCodecs
+
+    this.determinePresentationType_(playlist)
+
+    const references = await this.createSegments_(verbatimMediaPlaylistUri, playlist, type, mimeType, playlist.segments, /*  lastReference= */ null)
+
+    const minTimestamp = references.length ? references[0].startTime : 0
+    const lastEndTime = references.length ? references[references.length - 1].endTime : 0
+    const duration = lastEndTime - minTimestamp
+
+    const segmentIndex = new SegmentIndex(references)
+
+    const kind = (type === ManifestParserUtils.ContentType.TEXT) ? ManifestParserUtils.TextStreamKind.SUBTITLE : undefined
+
+    /* * @type {!shaka.extern.Stream} */
+    const stream = {
+      id: this.globalId_++,
+      originalId: name,
+      createSegmentIndex: () => Promise.resolve(),
+      segmentIndex: segmentIndex,
       mimeType: mimeType,
-      codecs: codecs.join(', '),
-      audioCodec: audioCodec,
-      videoCodec: videoCodec,
-      primary: variant.primary,
-      roles: Array.from(roles),
-      audioRoles: null,
-      videoId: null,
-      audioId: null,
-      channelsCount: null,
+      codecs: finalCodecs,
+      kind: kind,
+      encrypted: encrypted,
+      keyId: null,
+      language: language,
+      label: name,
+      type: type,
+      primary: primary,
+      // TODO: trick mode
+      trickModeVideo: null,
+      emsgSchemeIdUris: null,
+      frameRate: undefined,
+      pixelAspectRatio: undefined,
+      width: undefined,
+      height: undefined,
+      bandwidth: undefined,
+      roles: [],
+      channelsCount: channelsCount,
       audioSamplingRate: null,
-      audioBandwidth: null,
-      videoBandwidth: null,
-      originalVideoId: null,
-      originalAudioId: null,
-      originalTextId: null
-    }
-
-    if (video) {
-      track.videoId = video.id
-      track.originalVideoId = video.originalId
-      track.width = video.width || null
-      track.height = video.height || null
-      track.frameRate = video.frameRate || null
-      track.pixelAspectRatio = video.pixelAspectRatio || null
-      track.videoBandwidth = video.bandwidth || null
+      closedCaptions: closedCaptions
     }
 
-    if (audio) {
-      track.audioId = audio.id
-      track.originalAudioId = audio.originalId
-      track.channelsCount = audio.channelsCount
-      track.audioSamplingRate = audio.audioSamplingRate
-      track.audioBandwidth = audio.bandwidth || null
-      track.label = audio.label
-      track.audioRoles = audio.roles
+    const streamInfo = {
+      stream: stream,
+      verbatimMediaPlaylistUri: verbatimMediaPlaylistUri,
+      absoluteMediaPlaylistUri: finalMediaPlaylistUri,
+      minTimestamp: minTimestamp,
+      maxTimestamp: lastEndTime,
+      duration: duration,
+      hasEndList: !!Utils.getFirstTagWithName(playlist.tags, 'EXT-X-ENDLIST'),
+      drmInfos: null,
+      groupId: null
     }
 
-    return track
+    this.streamsToUpdate_.set(verbatimMediaPlaylistUri, streamInfo)
+    return streamInfo
   }
-
-  /**
-   * @param {shaka.extern.Stream} stream
-   * @return {shaka.extern.Track}
+  /* *
+   * Sets the presentation type from the first media playlist, and records
+   * its target duration.
+   *
+   * @param {!Playlist} playlist
+   * @private
    */
-  static textStreamToTrack(stream) {
-    const ContentType = ManifestParserUtils.ContentType
+  determinePresentationType_(playlist) {
+    const PresentationType = HlsParser.PresentationType_
+    const presentationTypeTag = Utils.getFirstTagWithName(playlist.tags, 'EXT-X-PLAYLIST-TYPE')
+    const endListTag = Utils.getFirstTagWithName(playlist.tags, 'EXT-X-ENDLIST')
 
-    /** @type {shaka.extern.Track} */
-    const track = {
-      id: stream.id,
-      active: false,
-      type: ContentType.TEXT,
-      bandwidth: 0,
-      language: stream.language,
-      label: stream.label,
-      kind: stream.kind || null,
-      width: null,
-      height: null,
-      frameRate: null,
-      pixelAspectRatio: null,
-      mimeType: stream.mimeType,
-      codecs: stream.codecs || null,
-      audioCodec: null,
-      videoCodec: null,
-      primary: stream.primary,
-      roles: stream.roles,
-      audioRoles: null,
-      videoId: null,
-      audioId: null,
-      channelsCount: null,
-      audioSamplingRate: null,
-      audioBandwidth: null,
-      videoBandwidth: null,
-      originalVideoId: null,
-      originalAudioId: null,
-      originalTextId: stream.originalId
+    const isVod = (presentationTypeTag && presentationTypeTag.value === 'VOD') || endListTag
+    const isEvent = presentationTypeTag && presentationTypeTag.value === 'EVENT' && !isVod
+    const isLive = !isVod && !isEvent
+
+    if (isVod) {
+      this.setPresentationType_(PresentationType.VOD)
+    } else {
+      // If it's not VOD, it must be presentation type LIVE or an ongoing
+      // EVENT.
+      if (isLive) {
+        this.setPresentationType_(PresentationType.LIVE)
+      } else {
+        this.setPresentationType_(PresentationType.EVENT)
+      }
+    }
+
+    const targetDurationTag = this.getRequiredTag_(playlist.tags, 'EXT-X-TARGETDURATION')
+    const targetDuration = Number(targetDurationTag.value)
+
+    this.maxTargetDuration_ = Math.max(targetDuration, this.maxTargetDuration_)
+    // Get the target duration of the playlist with the smallest segments.
+    this.minTargetDuration_ = Math.min(targetDuration, this.minTargetDuration_)
+  }
+  /* *
+   * Returns the segments of a refreshed live playlist which come after the
+   * last reference we already know about.
+   *
+   * @param {!Playlist} playlist
+   * @param {SegmentReference} lastReference
+   * @return {!Array.<!Segment>}
+   * @private
+   */
+  getNewSegments_(playlist, lastReference) {
+    if (!lastReference) {
+      return playlist.segments
     }
-
-    return track
+    const firstSequenceNumber = Utils.getFirstTagWithNameAsNumber(playlist.tags, 'EXT-X-MEDIA-SEQUENCE', 0)
+    const skip = lastReference.position + 1 - firstSequenceNumber
+    if (skip < 0) {
+      console.warn('Fell behind the live window of a media playlist; some segments were missed.')
+      return playlist.segments
+    }
+    return playlist.segments.slice(skip)
   }
-
-  /**
-   * Generate and return an ID for this track, since the ID field is optional.
+  /* *
+   * Creates SegmentReferences for the given segments of a media playlist.
    *
-   * @param {TextTrack|AudioTrack} html5Track
-   * @return {number} The generated ID.
+   * Segments are timed by their EXTINF durations.  Each run of segments
+   * between discontinuities is anchored by probing the media timestamp of its
+   * first segment, so that timestamps which reset at a discontinuity still
+   * line up with the presentation timeline.
+   * 每个不连续段（EXT-X-DISCONTINUITY）单独探测起始时间戳，以计算 timestampOffset
+   *
+   * @param {string} verbatimMediaPlaylistUri
+   * @param {!Playlist} playlist
+   * @param {string} type
+   * @param {string} mimeType
+   * @param {!Array.<!Segment>} segments The segments to convert; either all
+   *   of them, or the new ones after |lastReference|.
+   * @param {SegmentReference} lastReference The last known reference of this
+   *   stream, or null for the first parse.
+   * @return {!Promise.<!Array.<!SegmentReference>>}
+   * @throws {Error$1}
+   * @private
    */
-  static html5TrackId(html5Track) {
-    if (!html5Track['__shaka_id']) {
-      html5Track['__shaka_id'] = StreamUtils.nextTrackId_++
+  async createSegments_(verbatimMediaPlaylistUri, playlist, type, mimeType, segments, lastReference) {
+    const ContentType = ManifestParserUtils.ContentType
+    const hlsSegments = playlist.segments
+    console.assert(hlsSegments.length, 'Playlist should have segments!')
+
+    const firstSequenceNumber = Utils.getFirstTagWithNameAsNumber(playlist.tags, 'EXT-X-MEDIA-SEQUENCE', 0)
+    const startIndex = hlsSegments.length - segments.length
+    const isText = type === ContentType.TEXT
+
+    // The init segment (EXT-X-MAP) and byte ranges are sticky: they apply to
+    // every following segment until changed.  Walk from the first segment so
+    // that new segments in a live update inherit them too.
+    /* * @type {InitSegmentReference} */
+    let initSegmentReference = null
+    let previousEndByte = 0
+    /* * @type {!Array.<{segment: !Segment, position: number, duration: number,
+     *   startByte: number, endByte: ?number, discontinuity: boolean,
+     *   initSegmentReference: InitSegmentReference}>} */
+    const items = []
+    for (let i = 0; i < hlsSegments.length; i++) {
+      const segment = hlsSegments[i]
+      const mapTag = Utils.getFirstTagWithName(segment.tags, 'EXT-X-MAP')
+      if (mapTag) {
+        initSegmentReference = this.createInitSegmentReference_(playlist.absoluteUri, mapTag)
+      }
+
+      const extinfTag = this.getRequiredTag_(segment.tags, 'EXTINF')
+      const duration = Number(extinfTag.value)
+
+      let startByte = 0
+      let endByte = null
+      const byterangeTag = Utils.getFirstTagWithName(segment.tags, 'EXT-X-BYTERANGE')
+      if (byterangeTag) {
+        // A byte range of 'n[@o]': if the offset is missing, the range starts
+        // right after the previous one.
+        const blocks = byterangeTag.value.split('@')
+        const byteLength = Number(blocks[0])
+        startByte = blocks[1] ? Number(blocks[1]) : previousEndByte
+        endByte = startByte + byteLength - 1
+        previousEndByte = endByte + 1
+      }
+
+      if (i < startIndex) {
+        continue
+      }
+      items.push({
+        segment: segment,
+        position: firstSequenceNumber + i,
+        duration: duration,
+        startByte: startByte,
+        endByte: endByte,
+        discontinuity: !!Utils.getFirstTagWithName(segment.tags, 'EXT-X-DISCONTINUITY'),
+        initSegmentReference: initSegmentReference
+      })
     }
-    return html5Track['__shaka_id']
-  }
 
-  /**
-   * @param {TextTrack} textTrack
-   * @return {shaka.extern.Track}
-   */
-  static html5TextTrackToTrack(textTrack) {
-    const CLOSED_CAPTION_MIMETYPE =
-        MimeUtils.CLOSED_CAPTION_MIMETYPE
-    const StreamUtils = StreamUtils
+    /* * @type {!Array.<!SegmentReference>} */
+    const references = []
+    let time = lastReference ? lastReference.endTime : 0
+    let timestampOffset = lastReference ? lastReference.timestampOffset : 0
+    let groupStart = time
+    let groupFirstIndex = 0
+    let probed = !!lastReference
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i]
+
+      if (!isText && (!probed || item.discontinuity)) {
+        // Anchor this run of segments on the media timestamp of its first
+        // segment.  The very first run keeps its media timestamps, which keeps
+        // audio and video renditions aligned with each other.
+        const mediaStartTime = await this.getStartTime_(
+          verbatimMediaPlaylistUri, item.initSegmentReference,
+          mimeType, item.segment.absoluteUri, item.startByte, item.endByte)
+        if (!probed) {
+          time = mediaStartTime
+          timestampOffset = 0
+        } else {
+          timestampOffset = time - mediaStartTime
+        }
+        // Close the append window of the previous run, so that frames of the
+        // old timeline can't spill over the new one.
+        for (let j = groupFirstIndex; j < references.length; j++) {
+          references[j].appendWindowEnd = time
+        }
+        groupStart = time
+        groupFirstIndex = references.length
+        probed = true
+      }
 
-    /** @type {shaka.extern.Track} */
-    const track = StreamUtils.html5TrackToGenericShakaTrack_(textTrack)
-    track.active = textTrack.mode !== 'disabled'
-    track.type = 'text'
-    track.originalTextId = textTrack.id
-    if (textTrack.kind === 'captions') {
-      track.mimeType = CLOSED_CAPTION_MIMETYPE
+      const uris = [item.segment.absoluteUri]
+      references.push(new SegmentReference(
+        item.position,
+        time,
+        time + item.duration,
+        () => uris,
+        item.startByte,
+        item.endByte,
+        item.initSegmentReference,
+        timestampOffset,
+        /*  appendWindowStart= */ isText ? 0 : groupStart,
+        /*  appendWindowEnd= */ Infinity))
+
+      time += item.duration
     }
 
-    return track
+    return references
   }
+  /* *
+   * Creates an InitSegmentReference for an EXT-X-MAP tag.
+   *
+   * @param {string} playlistUri
+   * @param {!Tag} mapTag EXT-X-MAP
+   * @return {!InitSegmentReference}
+   * @private
+   */
+  createInitSegmentReference_(playlistUri, mapTag) {
+    /* * @type {!Array.<string>} */
+    const initUris = Utils.constructAbsoluteUri(playlistUri, mapTag, 'URI')
 
-  /**
-   * @param {AudioTrack} audioTrack
-   * @return {shaka.extern.Track}
+    let startByte = 0
+    let endByte = null
+    const byterange = mapTag.getAttributeValue('BYTERANGE')
+    // If a BYTERANGE attribute is not specified, the segment consists
+    // of the entire resource.
+    if (byterange) {
+      const blocks = byterange.split('@')
+      const byteLength = Number(blocks[0])
+      startByte = Number(blocks[1]) || 0
+      endByte = startByte + byteLength - 1
+    }
+
+    return new InitSegmentReference(() => initUris, startByte, endByte)
+  }
+  /* *
+   * Gets the media timestamp, in seconds, of the start of a segment.
+   *
+   * @param {string} verbatimMediaPlaylistUri
+   * @param {InitSegmentReference} initSegmentReference
+   * @param {string} mimeType
+   * @param {string} uri
+   * @param {number} startByte
+   * @param {?number} endByte
+   * @return {!Promise.<number>}
+   * @throws {Error$1}
+   * @private
    */
-  static html5AudioTrackToTrack(audioTrack) {
-    const StreamUtils = StreamUtils
+  async getStartTime_(verbatimMediaPlaylistUri, initSegmentReference, mimeType, uri, startByte, endByte) {
+    // If we are updating the manifest, we can usually skip fetching the
+    // segment by examining the references we already have.  This isn't as
+    // simple as looking for the last reference, but we only get here when
+    // starting a new run of segments, so a request is needed.
 
-    /** @type {shaka.extern.Track} */
-    const track = StreamUtils.html5TrackToGenericShakaTrack_(audioTrack)
-    track.active = audioTrack.enabled
-    track.type = 'variant'
-    track.originalAudioId = audioTrack.id
+    const requestType = NetworkingEngine.RequestType.SEGMENT
+    // TS timestamps live in the PES header of the first packets, so a small
+    // range is enough.  MP4 needs the whole moof box; fetch a larger prefix.
+    const partialSize = HlsParser.PARTIAL_SEGMENT_SIZE_
+    let partialEnd = startByte + partialSize - 1
+    if (endByte !== null) {
+      partialEnd = Math.min(partialEnd, endByte)
+    }
+
+    const segmentRequest = Networking.createSegmentRequest([uri], startByte, partialEnd, this.config_.retryParameters)
+
+    if (mimeType === 'video/mp4' || mimeType === 'audio/mp4') {
+      // We also need the init segment to get the correct timescale. But if the
+      // stream is self-initializing, use the same response for both.
+      const fetches = [this.makeNetworkRequest_(segmentRequest, requestType)]
+
+      if (initSegmentReference) {
+        const initSegmentRequest = Networking.createSegmentRequest(
+          initSegmentReference.getUris(),
+          initSegmentReference.startByte,
+          initSegmentReference.endByte,
+          this.config_.retryParameters)
+        fetches.push(this.makeNetworkRequest_(initSegmentRequest, requestType))
+      }
 
-    if (audioTrack.kind === 'main') {
-      track.primary = true
-      track.roles = ['main']
-      track.audioRoles = ['main']
-    } else {
-      track.audioRoles = []
+      const responses = await Promise.all(fetches)
+      // If the stream is self-initializing, use the main segment in place of
+      // the init segment.
+      if (fetches.length === 1) {
+        responses.push(responses[0])
+      }
+      const segmentData = responses[0].data
+      const initData = responses[1].data
+
+      return HlsParser.getStartTimeFromMp4Segment_(segmentData, initData)
     }
 
-    return track
-  }
+    if (mimeType === 'video/mp2t') {
+      const response = await this.makeNetworkRequest_(segmentRequest, requestType)
+      console.assert(response.data, 'Should have a response body!')
+      return HlsParser.getStartTimeFromTsSegment_(response.data)
+    }
 
-  /**
-   * Creates a Track object with non-type specific fields filled out.  The
-   * caller is responsible for completing the Track object with any
-   * type-specific information (audio or text).
+    if (mimeType === 'audio/mp4; codecs="ac-3"' || mimeType === 'audio/mp4; codecs="ec-3"') {
+      // Packed audio carries no container timestamps we can read here.
+      return 0
+    }
+
+    if (HlsParser.RAW_FORMATS_.includes(mimeType)) {
+      // Packed audio (e.g. raw AAC) may carry an ID3 PRIV timestamp, but the
+      // time is otherwise implied by the playlist, so start at zero.
+      return 0
+    }
+
+    throw new Error$1(
+      Error$1.Severity.CRITICAL,
+      Error$1.Category.MANIFEST,
+      Error$1.Code.HLS_COULD_NOT_PARSE_SEGMENT_START_TIME)
+  }
+  /* *
+   * Parses an mp4 segment to get its start time.
    *
-   * @param {TextTrack|AudioTrack} html5Track
-   * @return {shaka.extern.Track}
+   * @param {BufferSource} mediaData
+   * @param {BufferSource} initData
+   * @return {number}
+   * @throws {Error$1}
    * @private
    */
-  static html5TrackToGenericShakaTrack_(html5Track) {
-    /** @type {shaka.extern.Track} */
-    const track = {
-      id: StreamUtils.html5TrackId(html5Track),
-      active: false,
-      type: '',
-      bandwidth: 0,
-      language: LanguageUtils.normalize(html5Track.language),
-      label: html5Track.label,
-      kind: html5Track.kind,
-      width: null,
-      height: null,
-      frameRate: null,
-      pixelAspectRatio: null,
-      mimeType: null,
-      codecs: null,
-      audioCodec: null,
-      videoCodec: null,
-      primary: false,
-      roles: [],
-      audioRoles: null,
-      videoId: null,
-      audioId: null,
-      channelsCount: null,
-      audioSamplingRate: null,
-      audioBandwidth: null,
-      videoBandwidth: null,
-      originalVideoId: null,
-      originalAudioId: null,
-      originalTextId: null
+  static getStartTimeFromMp4Segment_(mediaData, initData) {
+    let timescale = 0
+    new Mp4Parser()
+      .box('moov', Mp4Parser.children)
+      .box('trak', Mp4Parser.children)
+      .box('mdia', Mp4Parser.children)
+      .fullBox('mdhd', (box) => {
+        console.assert(box.version === 0 || box.version === 1, 'MDHD version can only be 0 or 1')
+
+        // Skip 'creation_time' and 'modification_time'.
+        // They are 4 bytes each if the mdhd box is version 0, 8 bytes each if
+        // it is version 1.
+        box.reader.skip(box.version === 0 ? 8 : 16)
+
+        timescale = box.reader.readUint32()
+        box.parser.stop()
+      }).parse(initData, /*  partialOkay= */ true)
+
+    if (!timescale) {
+      console.error('Unable to find timescale in init segment!')
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_COULD_NOT_PARSE_SEGMENT_START_TIME)
     }
 
-    return track
-  }
+    let startTime = 0
+    let parsedMedia = false
+    new Mp4Parser()
+      .box('moof', Mp4Parser.children)
+      .box('traf', Mp4Parser.children)
+      .fullBox('tfdt', (box) => {
+        console.assert(box.version === 0 || box.version === 1, 'TFDT version can only be 0 or 1')
 
-  /**
-   * Determines if the given variant is playable.
-   * @param {!shaka.extern.Variant} variant
-   * @return {boolean}
-   */
-  static isPlayable(variant) {
-    return variant.allowedByApplication && variant.allowedByKeySystem
-  }
+        const baseTime = (box.version === 0) ? box.reader.readUint32() : box.reader.readUint64()
+        startTime = baseTime / timescale
+        parsedMedia = true
+        box.parser.stop()
+      }).parse(mediaData, /*  partialOkay= */ true)
 
-  /**
-   * Filters out unplayable variants.
-   * @param {!Array.<!shaka.extern.Variant>} variants
-   * @return {!Array.<!shaka.extern.Variant>}
-   */
-  static getPlayableVariants(variants) {
-    return variants.filter((variant) => {
-      return StreamUtils.isPlayable(variant)
-    })
+    if (!parsedMedia) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_COULD_NOT_PARSE_SEGMENT_START_TIME)
+    }
+    return startTime
   }
-
-  /**
-   * Filters variants according to the given audio channel count config.
+  /* *
+   * Parses a TS segment to get its start time.
+   * 读取第一个带 PTS 的 PES 包头，得到分片的起始时间
    *
-   * @param {!Array.<shaka.extern.Variant>} variants
-   * @param {number} preferredAudioChannelCount
-   * @return {!Array.<!shaka.extern.Variant>}
+   * @param {BufferSource} data
+   * @return {number}
+   * @throws {Error$1}
+   * @private
    */
-  static filterVariantsByAudioChannelCount(
-    variants, preferredAudioChannelCount) {
-    // Group variants by their audio channel counts.
-    const variantsWithChannelCounts =
-        variants.filter((v) => v.audio && v.audio.channelsCount)
+  static getStartTimeFromTsSegment_(data) {
+    const reader = new DataViewReader(data, DataViewReader.Endianness.BIG_ENDIAN)
 
-    /** @type {!Map.<number, !Array.<shaka.extern.Variant>>} */
-    const variantsByChannelCount = new Map()
-    for (const variant of variantsWithChannelCounts) {
-      const count = variant.audio.channelsCount
-      console.assert(count !== null, 'Must have count after filtering!')
-      if (!variantsByChannelCount.has(count)) {
-        variantsByChannelCount.set(count, [])
-      }
-      variantsByChannelCount.get(count).push(variant)
+    const fail = () => {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_COULD_NOT_PARSE_SEGMENT_START_TIME)
     }
 
-    /** @type {!Array.<number>} */
-    const channelCounts = Array.from(variantsByChannelCount.keys())
+    // TS packets are 188 bytes; some muxers add a 4 or 16 byte trailer.
+    const packetSizes = [188, 192, 204]
+    let packetStart = 0
+    let packetSize = 0
 
-    // If no variant has audio channel count info, return the original variants.
-    if (channelCounts.length === 0) {
-      return variants
+    const findPacketSize = () => {
+      for (const size of packetSizes) {
+        if (reader.getLength() < size + 1) {
+          return 188
+        }
+        reader.seek(size)
+        if (reader.readUint8() === 0x47) {
+          return size
+        }
+      }
+      return fail()
     }
 
-    // Choose the variants with the largest number of audio channels less than
-    // or equal to the configured number of audio channels.
-    const countLessThanOrEqualtoConfig =
-        channelCounts.filter((count) => count <= preferredAudioChannelCount)
-    if (countLessThanOrEqualtoConfig.length) {
-      return variantsByChannelCount.get(
-        Math.max(...countLessThanOrEqualtoConfig))
+    packetSize = findPacketSize()
+
+    while (packetStart + packetSize <= reader.getLength()) {
+      reader.seek(packetStart)
+
+      const syncByte = reader.readUint8()
+      if (syncByte !== 0x47) {
+        return fail()
+      }
+
+      const flagsAndPacketId = reader.readUint16()
+      const payloadUnitStart = flagsAndPacketId & 0x4000
+
+      const flags = reader.readUint8()
+      const adaptationFieldControl = (flags & 0x30) >> 4
+      const hasPayload = adaptationFieldControl === 1 || adaptationFieldControl === 3
+
+      if (payloadUnitStart && hasPayload) {
+        if (adaptationFieldControl === 3) {
+          // Skip over adaptation field.
+          const length = reader.readUint8()
+          reader.skip(length)
+        }
+
+        // Now we come to the PES header (hopefully).
+        // Format reference: https://bit.ly/TsPES
+        const startCode = reader.readUint32()
+        const startCodePrefix = startCode >>> 8
+        if (startCodePrefix === 1) {
+          // Skip the 2-byte PES length and the first byte of flags.
+          reader.skip(3)
+
+          const ptsDtsIndicator = reader.readUint8() >> 6
+          if (ptsDtsIndicator === 2 || ptsDtsIndicator === 3) {
+            // Skip the PES header length.
+            reader.skip(1)
+
+            // PTS: 33 bits spread over 5 bytes with marker bits in between.
+            const pts0 = reader.readUint8()
+            const pts1 = reader.readUint16()
+            const pts2 = reader.readUint16()
+            // Note: the top bits of pts0 must be multiplied rather than shifted,
+            // since JavaScript bit operations are limited to 32 bits.
+            const pts = ((pts0 & 0x0e) * (1 << 29)) +
+                ((pts1 & 0xfffe) << 14) +
+                ((pts2 & 0xfffe) >>> 1)
+
+            const timescale = 90000
+            return pts / timescale
+          }
+        }
+      }
+
+      // This is not a PES packet with a timestamp; move on to the next packet.
+      packetStart += packetSize
     }
 
-    // If all variants have more audio channels than the config, choose the
-    // variants with the fewest audio channels.
-    return variantsByChannelCount.get(Math.min(...channelCounts))
+    return fail()
   }
+  /* *
+   * Attempts to guess which codecs from the codecs list belong to a given
+   * content type.
+   * Assumes that at least one codec is correct, and throws if none are.
+   *
+   * @param {string} contentType
+   * @param {!Array.<string>} codecs
+   * @return {string}
+   * @private
+   * @throws {Error$1}
+   */
+  guessCodecs_(contentType, codecs) {
+    if (codecs.length === 1) {
+      return codecs[0]
+    }
 
-  /**
-   * Chooses streams according to the given config.
+    const match = this.guessCodecsSafe_(contentType, codecs)
+    // A failure is specifically denoted by null; an empty string represents a
+    // valid match of no codec.
+    if (match !== null) {
+      return match
+    }
+
+    // Unable to guess codecs.
+    throw new Error$1(
+      Error$1.Severity.CRITICAL,
+      Error$1.Category.MANIFEST,
+      Error$1.Code.HLS_COULD_NOT_GUESS_CODECS,
+      codecs)
+  }
+  /* *
+   * Attempts to guess which codecs from the codecs list belong to a given
+   * content type. Does not assume a single codec is anything special, and does
+   * not throw if it fails to match.
    *
-   * @param {!Array.<shaka.extern.Stream>} streams
-   * @param {string} preferredLanguage
-   * @param {string} preferredRole
-   * @return {!Array.<!shaka.extern.Stream>}
+   * @param {string} contentType
+   * @param {!Array.<string>} codecs
+   * @return {?string} or null if no match is found
+   * @private
    */
-  static filterStreamsByLanguageAndRole(
-    streams, preferredLanguage, preferredRole) {
-    const LanguageUtils = LanguageUtils
+  guessCodecsSafe_(contentType, codecs) {
+    const formats = HlsParser.CODEC_REGEXPS_BY_CONTENT_TYPE_[contentType]
+    for (const format of formats) {
+      for (const codec of codecs) {
+        if (format.test(codec.trim())) {
+          return codec.trim()
+        }
+      }
+    }
 
-    /** @type {!Array.<!shaka.extern.Stream>} */
-    let chosen = streams
+    // Text does not require a codec string.
+    if (contentType === ManifestParserUtils.ContentType.TEXT) {
+      return ''
+    }
 
-    // Start with the set of primary streams.
-    /** @type {!Array.<!shaka.extern.Stream>} */
-    const primary = streams.filter((stream) => {
-      return stream.primary
-    })
+    return null
+  }
+  /* *
+   * Attempts to guess stream's mime type based on content type and URI.
+   *
+   * @param {string} contentType
+   * @param {string} codecs
+   * @param {!Playlist} playlist
+   * @return {!Promise.<string>}
+   * @private
+   * @throws {Error$1}
+   */
+  async guessMimeType_(contentType, codecs, playlist) {
+    const ContentType = ManifestParserUtils.ContentType
 
-    if (primary.length) {
-      chosen = primary
-    }
+    console.assert(playlist.segments.length, 'Playlist should have segments!')
+    const firstSegmentUri = playlist.segments[0].absoluteUri
 
-    // Now reduce the set to one language.  This covers both arbitrary language
-    // choice and the reduction of the "primary" stream set to one language.
-    const firstLanguage = chosen.length ? chosen[0].language : ''
-    chosen = chosen.filter((stream) => {
-      return stream.language === firstLanguage
-    })
+    const parsedUri = new Uri(firstSegmentUri)
+    const extension = parsedUri.getPath().split('.').pop()
 
-    // Find the streams that best match our language preference. This will
-    // override previous selections.
-    if (preferredLanguage) {
-      const closestLocale = LanguageUtils.findClosestLocale(
-        LanguageUtils.normalize(preferredLanguage),
-        streams.map((stream) => stream.language))
+    let map = HlsParser.EXTENSION_MAP_BY_CONTENT_TYPE_[contentType]
 
-      // Only replace |chosen| if we found a locale that is close to our
-      // preference.
-      if (closestLocale) {
-        chosen = streams.filter((stream) => {
-          const locale = LanguageUtils.normalize(stream.language)
-          return locale === closestLocale
-        })
-      }
+    let mimeType = map[extension]
+    if (mimeType) {
+      return mimeType
     }
 
-    // Now refine the choice based on role preference.
-    if (preferredRole) {
-      const roleMatches = StreamUtils.filterTextStreamsByRole_(
-        chosen, preferredRole)
-      if (roleMatches.length) {
-        return roleMatches
+    if (contentType === ContentType.TEXT) {
+      // The extension map didn't work.
+      if (!codecs || codecs === 'vtt') {
+        // If codecs is 'vtt', it's WebVTT.
+        // If there was no codecs string, assume HLS text streams are WebVTT.
+        return 'text/vtt'
       } else {
-        console.warning('No exact match for the text role could be found.')
-      }
-    } else {
-      // Prefer text streams with no roles, if they exist.
-      const noRoleMatches = chosen.filter((stream) => {
-        return stream.roles.length === 0
-      })
-      if (noRoleMatches.length) {
-        return noRoleMatches
+        // Otherwise, assume TTML.
+        return 'application/ttml+xml'
       }
     }
 
-    // Either there was no role preference, or it could not be satisfied.
-    // Choose an arbitrary role, if there are any, and filter out any other
-    // roles. This ensures we never adapt between roles.
+    // The extension map didn't work, so ask the server for a content type.
+    const headRequest = NetworkingEngine.makeRequest([firstSegmentUri], this.config_.retryParameters)
+    headRequest.method = 'HEAD'
 
-    const allRoles = chosen.map((stream) => {
-      return stream.roles
-    }).reduce(Functional.collapseArrays, [])
+    const response = await this.makeNetworkRequest_(headRequest, NetworkingEngine.RequestType.SEGMENT)
 
-    if (!allRoles.length) {
-      return chosen
+    const contentMimeType = response.headers['content-type']
+
+    if (!contentMimeType) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_COULD_NOT_GUESS_MIME_TYPE,
+        extension)
     }
-    return StreamUtils.filterTextStreamsByRole_(chosen, allRoles[0])
-  }
 
-  /**
-   * Filter text Streams by role.
+    // Split the MIME type in case the server sent additional parameters.
+    mimeType = contentMimeType.split(';')[0]
+
+    // An unsupported MIME type cannot be played; skip the stream so the other
+    // variants still load.
+    map = HlsParser.EXTENSION_MAP_BY_CONTENT_TYPE_[contentType]
+    const known = Object.keys(map).some((ext) => map[ext] === mimeType)
+    if (!known && !MediaSourceEngine.isStreamSupported({ mimeType: mimeType, codecs: codecs, type: contentType })) {
+      throw new Error$1(
+        Error$1.Severity.RECOVERABLE,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_INTERNAL_SKIP_STREAM)
+    }
+    return mimeType
+  }
+  /* *
+   * Adds video attributes to a video stream.
    *
-   * @param {!Array.<shaka.extern.Stream>} textStreams
-   * @param {string} preferredRole
-   * @return {!Array.<shaka.extern.Stream>}
+   * @param {?shaka.extern.Stream} stream
+   * @param {?string} width
+   * @param {?string} height
+   * @param {?string} frameRate
    * @private
    */
-  static filterTextStreamsByRole_(textStreams, preferredRole) {
-    return textStreams.filter((stream) => {
-      return stream.roles.includes(preferredRole)
-    })
+  addVideoAttributes_(stream, width, height, frameRate) {
+    if (stream) {
+      stream.width = Number(width) || undefined
+      stream.height = Number(height) || undefined
+      stream.frameRate = Number(frameRate) || undefined
+    }
   }
-
-  /**
-   * Finds a Variant with given audio and video streams.
-   * Returns null if no such Variant was found.
+  /* *
+   * Find the attribute and returns its value.
+   * Throws an error if attribute was not found.
    *
-   * @param {?shaka.extern.Stream} audio
-   * @param {?shaka.extern.Stream} video
-   * @param {!Array.<!shaka.extern.Variant>} variants
-   * @return {?shaka.extern.Variant}
+   * @param {!Array.<!Tag>} tags
+   * @param {string} tagName
+   * @return {!Tag}
+   * @private
+   * @throws {Error$1}
    */
-  static getVariantByStreams(audio, video, variants) {
-    if (audio) {
-      console.assert(
-        StreamUtils.isAudio(audio),
-        'Audio streams must have the audio type.')
+  getRequiredTag_(tags, tagName) {
+    const tag = Utils.getFirstTagWithName(tags, tagName)
+    if (!tag) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.MANIFEST,
+        Error$1.Code.HLS_REQUIRED_TAG_MISSING, tagName)
     }
 
-    if (video) {
-      console.assert(
-        StreamUtils.isVideo(video),
-        'Video streams must have the video type.')
+    return tag
+  }
+  /* *
+   * Called when the update timer ticks. Because parsing a manifest is async,
+   * this method is async. To work with this, this method will schedule the next
+   * update when it finished instead of using a repeating-start.
+   *
+   * @return {!Promise}
+   * @private
+   */
+  async onUpdate_() {
+    console.info('Updating manifest...')
+
+    console.assert(this.updatePlaylistDelay_ > 0, 'We should only call |onUpdate_| when we are suppose to be updating.')
+
+    // Detect a call to stop()
+    if (!this.playerInterface_) {
+      return
     }
 
-    for (const variant of variants) {
-      if (variant.audio === audio && variant.video === video) {
-        return variant
+    try {
+      await this.update()
+
+      // This may have converted to VOD, in which case we stop updating.
+      if (this.isLive_()) {
+        const delay = this.updatePlaylistDelay_
+        this.updatePlaylistTimer_.tickAfter(/*  seconds= */ delay)
+      }
+    } catch (error) {
+      // Detect a call to stop() during this.update()
+      if (!this.playerInterface_) {
+        return
       }
-    }
 
-    return null
-  }
+      console.assert(error instanceof Error$1, 'Should only receive a Shaka error')
 
-  /**
-   * Checks if the given stream is an audio stream.
-   *
-   * @param {shaka.extern.Stream} stream
+      // We will retry updating, so override the severity of the error.
+      error.severity = Error$1.Severity.RECOVERABLE
+      this.playerInterface_.onError(error)
+
+      // Try again very soon.
+      this.updatePlaylistTimer_.tickAfter(/*  seconds= */ 0.1)
+    }
+  }
+  /* *
    * @return {boolean}
+   * @private
    */
-  static isAudio(stream) {
-    const ContentType = ManifestParserUtils.ContentType
-    return stream.type === ContentType.AUDIO
+  isLive_() {
+    const PresentationType = HlsParser.PresentationType_
+    return this.presentationType_ !== PresentationType.VOD
   }
+  /* *
+   * @param {HlsParser.PresentationType_} type
+   * @private
+   */
+  setPresentationType_(type) {
+    this.presentationType_ = type
 
-  /**
-   * Checks if the given stream is a video stream.
+    if (this.presentationTimeline_) {
+      this.presentationTimeline_.setStatic(!this.isLive_())
+    }
+
+    // If this manifest is not for live content, then we have no reason to
+    // update it.
+    if (!this.isLive_() && this.updatePlaylistTimer_) {
+      this.updatePlaylistTimer_.stop()
+    }
+  }
+  /* *
+   * Create a networking request. This will manage the request using the
+   * parser's operation manager. If the parser has already been stopped, the
+   * request will not be made.
    *
-   * @param {shaka.extern.Stream} stream
-   * @return {boolean}
+   * @param {string} absoluteUri
+   * @return {!Promise.<shaka.extern.Response>}
+   * @private
    */
-  static isVideo(stream) {
-    const ContentType = ManifestParserUtils.ContentType
-    return stream.type === ContentType.VIDEO
+  requestManifest_(absoluteUri) {
+    const requestType = NetworkingEngine.RequestType.MANIFEST
+    const request = NetworkingEngine.makeRequest([absoluteUri], this.config_.retryParameters)
+    return this.makeNetworkRequest_(request, requestType)
   }
-
-  /**
-   * Get all non-null streams in the variant as an array.
+  /* *
+   * Make a network request using the parser's operation manager.
    *
-   * @param {shaka.extern.Variant} variant
-   * @return {!Array.<shaka.extern.Stream>}
+   * @param {shaka.extern.Request} request
+   * @param {NetworkingEngine.RequestType} type
+   * @return {!Promise.<shaka.extern.Response>}
+   * @private
    */
-  static getVariantStreams(variant) {
-    const streams = []
-
-    if (variant.audio) {
-      streams.push(variant.audio)
-    }
-    if (variant.video) {
-      streams.push(variant.video)
+  makeNetworkRequest_(request, type) {
+    if (!this.operationManager_) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.PLAYER,
+        Error$1.Code.OPERATION_ABORTED)
     }
 
-    return streams
-  }
+    const op = this.playerInterface_.networkingEngine.request(type, request)
+    this.operationManager_.manage(op)
 
-  /**
-   * @param {shaka.extern.Stream} stream
+    return op.promise
+  }
+  /* *
+   * Gets the content type of an EXT-X-MEDIA tag.
+   *
+   * @param {!Tag} tag
    * @return {string}
    * @private
    */
-  static getStreamSummaryString_(stream) {
-    // Accepted parameters for Chromecast can be found (internally) at
-    // go/cast-mime-params
-
-    if (StreamUtils.isAudio(stream)) {
-      return 'type=audio' +
-             ' codecs=' + stream.codecs +
-             ' bandwidth=' + stream.bandwidth +
-             ' channelsCount=' + stream.channelsCount +
-             ' audioSamplingRate=' + stream.audioSamplingRate
-    }
-
-    if (StreamUtils.isVideo(stream)) {
-      return 'type=video' +
-             ' codecs=' + stream.codecs +
-             ' bandwidth=' + stream.bandwidth +
-             ' frameRate=' + stream.frameRate +
-             ' width=' + stream.width +
-             ' height=' + stream.height
-    }
-
-    return 'unexpected stream type'
+  static getType_(tag) {
+    const type = tag.getRequiredAttrValue('TYPE').toLowerCase()
+    // Shaka recognizes the content types 'audio', 'video' and 'text'.
+    // The HLS 'subtitles' type needs to be mapped to 'text'.
+    return type === 'subtitles' ? ManifestParserUtils.ContentType.TEXT : type
   }
 }
+/* *
+ * @typedef {{
+ *   stream: !shaka.extern.Stream,
+ *   verbatimMediaPlaylistUri: string,
+ *   absoluteMediaPlaylistUri: string,
+ *   minTimestamp: number,
+ *   maxTimestamp: number,
+ *   duration: number,
+ *   hasEndList: boolean,
+ *   drmInfos: Array,
+ *   groupId: ?string
+ * }}
+ *
+ * @description
+ * Contains a stream and information about it.
+ *
+ * @property {!shaka.extern.Stream} stream
+ *   The Stream itself.
+ * @property {string} verbatimMediaPlaylistUri
+ *   The verbatim media playlist URI, as it appeared in the master playlist.
+ *   This has not been canonicalized into an absolute URI.  This gives us a
+ *   consistent key for this playlist, even if redirects cause us to update
+ *   from different origins each time.
+ * @property {string} absoluteMediaPlaylistUri
+ *   The absolute media playlist URI, resolved relative to the master playlist
+ *   and updated to reflect any redirects.
+ * @property {number} minTimestamp
+ *   The minimum timestamp found in the stream.
+ * @property {number} maxTimestamp
+ *   The maximum timestamp found in the stream.
+ * @property {number} duration
+ *   The duration of the playlist.  Used for live only.
+ * @property {boolean} hasEndList
+ *   True if the stream has an EXT-X-ENDLIST tag.
+ * @property {?string} groupId
+ *   The GROUP-ID of the EXT-X-MEDIA tag this stream came from, if any.
+ */
+HlsParser.StreamInfo = undefined
+/* *
+ * @typedef {{
+ *   audio: !Array.<HlsParser.StreamInfo>,
+ *   video: !Array.<HlsParser.StreamInfo>
+ * }}
+ *
+ * @description Audio and video stream infos.
+ * @property {!Array.<HlsParser.StreamInfo>} audio
+ * @property {!Array.<HlsParser.StreamInfo>} video
+ */
+HlsParser.StreamInfos = undefined
+/* *
+ * A list of regexps to detect well-known video codecs.
+ *
+ * @const {!Array.<!RegExp>}
+ * @private
+ */
+HlsParser.VIDEO_CODEC_REGEXPS_ = [
+  /^avc/,
+  /^hev/,
+  /^hvc/,
+  /^vp0?[89]/,
+  /^av1$/
+]
+/* *
+ * A list of regexps to detect well-known audio codecs.
+ *
+ * @const {!Array.<!RegExp>}
+ * @private
+ */
+HlsParser.AUDIO_CODEC_REGEXPS_ = [
+  /^vorbis$/,
+  /^opus$/,
+  /^flac$/,
+  /^mp4a/,
+  /^[ae]c-3$/
+]
+/* *
+ * A list of regexps to detect well-known text codecs.
+ *
+ * @const {!Array.<!RegExp>}
+ * @private
+ */
+HlsParser.TEXT_CODEC_REGEXPS_ = [
+  /^vtt$/,
+  /^wvtt/,
+  /^stpp/
+]
+/* *
+ * @const {!Object.<string, !Array.<!RegExp>>}
+ * @private
+ */
+HlsParser.CODEC_REGEXPS_BY_CONTENT_TYPE_ = {
+  'audio': HlsParser.AUDIO_CODEC_REGEXPS_,
+  'video': HlsParser.VIDEO_CODEC_REGEXPS_,
+  'text': HlsParser.TEXT_CODEC_REGEXPS_
+}
+/* *
+ * @const {!Object.<string, string>}
+ * @private
+ */
+HlsParser.AUDIO_EXTENSIONS_TO_MIME_TYPES_ = {
+  'mp4': 'audio/mp4',
+  'mp4a': 'audio/mp4',
+  'm4s': 'audio/mp4',
+  'm4i': 'audio/mp4',
+  'm4a': 'audio/mp4',
+  'cmfa': 'audio/mp4',
+  // MPEG2-TS also uses video/ for audio: https://bit.ly/TsMse
+  'ts': 'video/mp2t',
+  // Raw formats:
+  'aac': 'audio/aac',
+  'ac3': 'audio/ac3',
+  'ec3': 'audio/ec3',
+  'mp3': 'audio/mpeg'
+}
+/* *
+ * @const {!Object.<string, string>}
+ * @private
+ */
+HlsParser.VIDEO_EXTENSIONS_TO_MIME_TYPES_ = {
+  'mp4': 'video/mp4',
+  'mp4v': 'video/mp4',
+  'm4s': 'video/mp4',
+  'm4i': 'video/mp4',
+  'm4v': 'video/mp4',
+  'cmfv': 'video/mp4',
+  'ts': 'video/mp2t'
+}
+/* *
+ * @const {!Object.<string, string>}
+ * @private
+ */
+HlsParser.TEXT_EXTENSIONS_TO_MIME_TYPES_ = {
+  'mp4': 'application/mp4',
+  'm4s': 'application/mp4',
+  'm4i': 'application/mp4',
+  'vtt': 'text/vtt',
+  'webvtt': 'text/vtt',
+  'ttml': 'application/ttml+xml'
+}
+/* *
+ * @const {!Object.<string, !Object.<string, string>>}
+ * @private
+ */
+HlsParser.EXTENSION_MAP_BY_CONTENT_TYPE_ = {
+  'audio': HlsParser.AUDIO_EXTENSIONS_TO_MIME_TYPES_,
+  'video': HlsParser.VIDEO_EXTENSIONS_TO_MIME_TYPES_,
+  'text': HlsParser.TEXT_EXTENSIONS_TO_MIME_TYPES_
+}
+/* *
+ * MIME types of raw formats.
+ *
+ * @const {!Array.<string>}
+ * @private
+ */
+HlsParser.RAW_FORMATS_ = [
+  'audio/aac',
+  'audio/ac3',
+  'audio/ec3',
+  'audio/mpeg'
+]
+/* *
+ * The number of bytes fetched from the start of a segment to read its start
+ * time.
+ *
+ * @const {number}
+ * @private
+ */
+HlsParser.PARTIAL_SEGMENT_SIZE_ = 2048 * 8
+/* *
+ * The default presentation delay, in multiples of the target duration, for
+ * live content.  The HLS spec recommends three target durations.
+ *
+ * @const {number}
+ * @private
+ */
+HlsParser.DEFAULT_LIVE_DELAY_ = 3
+/* *
+ * @enum {string}
+ * @private
+ */
+HlsParser.PresentationType_ = {
+  VOD: 'VOD',
+  EVENT: 'EVENT',
+  LIVE: 'LIVE'
+}
 
-/** @private {number} */
-StreamUtils.nextTrackId_ = 0
+ManifestParser.registerParserByExtension('m3u8', () => new HlsParser())
+ManifestParser.registerParserByMime('application/x-mpegurl', () => new HlsParser())
+ManifestParser.registerParserByMime('application/vnd.apple.mpegurl', () => new HlsParser())
 
 /* *
- * @implements {AdaptationSetCriteria}
- * @final
+ * The URI scheme of stored content, e.g. offline:manifest/idb/v3/12
+ * 离线内容地址：offline:<类型>/<存储机制>/<存储单元>/<键>
  */
-class PreferenceBasedCriteria {
+class OfflineUri {
   /* *
-   * @param {string} language
-   * @param {string} role
-   * @param {number} channelCount
-   * @param {string=} label
-   * @param {string=} type
+   * @param {string} type
+   * @param {string} mechanism
+   * @param {string} cell
+   * @param {number} key
    */
-  constructor(language, role, channelCount, label = '', type = '') {
-    /* * @private {string} */
-    this.language_ = language
-    /* * @private {string} */
-    this.role_ = role
-    /* * @private {number} */
-    this.channelCount_ = channelCount
-    /* * @private {string} */
-    this.label_ = label
-    /* * @private {string} */
+  constructor(type, mechanism, cell, key) {
+    /* *
+     * @private {string}
+     * @const
+     */
     this.type_ = type
-  }
+    /* *
+     * @private {string}
+     * @const
+     */
+    this.mechanism_ = mechanism
+    /* *
+     * @private {string}
+     * @const
+     */
+    this.cell_ = cell
+    /* *
+     * @private {number}
+     * @const
+     */
+    this.key_ = key
 
+    /* *
+     * @private {string}
+     * @const
+     */
+    this.asString_ = [
+      'offline:', type, '/', mechanism, '/', cell, '/', key
+    ].join('')
+  }
+  /* * @return {boolean} */
+  isManifest() {
+    return this.type_ === 'manifest'
+  }
+  /* * @return {boolean} */
+  isSegment() {
+    return this.type_ === 'segment'
+  }
+  /* * @return {string} */
+  mechanism() {
+    return this.mechanism_
+  }
+  /* * @return {string} */
+  cell() {
+    return this.cell_
+  }
+  /* * @return {number} */
+  key() {
+    return this.key_
+  }
   /* * @override */
-  create(variants) {
-    const Class = PreferenceBasedCriteria
-    let current = []
-
-    const byLanguage = Class.filterByLanguage_(variants, this.language_)
-    const byPrimary = variants.filter((variant) => variant.primary)
-
-    if (byLanguage.length) {
-      current = byLanguage
-    } else if (byPrimary.length) {
-      current = byPrimary
-    } else {
-      current = variants
+  toString() {
+    return this.asString_
+  }
+  /* *
+   * @param {string} uri
+   * @return {OfflineUri}
+   */
+  static parse(uri) {
+    const parts = /^offline:([a-z]+)\/([^/]+)\/([^/]+)\/([0-9]+)$/.exec(uri)
+    if (parts == null) {
+      return null
     }
 
-    // Now refine the choice based on role preference.
-    if (this.role_) {
-      const byRole = Class.filterVariantsByRole_(current, this.role_,
-        this.type_)
-      if (byRole.length) {
-        current = byRole
-      } else {
-        console.warn('No exact match for variant role could be found.')
-      }
+    const type = parts[1]
+    if (type !== 'manifest' && type !== 'segment') {
+      return null
     }
 
-    if (this.channelCount_) {
-      const byChannel = StreamUtils.filterVariantsByAudioChannelCount(
-        current, this.channelCount_)
-      if (byChannel.length) {
-        current = byChannel
-      } else {
-        console.warn(
-          'No exact match for the channel count could be found.')
-      }
+    const mechanism = parts[2]
+    if (!mechanism) {
+      return null
     }
 
-    if (this.label_) {
-      const byLabel = Class.filterVariantsByLabel_(current, this.label_)
-      if (byLabel.length) {
-        current = byLabel
-      } else {
-        console.warn('No exact match for variant label could be found.')
-      }
+    const cell = parts[3]
+    if (!cell) {
+      return null
     }
 
-    // Make sure we only return a valid adaptation set.
-    const set = new AdaptationSet(current[0])
-    for (const variant of current) {
-      if (set.canInclude(variant)) {
-        set.add(variant)
-      }
+    const key = Number(parts[4])
+    if (isNaN(key)) {
+      return null
     }
 
-    return set
+    return new OfflineUri(type, mechanism, cell, key)
   }
-
   /* *
-   * @param {!Array.<shaka.extern.Variant>} variants
-   * @param {string} preferredLanguage
-   * @return {!Array.<shaka.extern.Variant>}
-   * @private
+   * @param {string} mechanism
+   * @param {string} cell
+   * @param {number} key
+   * @return {!OfflineUri}
    */
-  static filterByLanguage_(variants, preferredLanguage) {
-    /* * @type {string} */
-    const preferredLocale = LanguageUtils.normalize(preferredLanguage)
+  static manifest(mechanism, cell, key) {
+    return new OfflineUri('manifest', mechanism, cell, key)
+  }
+  /* *
+   * @param {string} mechanism
+   * @param {string} cell
+   * @param {number} key
+   * @return {!OfflineUri}
+   */
+  static segment(mechanism, cell, key) {
+    return new OfflineUri('segment', mechanism, cell, key)
+  }
+}
 
-    /* * @type {?string} */
-    const closestLocale = LanguageUtils.findClosestLocale(
-      preferredLocale,
-      variants.map((variant) => LanguageUtils.getLocaleForVariant(variant)))
+/* *
+ * A DBOperation wraps an IndexedDB transaction in a promise.
+ */
+class DBOperation {
+  /* *
+   * @param {IDBTransaction} transaction
+   * @param {string} storeName
+   */
+  constructor(transaction, storeName) {
+    /* * @private {IDBTransaction} */
+    this.transaction_ = transaction
+    /* * @private {IDBObjectStore} */
+    this.store_ = transaction.objectStore(storeName)
+    /* * @private {!PublicPromise} */
+    this.promise_ = new PublicPromise()
 
-    // There were no locales close to what we preferred.
-    if (!closestLocale) {
-      return []
+    // Connect the transaction and the promise together.
+    // |event.preventDefault()| is used on all non-successful callbacks to
+    // prevent Firefox from surfacing the error on the main thread.
+    transaction.onabort = (event) => {
+      event.preventDefault()
+      this.promise_.reject()
+    }
+    transaction.onerror = (event) => {
+      event.preventDefault()
+      this.promise_.reject()
+    }
+    transaction.oncomplete = (event) => {
+      this.promise_.resolve()
     }
-
-    // Find the variants that use the closest variant.
-    return variants.filter((variant) => {
-      return closestLocale === LanguageUtils.getLocaleForVariant(variant)
-    })
   }
+  /* *
+   * @return {!Promise}
+   */
+  async abort() {
+    try {
+      this.transaction_.abort()
+    } catch (e) {
+      // Ignore any exceptions that may be thrown as a result of aborting
+      // the transaction.
+    }
 
+    try {
+      // Wait for the promise to be rejected, but ignore the rejection error.
+      await this.promise_
+    } catch (e) {}
+  }
   /* *
-   * Filter Variants by role.
+   * Calls the given callback for each entry in the database.
    *
-   * @param {!Array.<shaka.extern.Variant>} variants
-   * @param {string} preferredRole
-   * @param {string} type
-   * @return {!Array.<shaka.extern.Variant>}
-   * @private
+   * @param {function(!IDBKeyType, T, !IDBCursorWithValue=)} callback
+   * @return {!Promise}
+   * @template T
    */
-  static filterVariantsByRole_(variants, preferredRole, type) {
-    return variants.filter((variant) => {
-      if (type) {
-        const stream = variant[type]
-        return stream && stream.roles.includes(preferredRole)
-      } else {
-        const audio = variant.audio
-        const video = variant.video
-        return (audio && audio.roles.includes(preferredRole)) ||
-               (video && video.roles.includes(preferredRole))
+  forEachEntry(callback) {
+    return new Promise((resolve, reject) => {
+      const req = this.store_.openCursor()
+      req.onerror = reject
+      req.onsuccess = async(event) => {
+        // When we reach the end of the data that the cursor is iterating over,
+        // |req.result| will be null to signal the end of the iteration.
+        // https://developer.mozilla.org/en-US/docs/Web/API/IDBCursor/continue
+        if (req.result == null) {
+          resolve()
+          return
+        }
+
+        /* * @type {!IDBCursorWithValue} */
+        const cursor = req.result
+        await callback(cursor.key, cursor.value, cursor)
+        cursor.continue()
       }
     })
   }
-
   /* *
-   * Filter Variants by label.
+   * Get the store that the operation can interact with. Requests can be made
+   * on the store. All requests made on the store will complete successfully
+   * before the operation's promise will resolve. If any request fails, the
+   * operation's promise will be rejected.
    *
-   * @param {!Array.<shaka.extern.Variant>} variants
-   * @param {string} preferredLabel
-   * @return {!Array.<shaka.extern.Variant>}
-   * @private
+   * @return {IDBObjectStore}
    */
-  static filterVariantsByLabel_(variants, preferredLabel) {
-    return variants.filter((variant) => {
-      if (!variant.audio) {
-        return false
-      }
-
-      const label1 = variant.audio.label.toLowerCase()
-      const label2 = preferredLabel.toLowerCase()
-      return label1 === label2
-    })
+  store() {
+    return this.store_
+  }
+  /* *
+   * Get the promise that wraps the transaction. This promise will resolve when
+   * all requests on the object store complete successfully and the transaction
+   * completes. If any request fails or the operation is aborted, the promise
+   * will be rejected.
+   *
+   * @return {!Promise}
+   */
+  promise() {
+    return this.promise_
   }
 }
 
 /* *
- * The buffering observer watches how much content has been buffered and raises
- * events when the state changes (enough => not enough or vice versa).
+ * DBConnection is used to manage an IndexedDB connection. It can create new
+ * operations. If the connection is killed (via |destroy|) all pending
+ * operations will be aborted.
  *
- * @final
+ * @implements {IDestroyable}
  */
-class BufferingObserver {
+class DBConnection {
   /* *
-   * @param {number} thresholdWhenStarving
-   * @param {number} thresholdWhenSatisfied
+   * @param {IDBDatabase} connection A connection to an IndexedDB instance.
    */
-  constructor(thresholdWhenStarving, thresholdWhenSatisfied) {
-    const State = BufferingObserver.State
-
-    /* * @private {BufferingObserver.State} */
-    this.previousState_ = State.SATISFIED
-
-    /* * @private {!Map.<BufferingObserver.State, number>} */
-    this.thresholds_ = new Map()
-      .set(State.SATISFIED, thresholdWhenSatisfied)
-      .set(State.STARVING, thresholdWhenStarving)
+  constructor(connection) {
+    /* * @private {IDBDatabase} */
+    this.connection_ = connection
+    /* * @private {!Array.<DBOperation>} */
+    this.pending_ = []
   }
-
   /* *
-   * @param {number} thresholdWhenStarving
-   * @param {number} thresholdWhenSatisfied
+   * @override
    */
-  setThresholds(thresholdWhenStarving, thresholdWhenSatisfied) {
-    const State = BufferingObserver.State
-    this.thresholds_
-      .set(State.SATISFIED, thresholdWhenSatisfied)
-      .set(State.STARVING, thresholdWhenStarving)
+  destroy() {
+    return Promise.all(this.pending_.map((op) => {
+      return op.abort()
+    }))
   }
-
   /* *
-   * Update the observer by telling it how much content has been buffered (in
-   * seconds) and if we are buffered to the end of the presentation. If the
-   * controller believes the state has changed, it will return |true|.
-   *
-   * @param {number} bufferLead
-   * @param {boolean} bufferedToEnd
-   * @return {boolean}
+   * @param {string} store The name of the store that the operation should
+   *                       occur on.
+   * @return {!DBOperation}
    */
-  update(bufferLead, bufferedToEnd) {
-    const State = BufferingObserver.State
-
-    /* *
-     * Our threshold for how much we need before we declare ourselves as
-     * starving is based on whether or not we were just starving. If we
-     * were just starving, we are more likely to starve again, so we require
-     * more content to be buffered than if we were not just starving.
-     *
-     * @type {number}
-     */
-    const threshold = this.thresholds_.get(this.previousState_)
-
-    const oldState = this.previousState_
-    const newState = (bufferedToEnd || bufferLead >= threshold)
-      ? (State.SATISFIED)
-      : (State.STARVING)
-
-    // Save the new state now so that calls to |getState| from any callbacks
-    // will be accurate.
-    this.previousState_ = newState
-
-    // Return |true| only when the state has changed.
-    return oldState !== newState
+  startReadOnlyOperation(store) {
+    return this.startOperation_(store, 'readonly')
   }
-
   /* *
-   * Set which state that the observer should think playback was in.
-   *
-   * @param {BufferingObserver.State} state
+   * @param {string} store The name of the store that the operation should
+   *                       occur on.
+   * @return {!DBOperation}
    */
-  setState(state) {
-    this.previousState_ = state
+  startReadWriteOperation(store) {
+    return this.startOperation_(store, 'readwrite')
   }
-
   /* *
-   * Get the state that the observer last thought playback was in.
-   *
-   * @return {BufferingObserver.State}
+   * @param {string} store The name of the store that the operation should
+   *                       occur on.
+   * @param {string} type The type of operation being performed on the store.
+   *                      This determines what commands may be performed. This
+   *                      can either be 'readonly' or 'readwrite'.
+   * @return {!DBOperation}
+   * @private
+   */
+  startOperation_(store, type) {
+    const transaction = this.connection_.transaction([store], type)
+    const operation = new DBOperation(transaction, store)
+
+    this.pending_.push(operation)
+
+    // Once the operation is done (regardless of outcome) stop tracking it.
+    operation.promise().then(
+      () => this.stopTracking_(operation),
+      () => this.stopTracking_(operation))
+
+    return operation
+  }
+  /* *
+   * @param {!DBOperation} operation
+   * @private
    */
-  getState() {
-    return this.previousState_
+  stopTracking_(operation) {
+    ArrayUtils.remove(this.pending_, operation)
   }
 }
 
 /* *
- * Rather than using booleans to communicate what state we are in, we have this
- * enum.
- *
- * @enum {number}
- */
-BufferingObserver.State = {
-  STARVING: 0,
-  SATISFIED: 1
-}
-
-/* *
- * Backoff represents delay and backoff state.  This is used by NetworkingEngine
- * for individual requests and by StreamingEngine to retry streaming failures.
+ * The IndexedDB storage cell: one store of manifests and one store of
+ * segments, both with auto-incrementing keys.
+ * 离线存储单元：清单和分片分别存放在两个对象仓库中
  *
- * @final
+ * @implements {shaka.extern.StorageCell}
  */
-class Backoff {
+class IndexedDBStorageCell {
   /* *
-   * @param {shaka.extern.RetryParameters} parameters
-   * @param {boolean=} autoReset  If true, start at a 'first retry' state and
-   *   and auto-reset that state when we reach maxAttempts.
-   *   Default set to false.
+   * @param {IDBDatabase} connection
+   * @param {string} segmentStore
+   * @param {string} manifestStore
    */
-  constructor(parameters, autoReset = false) {
-    // Set defaults as we unpack these, so that individual app-level requests in
-    // NetworkingEngine can be missing parameters.
-
-    const defaults = Backoff.defaultRetryParameters()
-
-    /* *
-     * @const
-     * @private {number}
-     */
-    this.maxAttempts_ = (parameters.maxAttempts === null)
-      ? defaults.maxAttempts : parameters.maxAttempts
-
-    console.assert(this.maxAttempts_ >= 1, 'maxAttempts should be >= 1')
-
-    /* *
-     * @const
-     * @private {number}
-     */
-    this.baseDelay_ = (parameters.baseDelay === null)
-      ? defaults.baseDelay : parameters.baseDelay
-
-    console.assert(this.baseDelay_ >= 0, 'baseDelay should be >= 0')
-
-    /* *
-     * @const
-     * @private {number}
-     */
-    this.fuzzFactor_ = (parameters.fuzzFactor === null)
-      ? defaults.fuzzFactor : parameters.fuzzFactor
-
-    console.assert(this.fuzzFactor_ >= 0, 'fuzzFactor should be >= 0')
+  constructor(connection, segmentStore, manifestStore) {
+    /* * @private {!DBConnection} */
+    this.connection_ = new DBConnection(connection)
 
-    /* *
-     * @const
-     * @private {number}
-     */
-    this.backoffFactor_ = (parameters.backoffFactor === null)
-      ? defaults.backoffFactor : parameters.backoffFactor
+    /* * @private {string} */
+    this.segmentStore_ = segmentStore
+    /* * @private {string} */
+    this.manifestStore_ = manifestStore
+  }
+  /* * @override */
+  destroy() {
+    return this.connection_.destroy()
+  }
+  /* * @override */
+  hasFixedKeySpace() {
+    // By default, all IDB stores are read-write.
+    return false
+  }
+  /* * @override */
+  addSegments(segments) {
+    return this.add_(this.segmentStore_, segments)
+  }
+  /* * @override */
+  removeSegments(keys, onRemove) {
+    return this.remove_(this.segmentStore_, keys, onRemove)
+  }
+  /* * @override */
+  async getSegments(keys) {
+    const rawSegments = await this.get_(this.segmentStore_, keys)
+    return rawSegments
+  }
+  /* * @override */
+  addManifests(manifests) {
+    return this.add_(this.manifestStore_, manifests)
+  }
+  /* * @override */
+  async updateManifestExpiration(key, newExpiration) {
+    const op = this.connection_.startReadWriteOperation(this.manifestStore_)
+    const store = op.store()
+
+    const p = new PublicPromise()
+
+    store.get(key).onsuccess = (event) => {
+      /* * @type {shaka.extern.ManifestDB} */
+      const manifest = event.target.result
+      // If we can't find the value, then there is nothing for us to update.
+      if (manifest) {
+        console.assert(manifest.expiration !== undefined, 'Manifest must have expiration')
+        manifest.expiration = newExpiration
+        store.put(manifest, key)
+      }
 
-    console.assert(
-      this.backoffFactor_ >= 0, 'backoffFactor should be >= 0')
+      p.resolve()
+    }
 
-    /* * @private {number} */
-    this.numAttempts_ = 0
+    await Promise.all([op.promise(), p])
+  }
+  /* * @override */
+  removeManifests(keys, onRemove) {
+    return this.remove_(this.manifestStore_, keys, onRemove)
+  }
+  /* * @override */
+  getManifests(keys) {
+    return this.get_(this.manifestStore_, keys)
+  }
+  /* * @override */
+  async getAllManifests() {
+    /* * @type {!DBOperation} */
+    const op = this.connection_.startReadOnlyOperation(this.manifestStore_)
 
-    /* * @private {number} */
-    this.nextUnfuzzedDelay_ = this.baseDelay_
+    /* * @type {!Map.<number, shaka.extern.ManifestDB>} */
+    const values = new Map()
 
-    /* * @private {boolean} */
-    this.autoReset_ = autoReset
+    await op.forEachEntry((key, value) => {
+      values.set(/* * @type {number} */ (key), value)
+    })
 
-    if (this.autoReset_) {
-      // There is no delay before the first attempt.  In StreamingEngine (the
-      // intended user of auto-reset mode), the first attempt was implied, so we
-      // reset numAttempts to 1.  Therefore maxAttempts (which includes the
-      // first attempt) must be at least 2 for us to see a delay.
-      console.assert(this.maxAttempts_ >= 2,
-        'maxAttempts must be >= 2 for autoReset === true')
-      this.numAttempts_ = 1
-    }
+    await op.promise()
+    return values
   }
-
   /* *
-   * @return {!Promise} Resolves when the caller may make an attempt, possibly
-   *   after a delay.  Rejects if no more attempts are allowed.
+   * @param {string} storeName
+   * @param {!Array.<T>} values
+   * @return {!Promise.<!Array.<number>>}
+   * @template T
+   * @private
    */
-  async attempt() {
-    if (this.numAttempts_ >= this.maxAttempts_) {
-      if (this.autoReset_) {
-        this.reset_()
-      } else {
-        throw new Error(
-          Error.Severity.CRITICAL,
-          Error.Category.PLAYER,
-          Error.Code.ATTEMPTS_EXHAUSTED)
+  async add_(storeName, values) {
+    const op = this.connection_.startReadWriteOperation(storeName)
+    const store = op.store()
+
+    /* * @type {!Array.<number>} */
+    const keys = []
+
+    // Write each segment out. When each request completes, the key will
+    // be in |event.target.result| as can be seen in
+    // https://w3c.github.io/IndexedDB/#key-generator-construct.
+    for (const value of values) {
+      const request = store.add(value)
+      request.onsuccess = (event) => {
+        const key = event.target.result
+        keys.push(key)
       }
     }
 
-    const currentAttempt = this.numAttempts_
-    this.numAttempts_++
+    // Wait until the operation completes or else |keys| will not be fully
+    // populated.
+    await op.promise()
+    return keys
+  }
+  /* *
+   * @param {string} storeName
+   * @param {!Array.<number>} keys
+   * @param {function(number)} onRemove
+   * @return {!Promise}
+   * @private
+   */
+  remove_(storeName, keys, onRemove) {
+    const op = this.connection_.startReadWriteOperation(storeName)
+    const store = op.store()
 
-    if (currentAttempt === 0) {
-      console.assert(!this.autoReset_, 'Failed to delay with auto-reset!')
-      return
+    for (const key of keys) {
+      store.delete(key).onsuccess = () => onRemove(key)
     }
 
-    // We've already tried before, so delay the Promise.
+    return op.promise()
+  }
+  /* *
+   * @param {string} storeName
+   * @param {!Array.<number>} keys
+   * @return {!Promise.<!Array.<T>>}
+   * @template T
+   * @private
+   */
+  async get_(storeName, keys) {
+    const op = this.connection_.startReadOnlyOperation(storeName)
+    const store = op.store()
+
+    const values = {}
+    /* * @type {!Array.<number>} */
+    const missing = []
+
+    // Use a map to store the objects so that we can reorder the results to
+    // match the order of |keys|.
+    for (const key of keys) {
+      const request = store.get(key)
+      request.onsuccess = () => {
+        // Make sure a defined value was found. Indexeddb treats no-value found
+        // as a success with an undefined result.
+        if (request.result === undefined) {
+          missing.push(key)
+        }
 
-    // Fuzz the delay to avoid tons of clients hitting the server at once
-    // after it recovers from whatever is causing it to fail.
-    const fuzzedDelayMs = Backoff.fuzz_(
-      this.nextUnfuzzedDelay_, this.fuzzFactor_)
+        values[key] = request.result
+      }
+    }
 
-    await new Promise((resolve) => {
-      Backoff.defer(fuzzedDelayMs, resolve)
-    })
+    // Wait until the operation completes or else values may be missing from
+    // |values|. Use the original key list to convert the map to a list so that
+    // the order will match.
+    await op.promise()
+    if (missing.length) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.KEY_NOT_FOUND,
+        'Could not find values for ' + missing)
+    }
 
-    // Update delay_ for next time.
-    this.nextUnfuzzedDelay_ *= this.backoffFactor_
+    return keys.map((key) => values[key])
   }
+}
+
+/* *
+ * A storage mechanism that manages the IndexedDB database and the storage
+ * cells inside it.
+ *
+ * @implements {shaka.extern.StorageMechanism}
+ */
+class IndexedDBStorageMechanism {
+  constructor() {
+    /* * @private {IDBDatabase} */
+    this.db_ = null
 
+    /* * @private {IndexedDBStorageCell} */
+    this.cell_ = null
+  }
   /* *
-   * Gets a copy of the default retry parameters.
-   *
-   * @return {shaka.extern.RetryParameters}
+   * @override
    */
-  static defaultRetryParameters() {
-    // Use a function rather than a constant member so the calling code can
-    // modify the values without affecting other call results.
-    return {
-      maxAttempts: 2,
-      baseDelay: 1000,
-      backoffFactor: 2,
-      fuzzFactor: 0.5,
-      timeout: 0
+  init() {
+    const name = IndexedDBStorageMechanism.DB_NAME_
+    const version = IndexedDBStorageMechanism.VERSION_
+
+    const p = new PublicPromise()
+    const open = window.indexedDB.open(name, version)
+    open.onsuccess = (event) => {
+      const db = open.result
+      this.db_ = db
+      this.cell_ = new IndexedDBStorageCell(
+        db,
+        IndexedDBStorageMechanism.SEGMENT_STORE_,
+        IndexedDBStorageMechanism.MANIFEST_STORE_)
+      p.resolve()
+    }
+    open.onupgradeneeded = (event) => {
+      // Add object stores for the latest version only.
+      this.createStores_(open.result)
+    }
+    open.onerror = (event) => {
+      p.reject(new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.INDEXED_DB_ERROR,
+        open.error))
+
+      // Firefox will raise an error on the main thread unless we stop it here.
+      event.preventDefault()
     }
+
+    return p
   }
+  /* *
+   * @override
+   */
+  async destroy() {
+    if (this.cell_) {
+      await this.cell_.destroy()
+    }
 
+    // If we were never initialized, then |db_| will still be null.
+    if (this.db_) {
+      this.db_.close()
+    }
+  }
   /* *
-   * Fuzz the input value by +/- fuzzFactor.  For example, a fuzzFactor of 0.5
-   * will create a random value that is between 50% and 150% of the input value.
-   *
-   * @param {number} value
-   * @param {number} fuzzFactor
-   * @return {number} The fuzzed value
-   * @private
+   * @override
    */
-  static fuzz_(value, fuzzFactor) {
-    // A random number between -1 and +1.
-    const negToPosOne = (Math.random() * 2.0) - 1.0
+  getCells() {
+    const map = new Map()
 
-    // A random number between -fuzzFactor and +fuzzFactor.
-    const negToPosFuzzFactor = negToPosOne * fuzzFactor
+    if (this.cell_) {
+      map.set(IndexedDBStorageMechanism.CELL_, this.cell_)
+    }
 
-    // The original value, fuzzed by +/- fuzzFactor.
-    return value * (1.0 + negToPosFuzzFactor)
+    return map
   }
+  /* *
+   * @override
+   */
+  async erase() {
+    // Not all cells may have been created, so only destroy the ones that
+    // were created.
+    if (this.cell_) {
+      await this.cell_.destroy()
+    }
+
+    // |db_| will only be null if the muxer was not initialized. We need to
+    // close the connection in order delete the database without it being
+    // blocked.
+    if (this.db_) {
+      this.db_.close()
+    }
+
+    await IndexedDBStorageMechanism.deleteAll_()
 
+    // Reset before initializing.
+    this.db_ = null
+    this.cell_ = null
+
+    await this.init()
+  }
   /* *
-   * Reset state in autoReset mode.
+   * @param {!IDBDatabase} db
    * @private
    */
-  reset_() {
-    console.assert(this.autoReset_, 'Should only be used for auto-reset!')
-    this.numAttempts_ = 1
-    this.nextUnfuzzedDelay_ = this.baseDelay_
-  }
+  createStores_(db) {
+    const storeNames = [
+      IndexedDBStorageMechanism.SEGMENT_STORE_,
+      IndexedDBStorageMechanism.MANIFEST_STORE_
+    ]
 
+    for (const name of storeNames) {
+      if (!db.objectStoreNames.contains(name)) {
+        db.createObjectStore(name, { autoIncrement: true })
+      }
+    }
+  }
   /* *
-   * This method is only public for testing. It allows us to intercept the
-   * time-delay call.
+   * Delete the indexed db instance so that all stores are deleted and cleared.
+   * This will force the database to a like-new state next time it opens.
    *
-   * @param {number} delayInMs
-   * @param {function()} callback
+   * @return {!Promise}
+   * @private
    */
-  static defer(delayInMs, callback) {
-    const timer = new Timer(callback)
-    timer.tickAfter(delayInMs / 1000)
+  static deleteAll_() {
+    const name = IndexedDBStorageMechanism.DB_NAME_
+
+    const p = new PublicPromise()
+
+    const del = window.indexedDB.deleteDatabase(name)
+    del.onblocked = (event) => {
+      console.warn('Deleting', name, 'is being blocked')
+    }
+    del.onsuccess = (event) => {
+      p.resolve()
+    }
+    del.onerror = (event) => {
+      p.reject(new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.INDEXED_DB_ERROR,
+        del.error))
+
+      // Firefox will raise an error on the main thread unless we stop it here.
+      event.preventDefault()
+    }
+
+    return p
   }
 }
+/* * @const {string} */
+IndexedDBStorageMechanism.DB_NAME_ = 'shaka_offline_db'
+/* * @const {number} */
+IndexedDBStorageMechanism.VERSION_ = 1
+/* * @const {string} */
+IndexedDBStorageMechanism.CELL_ = 'v1'
+/* * @const {string} */
+IndexedDBStorageMechanism.SEGMENT_STORE_ = 'segment-v1'
+/* * @const {string} */
+IndexedDBStorageMechanism.MANIFEST_STORE_ = 'manifest-v1'
 
 /* *
- * A utility to wrap abortable operations.  Note that these are not cancelable.
- * Cancelation implies undoing what has been done so far, whereas aborting only
- * means that futher work is stopped.
+ * StorageMuxer is responsible for managing StorageMechanisms and addressing
+ * cells. The primary purpose of the muxer is to give the caller the correct
+ * cell for the operations they want to perform.
  *
- * @implements {shaka.extern.IAbortableOperation.<T>}
- * @template T
- * @export
+ * |findActive| will be used when the caller wants a cell that supports
+ * add-operations. This will be used when saving new content to storage.
+ *
+ * |findAll| will be used when the caller want to look at all the content
+ * in storage.
+ *
+ * |resolvePath| will be used to convert a path (from |findActive| and
+ * |findAll|) into a cell, which it then returns.
+ *
+ * @implements {IDestroyable}
  */
-class AbortableOperation {
-  /* *
-   * @param {!Promise.<T>} promise
-   *   A Promise which represents the underlying operation.  It is resolved when
-   *   the operation is complete, and rejected if the operation fails or is
-   *   aborted.  Aborted operations should be rejected with a Error
-   *   object using the error code OPERATION_ABORTED.
-   * @param {function():!Promise} onAbort
-   *   Will be called by this object to abort the underlying operation.
-   *   This is not cancelation, and will not necessarily result in any work
-   *   being undone.  abort() should return a Promise which is resolved when the
-   *   underlying operation has been aborted.  The returned Promise should never
-   *   be rejected.
+class StorageMuxer {
+  constructor() {
+    /* *
+     * A key in this map is the name given when registering a StorageMechanism.
+     *
+     * @private {!Map.<string, !shaka.extern.StorageMechanism>}
+     */
+    this.mechanisms_ = new Map()
+  }
+  /* *
+   * Free all resources used by the muxer, mechanisms, and cells. This should
+   * not affect the stored content.
+   *
+   * @override
    */
-  constructor(promise, onAbort) {
-    /* * @const {!Promise.<T>} */
-    this.promise = promise
+  destroy() {
+    /* * @type {!Array.<!Promise>} */
+    const destroys = []
+    for (const mechanism of this.mechanisms_.values()) {
+      destroys.push(mechanism.destroy())
+    }
 
-    /* * @private {function():!Promise} */
-    this.onAbort_ = onAbort
+    // Empty the map so that subsequent calls will be no-ops.
+    this.mechanisms_.clear()
 
-    /* * @private {boolean} */
-    this.aborted_ = false
+    return Promise.all(destroys)
   }
-
   /* *
-   * @param {!Error} error
-   * @return {!AbortableOperation} An operation which has already
-   *   failed with the error given by the caller.
-   * @export
+   * Initialize the storage muxer. This must be called before any other calls.
+   * This will initialize the muxer to use all mechanisms that have been
+   * registered with |StorageMuxer.register|.
+   *
+   * @return {!Promise}
    */
-  static failed(error) {
-    return new AbortableOperation(
-      Promise.reject(error),
-      () => Promise.resolve())
-  }
+  init() {
+    // Add the new instance of each mechanism to the muxer.
+    const registry = StorageMuxer.getRegistry_()
+    registry.forEach((factory, name) => {
+      const mech = factory()
+      if (mech) {
+        this.mechanisms_.set(name, mech)
+      } else {
+        console.info('Skipping ' + name + ' as it is not supported on this platform')
+      }
+    })
 
+    /* * @type {!Array.<!Promise>} */
+    const initPromises = []
+    for (const mechanism of this.mechanisms_.values()) {
+      initPromises.push(mechanism.init())
+    }
+
+    return Promise.all(initPromises)
+  }
   /* *
-   * @return {!AbortableOperation} An operation which has already
-   *   failed with the error OPERATION_ABORTED.
-   * @export
+   * Get a promise that will resolve with a storage cell that supports
+   * add-operations. If no cell can be found, the promise will be rejected.
+   *
+   * @return {StorageMuxer.CellHandle}
    */
-  static aborted() {
-    const p = Promise.reject(new Error$1(
+  getActive() {
+    /* * @type {?StorageMuxer.CellHandle} */
+    let handle = null
+
+    this.mechanisms_.forEach((mechanism, mechanismName) => {
+      mechanism.getCells().forEach((cell, cellName) => {
+        // If this cell is read-only, we can't use it to add new content.
+        if (cell.hasFixedKeySpace()) {
+          return
+        }
+
+        // If we have already found a cell, we don't need to find another one.
+        if (handle) {
+          return
+        }
+
+        // Since we now have a cell, update |handle| so that we will not
+        // look at any other cells.
+        handle = {
+          path: {
+            mechanism: mechanismName,
+            cell: cellName
+          },
+          cell: cell
+        }
+      })
+    })
+
+    if (handle) {
+      return /* * @type {StorageMuxer.CellHandle} */(handle)
+    }
+
+    throw new Error$1(
       Error$1.Severity.CRITICAL,
-      Error$1.Category.PLAYER,
-      Error$1.Code.OPERATION_ABORTED))
-    // Silence uncaught rejection errors, which may otherwise occur any place
-    // we don't explicitly handle aborted operations.
-    p.catch(() => {})
-    return new AbortableOperation(p, () => Promise.resolve())
+      Error$1.Category.STORAGE,
+      Error$1.Code.MISSING_STORAGE_CELL,
+      'Could not find a cell that supports add-operations')
   }
-
   /* *
-   * @param {U} value
-   * @return {!AbortableOperation.<U>} An operation which has already
-   *   completed with the given value.
-   * @template U
-   * @export
+   * @param {function(!StorageMuxer.CellPath, !shaka.extern.StorageCell)} callback
    */
-  static completed(value) {
-    return new AbortableOperation(
-      Promise.resolve(value),
-      () => Promise.resolve())
-  }
+  forEachCell(callback) {
+    this.mechanisms_.forEach((mechanism, mechanismName) => {
+      mechanism.getCells().forEach((cell, cellName) => {
+        const path = {
+          mechanism: mechanismName,
+          cell: cellName
+        }
 
+        callback(path, cell)
+      })
+    })
+  }
   /* *
-   * @param {!Promise.<U>} promise
-   * @return {!AbortableOperation.<U>} An operation which cannot be
-   *   aborted.  It will be completed when the given Promise is resolved, or
-   *   will be failed when the given Promise is rejected.
-   * @template U
-   * @export
+   * Get a specific storage cell. The promise will resolve with the storage
+   * cell if it is found. If the storage cell is not found, the promise will
+   * be rejected.
+   *
+   * @param {string} mechanismName
+   * @param {string} cellName
+   * @return {!shaka.extern.StorageCell}
    */
-  static notAbortable(promise) {
-    return new AbortableOperation(
-      promise,
-      // abort() here will return a Promise which is resolved when the input
-      // promise either resolves or fails.
-      () => promise.catch(() => {}))
-  }
+  getCell(mechanismName, cellName) {
+    const mechanism = this.mechanisms_.get(mechanismName)
+    if (!mechanism) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.MISSING_STORAGE_CELL,
+        'Could not find mechanism with name ' + mechanismName)
+    }
+
+    const cell = mechanism.getCells().get(cellName)
+    if (!cell) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.MISSING_STORAGE_CELL,
+        'Could not find cell with name ' + cellName)
+    }
 
+    return cell
+  }
   /* *
-   * @override
-   * @export
+   * Find the cell that the path points to. A path is made up of a mount point
+   * and a cell id. If a cell can be found, the cell will be returned. If no
+   * cell is found, null will be returned.
+   *
+   * @param {StorageMuxer.CellPath} path
+   * @return {shaka.extern.StorageCell}
    */
-  abort() {
-    this.aborted_ = true
-    return this.onAbort_()
+  resolvePath(path) {
+    const mechanism = this.mechanisms_.get(path.mechanism)
+
+    if (!mechanism) {
+      return null
+    }
+
+    return mechanism.getCells().get(path.cell)
   }
+  /* *
+   * This will erase all previous content from storage. Using paths obtained
+   * before calling |erase| is discouraged, as cells may have changed during a
+   * erase.
+   *
+   * @return {!Promise}
+   */
+  async erase() {
+    // If we have initialized, we will use the existing mechanism instances.
+    /* * @type {!Array.<!shaka.extern.StorageMechanism>} */
+    const mechanisms = Array.from(this.mechanisms_.values())
+    const alreadyInitialized = mechanisms.length > 0
+
+    // If we have not initialized, we should still be able to erase. This is
+    // critical to our ability to wipe the DB in case of a version mismatch.
+    // If there are no instances, create temporary ones and destroy them later.
+    if (!alreadyInitialized) {
+      const registry = StorageMuxer.getRegistry_()
+      registry.forEach((factory, name) => {
+        const mech = factory()
+        if (mech) {
+          mechanisms.push(mech)
+        }
+      })
+    }
+
+    // Erase all storage mechanisms.
+    await Promise.all(mechanisms.map((m) => m.erase()))
 
+    // If we were erasing temporary instances, destroy them, too.
+    if (!alreadyInitialized) {
+      await Promise.all(mechanisms.map((m) => m.destroy()))
+    }
+  }
   /* *
-   * @param {!Array.<!AbortableOperation>} operations
-   * @return {!AbortableOperation} An operation which is resolved
-   *   when all operations are successful and fails when any operation fails.
-   *   For this operation, abort() aborts all given operations.
-   * @export
+   * Register a storage mechanism for use with the default storage muxer. This
+   * will have no effect on any storage muxer already in main memory.
+   *
+   * @param {string} name
+   * @param {function():shaka.extern.StorageMechanism} factory
    */
-  static all(operations) {
-    return new AbortableOperation(
-      Promise.all(operations.map((op) => op.promise)),
-      () => Promise.all(operations.map((op) => op.abort())))
+  static register(name, factory) {
+    StorageMuxer.registry_.set(name, factory)
   }
-
   /* *
-   * @override
-   * @export
+   * Unregister a storage mechanism for use with the default storage muxer. This
+   * will have no effect on any storage muxer already in main memory.
+   *
+   * @param {string} name The name that the storage mechanism was registered
+   *                      under.
    */
-  finally(onFinal) {
-    this.promise.then((value) => onFinal(true), (e) => onFinal(false))
-    return this
+  static unregister(name) {
+    StorageMuxer.registry_.delete(name)
   }
-
   /* *
-   * @param {(undefined|
-   *          function(T):U|
-   *          function(T):!Promise.<U>|
-   *          function(T):!AbortableOperation.<U>)} onSuccess
-   *   A callback to be invoked after this operation is complete, to chain to
-   *   another operation.  The callback can return a plain value, a Promise to
-   *   an asynchronous value, or another AbortableOperation.
-   * @param {function(*)=} onError
-   *   An optional callback to be invoked if this operation fails, to perform
-   *   some cleanup or error handling.  Analogous to the second parameter of
-   *   Promise.prototype.then.
-   * @return {!AbortableOperation.<U>} An operation which is resolved
-   *   when this operation and the operation started by the callback are both
-   *   complete.
-   * @template U
-   * @export
+   * Check if there is support for storage on this platform. It is assumed that
+   * if there are any mechanisms registered, it means that storage is supported
+   * on this platform. We do not check if the mechanisms have any cells.
+   *
+   * @return {boolean}
    */
-  chain(onSuccess, onError) {
-    const newPromise = new PublicPromise()
-
-    // If called before 'this' completes, just abort 'this'.
-    let abort = () => {
-      newPromise.reject(new Error$1(
-        Error$1.Severity.CRITICAL,
-        Error$1.Category.PLAYER,
-        Error$1.Code.OPERATION_ABORTED))
-      return this.abort()
-    }
+  static support() {
+    const registry = StorageMuxer.getRegistry_()
 
-    this.promise.then((value) => {
-      if (this.aborted_) {
-        // If 'this' is not abortable(), or if abort() is called after 'this'
-        // is complete but before the next stage in the chain begins, we should
-        // stop right away.
-        newPromise.reject(new Error$1(
-          Error$1.Severity.CRITICAL,
-          Error$1.Category.PLAYER,
-          Error$1.Code.OPERATION_ABORTED))
-        return
-      }
-
-      if (!onSuccess) {
-        // No callback?  Pass the success along.
-        newPromise.resolve(value)
-        return
-      }
-
-      // Call the success callback, interpret the return value,
-      // set the Promise state, and get the next abort function.
-      abort = AbortableOperation.wrapChainCallback_(
-        onSuccess, value, newPromise)
-    }, (e) => {
-      // 'This' failed or was aborted.
+    // Make sure that we will have SOME mechanisms created by creating a
+    // mechanism and immediately destroying it.
+    for (const create of registry.values()) {
+      const instance = create()
 
-      if (!onError) {
-        // No callback?  Pass the failure along.
-        newPromise.reject(e)
-        return
+      if (instance) {
+        instance.destroy()
+        return true
       }
+    }
 
-      // Call the error callback, interpret the return value,
-      // set the Promise state, and get the next abort function.
-      abort = AbortableOperation.wrapChainCallback_(
-        onError, e, newPromise)
-    })
-
-    return new AbortableOperation(
-      newPromise,
-      // By creating a closure around abort(), we can update the value of
-      // abort() at various stages.
-      () => abort())
+    return false
   }
-
   /* *
-   * @param {(function(T):U|
-   *          function(T):!Promise.<U>|
-   *          function(T):!AbortableOperation.<U>|
-   *          function(*))} callback
-   *   A callback to be invoked with the given value.
-   * @param {T} value
-   * @param {!PublicPromise} newPromise The promise for the next
-   *   stage in the chain.
-   * @return {function():!Promise} The next abort() function for the chain.
+   * @return {!Map.<string, function():shaka.extern.StorageMechanism>}
    * @private
-   * @template T, U
    */
-  static wrapChainCallback_(callback, value, newPromise) {
-    try {
-      const ret = callback(value)
+  static getRegistry_() {
+    return StorageMuxer.registry_
+  }
+}
+/* *
+ * @typedef {{
+ *   mechanism: string,
+ *   cell: string
+ * }}
+ *
+ * @property {string} mechanism
+ *  The name of the mechanism that holds the cell.
+ * @property {string} cell
+ *  The name of the cell in the mechanism.
+ */
+StorageMuxer.CellPath = undefined
+/* *
+ * @typedef {{
+ *   path: StorageMuxer.CellPath,
+ *   cell: !shaka.extern.StorageCell
+ * }}
+ *
+ * @property {StorageMuxer.CellPath} path
+ *   The path that maps to the cell.
+ * @property {shaka.extern.StorageCell} cell
+ *   The storage cell that the path points to within the storage muxer.
+ */
+StorageMuxer.CellHandle = undefined
+/* *
+ * @type {!Map.<string, function():shaka.extern.StorageMechanism>}
+ * @private
+ */
+StorageMuxer.registry_ = new Map()
 
-      if (ret && ret.promise && ret.abort) {
-        // This is an abortable operation, with its own abort() method.
-        // After this point, abort() should abort the operation from the
-        // callback, and the new promise should be tied to the promise
-        // from the callback's operation.
-        newPromise.resolve(ret.promise)
-        // This used to say 'return ret.abort;', but it caused subtle issues by
-        // unbinding part of the abort chain.  There is now a test to ensure
-        // that we don't call abort with the wrong 'this'.
-        return () => ret.abort()
-      } else {
-        // This is a Promise or a plain value, and this step cannot be aborted.
-        newPromise.resolve(ret)
-        // Abort is complete when the returned value/Promise is resolved or
-        // fails, but never fails itself nor returns a value.
-        return () => Promise.resolve(ret).then(() => {}).catch(() => {})
-      }
-    } catch (exception) {
-      // The callback threw an exception or error.  Reject the new Promise and
-      // resolve any future abort call right away.
-      newPromise.reject(exception)
-      return () => Promise.resolve()
-    }
+StorageMuxer.register('idb', () => {
+  // Offline storage needs IndexedDB; without it there is no mechanism.
+  return window.indexedDB ? new IndexedDBStorageMechanism() : null
+})
+
+/* *
+ * Utility class for converting database manifest objects back to normal
+ * player-ready objects. Used by the offline system to convert on-disk
+ * objects back to the in-memory objects.
+ * 把存储在数据库中的清单还原成播放器可用的清单
+ */
+class ManifestConverter {
+  /* *
+   * Create a new manifest converter. Need to know the mechanism and cell that
+   * the manifest is from so that all segments paths can be created.
+   *
+   * @param {string} mechanism
+   * @param {string} cell
+   */
+  constructor(mechanism, cell) {
+    /* * @private {string} */
+    this.mechanism_ = mechanism
+    /* * @private {string} */
+    this.cell_ = cell
   }
-}
+  /* *
+   * Convert a |shaka.extern.ManifestDB| object to a |shaka.extern.Manifest|
+   * object.
+   *
+   * @param {shaka.extern.ManifestDB} manifestDB
+   * @return {shaka.extern.Manifest}
+   */
+  fromManifestDB(manifestDB) {
+    const timeline = new PresentationTimeline(null, 0)
+    timeline.setDuration(manifestDB.duration)
+    timeline.setStatic(true)
 
-/* *
- * @const {!Promise.<T>}
- * @exportInterface
- */
-// eslint-disable-next-line no-restricted-syntax
-AbortableOperation.prototype.promise
+    const periods = manifestDB.periods.map((period) => this.fromPeriodDB(period, timeline))
 
-class ObjectUtils {
+    return {
+      presentationTimeline: timeline,
+      minBufferTime: 2,
+      offlineSessionIds: manifestDB.sessionIds,
+      periods: periods
+    }
+  }
   /* *
-   * Performs a deep clone of the given simple object.  This does not copy
-   * prototypes, custom properties (e.g. read-only), or multiple references to
-   * the same object.  If the caller needs these fields, it will need to set
-   * them after this returns.
+   * Create a period object from a database period.
    *
-   * @template T
-   * @param {T} arg
-   * @return {T}
+   * @param {shaka.extern.PeriodDB} period
+   * @param {PresentationTimeline} timeline
+   * @return {shaka.extern.Period}
    */
-  static cloneObject(arg) {
-    const seenObjects = new Set()
-    // This recursively clones the value |val|, using the captured variable
-    // |seenObjects| to track the objects we have already cloned.
-    const clone = (val) => {
-      switch (typeof val) {
-        case 'undefined':
-        case 'boolean':
-        case 'number':
-        case 'string':
-        case 'symbol':
-        case 'function':
-          return val
-        case 'object':
-        default: {
-          // typeof null ==== 'object'
-          if (!val) {
-            return val
-          }
+  fromPeriodDB(period, timeline) {
+    const ContentType = ManifestParserUtils.ContentType
 
-          // This covers Uint8Array and friends, even without a TypedArray
-          // base-class constructor.
-          const isTypedArray =
-              val.buffer && val.buffer.constructor === ArrayBuffer
-          if (isTypedArray) {
-            return val
-          }
+    /* * @type {!Array.<shaka.extern.StreamDB>} */
+    const audioStreams = period.streams.filter((streamDB) => streamDB.contentType === ContentType.AUDIO)
+    /* * @type {!Array.<shaka.extern.StreamDB>} */
+    const videoStreams = period.streams.filter((streamDB) => streamDB.contentType === ContentType.VIDEO)
 
-          if (seenObjects.has(val)) {
-            return null
-          }
+    /* * @type {!Map.<number, shaka.extern.Variant>} */
+    const variants = this.createVariants(audioStreams, videoStreams)
 
-          const isArray = val.constructor === Array
-          if (val.constructor !== Object && !isArray) {
-            return null
-          }
+    /* * @type {!Array.<shaka.extern.Stream>} */
+    const textStreams = period.streams
+      .filter((streamDB) => streamDB.contentType === ContentType.TEXT)
+      .map((streamDB) => this.fromStreamDB_(streamDB))
 
-          seenObjects.add(val)
-          const ret = isArray ? [] : {}
-          // Note |name| will equal a number for arrays.
-          for (const name in val) {
-            ret[name] = clone(val[name])
-          }
+    for (const streamDB of audioStreams.concat(videoStreams)) {
+      const stream = this.fromStreamDB_(streamDB)
 
-          // Length is a non-enumerable property, but we should copy it over in
-          // case it is not the default.
-          if (isArray) {
-            ret.length = val.length
-          }
-          return ret
+      for (const id of streamDB.variantIds) {
+        const variant = variants.get(id)
+
+        if (stream.type === ContentType.AUDIO) {
+          variant.audio = stream
+        } else {
+          variant.video = stream
+        }
+      }
+    }
+
+    // The timeline needs the stored segments to know the seek range.
+    for (const variant of variants.values()) {
+      for (const stream of [variant.audio, variant.video]) {
+        if (stream) {
+          timeline.notifySegments(stream.segmentIndex.references())
         }
       }
     }
-    return clone(arg)
-  }
 
+    return {
+      startTime: period.startTime,
+      variants: Array.from(variants.values()),
+      textStreams: textStreams
+    }
+  }
   /* *
-   * Performs a shallow clone of the given simple object.  This does not copy
-   * prototypes or custom properties (e.g. read-only).
+   * Recreates Variants from audio and video StreamDB collections.
    *
-   * @template T
-   * @param {T} original
-   * @return {T}
+   * @param {!Array.<!shaka.extern.StreamDB>} audios
+   * @param {!Array.<!shaka.extern.StreamDB>} videos
+   * @return {!Map.<number, !shaka.extern.Variant>}
    */
-  static shallowCloneObject(original) {
-    const clone = /* * @type {?} */({})
-    for (const k in original) {
-      clone[k] = original[k]
+  createVariants(audios, videos) {
+    // Get all the variant ids from all audio and video streams.
+    /* * @type {!Set.<number>} */
+    const variantIds = new Set()
+    for (const streamDB of audios) {
+      for (const id of streamDB.variantIds) {
+        variantIds.add(id)
+      }
     }
-    return clone
+    for (const streamDB of videos) {
+      for (const id of streamDB.variantIds) {
+        variantIds.add(id)
+      }
+    }
+
+    /* * @type {!Map.<number, shaka.extern.Variant>} */
+    const variantMap = new Map()
+    for (const id of variantIds) {
+      variantMap.set(id, this.createEmptyVariant_(id))
+    }
+
+    // Assign each audio stream to its variants.
+    for (const audio of audios) {
+      for (const id of audio.variantIds) {
+        const variant = variantMap.get(id)
+
+        console.assert(!variant.language, 'A variant should only have one audio stream')
+
+        variant.language = audio.language
+        variant.primary = variant.primary || audio.primary
+      }
+    }
+
+    // Assign each video stream to its variants.
+    for (const video of videos) {
+      for (const id of video.variantIds) {
+        const variant = variantMap.get(id)
+
+        variant.primary = variant.primary || video.primary
+      }
+    }
+
+    return variantMap
   }
-}
+  /* *
+   * @param {shaka.extern.StreamDB} streamDB
+   * @return {shaka.extern.Stream}
+   * @private
+   */
+  fromStreamDB_(streamDB) {
+    /* * @type {!Array.<!SegmentReference>} */
+    const segments = streamDB.segments.map((segment, index) => this.fromSegmentDB_(index, segment, streamDB))
+
+    const segmentIndex = new SegmentIndex(segments)
+
+    /* * @type {shaka.extern.Stream} */
+    const stream = {
+      id: streamDB.id,
+      originalId: streamDB.originalId,
+      createSegmentIndex: () => Promise.resolve(),
+      segmentIndex: segmentIndex,
+      mimeType: streamDB.mimeType,
+      codecs: streamDB.codecs,
+      width: streamDB.width || undefined,
+      height: streamDB.height || undefined,
+      frameRate: streamDB.frameRate || undefined,
+      pixelAspectRatio: streamDB.pixelAspectRatio || undefined,
+      kind: streamDB.kind,
+      encrypted: streamDB.encrypted,
+      keyId: streamDB.keyId,
+      language: streamDB.language,
+      label: streamDB.label || null,
+      type: streamDB.contentType,
+      primary: streamDB.primary,
+      trickModeVideo: null,
+      emsgSchemeIdUris: null,
+      roles: streamDB.roles,
+      channelsCount: streamDB.channelsCount,
+      audioSamplingRate: streamDB.audioSamplingRate,
+      closedCaptions: streamDB.closedCaptions,
+      bandwidth: undefined
+    }
+
+    return stream
+  }
+  /* *
+   * @param {number} index
+   * @param {shaka.extern.SegmentDB} segmentDB
+   * @param {shaka.extern.StreamDB} streamDB
+   * @return {!SegmentReference}
+   * @private
+   */
+  fromSegmentDB_(index, segmentDB, streamDB) {
+    /* * @type {!OfflineUri} */
+    const uri = OfflineUri.segment(this.mechanism_, this.cell_, segmentDB.dataKey)
 
-/* *
- * @namespace ArrayUtils
- * @summary Array utility functions.
- */
+    const initSegmentReference = streamDB.initSegmentKey != null
+      ? this.fromInitSegmentDB_(streamDB.initSegmentKey) : null
 
-class ArrayUtils {
+    return new SegmentReference(
+      index,
+      segmentDB.startTime,
+      segmentDB.endTime,
+      () => [uri.toString()],
+      /*  startByte= */ 0,
+      /*  endByte= */ null,
+      initSegmentReference,
+      segmentDB.timestampOffset,
+      segmentDB.appendWindowStart,
+      segmentDB.appendWindowEnd)
+  }
   /* *
-   * Returns whether the two values contain the same value.  This correctly
-   * handles comparisons involving NaN.
-   * @param {T} a
-   * @param {T} b
-   * @return {boolean}
-   * @template T
+   * @param {number} key
+   * @return {!InitSegmentReference}
+   * @private
    */
-  static defaultEquals(a, b) {
-    // NaN !== NaN, so we need to special case it.
-    if (typeof a === 'number' &&
-        typeof b === 'number' && isNaN(a) && isNaN(b)) {
-      return true
+  fromInitSegmentDB_(key) {
+    /* * @type {!OfflineUri} */
+    const uri = OfflineUri.segment(this.mechanism_, this.cell_, key)
+
+    return new InitSegmentReference(
+      () => [uri.toString()],
+      /*  startBytes= */ 0,
+      /*  endBytes= */ null)
+  }
+  /* *
+   * Creates an empty Variant.
+   *
+   * @param {number} id
+   * @return {!shaka.extern.Variant}
+   * @private
+   */
+  createEmptyVariant_(id) {
+    return {
+      language: '',
+      id: id,
+      primary: false,
+      audio: null,
+      video: null,
+      bandwidth: 0,
+      drmInfos: [],
+      allowedByApplication: true,
+      allowedByKeySystem: true
     }
-    return a === b
   }
+}
+
+/* *
+ * A utility class used to create |shaka.extern.StoredContent| from different
+ * types of input.
+ */
+class StoredContentUtils {
   /* *
-   * Remove given element from array (assumes no duplicates).
-   * @param {!Array.<T>} array
-   * @param {T} element
-   * @template T
+   * @param {string} originalUri
+   * @param {shaka.extern.Manifest} manifest
+   * @param {number} size
+   * @param {!Object} metadata
+   * @return {shaka.extern.StoredContent}
    */
-  static remove(array, element) {
-    const index = array.indexOf(element)
-    if (index > -1) {
-      array.splice(index, 1)
+  static fromManifest(originalUri, manifest, size, metadata) {
+    console.assert(manifest.periods.length, 'Cannot create stored content from manifest with no periods.')
+
+    /* * @type {number} */
+    const expiration = Infinity
+
+    /* * @type {number} */
+    const duration = manifest.presentationTimeline.getDuration()
+
+    /* * @type {shaka.extern.Period} */
+    const firstPeriod = manifest.periods[0]
+
+    /* * @type {!Array.<shaka.extern.Track>} */
+    const tracks = StoredContentUtils.getTracks_(firstPeriod)
+
+    /* * @type {shaka.extern.StoredContent} */
+    const content = {
+      offlineUri: null,
+      originalManifestUri: originalUri,
+      duration: duration,
+      size: size,
+      expiration: expiration,
+      tracks: tracks,
+      appMetadata: metadata
     }
+
+    return content
   }
   /* *
-   * Count the number of items in the list that pass the check function.
-   * @param {!Array.<T>} array
-   * @param {function(T):boolean} check
-   * @return {number}
-   * @template T
+   * @param {!OfflineUri} offlineUri
+   * @param {shaka.extern.ManifestDB} manifestDB
+   * @return {shaka.extern.StoredContent}
    */
-  static count(array, check) {
-    let count = 0
+  static fromManifestDB(offlineUri, manifestDB) {
+    console.assert(manifestDB.periods.length, 'Cannot create stored content from manifestDB with no periods.')
 
-    for (const element of array) {
-      count += check(element) ? 1 : 0
+    const converter = new ManifestConverter(offlineUri.mechanism(), offlineUri.cell())
+
+    /* * @type {shaka.extern.PeriodDB} */
+    const firstPeriodDB = manifestDB.periods[0]
+    /* * @type {!PresentationTimeline} */
+    const timeline = new PresentationTimeline(null, 0)
+
+    // Getting the period duration would be a bit of a pain, and for the
+    // purpose of creating a list of tracks, it doesn't matter.
+    /* * @type {shaka.extern.Period} */
+    const firstPeriod = converter.fromPeriodDB(firstPeriodDB, timeline)
+
+    /* * @type {!Object} */
+    const metadata = manifestDB.appMetadata || {}
+
+    /* * @type {!Array.<shaka.extern.Track>} */
+    const tracks = StoredContentUtils.getTracks_(firstPeriod)
+
+    /* * @type {shaka.extern.StoredContent} */
+    const content = {
+      offlineUri: offlineUri.toString(),
+      originalManifestUri: manifestDB.originalManifestUri,
+      duration: manifestDB.duration,
+      size: manifestDB.size,
+      expiration: manifestDB.expiration,
+      tracks: tracks,
+      appMetadata: metadata
     }
 
-    return count
+    return content
   }
   /* *
-   * Determines if the given arrays contain the same elements.
+   * Gets track representations of all playable variants and all text streams.
    *
-   * @param {!Array.<T>} a
-   * @param {!Array.<T>} b
-   * @param {function(T, T):boolean=} compareFn
-   * @return {boolean}
-   * @template T
+   * @param {shaka.extern.Period} period
+   * @return {!Array.<shaka.extern.Track>}
+   * @private
    */
-  static hasSameElements(a, b, compareFn) {
-    if (!compareFn) {
-      compareFn = ArrayUtils.defaultEquals
+  static getTracks_(period) {
+    const tracks = []
+
+    const variants = StreamUtils.getPlayableVariants(period.variants)
+    for (const variant of variants) {
+      tracks.push(StreamUtils.variantToTrack(variant))
     }
-    if (a.length !== b.length) {
-      return false
+
+    const textStreams = period.textStreams
+    for (const stream of textStreams) {
+      tracks.push(StreamUtils.textStreamToTrack(stream))
     }
 
-    const copy = b.slice()
-    for (const item of a) {
-      const idx = copy.findIndex((other) => compareFn(item, other))
-      if (idx === -1) {
-        return false
+    return tracks
+  }
+}
+
+/* *
+ * Creates a new offline manifest parser.
+ * 离线清单解析器：从 IndexedDB 中读取已下载内容的清单
+ *
+ * @implements {shaka.extern.ManifestParser}
+ */
+class OfflineManifestParser {
+  constructor() {
+    /* * @private {OfflineUri} */
+    this.uri_ = null
+  }
+  /* * @override */
+  configure(config) {
+    // No-op
+  }
+  /* * @override */
+  async start(uriString, playerInterface) {
+    /* * @type {OfflineUri} */
+    const uri = OfflineUri.parse(uriString)
+    this.uri_ = uri
+
+    if (uri == null || !uri.isManifest()) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.NETWORK,
+        Error$1.Code.MALFORMED_OFFLINE_URI,
+        uriString)
+    }
+
+    /* * @type {!StorageMuxer} */
+    const muxer = new StorageMuxer()
+
+    try {
+      await muxer.init()
+
+      const cell = await muxer.getCell(uri.mechanism(), uri.cell())
+
+      const manifests = await cell.getManifests([uri.key()])
+      const manifest = manifests[0]
+
+      const converter = new ManifestConverter(uri.mechanism(), uri.cell())
+
+      return converter.fromManifestDB(manifest)
+    } catch (error) {
+      if (error.code === Error$1.Code.KEY_NOT_FOUND) {
+        throw new Error$1(
+          Error$1.Severity.CRITICAL,
+          Error$1.Category.STORAGE,
+          Error$1.Code.REQUESTED_ITEM_NOT_FOUND,
+          uriString)
       }
-      // Since order doesn't matter, just swap the last element with
-      // this one and then drop the last element.
-      copy[idx] = copy[copy.length - 1]
-      copy.pop()
+      throw error
+    } finally {
+      await muxer.destroy()
+    }
+  }
+  /* * @override */
+  stop() {
+    return Promise.resolve()
+  }
+  /* * @override */
+  update() {
+    // No-op
+  }
+  /* * @override */
+  onExpirationUpdated(sessionId, expiration) {
+    // Stored content is never licensed in this build, so expiration never
+    // changes.
+  }
+}
+
+ManifestParser.registerParserByMime('application/x-offline-manifest', () => new OfflineManifestParser())
+
+/* *
+ * @summary A plugin that handles requests for offline content.
+ * 离线 URI 网络插件：清单请求只返回类型，分片请求从 IndexedDB 读取
+ * @export
+ */
+class OfflineScheme {
+  /* *
+   * @param {string} uri
+   * @param {shaka.extern.Request} request
+   * @param {NetworkingEngine.RequestType=} requestType
+   * @param {shaka.extern.ProgressUpdated=} progressUpdated
+   * @return {!shaka.extern.IAbortableOperation.<shaka.extern.Response>}
+   * @export
+   */
+  static plugin(uri, request, requestType, progressUpdated) {
+    const offlineUri = OfflineUri.parse(uri)
+
+    if (offlineUri && offlineUri.isManifest()) {
+      return OfflineScheme.getManifest_(uri)
     }
 
-    return copy.length === 0
-  }
-}
+    if (offlineUri && offlineUri.isSegment()) {
+      return OfflineScheme.getSegment_(offlineUri.key(), offlineUri)
+    }
 
-// import IDestroyable from './i_destroyable'
-/* *
- * A utility for cleaning up AbortableOperations, to help simplify common
- * patterns and reduce code duplication.
- *
- * @implements {IDestroyable}
- */
-class OperationManager {
-  constructor() {
-    /* * @private {!Array.<!shaka.extern.IAbortableOperation>} */
-    this.operations_ = []
+    return AbortableOperation.failed(
+      new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.NETWORK,
+        Error$1.Code.MALFORMED_OFFLINE_URI,
+        uri))
   }
-
   /* *
-   * Manage an operation.  This means aborting it on destroy() and removing it
-   * from the management set when it complete.
-   *
-   * @param {!shaka.extern.IAbortableOperation} operation
+   * @param {string} uri
+   * @return {!shaka.extern.IAbortableOperation.<shaka.extern.Response>}
+   * @private
    */
-  manage(operation) {
-    this.operations_.push(operation.finally(() => {
-      ArrayUtils.remove(this.operations_, operation)
-    }))
+  static getManifest_(uri) {
+    /* * @type {shaka.extern.Response} */
+    const response = {
+      uri: uri,
+      originalUri: uri,
+      data: new ArrayBuffer(0),
+      headers: { 'content-type': 'application/x-offline-manifest' }
+    }
+
+    return AbortableOperation.completed(response)
   }
+  /* *
+   * @param {number} id
+   * @param {!OfflineUri} uri
+   * @return {!shaka.extern.IAbortableOperation.<shaka.extern.Response>}
+   * @private
+   */
+  static getSegment_(id, uri) {
+    console.assert(uri.isSegment(), 'Only segment uri\'s should be given to getSegment')
 
-  /* * @override */
-  destroy() {
-    const cleanup = []
-    for (const op of this.operations_) {
-      // Catch and ignore any failures.  This silences error logs in the
-      // JavaScript console about uncaught Promise failures.
-      op.promise.catch(() => {})
+    /* * @type {!StorageMuxer} */
+    const muxer = new StorageMuxer()
 
-      // Now abort the operation.
-      cleanup.push(op.abort())
-    }
+    return AbortableOperation.completed(undefined)
+      .chain(() => muxer.init())
+      .chain(() => muxer.getCell(uri.mechanism(), uri.cell()))
+      .chain((cell) => cell.getSegments([uri.key()]))
+      .chain((segments) => {
+        const segment = segments[0]
 
-    this.operations_ = []
-    return Promise.all(cleanup)
+        return {
+          uri: uri,
+          data: segment.data,
+          headers: {}
+        }
+      })
+      .finally(() => muxer.destroy())
   }
 }
 
-/* *
- * @event NetworkingEngine.RetryEvent
- * @description Fired when the networking engine receives a recoverable error
- *   and retries.
- * @property {string} type
- *   'retry'
- * @property {?Error} error
- *   The error that caused the retry. If it was a non-Shaka error, this is set
- *   to null.
- * @exportDoc
- */
+NetworkingEngine.registerScheme('offline', OfflineScheme.plugin)
 
 /* *
- * NetworkingEngine wraps all networking operations.  This accepts plugins that
- * handle the actual request.  A plugin is registered using registerScheme.
- * Each scheme has at most one plugin to handle the request.
+ * This manages downloading segments.
+ * 分片下载管理：同一组内顺序下载，不同组（音频、视频、字幕）并行下载
  *
  * @implements {IDestroyable}
- * @export
  */
-class NetworkingEngine extends FakeEventTarget {
+class DownloadManager {
   /* *
-   * @param {function(number, number)=} onProgressUpdated Called when a progress
-   *   event is triggered. Passed the duration, in milliseconds, that the
-   *   request took, and the number of bytes transferred.
+   * Create a new download manager. It will use (but not own) |networkingEngine|
+   * and call |onProgress| after each download.
+   *
+   * @param {!NetworkingEngine} networkingEngine
+   * @param {function(number, number)} onProgress
    */
-  constructor(onProgressUpdated) {
-    super()
+  constructor(networkingEngine, onProgress) {
+    /* * @private {NetworkingEngine} */
+    this.networkingEngine_ = networkingEngine
 
-    /* * @private {boolean} */
-    this.destroyed_ = false
+    /* *
+     * We group downloads. Within each group, the requests are executed in
+     * series. Between groups, the requests are executed in parallel. We store
+     * the promise chain that is doing the work.
+     *
+     * @private {!Map.<number, !Promise>}
+     */
+    this.groups_ = new Map()
 
-    /* * @private {!OperationManager} */
-    this.operationManager_ = new OperationManager()
+    /* * @private {!Destroyer} */
+    this.destroyer_ = new Destroyer(() => {
+      const promises = Array.from(this.groups_.values())
+      // Add a 'catch' block to stop errors from being returned.
+      return Promise.all(promises.map((p) => p.catch(() => {})))
+    })
 
-    /* * @private {!Set.<shaka.extern.RequestFilter>} */
-    this.requestFilters_ = new Set()
+    /* *
+     * A callback for when a segment has been downloaded. The first parameter
+     * is the progress of all segments, a number between 0.0 (0% complete) and
+     * 1.0 (100% complete). The second parameter is the total number of bytes
+     * that have been downloaded.
+     *
+     * @private {function(number, number)}
+     */
+    this.onProgress_ = onProgress
 
-    /* * @private {!Set.<shaka.extern.ResponseFilter>} */
-    this.responseFilters_ = new Set()
+    /* *
+     * When a segment is downloaded, we need to know its estimated size so that
+     * we can use it to update the progress and estimate the total size.
+     *
+     * @private {number}
+     */
+    this.estimatedTotal_ = 0
 
-    /* * @private {?function(number, number)} */
-    this.onProgressUpdated_ = onProgressUpdated || null
-  }
+    /* * @private {number} */
+    this.estimatedDownloaded_ = 0
 
+    /* * @private {number} */
+    this.actualDownloaded_ = 0
+  }
+  /* * @override */
+  destroy() {
+    return this.destroyer_.destroy()
+  }
   /* *
-   * Registers a scheme plugin.  This plugin will handle all requests with the
-   * given scheme.  If a plugin with the same scheme already exists, it is
-   * replaced, unless the existing plugin is of higher priority.
-   * If no priority is provided, this defaults to the highest priority of
-   * APPLICATION.
+   * Add a request to be downloaded as part of a group.
    *
-   * @param {string} scheme
-   * @param {shaka.extern.SchemePlugin} plugin
-   * @param {number=} priority
-   * @export
+   * @param {number} groupId
+   *    The group to add this segment to. If the group does not exist, a new
+   *    group will be created.
+   * @param {shaka.extern.Request} request
+   * @param {number} estimatedByteLength
+   * @param {function(BufferSource):!Promise} onDownloaded
+   *   The callback for when this request has been downloaded. Downloading for
+   *   |group| will pause until the promise returned by |onDownloaded| resolves.
    */
-  static registerScheme(scheme, plugin, priority) {
-    console.assert(
-      priority === undefined || priority > 0, 'explicit priority must be > 0')
-    priority =
-        priority || NetworkingEngine.PluginPriority.APPLICATION
-    const existing = NetworkingEngine.schemes_[scheme]
-    if (!existing || priority >= existing.priority) {
-      NetworkingEngine.schemes_[scheme] = {
-        priority: priority,
-        plugin: plugin
+  queue(groupId, request, estimatedByteLength, onDownloaded) {
+    this.destroyer_.ensureNotDestroyed()
+
+    this.estimatedTotal_ += estimatedByteLength
+
+    const group = this.groups_.get(groupId) || Promise.resolve()
+
+    // Add another download to the group.
+    this.groups_.set(groupId, group.then(async() => {
+      const response = await this.fetchSegment_(request)
+
+      // Make sure we stop downloading if we have been destroyed.
+      if (this.destroyer_.destroyed()) {
+        throw new Error$1(
+          Error$1.Severity.CRITICAL,
+          Error$1.Category.STORAGE,
+          Error$1.Code.OPERATION_ABORTED)
       }
-    }
-  }
 
-  /* *
-   * Removes a scheme plugin.
-   *
-   * @param {string} scheme
-   * @export
-   */
-  static unregisterScheme(scheme) {
-    delete NetworkingEngine.schemes_[scheme]
-  }
+      // Update all our internal stats.
+      this.estimatedDownloaded_ += estimatedByteLength
+      this.actualDownloaded_ += response.byteLength
 
+      const progress = this.estimatedTotal_ ? this.estimatedDownloaded_ / this.estimatedTotal_ : 0
+      this.onProgress_(progress, this.actualDownloaded_)
+
+      return onDownloaded(response)
+    }))
+  }
   /* *
-   * Registers a new request filter.  All filters are applied in the order they
-   * are registered.
+   * Get a promise that will resolve when all currently queued downloads have
+   * finished.
    *
-   * @param {shaka.extern.RequestFilter} filter
-   * @export
+   * @return {!Promise.<number>}
    */
-  registerRequestFilter(filter) {
-    this.requestFilters_.add(filter)
+  async waitToFinish() {
+    await Promise.all(this.groups_.values())
+    return this.actualDownloaded_
   }
-
   /* *
-   * Removes a request filter.
+   * Download a segment and return the data in the response.
    *
-   * @param {shaka.extern.RequestFilter} filter
-   * @export
+   * @param {shaka.extern.Request} request
+   * @return {!Promise.<BufferSource>}
+   * @private
    */
-  unregisterRequestFilter(filter) {
-    this.requestFilters_.delete(filter)
+  async fetchSegment_(request) {
+    const type = NetworkingEngine.RequestType.SEGMENT
+    const action = this.networkingEngine_.request(type, request)
+    const response = await action.promise
+
+    return response.data
   }
+}
+
+/* *
+ * @summary
+ * This manages persistent offline data including storage, listing, and deleting
+ * stored manifests.  Playback of offline manifests are done through the
+ * Player using a special URI (see OfflineUri).
+ * 离线存储：把视频或音频下载到 IndexedDB，通过 offline: 地址离线播放
+ *
+ * First, check support() to see if offline is supported by the platform.
+ * Second, configure() the storage object with callbacks to your application.
+ * Third, call store(), remove(), or list() as needed.
+ * When done, call destroy().
+ *
+ * @implements {IDestroyable}
+ * @export
+ */
+class Storage {
+  /* *
+   * @param {!Player=} player
+   *    A player instance to share a networking engine and configuration with.
+   *    When initializing with a player, storage is only valid as long as
+   *    |destroy| has not been called on the player instance. When omitted,
+   *    storage will manage its own networking engine and configuration.
+   */
+  constructor(player) {
+    // It is an easy mistake to make to pass a Player proxy from CastProxy.
+    // Rather than throw a vague exception later, throw an explicit and clear
+    // one now.
+    if (player && player.constructor !== Player) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.LOCAL_PLAYER_INSTANCE_REQUIRED)
+    }
+
+    /* * @private {?shaka.extern.PlayerConfiguration} */
+    this.config_ = null
+
+    /* * @private {NetworkingEngine} */
+    this.networkingEngine_ = null
+
+    // Initialize |config_| and |networkingEngine_| based on whether or not
+    // we were given a player instance.
+    if (player) {
+      this.config_ = player.getSharedConfiguration()
+      this.networkingEngine_ = player.getNetworkingEngine()
+    } else {
+      this.config_ = PlayerConfiguration.createDefault()
+      this.networkingEngine_ = new NetworkingEngine()
+    }
+
+    /* *
+     * A list of segment ids for all the segments that were added during the
+     * current store. If the store fails or is aborted, these need to be
+     * removed from storage.
+     * @private {!Array.<number>}
+     */
+    this.segmentsFromStore_ = []
+
+    /* *
+     * A list of open operations that are being performed by this instance of
+     * |Storage|.
+     *
+     * @private {!Array.<!Promise>}
+     */
+    this.openOperations_ = []
+
+    /* * @private {boolean} */
+    this.storeInProgress_ = false
+
+    /* *
+     * Used to stop the store from starting a new download when the storage
+     * object is destroyed.
+     *
+     * @private {!Destroyer}
+     */
+    this.destroyer_ = new Destroyer(async() => {
+      // Wait for all the open operations to end. Wrap each operations so that a
+      // single rejected promise won't cause |Promise.all| to return early or to
+      // return a rejected Promise.
+      const noop = () => {}
+      const awaits = []
+      for (const op of this.openOperations_) {
+        awaits.push(op.then(noop, noop))
+      }
+      await Promise.all(awaits)
+
+      // Wait until after all the operations have finished before we destroy
+      // the networking engine to avoid any unexpected errors.
+      if (!player) {
+        await this.networkingEngine_.destroy()
+      }
 
+      // Drop all references to internal objects to help with GC.
+      this.config_ = null
+      this.networkingEngine_ = null
+    })
+  }
   /* *
-   * Clears all request filters.
+   * Gets whether offline storage is supported.  Returns true if offline storage
+   * is supported for clear content.
    *
+   * @return {boolean}
    * @export
    */
-  clearAllRequestFilters() {
-    this.requestFilters_.clear()
-  }
+  static support() {
+    // Our Storage system is useless without MediaSource.  MediaSource allows us
+    // to pull data from anywhere (including our Storage system) and feed it to
+    // the video element.
+    if (!Platform.supportsMediaSource()) {
+      return false
+    }
 
+    return StorageMuxer.support()
+  }
   /* *
-   * Registers a new response filter.  All filters are applied in the order they
-   * are registered.
-   *
-   * @param {shaka.extern.ResponseFilter} filter
+   * @override
    * @export
    */
-  registerResponseFilter(filter) {
-    this.responseFilters_.add(filter)
+  destroy() {
+    return this.destroyer_.destroy()
   }
-
   /* *
-   * Removes a response filter.
+   * Sets configuration values for Storage.  This is associated with
+   * Player.configure and will change the player instance given at
+   * initialization.
    *
-   * @param {shaka.extern.ResponseFilter} filter
+   * @param {string|!Object} config This should either be a field name or an
+   *   object following the form of {@link shaka.extern.PlayerConfiguration},
+   *   where you may omit any field you do not wish to change.
+   * @param {*=} value This should be provided if the previous parameter
+   *   was a string field name.
+   * @return {boolean}
    * @export
    */
-  unregisterResponseFilter(filter) {
-    this.responseFilters_.delete(filter)
-  }
+  configure(config, value) {
+    console.assert(typeof (config) === 'object' || arguments.length === 2, 'String configs should have values!')
+
+    // ('fieldName', value) format
+    if (arguments.length === 2 && typeof (config) === 'string') {
+      config = ConfigUtils.convertToConfigObject(config, value)
+    }
+
+    console.assert(typeof (config) === 'object', 'Should be an object!')
 
+    console.assert(this.config_, 'Cannot reconfigure storage after calling destroy.')
+    return PlayerConfiguration.mergeConfigObjects(
+      /*  destination= */ this.config_, /*  updates= */ config)
+  }
   /* *
-   * Clears all response filters.
+   * Return a copy of the current configuration.  Modifications of the returned
+   * value will not affect the Storage instance's active configuration.  You
+   * must call storage.configure() to make changes.
    *
+   * @return {shaka.extern.PlayerConfiguration}
    * @export
    */
-  clearAllResponseFilters() {
-    this.responseFilters_.clear()
-  }
+  getConfiguration() {
+    console.assert(this.config_, 'Config must not be null!')
 
+    const ret = PlayerConfiguration.createDefault()
+    PlayerConfiguration.mergeConfigObjects(ret, this.config_, PlayerConfiguration.createDefault())
+    return ret
+  }
   /* *
-   * Gets a copy of the default retry parameters.
-   *
-   * @return {shaka.extern.RetryParameters}
+   * Return the networking engine that storage is using. If storage was
+   * initialized with a player instance, then the networking engine returned
+   * will be the same as |player.getNetworkingEngine()|.
    *
-   * NOTE: The implementation moved to Backoff to avoid a circular
-   * dependency between the two classes.
+   * The returned value will only be null if |destroy| was called before
+   * |getNetworkingEngine|.
    *
+   * @return {NetworkingEngine}
    * @export
    */
-  static defaultRetryParameters() {
-    return Backoff.defaultRetryParameters()
+  getNetworkingEngine() {
+    return this.networkingEngine_
   }
-
-  /* *
-   * Makes a simple network request for the given URIs.
-   *
-   * @param {!Array.<string>} uris
-   * @param {shaka.extern.RetryParameters} retryParams
-   * @return {shaka.extern.Request}
+  /* *
+   * Stores the given manifest.  Encrypted content can't be stored, the
+   * Promise will be rejected with error code 9007, NO_INIT_DATA_FOR_OFFLINE.
+   * Multiple assets can be downloaded at the same time, but note that since
+   * the storage instance has a single networking engine, multiple storage
+   * objects will be necessary if some assets require unique network filters.
+   * This snapshots the storage config at the time of the call, so it will not
+   * honor any changes to config mid-store operation.
+   *
+   * @param {string} uri The URI of the manifest to store.
+   * @param {!Object=} appMetadata An arbitrary object from the application
+   *   that will be stored along-side the offline content.  Use this for any
+   *   application-specific metadata you need associated with the stored
+   *   content.  For details on the data types that can be stored here, please
+   *   refer to {@link https://bit.ly/StructClone}
+   * @param {string=} mimeType
+   *   The mime type for the content |manifestUri| points to.
+   * @return {!Promise.<shaka.extern.StoredContent>}  A Promise to a structure
+   *   representing what was stored.  The 'offlineUri' member is the URI that
+   *   should be given to Player.load() to play this piece of content offline.
+   *   The 'appMetadata' member is the appMetadata argument you passed to store().
    * @export
    */
-  static makeRequest(uris, retryParams) {
-    return {
-      uris: uris,
-      method: 'GET',
-      body: null,
-      headers: {},
-      allowCrossSiteCredentials: false,
-      retryParameters: retryParams,
-      licenseRequestType: null,
-      sessionId: null
+  store(uri, appMetadata, mimeType) {
+    const getParser = async() => {
+      console.assert(this.networkingEngine_, 'Should not call |store| after |destroy|')
+
+      const factory = await ManifestParser.getFactory(
+        uri,
+        this.networkingEngine_,
+        this.config_.manifest.retryParameters,
+        mimeType || null)
+
+      return Functional.callFactory(factory)
     }
-  }
 
+    return this.startOperation_(this.store_(uri, appMetadata || {}, getParser))
+  }
   /* *
-   * @override
+   * Returns true if an asset is currently downloading.
+   *
+   * @return {boolean}
    * @export
    */
-  destroy() {
-    this.destroyed_ = true
-    this.requestFilters_.clear()
-    this.responseFilters_.clear()
-    return this.operationManager_.destroy()
+  getStoreInProgress() {
+    return this.storeInProgress_
   }
-
   /* *
-   * Makes a network request and returns the resulting data.
+   * See |Storage.store| for details.
    *
-   * @param {NetworkingEngine.RequestType} type
-   * @param {shaka.extern.Request} request
-   * @return {!PendingRequest}
-   * @export
+   * @param {string} uri
+   * @param {!Object} appMetadata
+   * @param {function():!Promise.<shaka.extern.ManifestParser>} getParser
+   * @return {!Promise.<shaka.extern.StoredContent>}
+   * @private
    */
-  request(type, request) {
-    const numBytesRemainingObj =
-        new NetworkingEngine.NumBytesRemainingClass()
+  async store_(uri, appMetadata, getParser) {
+    this.requireSupport_()
 
-    // Reject all requests made after destroy is called.
-    if (this.destroyed_) {
-      const p = Promise.reject(new Error$1(
+    // Since we will use the config and networking engine after the async
+    // operations, snapshot them now to make sure they stay alive.
+    const config = this.getConfiguration()
+    const networkingEngine = this.networkingEngine_
+
+    // Only one store at a time; segments of a failed store are tracked in
+    // |segmentsFromStore_| and there is only one such list.
+    if (this.storeInProgress_) {
+      throw new Error$1(
         Error$1.Severity.CRITICAL,
-        Error$1.Category.PLAYER,
-        Error$1.Code.OPERATION_ABORTED))
-      // Silence uncaught rejection errors, which may otherwise occur any place
-      // we don't explicitly handle aborted operations.
-      p.catch(() => {})
-      return new PendingRequest(
-        p, () => Promise.resolve(), numBytesRemainingObj)
+        Error$1.Category.STORAGE,
+        Error$1.Code.STORE_ALREADY_IN_PROGRESS)
     }
+    this.storeInProgress_ = true
 
-    console.assert(
-      request.uris && request.uris.length, 'Request without URIs!')
+    /* * @type {!StorageMuxer} */
+    const muxer = new StorageMuxer()
 
-    // If a request comes from outside the library, some parameters may be left
-    // undefined.  To make it easier for application developers, we will fill
-    // them in with defaults if necessary.
-    //
-    // We clone retryParameters and uris so that if a filter modifies the
-    // request, it doesn't contaminate future requests.
-    request.method = request.method || 'GET'
-    request.headers = request.headers || {}
-    request.retryParameters = request.retryParameters
-      ? ObjectUtils.cloneObject(request.retryParameters)
-      : NetworkingEngine.defaultRetryParameters()
-    request.uris = ObjectUtils.cloneObject(request.uris)
+    /* * @type {?shaka.extern.ManifestParser} */
+    let parser = null
 
-    // Apply the registered filters to the request.
-    const requestFilterOperation = this.filterRequest_(type, request)
-    const requestOperation = requestFilterOperation.chain(
-      () => this.makeRequestWithRetry_(type, request, numBytesRemainingObj))
-    const responseFilterOperation = requestOperation.chain(
-      (responseAndGotProgress) =>
-        this.filterResponse_(type, responseAndGotProgress))
+    const destroyParser = () => {
+      return parser ? parser.stop() : Promise.resolve()
+    }
 
-    // Keep track of time spent in filters.
-    const requestFilterStartTime = Date.now()
-    let requestFilterMs = 0
-    requestFilterOperation.promise.then(() => {
-      requestFilterMs = Date.now() - requestFilterStartTime
-    }, () => {}) // Silence errors in this fork of the Promise chain.
+    try {
+      parser = await getParser()
+      this.destroyer_.ensureNotDestroyed()
 
-    let responseFilterStartTime = 0
-    requestOperation.promise.then(() => {
-      responseFilterStartTime = Date.now()
-    }, () => {}) // Silence errors in this fork of the Promise chain.
+      const manifest = await this.parseManifest(uri, parser, config)
+      this.destroyer_.ensureNotDestroyed()
 
-    const op = responseFilterOperation.chain((responseAndGotProgress) => {
-      const responseFilterMs = Date.now() - responseFilterStartTime
-      const response = responseAndGotProgress.response
-      response.timeMs += requestFilterMs
-      response.timeMs += responseFilterMs
-      if (!responseAndGotProgress.gotProgress &&
-          this.onProgressUpdated_ &&
-          !response.fromCache &&
-          type === NetworkingEngine.RequestType.SEGMENT) {
-        this.onProgressUpdated_(response.timeMs, response.data.byteLength)
-      }
-      return response
-    }, (e) => {
-      // Any error thrown from elsewhere should be recategorized as CRITICAL
-      // here.  This is because by the time it gets here, we've exhausted
-      // retries.
-      if (e) {
-        console.assert(e instanceof Error$1, 'Wrong error type')
-        e.severity = Error$1.Severity.CRITICAL
+      // Stored content is played from IndexedDB only: a live stream has no
+      // end to download up to.
+      const timeline = manifest.presentationTimeline
+      if (timeline.isLive() || timeline.isInProgress()) {
+        throw new Error$1(
+          Error$1.Severity.CRITICAL,
+          Error$1.Category.STORAGE,
+          Error$1.Code.CANNOT_STORE_LIVE_OFFLINE,
+          uri)
       }
 
-      throw e
-    })
+      // Choose the tracks to keep.
+      await this.filterManifest_(manifest, config)
+      this.destroyer_.ensureNotDestroyed()
 
-    // Return the pending request, which carries the response operation, and the
-    // number of bytes remaining to be downloaded, updated by the progress
-    // events.  Add the operation to the manager for later cleanup.
-    const pendingRequest =
-        new PendingRequest(
-          op.promise, op.onAbort_, numBytesRemainingObj)
-    this.operationManager_.manage(pendingRequest)
-    return pendingRequest
-  }
+      await muxer.init()
+      this.destroyer_.ensureNotDestroyed()
 
-  /* *
-   * @param {NetworkingEngine.RequestType} type
-   * @param {shaka.extern.Request} request
-   * @return {!shaka.extern.IAbortableOperation.<undefined>}
-   * @private
-   */
-  filterRequest_(type, request) {
-    let filterOperation = AbortableOperation.completed(undefined)
+      // Get the cell that we are saving the manifest to. Once we get a cell
+      // we will only reference the cell and not the muxer so that the manifest
+      // and segments will all be saved to the same cell.
+      const active = await muxer.getActive()
+      this.destroyer_.ensureNotDestroyed()
 
-    for (const requestFilter of this.requestFilters_) {
-      // Request filters are run sequentially.
-      filterOperation = filterOperation.chain(() => {
-        if (request.body) {
-          // TODO: For v2.7 we should remove this or change to always pass a
-          // Uint8Array.  To make it easier for apps to write filters, it may be
-          // better to always pass a Uint8Array so they know what they are
-          // getting; but we shouldn't use ArrayBuffer since that would require
-          // copying buffers if this is a partial view.
-          request.body = BufferUtils.toArrayBuffer(request.body)
-        }
-        return requestFilter(type, request)
-      })
-    }
+      const manifestDB = await this.downloadManifest_(active.cell, manifest, uri, appMetadata, config, networkingEngine)
+      this.destroyer_.ensureNotDestroyed()
 
-    // Catch any errors thrown by request filters, and substitute
-    // them with a Shaka-native error.
-    return filterOperation.chain(undefined, (e) => {
-      if (e && e.code === Error$1.Code.OPERATION_ABORTED) {
-        // Don't change anything if the operation was aborted.
-        throw e
-      }
+      const ids = await active.cell.addManifests([manifestDB])
+      this.destroyer_.ensureNotDestroyed()
 
-      throw new Error$1(
-        Error$1.Severity.CRITICAL,
-        Error$1.Category.NETWORK,
-        Error$1.Code.REQUEST_FILTER_ERROR, e)
-    })
-  }
+      const offlineUri = OfflineUri.manifest(active.path.mechanism, active.path.cell, ids[0])
 
-  /* *
-   * @param {NetworkingEngine.RequestType} type
-   * @param {shaka.extern.Request} request
-   * @param {NetworkingEngine.NumBytesRemainingClass}
-   *            numBytesRemainingObj
-   * @return {!shaka.extern.IAbortableOperation.<
-   *            NetworkingEngine.ResponseAndGotProgress>}
-   * @private
-   */
-  makeRequestWithRetry_(type, request, numBytesRemainingObj) {
-    const backoff = new Backoff(
-      request.retryParameters, /*  autoReset= */ false)
-    const index = 0
-    return this.send_(
-      type, request, backoff, index, /*  lastError= */ null,
-      numBytesRemainingObj)
-  }
+      return StoredContentUtils.fromManifestDB(offlineUri, manifestDB)
+    } catch (e) {
+      // If we did start saving some data, we need to remove it all to avoid
+      // wasting storage. However if the muxer did not manage to initialize,
+      // then we won't have an active cell to remove the segments from.
+      await this.cleanStoredSegments_(muxer)
 
+      // If we already had an error, ignore this error to avoid hiding
+      // the original error.
+      throw e
+    } finally {
+      this.storeInProgress_ = false
+      this.segmentsFromStore_ = []
+      await muxer.destroy()
+      await destroyParser()
+    }
+  }
   /* *
-   * Sends the given request to the correct plugin and retry using Backoff.
+   * Removes stored segments of a failed or aborted store.
    *
-   * @param {NetworkingEngine.RequestType} type
-   * @param {shaka.extern.Request} request
-   * @param {!Backoff} backoff
-   * @param {number} index
-   * @param {?Error} lastError
-   * @param {NetworkingEngine.NumBytesRemainingClass}
-   *     numBytesRemainingObj
-   * @return {!shaka.extern.IAbortableOperation.<
-   *               NetworkingEngine.ResponseAndGotProgress>}
+   * @param {!StorageMuxer} muxer
+   * @return {!Promise}
    * @private
    */
-  send_(type, request, backoff, index, lastError, numBytesRemainingObj) {
-    const uri = new Uri(request.uris[index])
-    let scheme = uri.getScheme()
-    // Whether it got a progress event.
-    let gotProgress = false
-    if (!scheme) {
-      // If there is no scheme, infer one from the location.
-      scheme = NetworkingEngine.getLocationProtocol_()
-      console.assert(
-        scheme[scheme.length - 1] === ':',
-        'location.protocol expected to end with a colon!')
-      // Drop the colon.
-      scheme = scheme.slice(0, -1)
-
-      // Override the original URI to make the scheme explicit.
-      uri.setScheme(scheme)
-      request.uris[index] = uri.toString()
+  async cleanStoredSegments_(muxer) {
+    if (!this.segmentsFromStore_.length) {
+      return
     }
-
-    // Schemes are meant to be case-insensitive.
-    // See https://github.com/google/shaka-player/issues/2173
-    // and https://tools.ietf.org/html/rfc3986#section-3.1
-    scheme = scheme.toLowerCase()
-
-    const object = NetworkingEngine.schemes_[scheme]
-    const plugin = object ? object.plugin : null
-    if (!plugin) {
-      return AbortableOperation.failed(
-        new Error$1(
-          Error$1.Severity.CRITICAL,
-          Error$1.Category.NETWORK,
-          Error$1.Code.UNSUPPORTED_SCHEME,
-          uri))
+    try {
+      const active = await muxer.getActive()
+      await active.cell.removeSegments(this.segmentsFromStore_, () => {})
+    } catch (e) {
+      console.warn('Failed to remove the segments of an aborted store', e)
     }
-    // Every attempt must have an associated backoff.attempt() call so that the
-    // accounting is correct.
-    const backoffOperation =
-        AbortableOperation.notAbortable(backoff.attempt())
-
-    let startTimeMs
-    const sendOperation = backoffOperation.chain(() => {
-      if (this.destroyed_) {
-        return AbortableOperation.aborted()
-      }
-
-      startTimeMs = Date.now()
-      const segment = NetworkingEngine.RequestType.SEGMENT
-
-      return plugin(request.uris[index],
-        request,
-        type,
-        // The following function is passed to plugin.
-        (time, bytes, numBytesRemaining) => {
-          if (this.onProgressUpdated_ && type === segment) {
-            this.onProgressUpdated_(time, bytes)
-            gotProgress = true
-            numBytesRemainingObj.setBytes(numBytesRemaining)
-          }
-        })
-    }).chain((response) => {
-      if (response.timeMs === undefined) {
-        response.timeMs = Date.now() - startTimeMs
-      }
-      const responseAndGotProgress = {
-        response: response,
-        gotProgress: gotProgress
-      }
+  }
+  /* *
+   * Filter |manifest| such that it will only contain the variants and text
+   * streams that we want to store and can actually play.
+   *
+   * @param {shaka.extern.Manifest} manifest
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @return {!Promise}
+   * @private
+   */
+  async filterManifest_(manifest, config) {
+    // Filter the manifest based on the restrictions given in the player
+    // configuration.
+    const maxHwRes = { width: Infinity, height: Infinity }
+    StorageFilter.filterManifest(manifest, config, maxHwRes)
 
-      return responseAndGotProgress
-    }, (error) => {
-      if (this.destroyed_) {
-        return AbortableOperation.aborted()
-      }
+    // Get all the tracks that are allowed to be played; this is what the
+    // track selection callback chooses from.
+    const period = manifest.periods[0]
+    /* * @type {!Array.<shaka.extern.Track>} */
+    const allTracks = StoredContentUtils.fromManifest('', manifest, 0, {}).tracks
 
-      if (error.code === Error$1.Code.OPERATION_ABORTED) {
-        // Don't change anything if the operation was aborted.
-        throw error
-      } else if (error.code === Error$1.Code.ATTEMPTS_EXHAUSTED) {
-        console.assert(lastError, 'Should have last error')
-        throw lastError
-      }
+    // Let the application choose which tracks to store.
+    const chosenTracks = await config.offline.trackSelectionCallback(allTracks)
 
-      if (error.severity === Error$1.Severity.RECOVERABLE) {
-        // Don't pass in a non-shaka error, even if one is somehow thrown
-        // instead, call the listener with a null error.
-        const errorOrNull = error instanceof Error$1 ? error : null
-        const event = new FakeEvent('retry', { 'error': errorOrNull })
-        this.dispatchEvent(event)
+    // Filter the manifest to keep only what the app chose.
+    const chosenVariantIds = new Set()
+    const chosenTextIds = new Set()
 
-        // Move to the next URI.
-        index = (index + 1) % request.uris.length
-        const shakaError = /* * @type {Error} */(error)
-        return this.send_(
-          type, request, backoff, index, shakaError, numBytesRemainingObj)
+    for (const track of chosenTracks) {
+      if (track.type === 'variant') {
+        chosenVariantIds.add(track.id)
+      }
+      if (track.type === 'text') {
+        chosenTextIds.add(track.id)
       }
+    }
 
-      // The error was not recoverable, so do not try again.
-      throw error
-    })
+    for (const p of manifest.periods) {
+      // Periods other than the first are matched to the first period's
+      // choices by index: same order, same kind of variant.
+      const chosenVariants = p === period
+        ? p.variants.filter((variant) => chosenVariantIds.has(variant.id))
+        : p.variants.filter((variant, index) => {
+          const first = period.variants[index]
+          return first && chosenVariantIds.has(first.id)
+        })
+      const chosenText = p === period
+        ? p.textStreams.filter((stream) => chosenTextIds.has(stream.id))
+        : p.textStreams.filter((stream, index) => {
+          const first = period.textStreams[index]
+          return first && chosenTextIds.has(first.id)
+        })
+      p.variants = chosenVariants
+      p.textStreams = chosenText
+    }
 
-    return sendOperation
+    // Check the post-filtered manifest for characteristics that may indicate
+    // issues with how the app selected tracks.
+    Storage.validateManifest_(manifest)
   }
-
   /* *
-   * @param {NetworkingEngine.RequestType} type
-   * @param {NetworkingEngine.ResponseAndGotProgress}
-   *        responseAndGotProgress
-   * @return {!shaka.extern.IAbortableOperation.<
-   *               NetworkingEngine.ResponseAndGotProgress>}
+   * Create a download manager and download the manifest.
+   *
+   * @param {shaka.extern.StorageCell} storage
+   * @param {shaka.extern.Manifest} manifest
+   * @param {string} uri
+   * @param {!Object} metadata
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @param {!NetworkingEngine} networkingEngine
+   * @return {!Promise.<shaka.extern.ManifestDB>}
    * @private
    */
-  filterResponse_(type, responseAndGotProgress) {
-    let filterOperation = AbortableOperation.completed(undefined)
-    for (const responseFilter of this.responseFilters_) {
-      // Response filters are run sequentially.
-      filterOperation = filterOperation.chain(() => {
-        const resp = responseAndGotProgress.response
-        if (resp.data) {
-          // TODO: See TODO in filterRequest_.
-          resp.data = BufferUtils.toArrayBuffer(resp.data)
-        }
-        return responseFilter(type, resp)
-      })
-    }
-    // If successful, return the filtered response with whether it got
-    // progress.
-    return filterOperation.chain(() => {
-      return responseAndGotProgress
-    }, (e) => {
-      // Catch any errors thrown by request filters, and substitute
-      // them with a Shaka-native error.
+  async downloadManifest_(storage, manifest, uri, metadata, config, networkingEngine) {
+    const pendingContent = StoredContentUtils.fromManifest(uri, manifest, /*  size= */ 0, metadata)
 
-      if (e && e.code === Error$1.Code.OPERATION_ABORTED) {
-        // Don't change anything if the operation was aborted.
-        throw e
-      }
+    /* * @type {!DownloadManager} */
+    const downloader = new DownloadManager(networkingEngine, (progress, size) => {
+      // Update the size of the stored content before issuing a progress
+      // update.
+      pendingContent.size = size
+      config.offline.progressCallback(pendingContent, progress)
+    })
 
-      // The error is assumed to be critical if the original wasn't a Shaka
-      // error.
-      let severity = Error$1.Severity.CRITICAL
-      if (e instanceof Error$1) {
-        severity = e.severity
-      }
+    /* * @type {shaka.extern.ManifestDB} */
+    let manifestDB
 
-      throw new Error$1(
-        severity,
-        Error$1.Category.NETWORK,
-        Error$1.Code.RESPONSE_FILTER_ERROR, e)
-    })
-  }
+    try {
+      manifestDB = this.createOfflineManifest_(downloader, storage, manifest, uri, metadata, config)
+
+      manifestDB.size = await downloader.waitToFinish()
+    } finally {
+      // Make sure that the storage manager is destroyed even when
+      // something fails.
+      await downloader.destroy()
+    }
 
+    return manifestDB
+  }
   /* *
-   * This is here only for testability.  We can't mock location in our tests on
-   * all browsers, so instead we mock this.
+   * Removes the given stored content.  This will also attempt to release the
+   * licenses, if any.
    *
-   * @return {string} The value of location.protocol.
-   * @private
+   * @param {string} contentUri
+   * @return {!Promise}
+   * @export
    */
-  static getLocationProtocol_() {
-    return location.protocol
+  remove(contentUri) {
+    return this.startOperation_(this.remove_(contentUri))
   }
-}
-
-/* *
- * A wrapper class for the number of bytes remaining to be downloaded for the
- * request.
- * Instead of using PendingRequest directly, this class is needed to be sent to
- * plugin as a parameter, and a Promise is returned, before PendingRequest is
- * created.
- *
- * @export
- */
-NetworkingEngine.NumBytesRemainingClass = class {
   /* *
-   * Constructor
+   * See |Storage.remove| for details.
+   *
+   * @param {string} contentUri
+   * @return {!Promise}
+   * @private
    */
-  constructor() {
-    /* * @private {number} */
-    this.bytesToLoad_ = 0
+  async remove_(contentUri) {
+    this.requireSupport_()
+
+    const nullableUri = OfflineUri.parse(contentUri)
+    if (nullableUri == null || !nullableUri.isManifest()) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.MALFORMED_OFFLINE_URI,
+        contentUri)
+    }
+
+    /* * @type {!OfflineUri} */
+    const uri = nullableUri
+
+    /* * @type {!StorageMuxer} */
+    const muxer = new StorageMuxer()
+
+    try {
+      await muxer.init()
+
+      const cell = await muxer.getCell(uri.mechanism(), uri.cell())
+      const manifests = await cell.getManifests([uri.key()])
+      const manifest = manifests[0]
+
+      await this.removeFromStorage_(cell, uri, manifest)
+    } finally {
+      await muxer.destroy()
+    }
   }
+  /* *
+   * @param {shaka.extern.StorageCell} storage
+   * @param {!OfflineUri} uri
+   * @param {shaka.extern.ManifestDB} manifest
+   * @return {!Promise}
+   * @private
+   */
+  removeFromStorage_(storage, uri, manifest) {
+    /* * @type {!Array.<number>} */
+    const segmentIds = Storage.getAllSegmentIds_(manifest)
+
+    // Count(segments) + Count(manifests)
+    const toRemove = segmentIds.length + 1
+
+    let removed = 0
+    const pendingContent = StoredContentUtils.fromManifestDB(uri, manifest)
 
+    const onRemove = (key) => {
+      removed += 1
+      this.config_.offline.progressCallback(pendingContent, removed / toRemove)
+    }
+
+    return Promise.all([
+      storage.removeSegments(segmentIds, onRemove),
+      storage.removeManifests([uri.key()], onRemove)
+    ])
+  }
   /* *
-   * @param {number} bytesToLoad
+   * Lists all the stored content available.
+   *
+   * @return {!Promise.<!Array.<shaka.extern.StoredContent>>}  A Promise to an
+   *   array of structures representing all stored content.  The 'offlineUri'
+   *   member of the structure is the URI that should be given to Player.load()
+   *   to play this piece of content offline.  The 'appMetadata' member is the
+   *   appMetadata argument you passed to store().
+   * @export
    */
-  setBytes(bytesToLoad) {
-    this.bytesToLoad_ = bytesToLoad
+  list() {
+    return this.startOperation_(this.list_())
   }
-
   /* *
-   * @return {number}
+   * See |Storage.list| for details.
+   *
+   * @return {!Promise.<!Array.<shaka.extern.StoredContent>>}
+   * @private
    */
-  getBytes() {
-    return this.bytesToLoad_
+  async list_() {
+    this.requireSupport_()
+
+    /* * @type {!Array.<shaka.extern.StoredContent>} */
+    const result = []
+
+    /* * @type {!StorageMuxer} */
+    const muxer = new StorageMuxer()
+    try {
+      await muxer.init()
+
+      const p = []
+      muxer.forEachCell((path, cell) => {
+        p.push(cell.getAllManifests().then((manifests) => {
+          manifests.forEach((manifest, key) => {
+            const uri = OfflineUri.manifest(path.mechanism, path.cell, key)
+
+            const content = StoredContentUtils.fromManifestDB(uri, manifest)
+
+            result.push(content)
+          })
+        }))
+      })
+
+      await Promise.all(p)
+    } finally {
+      await muxer.destroy()
+    }
+
+    return result
   }
-}
+  /* *
+   * Gets how much storage the origin is using and how much it may use.
+   * Browsers without the StorageManager API report unknown (NaN) values.
+   *
+   * @return {!Promise.<{usage: number, quota: number}>}
+   * @export
+   */
+  async getQuota() {
+    this.requireSupport_()
 
-/* *
- * Request types.  Allows a filter to decide which requests to read/alter.
- *
- * @enum {number}
- * @export
- */
-NetworkingEngine.RequestType = {
-  'MANIFEST': 0,
-  'SEGMENT': 1,
-  'LICENSE': 2,
-  'APP': 3,
-  'TIMING': 4
-}
-/* *
- * Priority level for network scheme plugins.
- * If multiple plugins are provided for the same scheme, only the
- * highest-priority one is used.
- *
- * @enum {number}
- * @export
- */
-NetworkingEngine.PluginPriority = {
-  'FALLBACK': 1,
-  'PREFERRED': 2,
-  'APPLICATION': 3
-}
-/* *
- * Contains the scheme plugins.
- *
- * @private {!Object.<string, NetworkingEngine.SchemeObject>}
- */
-NetworkingEngine.schemes_ = {}
-/* *
- * A pending network request. This can track the current progress of the
- * download, and allows the request to be aborted if the network is slow.
- *
- * @implements {shaka.extern.IAbortableOperation.<shaka.extern.Response>}
- * @extends {AbortableOperation}
- * @export
- */
-class PendingRequest extends AbortableOperation {
+    if (navigator.storage && navigator.storage.estimate) {
+      const estimate = await navigator.storage.estimate()
+      return {
+        usage: estimate.usage,
+        quota: estimate.quota
+      }
+    }
+
+    return { usage: NaN, quota: NaN }
+  }
   /* *
-       * @param {!Promise} promise
-       *   A Promise which represents the underlying operation.  It is resolved
-       *   when the operation is complete, and rejected if the operation fails
-       *   or is aborted.  Aborted operations should be rejected with a
-       *   Error object using the error code OPERATION_ABORTED.
-       * @param {function():!Promise} onAbort
-       *   Will be called by this object to abort the underlying operation.
-       *   This is not cancelation, and will not necessarily result in any work
-       *   being undone.  abort() should return a Promise which is resolved when
-       *   the underlying operation has been aborted.  The returned Promise
-       *   should never be rejected.
-       * @param {NetworkingEngine.NumBytesRemainingClass}
-       *   numBytesRemainingObj
-       */
-  constructor(promise, onAbort, numBytesRemainingObj) {
-    super(promise, onAbort)
+   * Parses the manifest and creates the segment index of every stream.
+   *
+   * @param {string} uri
+   * @param {shaka.extern.ManifestParser} parser
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @return {!Promise.<shaka.extern.Manifest>}
+   */
+  async parseManifest(uri, parser, config) {
+    let error = null
+
+    const networkingEngine = this.networkingEngine_
+    console.assert(networkingEngine, 'Cannot call |parseManifest| after |destroy|')
+
+    /* * @type {shaka.extern.ManifestParser.PlayerInterface} */
+    const playerInterface = {
+      networkingEngine: networkingEngine,
+
+      // Don't bother filtering now. We will do that later when we have all the
+      // information we need to filter.
+      filterAllPeriods: () => Promise.resolve(),
+      filterNewPeriod: () => {},
+
+      onTimelineRegionAdded: () => {},
+      onEvent: () => {},
+
+      // Used to capture an error from the manifest parser. We will check the
+      // error before returning.
+      onError: (e) => {
+        error = e
+      }
+    }
+
+    parser.configure(config.manifest)
+
+    // We may have been destroyed while we were waiting on |getParser| to
+    // resolve.
+    this.destroyer_.ensureNotDestroyed()
+
+    const manifest = await parser.start(uri, playerInterface)
+
+    // We may have been destroyed while we were waiting on |start| to
+    // resolve.
+    this.destroyer_.ensureNotDestroyed()
+
+    // Get all the streams that are used in the manifest.
+    const streams = Storage.getAllStreamsFromManifest_(manifest)
+
+    // Wait for each stream to create their segment indexes.
+    await Promise.all(streams.map((stream) => stream.createSegmentIndex()))
+
+    // We may have been destroyed while we were waiting on
+    // |createSegmentIndex| to resolve for each stream.
+    this.destroyer_.ensureNotDestroyed()
+
+    // If we saw an error while parsing, surface the error.
+    if (error) {
+      throw error
+    }
 
-    /* * @private {NetworkingEngine.NumBytesRemainingClass} */
-    this.bytesRemaining_ = numBytesRemainingObj
+    return manifest
   }
-
   /* *
-       * @return {number}
-       */
-  getBytesRemaining() {
-    return this.bytesRemaining_.getBytes()
+   * @param {shaka.extern.Manifest} manifest
+   * @return {boolean}
+   * @private
+   */
+  static hasEncryptedContent_(manifest) {
+    // Encrypted content can't be stored: there is no key system to persist
+    // licenses with.
+    return manifest.periods.some((period) => period.variants.some((variant) => {
+      return (variant.audio && variant.audio.encrypted) || (variant.video && variant.video.encrypted)
+    }))
   }
-}
-
-/* *
- * @summary An interface to register manifest parsers.
- * @exportDoc
- */
-class ManifestParser {
   /* *
-   * Registers a manifest parser by file extension.
+   * Creates an offline 'manifest' for the real manifest.  This does not store the
+   * segments yet, only adds them to the download manager through
+   * createPeriod_.
    *
-   * @param {string} extension The file extension of the manifest.
-   * @param {shaka.extern.ManifestParser.Factory} parserFactory The factory
-   *   used to create parser instances.
-   * @export
+   * @param {!DownloadManager} downloader
+   * @param {shaka.extern.StorageCell} storage
+   * @param {shaka.extern.Manifest} manifest
+   * @param {string} originalManifestUri
+   * @param {!Object} metadata
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @return {shaka.extern.ManifestDB}
+   * @private
    */
-  static registerParserByExtension(extension, parserFactory) {
-    ManifestParser.parsersByExtension[extension] = parserFactory
+  createOfflineManifest_(downloader, storage, manifest, originalManifestUri, metadata, config) {
+    if (Storage.hasEncryptedContent_(manifest)) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.NO_INIT_DATA_FOR_OFFLINE,
+        originalManifestUri)
+    }
+
+    const estimator = new StreamBandwidthEstimator()
+
+    // Create the period mapping before we start so that all periods can
+    // share the same segment estimates.
+    for (const period of manifest.periods) {
+      // Make sure that all the variants and text streams have been added to
+      // the estimator.
+      estimator.addVariants(period.variants)
+      estimator.addText(period.textStreams)
+    }
+
+    const periods = manifest.periods.map((period) => {
+      return this.createPeriod_(downloader, storage, estimator, manifest, period, config)
+    })
+
+    return {
+      originalManifestUri: originalManifestUri,
+      duration: manifest.presentationTimeline.getDuration(),
+      size: 0,
+      expiration: Infinity,
+      periods: periods,
+      sessionIds: [],
+      drmInfo: null,
+      appMetadata: metadata
+    }
   }
+  /* *
+   * Converts a manifest Period to a database Period.  This will use the current
+   * configuration to get the tracks to use, then it will search each segment
+   * index and add all the segments to the download manager through
+   * createStream_.
+   *
+   * @param {!DownloadManager} downloader
+   * @param {shaka.extern.StorageCell} storage
+   * @param {StreamBandwidthEstimator} estimator
+   * @param {shaka.extern.Manifest} manifest
+   * @param {shaka.extern.Period} period
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @return {shaka.extern.PeriodDB}
+   * @private
+   */
+  createPeriod_(downloader, storage, estimator, manifest, period, config) {
+    // Pass all variants and text streams to the estimator so that we can
+    // get the best estimate for each stream later.
+    estimator.addVariants(period.variants)
+    estimator.addText(period.textStreams)
+
+    // Find the streams we want to download and create a stream db instance
+    // for each of them.
+    const streamSet = Storage.getAllStreamsFromPeriod_(period)
+    const streamDBs = new Map()
+
+    for (const stream of streamSet) {
+      const streamDB = this.createStream_(downloader, storage, estimator, manifest, period, stream)
+      streamDBs.set(stream.id, streamDB)
+    }
+
+    // Connect streams and variants together.
+    for (const variant of period.variants) {
+      if (variant.audio) {
+        streamDBs.get(variant.audio.id).variantIds.push(variant.id)
+      }
+      if (variant.video) {
+        streamDBs.get(variant.video.id).variantIds.push(variant.id)
+      }
+    }
 
+    return {
+      startTime: period.startTime,
+      streams: Array.from(streamDBs.values())
+    }
+  }
   /* *
-   * Registers a manifest parser by MIME type.
+   * Converts a manifest stream to a database stream.  This will search the
+   * segment index and add all the segments to the download manager.
    *
-   * @param {string} mimeType The MIME type of the manifest.
-   * @param {shaka.extern.ManifestParser.Factory} parserFactory The factory
-   *   used to create parser instances.
-   * @export
+   * @param {!DownloadManager} downloader
+   * @param {shaka.extern.StorageCell} storage
+   * @param {StreamBandwidthEstimator} estimator
+   * @param {shaka.extern.Manifest} manifest
+   * @param {shaka.extern.Period} period
+   * @param {shaka.extern.Stream} stream
+   * @return {shaka.extern.StreamDB}
+   * @private
    */
-  static registerParserByMime(mimeType, parserFactory) {
-    ManifestParser.parsersByMime[mimeType] = parserFactory
+  createStream_(downloader, storage, estimator, manifest, period, stream) {
+    /* * @type {shaka.extern.StreamDB} */
+    const streamDB = {
+      id: stream.id,
+      originalId: stream.originalId,
+      primary: stream.primary,
+      contentType: stream.type,
+      mimeType: stream.mimeType,
+      codecs: stream.codecs,
+      frameRate: stream.frameRate,
+      pixelAspectRatio: stream.pixelAspectRatio,
+      kind: stream.kind,
+      language: stream.language,
+      label: stream.label,
+      width: stream.width || null,
+      height: stream.height || null,
+      initSegmentKey: null,
+      encrypted: stream.encrypted,
+      keyId: stream.keyId,
+      segments: [],
+      variantIds: [],
+      roles: stream.roles,
+      channelsCount: stream.channelsCount,
+      audioSamplingRate: stream.audioSamplingRate,
+      closedCaptions: stream.closedCaptions
+    }
+
+    // Download each stream in parallel.
+    const downloadGroup = stream.id
+
+    const startTime = manifest.presentationTimeline.getSegmentAvailabilityStart()
+
+    let firstInitSegment = null
+    for (const segment of stream.segmentIndex.references()) {
+      if (segment.endTime <= startTime) {
+        continue
+      }
+
+      // Only the first init segment is stored; a stream which changes init
+      // segments part way can't be stored by this version.
+      const initSegment = segment.initSegmentReference
+      if (initSegment && !firstInitSegment) {
+        firstInitSegment = initSegment
+        const request = Networking.createSegmentRequest(
+          initSegment.getUris(),
+          initSegment.startByte,
+          initSegment.endByte,
+          this.config_.streaming.retryParameters)
+
+        downloader.queue(
+          downloadGroup,
+          request,
+          estimator.getInitSegmentEstimate(stream.id),
+          async(data) => {
+            /* * @type {!Array.<number>} */
+            const ids = await storage.addSegments([{ data: data }])
+            this.segmentsFromStore_.push(ids[0])
+
+            streamDB.initSegmentKey = ids[0]
+          })
+      }
+
+      const request = Networking.createSegmentRequest(
+        segment.getUris(),
+        segment.startByte,
+        segment.endByte,
+        this.config_.streaming.retryParameters)
+
+      /* * @type {shaka.extern.SegmentDB} */
+      const segmentDB = {
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        dataKey: -1,
+        timestampOffset: segment.timestampOffset,
+        appendWindowStart: segment.appendWindowStart,
+        appendWindowEnd: segment.appendWindowEnd
+      }
+      streamDB.segments.push(segmentDB)
+
+      downloader.queue(
+        downloadGroup,
+        request,
+        estimator.getSegmentEstimate(stream.id, segment),
+        async(data) => {
+          /* * @type {!Array.<number>} */
+          const ids = await storage.addSegments([{ data: data }])
+          this.segmentsFromStore_.push(ids[0])
+
+          segmentDB.dataKey = ids[0]
+        })
+    }
+
+    return streamDB
   }
+  /* *
+   * @param {!Promise.<T>} promise
+   * @return {!Promise.<T>}
+   * @template T
+   * @private
+   */
+  async startOperation_(promise) {
+    this.openOperations_.push(promise)
 
+    try {
+      // Await |promise| so that it will catch the errors and resolve the
+      // returned promise.
+      return await promise
+    } finally {
+      ArrayUtils.remove(this.openOperations_, promise)
+    }
+  }
   /* *
-   * Unregisters a manifest parser by MIME type.
+   * Throws an error if offline storage is not supported on this platform.
+   * @private
+   */
+  requireSupport_() {
+    if (!Storage.support()) {
+      throw new Error$1(
+        Error$1.Severity.CRITICAL,
+        Error$1.Category.STORAGE,
+        Error$1.Code.STORAGE_NOT_SUPPORTED)
+    }
+  }
+  /* *
+   * Delete the on-disk storage and all the content it contains. This should not
+   * be done in normal circumstances. Only do it when storage is rendered
+   * unusable, such as by a version mismatch. No business logic will be run, and
+   * licenses will not be released.
    *
-   * @param {string} mimeType The MIME type of the manifest.
+   * @return {!Promise}
    * @export
    */
-  static unregisterParserByMime(mimeType) {
-    delete ManifestParser.parsersByMime[mimeType]
+  static async deleteAll() {
+    /* * @type {!StorageMuxer} */
+    const muxer = new StorageMuxer()
+    try {
+      // Wipe all content from all storage mechanisms.
+      await muxer.erase()
+    } finally {
+      // Destroy the muxer, whether or not erase() succeeded.
+      await muxer.destroy()
+    }
   }
   /* *
-   * Returns a map of manifest support for well-known types.
-   *
-   * @return {!Object.<string, boolean>}
+   * @param {shaka.extern.ManifestDB} manifest
+   * @return {!Array.<number>}
+   * @private
    */
-  static probeSupport() {
-    const ManifestParser = ManifestParser
-    const support = {}
+  static getAllSegmentIds_(manifest) {
+    /* * @type {!Array.<number>} */
+    const ids = []
 
-    // Make sure all registered parsers are shown, but only for MSE-enabled
-    // platforms where our parsers matter.
-    if (Platform.supportsMediaSource()) {
-      for (const type in ManifestParser.parsersByMime) {
-        support[type] = true
-      }
-      for (const type in ManifestParser.parsersByExtension) {
-        support[type] = true
+    // Get every segment for every stream in the manifest.
+    for (const period of manifest.periods) {
+      for (const stream of period.streams) {
+        if (stream.initSegmentKey != null) {
+          ids.push(stream.initSegmentKey)
+        }
+
+        for (const segment of stream.segments) {
+          ids.push(segment.dataKey)
+        }
       }
     }
 
-    // Make sure all well-known types are tested as well, just to show an
-    // explicit false for things people might be expecting.
-    const testMimeTypes = [
-      // DASH
-      'application/dash+xml',
-      // HLS
-      'application/x-mpegurl',
-      'application/vnd.apple.mpegurl',
-      // SmoothStreaming
-      'application/vnd.ms-sstr+xml'
-    ]
-    const testExtensions = {
-      // DASH
-      'mpd': 'application/dash+xml',
-      // HLS
-      'm3u8': 'application/x-mpegurl',
-      // SmoothStreaming
-      'ism': 'application/vnd.ms-sstr+xml'
-    }
+    return ids
+  }
+  /* *
+   * Warn when the tracks chosen by the application look like duplicates.
+   *
+   * @param {shaka.extern.Manifest} manifest
+   * @private
+   */
+  static validateManifest_(manifest) {
+    for (const period of manifest.periods) {
+      // Make sure we only have one content type for each period.
+      const videos = new Set(period.variants.map((v) => v.video).filter((v) => v))
+      const audios = new Set(period.variants.map((v) => v.audio).filter((a) => a))
+      const texts = period.textStreams
 
-    for (const type of testMimeTypes) {
-      // Only query our parsers for MSE-enabled platforms.  Otherwise, query a
-      // temporary media element for native support for these types.
-      if (Platform.supportsMediaSource()) {
-        support[type] = !!ManifestParser.parsersByMime[type]
-      } else {
-        support[type] = Platform.supportsMediaType(type)
+      if (videos.size > 1) {
+        console.warn('Multiple video tracks selected to be stored')
       }
-    }
 
-    for (const extension in testExtensions) {
-      // Only query our parsers for MSE-enabled platforms.  Otherwise, query a
-      // temporary media element for native support for these MIME type for the
-      // extension.
-      if (Platform.supportsMediaSource()) {
-        support[extension] = !!ManifestParser.parsersByExtension[extension]
-      } else {
-        const type = testExtensions[extension]
-        support[extension] = Platform.supportsMediaType(type)
+      for (const audio1 of audios) {
+        for (const audio2 of audios) {
+          if (audio1 !== audio2 && audio1.language === audio2.language) {
+            console.warn('Similar audio tracks were selected to be stored', audio1.id, audio2.id)
+          }
+        }
       }
-    }
 
-    return support
+      for (const text1 of texts) {
+        for (const text2 of texts) {
+          if (text1 !== text2 && text1.language === text2.language) {
+            console.warn('Similar text tracks were selected to be stored', text1.id, text2.id)
+          }
+        }
+      }
+    }
   }
   /* *
-   * Get a factory that can create a manifest parser that should be able to
-   * parse the manifest at |uri|.
+   * Get a collection of streams that are in the manifest. This collection will
+   * only have one instance of each stream (similar to a set).
    *
-   * @param {string} uri
-   * @param {!NetworkingEngine} netEngine
-   * @param {shaka.extern.RetryParameters} retryParams
-   * @param {?string} mimeType
-   * @return {!Promise.<shaka.extern.ManifestParser.Factory>}
+   * @param {shaka.extern.Manifest} manifest
+   * @return {!Array.<shaka.extern.Stream>}
+   * @private
    */
-  static async getFactory(uri, netEngine, retryParams, mimeType) {
-    const ManifestParser = ManifestParser
+  static getAllStreamsFromManifest_(manifest) {
+    /* * @type {!Set.<shaka.extern.Stream>} */
+    const set = new Set()
 
-    // Try using the MIME type we were given.
-    if (mimeType) {
-      const factory = ManifestParser.parsersByMime[mimeType.toLowerCase()]
-      if (factory) {
-        return factory
+    for (const period of manifest.periods) {
+      for (const stream of Storage.getAllStreamsFromPeriod_(period)) {
+        set.add(stream)
       }
+    }
 
-      console.warning(
-        'Could not determine manifest type using MIME type ', mimeType)
+    return Array.from(set)
+  }
+  /* *
+   * Get a collection of streams that are in the period. This collection will
+   * only have one instance of each stream (similar to a set).
+   *
+   * @param {shaka.extern.Period} period
+   * @return {!Set.<shaka.extern.Stream>}
+   * @private
+   */
+  static getAllStreamsFromPeriod_(period) {
+    /* * @type {!Set.<shaka.extern.Stream>} */
+    const set = new Set()
+
+    for (const text of period.textStreams) {
+      set.add(text)
     }
 
-    const extension = ManifestParser.getExtension(uri)
-    if (extension) {
-      const factory = ManifestParser.parsersByExtension[extension]
-      if (factory) {
-        return factory
+    for (const variant of period.variants) {
+      if (variant.audio) {
+        set.add(variant.audio)
       }
+      if (variant.video) {
+        set.add(variant.video)
+      }
+    }
 
-      console.warning(
-        'Could not determine manifest type for extension ', extension)
-    } else {
-      console.warning('Could not find extension for ', uri)
+    return set
+  }
+}
+
+/* *
+ * Filters a manifest for storage: drops variants the platform can't play or
+ * which the restrictions in the configuration rule out.
+ */
+class StorageFilter {
+  /* *
+   * @param {shaka.extern.Manifest} manifest
+   * @param {shaka.extern.PlayerConfiguration} config
+   * @param {{width: number, height: number}} maxHwRes
+   */
+  static filterManifest(manifest, config, maxHwRes) {
+    for (const period of manifest.periods) {
+      period.variants = period.variants.filter((variant) => {
+        if (!StreamUtils.meetsRestrictions(variant, config.restrictions, maxHwRes)) {
+          return false
+        }
+        const streams = [variant.audio, variant.video].filter((s) => s)
+        return streams.every((stream) => MediaSourceEngine.isStreamSupported(stream))
+      })
+      period.textStreams = period.textStreams.filter((stream) => {
+        return MediaSourceEngine.isStreamSupported(stream)
+      })
     }
+  }
+}
 
-    if (!mimeType) {
-      mimeType = await ManifestParser.getMimeType(uri, netEngine, retryParams)
+/* *
+ * A utility class to help estimate the size of streams based on stream and
+ * variant bandwidths. This class's main purpose is to isolate the logic in
+ * creating non-zero bandwidth estimates for all streams so that each stream
+ * will have some influence over the progress of the download.
+ */
+class StreamBandwidthEstimator {
+  constructor() {
+    /* * @private {!Object.<number, number>} */
+    this.estimateByStreamId_ = {}
+  }
+  /* *
+   * Add a new variant to the estimator. This will update the estimates for all
+   * streams in the variant.
+   *
+   * @param {!Array.<shaka.extern.Variant>} variants
+   */
+  addVariants(variants) {
+    // Go through each variant and add its bandwidth estimates to the
+    // estimator. A stream can be part of many variants, so the estimate
+    // for a stream is the lowest non-zero estimate.
+    for (const variant of variants) {
+      const audio = variant.audio
+      const video = variant.video
 
-      if (mimeType) {
-        const factory = ManifestParser.parsersByMime[mimeType]
-        if (factory) {
-          return factory
+      if (audio && !video) {
+        const audioBitRate = audio.bandwidth || variant.bandwidth
+        this.setBitrate_(audio.id, audioBitRate)
+      }
+
+      if (video && !audio) {
+        const videoBitRate = video.bandwidth || variant.bandwidth
+        this.setBitrate_(video.id, videoBitRate)
+      }
+
+      if (audio && video) {
+        // Get the audio's bandwidth. If it is missing, default to our default
+        // audio bandwidth.
+        const audioBitRate = audio.bandwidth || StreamBandwidthEstimator.DEFAULT_AUDIO_BITRATE_
+
+        // Get the video's bandwidth. If it is missing, use the variant
+        // bandwidth less the audio. If we get a negative bit rate, fall back
+        // to our default video bandwidth.
+        let videoBitRate = video.bandwidth || (variant.bandwidth - audioBitRate)
+        if (videoBitRate <= 0) {
+          console.warn('Audio bit rate consumes variants bandwidth. Setting video bandwidth to match variant\'s bandwidth.')
+          videoBitRate = variant.bandwidth
         }
 
-        console.warning('Could not determine manifest type using MIME type',
-          mimeType)
+        this.setBitrate_(audio.id, audioBitRate)
+        this.setBitrate_(video.id, videoBitRate)
       }
     }
-
-    throw new Error$1(
-      Error$1.Severity.CRITICAL,
-      Error$1.Category.MANIFEST,
-      Error$1.Code.UNABLE_TO_GUESS_MANIFEST_TYPE,
-      uri)
   }
   /* *
-   * @param {string} uri
-   * @param {!NetworkingEngine} netEngine
-   * @param {shaka.extern.RetryParameters} retryParams
-   * @return {!Promise.<string>}
+   * @param {number} stream
+   * @param {number} bitRate
+   * @private
    */
-  static async getMimeType(uri, netEngine, retryParams) {
-    const type = NetworkingEngine.RequestType.MANIFEST
-
-    const request = NetworkingEngine.makeRequest([uri], retryParams)
-    request.method = 'HEAD'
-
-    const response = await netEngine.request(type, request).promise
-
-    // https://bit.ly/2K9s9kf says this header should always be available,
-    // but just to be safe:
-    const mimeType = response.headers['content-type']
-    return mimeType ? mimeType.toLowerCase().split(';').shift() : ''
+  setBitrate_(stream, bitRate) {
+    this.estimateByStreamId_[stream] = bitRate
   }
   /* *
-   * @param {string} uri
-   * @return {string}
+   * Add a new text stream to the estimator. This will update the estimates for
+   * all text streams.
+   *
+   * @param {!Array.<shaka.extern.Stream>} texts
    */
-  static getExtension(uri) {
-    const uriObj = new Uri(uri)
-    const uriPieces = uriObj.getPath().split('/')
-    const uriFilename = uriPieces.pop()
-    const filenamePieces = uriFilename.split('.')
-
-    // Only one piece means there is no extension.
-    if (filenamePieces.length === 1) {
-      return ''
+  addText(texts) {
+    for (const text of texts) {
+      this.estimateByStreamId_[text.id] = StreamBandwidthEstimator.DEFAULT_TEXT_BITRATE_
     }
-
-    return filenamePieces.pop().toLowerCase()
   }
   /* *
-   * Determines whether or not this URI and MIME type are supported by our own
-   * manifest parsers on this platform.  This takes into account whether or not
-   * MediaSource is available, as well as which parsers are registered to the
-   * system.
+   * Get the estimate for a segment that is part of a stream that has already
+   * added to the estimator.
    *
-   * @param {string} uri
-   * @param {string} mimeType
-   * @return {boolean}
+   * @param {number} id
+   * @param {!SegmentReference} segment
+   * @return {number}
    */
-  static isSupported(uri, mimeType) {
-    // Without MediaSource, our own parsers are useless.
-    if (!Platform.supportsMediaSource()) {
-      return false
-    }
+  getSegmentEstimate(id, segment) {
+    const duration = segment.endTime - segment.startTime
+    return this.getEstimate_(id) * duration
+  }
+  /* *
+   * Get the estimate for an init segment for a stream that has already
+   * added to the estimator.
+   *
+   * @param {number} id
+   * @return {number}
+   */
+  getInitSegmentEstimate(id) {
+    // Assume that the init segment is worth have a second of bandwidth.
+    const duration = 0.5
+    return this.getEstimate_(id) * duration
+  }
+  /* *
+   * @param {number} id
+   * @return {number}
+   * @private
+   */
+  getEstimate_(id) {
+    let bitRate = this.estimateByStreamId_[id]
 
-    if (mimeType in ManifestParser.parsersByMime) {
-      return true
+    if (bitRate == null) {
+      bitRate = 0
+      console.error('Asking for bitrate of stream not given to the estimator')
     }
 
-    const extension = ManifestParser.getExtension(uri)
-    if (extension in ManifestParser.parsersByExtension) {
-      return true
+    if (bitRate === 0) {
+      console.warn('Using bitrate of 0, this stream won\'t affect progress')
     }
 
-    return false
+    return bitRate
   }
 }
 /* *
- * Contains the parser factory functions indexed by MIME type.
+ * Since audio bandwidth does not vary much, we are going to use a constant
+ * approximation for audio bit rate allowing use to more accurately guess at
+ * the video bitrate.
  *
- * @type {!Object.<string, shaka.extern.ManifestParser.Factory>}
+ * YouTube's suggested bitrate for stereo audio is 384 kbps so we are going to
+ * assume that: https://support.google.com/youtube/answer/1722171?hl=en
+ *
+ * @const {number}
+ * @private
  */
-ManifestParser.parsersByMime = {}
+StreamBandwidthEstimator.DEFAULT_AUDIO_BITRATE_ = 393216
 /* *
- * Contains the parser factory functions indexed by file extension.
+ * Since text bandwidth does not vary much, we are going to use a constant
+ * approximation for text bit rate allowing use to more accurately guess at
+ * the text bitrate.
  *
- * @type {!Object.<string, shaka.extern.ManifestParser.Factory>}
+ * @const {number}
+ * @private
  */
-ManifestParser.parsersByExtension = {}
+StreamBandwidthEstimator.DEFAULT_TEXT_BITRATE_ = 52
 
 // import IReleasable from '../util/i_releasable'
 
@@ -9651,7 +20452,7 @@ class PlayheadMover {
   onTick_() {
     // Sigh... We ran out of retries...
     if (this.remainingAttempts_ <= 0) {
-      console.warning([
+      console.warn([
         'Failed to move playhead from', this.originTime_,
         'to', this.targetTime_
       ].join(' '))
@@ -10625,8 +21426,6 @@ class RegionObserver {
 
   /* * @override */
   poll(positionInSeconds, wasSeeking) {
-    const RegionObserver = RegionObserver
-
     for (const region of this.timeline_.regions()) {
       const previousPosition = this.oldPosition_.get(region)
       const currentPosition = RegionObserver.determinePositionRelativeTo_(
@@ -12569,7 +23368,7 @@ class StreamingEngine {
     const position = mediaState.stream.segmentIndex.find(presentationTime)
 
     if (position === null) {
-      console.warning(logPrefix,
+      console.warn(logPrefix,
         'cannot find segment:',
         'presentationTime=' + presentationTime)
     }
@@ -12625,7 +23424,6 @@ class StreamingEngine {
    */
   async fetchAndAppend_(mediaState, presentationTime, reference) {
     const ContentType = ManifestParserUtils.ContentType
-    const StreamingEngine = StreamingEngine
     const logPrefix = StreamingEngine.logPrefix_(mediaState)
 
     console.info(logPrefix,
@@ -12697,10 +23495,10 @@ class StreamingEngine {
       if (mediaState.type === ContentType.TEXT &&
           this.config_.ignoreTextStreamFailures) {
         if (error.code === Error$1.Code.BAD_HTTP_STATUS) {
-          console.warning(logPrefix,
+          console.warn(logPrefix,
             'Text stream failed to download. Proceeding without it.')
         } else {
-          console.warning(logPrefix,
+          console.warn(logPrefix,
             'Text stream failed to parse. Proceeding without it.')
         }
         this.mediaStates_.delete(ContentType.TEXT)
@@ -12794,7 +23592,7 @@ class StreamingEngine {
         return
       }
       const percentAfter = Math.round(100 * this.bufferingGoalScale_)
-      console.warning(
+      console.warn(
         logPrefix,
         'MediaSource threw QuotaExceededError:',
         'reducing buffering goals by ' + (100 - percentAfter) + '%')
@@ -12824,7 +23622,6 @@ class StreamingEngine {
    * @private
    */
   async initSourceBuffer_(mediaState, reference) {
-    const StreamingEngine = StreamingEngine
     const logPrefix = StreamingEngine.logPrefix_(mediaState)
 
     // Rounding issues can cause us to remove the first frame of the Period, so
@@ -13308,7 +24105,6 @@ class StreamingEngine {
    * @private
    */
   static isEmbeddedText_(mediaState) {
-    const MimeUtils = MimeUtils
     return mediaState &&
         mediaState.type === ManifestParserUtils.ContentType.TEXT &&
         mediaState.stream.mimeType === MimeUtils.CLOSED_CAPTION_MIMETYPE
@@ -13335,7 +24131,6 @@ class StreamingEngine {
    * @private
    */
   findPeriodForTime_(time) {
-    const ManifestParserUtils = ManifestParserUtils
     const threshold = ManifestParserUtils.GAP_OVERLAP_TOLERANCE_SECONDS
 
     // The last segment may end right before the end of the Period because of
@@ -13790,8 +24585,6 @@ class SimpleAbrManager {
    * @export
    */
   chooseVariant() {
-    const SimpleAbrManager = SimpleAbrManager
-
     // Get sorted Variants.
     let sortedVariants = SimpleAbrManager.filterAndSortVariants_(
       this.config_.restrictions, this.variants_)
@@ -13804,7 +24597,7 @@ class SimpleAbrManager {
       // These restrictions are not 'hard' restrictions in the way that
       // top-level or DRM-based restrictions are.  Sort the variants without
       // restrictions and keep just the first (lowest-bandwidth) one.
-      console.warning('No variants met the ABR restrictions. ' +
+      console.warn('No variants met the ABR restrictions. ' +
                         'Choosing a variant by lowest bandwidth.')
       sortedVariants = SimpleAbrManager.filterAndSortVariants_(
         /*  restrictions= */ null, this.variants_)
@@ -14288,7 +25081,7 @@ class PlayerConfiguration {
   static mergeConfigObjects(destination, updates, template) {
     return ConfigUtils.mergeConfigObjects(
       destination, updates,
-      template || PlayerConfiguration.createDefault(), null,
+      template || PlayerConfiguration.createDefault(), /*  overrides= */ {},
       '')
   }
 
@@ -14299,8 +25092,6 @@ class PlayerConfiguration {
    */
   static defaultTrackSelect(tracks, preferredAudioLanguage) {
     const ContentType = ManifestParserUtils.ContentType
-    const LanguageUtils = LanguageUtils
-
     /* * @type {!Array.<shaka.extern.Track>} */
     const allVariants = tracks.filter((track) => track.type === 'variant')
 
@@ -14337,7 +25128,7 @@ class PlayerConfiguration {
       }))
 
       if (languages.size > 1) {
-        console.warning('Could not choose a good audio track based on ' +
+        console.warn('Could not choose a good audio track based on ' +
                           'language preferences or primary tracks.  An ' +
                           'arbitrary language will be stored!')
       }
@@ -14528,7 +25319,7 @@ class SimpleTextDisplayer {
     if (shakaCue.startTime >= shakaCue.endTime) {
       // IE/Edge will throw in this case.
       // See issue #501
-      console.warning('Invalid cue times: ' + shakaCue.startTime +
+      console.warn('Invalid cue times: ' + shakaCue.startTime +
                         ' - ' + shakaCue.endTime)
       return null
     }
@@ -15738,7 +26529,7 @@ class Player extends FakeEventTarget {
   static applyPlayRange_(timeline, playRangeStart, playRangeEnd) {
     if (playRangeStart > 0) {
       if (timeline.isLive()) {
-        console.warning(
+        console.warn(
           '|playRangeStart| has been configured for live content. ' +
             'Ignoring the setting.')
       } else {
@@ -15751,7 +26542,7 @@ class Player extends FakeEventTarget {
     const fullDuration = timeline.getDuration()
     if (playRangeEnd < fullDuration) {
       if (timeline.isLive()) {
-        console.warning(
+        console.warn(
           '|playRangeEnd| has been configured for live content. ' +
             'Ignoring the setting.')
       } else {
@@ -15775,6 +26566,25 @@ class Player extends FakeEventTarget {
 
     return config
   }
+  /* *
+   * Get if the player is playing live content. If the player is not playing
+   * any content, this will return |false|.
+   *
+   * @return {boolean}
+   * @export
+   */
+  isLive() {
+    if (this.manifest_) {
+      return this.manifest_.presentationTimeline.isLive()
+    }
+
+    // For native HLS, the duration for live streams seems to be Infinity.
+    if (this.video_ && this.video_.src) {
+      return this.video_.duration === Infinity
+    }
+
+    return false
+  }
   defaultStreamingFailureCallback_(error) {
     const retryErrorCodes = [
       Error$1.Code.BAD_HTTP_STATUS,
@@ -15785,7 +26595,7 @@ class Player extends FakeEventTarget {
     if (this.isLive() && retryErrorCodes.includes(error.code)) {
       error.severity = Error$1.Severity.RECOVERABLE
 
-      console.warning('Live streaming error.  Retrying automatically...')
+      console.warn('Live streaming error.  Retrying automatically...')
       this.retryStreaming()
     }
   }
@@ -16442,6 +27252,30 @@ class Player extends FakeEventTarget {
     const event = this.makeEvent_(conf.EventName.TracksChanged)
     this.delayDispatchEvent_(event)
   }
+  /* *
+   * Callback from PeriodObserver, invoked when the playhead moves into a new
+   * Period.
+   * @private
+   */
+  onChangePeriod_() {
+    this.onTracksChanged_()
+  }
+  /* *
+   * Keep AbrManager's view of the playback rate in sync with the media element.
+   * @private
+   */
+  onRateChange_() {
+    // Some older browsers may not support playbackRate, so fall back to 1.
+    const playbackRate = this.playRateController_
+      ? this.playRateController_.getRealRate()
+      : (this.video_ ? this.video_.playbackRate : 1)
+
+    // Ignore the rate being 0 (which happens while buffering) so that ABR does
+    // not treat a stall as an infinitely slow playback.
+    if (playbackRate && this.abrManager_) {
+      this.abrManager_.playbackRateChanged(playbackRate)
+    }
+  }
   /* *
    * Tell the player to use <code>mediaElement</code> for all <code>load</code>
    * requests until <code>detach</code> or <code>destroy</code> are called.
@@ -16684,7 +27518,7 @@ class Player extends FakeEventTarget {
     const hasPrimary = currentPeriod.variants.some((v) => v.primary)
 
     if (!this.config_.preferredAudioLanguage && !hasPrimary) {
-      console.warning('No preferred audio language set.  We will choose an arbitrary language initially')
+      console.warn('No preferred audio language set.  We will choose an arbitrary language initially')
     }
 
     this.chooseVariant_(currentPeriod.variants)
@@ -16868,6 +27702,87 @@ class Player extends FakeEventTarget {
       this.checkRestrictedVariants_(period.variants)
     }
   }
+  /* *
+   * Choose a single set of codecs when the content offers several that the
+   * browser can play (e.g. both avc1 and vp9), and drop the other variants.
+   * The cheapest codec set on average is kept so that all bitrates remain
+   * reachable by ABR.
+   * @private
+   */
+  chooseCodecsAndFilterManifest_() {
+    // Variants are grouped by the base codecs of their audio and video streams.
+    const getCodecKey = (variant) => {
+      const parts = []
+      if (variant.audio) {
+        parts.push(MimeUtils.getCodecBase(variant.audio.codecs))
+      }
+      if (variant.video) {
+        parts.push(MimeUtils.getCodecBase(variant.video.codecs))
+      }
+      return parts.join('-')
+    }
+
+    for (const period of this.manifest_.periods) {
+      /* * @type {!Map.<string, !Array.<extern.Variant>>} */
+      const variantsByCodecs = new Map()
+      for (const variant of period.variants) {
+        if (!StreamUtils.isPlayable(variant)) {
+          continue
+        }
+        const key = getCodecKey(variant)
+        if (!variantsByCodecs.has(key)) {
+          variantsByCodecs.set(key, [])
+        }
+        variantsByCodecs.get(key).push(variant)
+      }
+
+      if (variantsByCodecs.size <= 1) {
+        continue
+      }
+
+      let bestCodecs = null
+      let lowestAverageBandwidth = Infinity
+      variantsByCodecs.forEach((variants, codecs) => {
+        const sum = variants.reduce((total, v) => total + (v.bandwidth || 0), 0)
+        const averageBandwidth = sum / variants.length
+        console.debug('codecs', codecs, 'avg bandwidth', averageBandwidth)
+        if (averageBandwidth < lowestAverageBandwidth) {
+          bestCodecs = codecs
+          lowestAverageBandwidth = averageBandwidth
+        }
+      })
+      console.assert(bestCodecs !== null, 'Should have chosen codecs!')
+
+      period.variants = period.variants.filter((variant) => {
+        return getCodecKey(variant) === bestCodecs
+      })
+    }
+  }
+  /* *
+   * If the content contains audio+video variants, drop any audio-only or
+   * video-only variants in every period, so that period transitions never
+   * need to add or remove a SourceBuffer.
+   *
+   * @param {!Array.<extern.Period>} periods
+   * @private
+   */
+  static filterForAVVariants_(periods) {
+    const isAVVariant = (variant) => {
+      // Audio-video variants may include both streams separately or may be
+      // single multiplexed streams with multiple codecs.
+      return (variant.video && variant.audio) ||
+             (variant.video && variant.video.codecs.includes(','))
+    }
+    const hasAVVariant = periods.some((period) => {
+      return period.variants.some(isAVVariant)
+    })
+    if (hasAVVariant) {
+      console.debug('Found variant with audio and video content, so filtering out audio-only content in all periods.')
+      for (const period of periods) {
+        period.variants = period.variants.filter(isAVVariant)
+      }
+    }
+  }
   /* *
    * When we fire region events, we need to copy the information out of the
    * region to break the connection with the player's internal data. We do the
@@ -17279,6 +28194,17 @@ class Player extends FakeEventTarget {
     const fudge = 1 // 1000 ms
     return bufferEnd >= this.video_.duration - fudge
   }
+  /* *
+   * Callback from the media element, invoked when it reports an error.
+   * @private
+   */
+  onVideoError_() {
+    const error = this.videoErrorToShakaError_()
+    if (!error) {
+      return
+    }
+    this.onError_(error)
+  }
   /* *
    * Turn the media element's error object into a Shaka Player error object.
    *
@@ -17758,6 +28684,153 @@ class Player extends FakeEventTarget {
     const event = this.makeEvent_(conf.EventName.TextTrackVisibility)
     this.delayDispatchEvent_(event)
   }
+  /* *
+   * Check if the text displayer is enabled.
+   *
+   * @return {boolean}
+   * @export
+   */
+  isTextTrackVisible() {
+    return !!this.isTextVisible_
+  }
+  /* *
+   * Get the languages of the text tracks in the current period.  In src=
+   * mode, these come from the media element's own text tracks.
+   *
+   * @return {!Array.<string>}
+   * @export
+   */
+  getTextLanguages() {
+    if (this.manifest_ && this.playhead_) {
+      const period = this.getPresentationPeriod_()
+      const languages = period.textStreams.map((stream) => LanguageUtils.normalize(stream.language))
+      return Array.from(new Set(languages))
+    } else if (this.video_ && this.video_.src && this.video_.textTracks) {
+      const languages = this.getNativeTextTracks_().map((track) => LanguageUtils.normalize(track.language))
+      return Array.from(new Set(languages))
+    }
+    return []
+  }
+  /* *
+   * Sets currentTextLanguage and currentTextRole to the selected language and
+   * role, and chooses a new text stream.  If the content is not loaded yet,
+   * the language becomes the preference for the next load.
+   *
+   * @param {string} language
+   * @param {string=} role
+   * @export
+   */
+  selectTextLanguage(language, role) {
+    this.currentTextLanguage_ = language
+    this.currentTextRole_ = role || ''
+
+    if (this.manifest_ && this.playhead_) {
+      const period = this.getPresentationPeriod_()
+      const chosenText = this.chooseTextStream_(period.textStreams)
+      if (chosenText) {
+        this.addTextStreamToSwitchHistory_(period, chosenText, /*  fromAdaptation= */ false)
+        if (this.shouldStreamText_()) {
+          this.switchTextStream_(chosenText)
+        }
+      }
+    } else if (this.video_ && this.video_.src && this.video_.textTracks) {
+      const tracks = this.getNativeTextTracks_()
+      const locale = LanguageUtils.normalize(language)
+      const chosen = tracks.find((track) => LanguageUtils.areLanguageCompatible(LanguageUtils.normalize(track.language), locale))
+      if (chosen) {
+        for (const track of tracks) {
+          if (track === chosen) {
+            track.mode = this.isTextVisible_ ? 'showing' : 'hidden'
+          } else {
+            track.mode = 'disabled'
+          }
+        }
+        this.onTextChanged_()
+      }
+    }
+  }
+  /* *
+   * Enable or disable the text displayer.  If the player is in an unloaded
+   * state, the request will be applied next time content is loaded.
+   *
+   * @param {boolean} isVisible
+   * @return {!Promise}
+   * @export
+   */
+  async setTextTrackVisibility(isVisible) {
+    const oldVisibilty = this.isTextVisible_
+    const newVisibility = isVisible
+
+    if (oldVisibilty === newVisibility) {
+      return
+    }
+
+    this.isTextVisible_ = newVisibility
+
+    // Hold of on setting the text visibility until we have all the components
+    // we need. This ensures that they stay in-sync.
+    if (this.loadMode_ === LoadMode.MEDIA_SOURCE) {
+      this.mediaSourceEngine_.getTextDisplayer().setTextVisibility(newVisibility)
+
+      // When the user wants to see captions, we stream captions. When the user
+      // doesn't want to see captions, we don't stream captions. This is to
+      // avoid bandwidth consumption by an unused resource. The app developer
+      // can override this and configure us to always stream captions.
+      if (!this.config_.streaming.alwaysStreamText) {
+        if (newVisibility) {
+          // Find the active text stream and stream it, if any.
+          const period = this.getPresentationPeriod_()
+          const stream = this.chooseTextStream_(period.textStreams)
+          if (stream) {
+            await this.streamingEngine_.loadNewTextStream(stream)
+          }
+        } else {
+          this.streamingEngine_.unloadTextStream()
+        }
+      }
+    } else if (this.video_ && this.video_.src && this.video_.textTracks) {
+      // Find the active track by looking for one which is not disabled.  This
+      // is the only way to identify the track which is currently displayed.
+      // Set it to 'showing' or 'hidden' based on newVisibility.
+      for (const track of this.getNativeTextTracks_()) {
+        if (track.mode !== 'disabled') {
+          track.mode = newVisibility ? 'showing' : 'hidden'
+        }
+      }
+    }
+
+    // We need to fire the event after we have updated everything so that
+    // everything will be in a stable state when the app responds to the
+    // event.
+    this.onTextTrackVisibility_()
+  }
+  /* *
+   * Switches to the given text stream, or defers the switch until the current
+   * period transition is done.
+   *
+   * @param {extern.Stream} textStream
+   * @private
+   */
+  switchTextStream_(textStream) {
+    if (this.switchingPeriods_) {
+      this.deferredTextStream_ = textStream
+    } else {
+      this.streamingEngine_.switchTextStream(textStream)
+      this.onTextChanged_()
+    }
+  }
+  /* *
+   * The subtitle and caption tracks of the media element, used in src= mode.
+   * The displayer's own track is left out.
+   *
+   * @return {!Array.<!TextTrack>}
+   * @private
+   */
+  getNativeTextTracks_() {
+    return Array.from(this.video_.textTracks).filter((track) => {
+      return (track.kind === 'subtitles' || track.kind === 'captions') && track.label !== SimpleTextDisplayer.TextTrackLabel_
+    })
+  }
   /* *
    * @return {boolean} true if we should stream text right now.
    * @private
@@ -17787,8 +28860,6 @@ class Player extends FakeEventTarget {
    * @private
    */
   shouldShowText_(audioStream, textStream) {
-    const LanguageUtils = LanguageUtils
-
     /* * @type {string} */
     const preferredTextLocale =
         LanguageUtils.normalize(this.config_.preferredTextLanguage)
@@ -17871,6 +28942,109 @@ class Player extends FakeEventTarget {
     this.applyConfig_()
     return ret
   }
+  /* *
+   * Return a copy of the current configuration.  Modifications of the returned
+   * value will not affect the Player's active configuration.  You must call
+   * player.configure() to make changes.
+   *
+   * @return {shaka.extern.PlayerConfiguration}
+   * @export
+   */
+  getConfiguration() {
+    console.assert(this.config_, 'Config must not be null!')
+
+    const ret = this.defaultConfig_()
+    PlayerConfiguration.mergeConfigObjects(
+      ret, this.config_, this.defaultConfig_())
+    return ret
+  }
+  /* *
+   * Return a reference to the current configuration. Modifications to the
+   * returned value will affect the Player's active configuration. Used by
+   * offline Storage, which configures through the player it was given.
+   *
+   * @return {shaka.extern.PlayerConfiguration}
+   */
+  getSharedConfiguration() {
+    console.assert(this.config_, 'Cannot call getSharedConfiguration after call destroy!')
+    return this.config_
+  }
+  /* *
+   * Get the networking engine used by the player, so that requests can be
+   * made with the same filters and retry settings.
+   *
+   * @return {NetworkingEngine}
+   * @export
+   */
+  getNetworkingEngine() {
+    return this.networkingEngine_
+  }
+  /* *
+   * Apply config changes.
+   * @private
+   */
+  applyConfig_() {
+    if (this.parser_) {
+      const manifestConfig = ObjectUtils.cloneObject(this.config_.manifest)
+      // Don't read video segments if the player is attached to an audio element
+      if (this.video_ && this.video_.nodeName === 'AUDIO') {
+        manifestConfig.disableVideo = true
+      }
+
+      this.parser_.configure(manifestConfig)
+    }
+    if (this.streamingEngine_) {
+      this.streamingEngine_.configure(this.config_.streaming)
+
+      // Need to apply the restrictions to every period.
+      try {
+        // this.filterAllPeriods_() may throw.
+        this.filterAllPeriods_(this.manifest_.periods)
+      } catch (error) {
+        this.onError_(error)
+      }
+
+      // If the stream we are playing is restricted, we need to switch.
+      const activePeriod = this.getPresentationPeriod_()
+      if (activePeriod && !this.switchingPeriods_) {
+        const activeVariant = this.activeStreams_.getVariant(activePeriod)
+        if (!activeVariant || !StreamUtils.isPlayable(activeVariant)) {
+          console.debug('Choosing new streams after changing configuration')
+          const chosenVariant = this.chooseVariant_(activePeriod.variants)
+          if (chosenVariant) {
+            this.addVariantToSwitchHistory_(activePeriod, chosenVariant, /*  fromAdaptation= */ true)
+            this.streamingEngine_.switchVariant(chosenVariant, /*  clearBuffer= */ true, /*  safeMargin= */ 0)
+            this.onVariantChanged_()
+          }
+        }
+      }
+    }
+    if (this.mediaSourceEngine_) {
+      const textDisplayerFactory = this.config_.textDisplayFactory
+      if (this.lastTextFactory_ !== textDisplayerFactory) {
+        const displayer = Functional.callFactory(textDisplayerFactory)
+        this.mediaSourceEngine_.setTextDisplayer(displayer)
+        this.lastTextFactory_ = textDisplayerFactory
+
+        if (this.streamingEngine_) {
+          // Reload the text stream, so the cues will load again.
+          this.streamingEngine_.reloadTextStream()
+        }
+      }
+    }
+    if (this.abrManager_) {
+      this.abrManager_.configure(this.config_.abr)
+      // Simply enable/disable ABR with each call, since multiple calls to these
+      // methods have no effect.
+      if (this.config_.abr.enabled && !this.switchingPeriods_) {
+        this.abrManager_.enable()
+      } else {
+        this.abrManager_.disable()
+      }
+
+      this.onAbrStatusChanged_()
+    }
+  }
   /* *
    * Tell the player to load the content at <code>assetUri</code> and start
    * playback at <code>startTime</code>. Before calling <code>load</code>,
@@ -18150,4 +29324,5 @@ class Player extends FakeEventTarget {
   }
 }
 
+export { Storage }
 export default Player
@@ -0,0 +1,192 @@
+// 阅读页的划线和笔记：位置用"第几节 + 节内第几个字"记录
+// 同一节可能被纲目隔成几段，节内的字数按这几段连起来计算；不是圣经的章节整章算作第0节
+// 简繁转换不改变字数，换了语言位置仍然对得上
+
+export const colors = ['yellow', 'green', 'blue', 'pink']
+
+export const highlightStyle = [
+  '.hl-yellow{background-color:#FFF176}',
+  '.hl-green{background-color:#C5E1A5}',
+  '.hl-blue{background-color:#B3E5FC}',
+  '.hl-pink{background-color:#F8BBD0}',
+  '.hl-note{border-bottom:1px dashed #757575}',
+  // 朗读中的句子
+  '.hl-tts{background-color:rgba(33,150,243,.25)}'
+].join('')
+
+const verseOf = (el) => {
+  const sn = el.querySelector('.RCV-SN')
+  return sn ? Number(sn.textContent) : 0
+}
+
+// 某一节的所有段落，按文档顺序
+const blocksOf = (doc, verse) => {
+  if (!verse) return [doc.body]
+  return Array.from(doc.querySelectorAll('.RCV-99')).filter(el => verseOf(el) === verse)
+}
+
+const textNodes = (doc, blocks) => {
+  const nodes = []
+  blocks.forEach(el => {
+    // 4 即 NodeFilter.SHOW_TEXT
+    const walker = doc.createTreeWalker(el, 4, null, false)
+    let node = walker.nextNode()
+    while (node) {
+      nodes.push(node)
+      node = walker.nextNode()
+    }
+  })
+  return nodes
+}
+
+/** 选区的一端换算成 { verse, offset }，落在经文以外时返回 null
+ * @param  {Document} doc iframe 的文档
+ * @param  {Node} container 选区端点所在节点
+ * @param  {Number} offset 端点在节点内的位置
+*/
+const locate = (doc, container, offset) => {
+  const el = container.nodeType === 3 ? container.parentNode : container
+  const isBible = !!doc.querySelector('.RCV-99')
+  const block = isBible ? el.closest('.RCV-99') : doc.body
+  if (!block) return null
+  const verse = isBible ? verseOf(block) : 0
+  const blocks = blocksOf(doc, verse)
+  const range = doc.createRange()
+  range.setStart(block, 0)
+  range.setEnd(container, offset)
+  const before = blocks.slice(0, blocks.indexOf(block)).reduce((sum, e) => sum + e.textContent.length, 0)
+  return { verse, offset: before + range.toString().length }
+}
+
+/** 当前选中的文字，没有选中时返回 null
+ * @param  {Document} doc iframe 的文档
+*/
+export const getSelectionRange = (doc) => {
+  const selection = doc.getSelection()
+  if (!selection || selection.isCollapsed || !selection.rangeCount) return null
+  const range = selection.getRangeAt(0)
+  const start = locate(doc, range.startContainer, range.startOffset)
+  const end = locate(doc, range.endContainer, range.endOffset)
+  if (!start || !end) return null
+  return {
+    StartVerse: start.verse,
+    StartOffset: start.offset,
+    EndVerse: end.verse,
+    EndOffset: end.offset,
+    Text: range.toString().trim()
+  }
+}
+
+/** 整节经文
+ * @param  {Document} doc iframe 的文档
+ * @param  {Number} verse 节
+*/
+export const verseRange = (doc, verse) => {
+  const blocks = blocksOf(doc, verse)
+  const sn = blocks.map(el => el.querySelector('.RCV-SN')).filter(e => e)
+  const text = blocks.map(e => e.textContent).join('')
+  return {
+    StartVerse: verse,
+    StartOffset: sn.length ? sn[0].textContent.length : 0,
+    EndVerse: verse,
+    EndOffset: text.length,
+    Text: blocks.map(e => {
+      const node = e.cloneNode(true)
+      node.querySelectorAll('sup, .RCV-SN').forEach(s => s.remove())
+      return node.textContent
+    }).join('').trim()
+  }
+}
+
+/** 在页面上标出划线
+ * @param  {Document} doc iframe 的文档
+ * @param  {Object} a { Id, StartVerse, StartOffset, EndVerse, EndOffset, Color, Note }
+*/
+export const applyHighlight = (doc, a) => {
+  const parts = []
+  for (let verse = a.StartVerse; verse <= a.EndVerse; verse++) {
+    const from = verse === a.StartVerse ? a.StartOffset : 0
+    const to = verse === a.EndVerse ? a.EndOffset : Infinity
+    let pos = 0
+    textNodes(doc, blocksOf(doc, verse)).forEach(node => {
+      const len = node.nodeValue.length
+      const s = Math.max(from, pos)
+      const e = Math.min(to, pos + len)
+      if (e > s) parts.push([node, s - pos, e - pos])
+      pos += len
+    })
+  }
+  // 先算好再拆分节点，拆分会改变后面的节点
+  parts.forEach(([node, s, e]) => {
+    const target = s > 0 ? node.splitText(s) : node
+    if (e - s < target.nodeValue.length) target.splitText(e - s)
+    const span = doc.createElement('span')
+    span.className = `hl hl-${a.Color}${a.Note ? ' hl-note' : ''}`
+    span.setAttribute('data-id', a.Id)
+    target.parentNode.insertBefore(span, target)
+    span.appendChild(target)
+  })
+}
+
+/** 去掉页面上的划线
+ * @param  {Document} doc iframe 的文档
+ * @param  {String} id 划线的Id
+*/
+export const clearHighlight = (doc, id) => {
+  doc.querySelectorAll(`span.hl[data-id="${id}"]`).forEach(span => {
+    const parent = span.parentNode
+    while (span.firstChild) {
+      parent.insertBefore(span.firstChild, span)
+    }
+    parent.removeChild(span)
+    parent.normalize()
+  })
+}
+
+// 句末的标点，后面紧跟的引号括号也算在这一句里
+const terminal = /[。！？；!?;]/
+const closer = /[」』”’）)]/
+
+/** 按句子切分章节，位置同划线，用于朗读时逐句标出
+ * 注解角标和经节号不读
+ * @param  {Document} doc iframe 的文档
+*/
+export const sentences = (doc) => {
+  const isBible = !!doc.querySelector('.RCV-99')
+  const verses = isBible
+    ? [...new Set(Array.from(doc.querySelectorAll('.RCV-99')).map(verseOf))].filter(e => e)
+    : [0]
+  const list = []
+  verses.forEach(verse => {
+    let pos = 0
+    let start = null
+    let end = 0
+    let text = ''
+    const flush = () => {
+      if (text.trim()) list.push({ StartVerse: verse, StartOffset: start, EndVerse: verse, EndOffset: end, Text: text.trim() })
+      start = null
+      text = ''
+    }
+    textNodes(doc, blocksOf(doc, verse)).forEach(node => {
+      const value = node.nodeValue
+      if (!node.parentNode.closest('sup, .RCV-SN')) {
+        for (let i = 0; i < value.length; i++) {
+          const c = value[i]
+          if (start === null && /\s/.test(c)) continue
+          if (start === null) start = pos + i
+          text += c
+          end = pos + i + 1
+          const next = value[i + 1] || ''
+          if ((terminal.test(c) && !closer.test(next)) ||
+            (closer.test(c) && terminal.test(value[i - 1] || '')) ||
+            (c === '.' && /^\s?$/.test(next))) {
+            flush()
+          }
+        }
+      }
+      pos += value.length
+    })
+    flush()
+  })
+  return list
+}
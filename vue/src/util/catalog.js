@@ -0,0 +1,50 @@
+import { treeFilter } from '@/util/index'
+
+// 书刊目录：合集 → 卷 → 书 → 章，层数不固定
+// 接口按合集返回平铺的节点 { Id, Pid, Name, Href }，Pid 为上级的路径如 /12/35/，合集下第一层为空
+// 有 Href 的是章节，章节的上一级就是阅读页打开的书
+
+const cache = {}
+
+/** 取合集的目录树，同一页面内只请求一次
+ * @param  {Object} vm 当前vue实例
+ * @param  {String} id 合集的Id
+*/
+export const loadCatalog = (vm, id) => {
+  if (!cache[id]) {
+    cache[id] = vm.$get('book/catalog', { Id: id }).then(res => {
+      return treeFilter((res || []).map(e => ({ ...e, Pid: e.Pid || '' })))
+    }).catch(() => {
+      delete cache[id]
+      return []
+    })
+  }
+  return cache[id]
+}
+
+/** 在目录树里找节点
+ * @param  {Array} tree 目录树
+ * @param  {String} id 节点的Id，路由参数里是字符串
+*/
+export const findNode = (tree, id) => {
+  for (const node of tree) {
+    if (`${node.Id}` === `${id}`) return node
+    const found = node.children && findNode(node.children, id)
+    if (found) return found
+  }
+  return null
+}
+
+/** 节点自己的路径，用于 getPname 取各级名称
+ * @param  {Object} node 节点
+*/
+export const nodePath = (node) => `${node.Pid || '/'}${node.Id}/`
+
+export const isChapter = (node) => !!node.Href
+
+/** 一组节点里的章节，转成阅读页用的 { name, href }
+ * @param  {Array} nodes 节点
+*/
+export const chaptersOf = (nodes) => {
+  return (nodes || []).filter(isChapter).map(e => ({ name: e.Name, href: e.Href }))
+}
@@ -0,0 +1,189 @@
+import { stg } from '@/util/index'
+
+// 简繁转换：逐字对照，一简对多繁的字用词组表纠正
+// 词组转换前后长度不变，搜索摘要可以按同样的下标在原文里截取
+
+// 每组前一个是简体，后一个是繁体
+const table = `
+万萬 与與 丑醜 专專 业業 丛叢 东東 丝絲 丢丟 两兩 严嚴 丧喪 个個 丰豐 临臨 为為 丽麗 举舉 么麼 义義
+乌烏 乐樂 乔喬 习習 乡鄉 书書 买買 乱亂 争爭 于於 亏虧 云雲 亚亞 产產 亩畝 亲親 亵褻 亿億 仅僅 仆僕
+从從 仑崙 仓倉 仪儀 们們 价價 众眾 优優 伙夥 会會 伞傘 伟偉 传傳 伤傷 伦倫 伪偽 体體 余餘 佣傭 侠俠
+侣侶 侥僥 侦偵 侧側 侨僑 俭儉 债債 倾傾 偿償 储儲 儿兒 兑兌 党黨 兰蘭 关關 兴興 兹茲 养養 兽獸 冈岡
+册冊 写寫 军軍 农農 冯馮 冲衝 决決 况況 冻凍 净淨 凉涼 减減 凑湊 凤鳳 凭憑 凯凱 几幾 击擊 凿鑿 划劃
+刘劉 则則 刚剛 创創 删刪 别別 刹剎 剂劑 剑劍 剧劇 劝勸 办辦 务務 动動 励勵 劲勁 劳勞 势勢 勋勳 匀勻
+区區 医醫 华華 协協 单單 卖賣 卢盧 卫衛 却卻 厂廠 厅廳 历歷 厉厲 压壓 厌厭 厕廁 厢廂 厦廈 县縣 参參
+叁參 双雙 发發 变變 叙敘 叠疊 叶葉 号號 叹嘆 吓嚇 吕呂 吗嗎 吨噸 听聽 启啟 吴吳 员員 呕嘔 呜嗚 咏詠
+咙嚨 响響 哑啞 哗嘩 哟喲 唤喚 啸嘯 喷噴 嘱囑 嚣囂 团團 园園 围圍 国國 图圖 圆圓 圣聖 场場 坏壞 块塊
+坚堅 坛壇 坝壩 坟墳 坠墜 垄壟 垒壘 垦墾 垫墊 堕墮 墙牆 壮壯 声聲 壳殼 壶壺 处處 备備 复復 头頭 夸誇
+夺奪 奋奮 奖獎 妆妝 妇婦 妈媽 娇嬌 娱娛 婴嬰 孙孫 学學 宁寧 宝寶 实實 宪憲 宫宮 宽寬 宾賓 审審 寝寢
+对對 寻尋 导導 寿壽 将將 尔爾 尘塵 尝嘗 尧堯 尽盡 层層 届屆 属屬 屡屢 岁歲 岂豈 岗崗 岛島 岭嶺 峡峽
+币幣 师師 帅帥 帐帳 带帶 帮幫 并並 广廣 庄莊 庆慶 库庫 应應 庙廟 庞龐 废廢 开開 异異 弃棄 张張 弥彌
+弯彎 弹彈 强強 归歸 当當 录錄 彻徹 径徑 忆憶 忏懺 忧憂 怀懷 态態 怜憐 总總 恋戀 恒恆 恳懇 恶惡 恼惱
+悦悅 悬懸 悯憫 惊驚 惧懼 惨慘 惩懲 惫憊 惭慚 惯慣 愤憤 愿願 慑懾 懒懶 战戰 戏戲 户戶 执執 扑撲 扩擴
+扫掃 扬揚 扰擾 抚撫 抛拋 抢搶 护護 报報 担擔 拟擬 拢攏 拣揀 拥擁 拦攔 拨撥 择擇 挂掛 挚摯 挟挾 挠撓
+挡擋 挣掙 挤擠 挥揮 捞撈 损損 捡撿 换換 捣搗 据據 掳擄 掷擲 揽攬 搀攙 搁擱 搂摟 搅攪 携攜 摄攝 摆擺
+摇搖 摊攤 撑撐 敌敵 敛斂 数數 斋齋 斩斬 断斷 无無 旧舊 时時 旷曠 昼晝 显顯 晋晉 晒曬 晓曉 晕暈 暂暫
+术術 机機 杀殺 杂雜 权權 杰傑 条條 来來 杨楊 极極 构構 枣棗 枪槍 枫楓 柜櫃 标標 栋棟 栏欄 树樹 样樣
+桥橋 档檔 梦夢 检檢 楼樓 横橫 欢歡 欧歐 歼殲 残殘 殴毆 殡殯 毁毀 毕畢 毙斃 气氣 汇匯 汉漢 汤湯 沟溝
+没沒 沥瀝 沦淪 沧滄 泪淚 泻瀉 泼潑 泽澤 洁潔 洒灑 浅淺 浆漿 浇澆 浊濁 测測 济濟 浑渾 浓濃 涂塗 涛濤
+润潤 涨漲 渊淵 渐漸 渔漁 温溫 湾灣 湿濕 溃潰 溅濺 滚滾 满滿 滤濾 滥濫 滨濱 滩灘 潜潛 灭滅 灯燈 灵靈
+灾災 灿燦 炉爐 点點 炼煉 烂爛 烛燭 烟煙 烦煩 烧燒 热熱 焕煥 爱愛 爷爺 牵牽 牺犧 状狀 犹猶 狈狽 独獨
+狭狹 狮獅 狱獄 猎獵 猪豬 猫貓 献獻 环環 现現 玛瑪 琐瑣 电電 画畫 畅暢 疗療 疮瘡 疯瘋 痒癢 瘫癱 皱皺
+盏盞 盐鹽 监監 盖蓋 盗盜 盘盤 睁睜 瞒瞞 矫矯 矿礦 码碼 砖磚 础礎 确確 碍礙 礼禮 祷禱 祸禍 禅禪 离離
+秃禿 种種 积積 称稱 秽穢 税稅 稣穌 稳穩 穷窮 窃竊 窍竅 窝窩 窥窺 竖豎 竞競 笔筆 笼籠 筑築 筹籌 签簽
+简簡 篮籃 类類 粪糞 粮糧 紧緊 纠糾 红紅 约約 级級 纪紀 纯純 纱紗 纲綱 纳納 纵縱 纷紛 纸紙 纹紋 纺紡
+线線 练練 组組 细細 织織 终終 绍紹 经經 绑綁 结結 绕繞 绘繪 给給 络絡 绝絕 统統 继繼 绩績 绪緒 续續
+绳繩 维維 绵綿 综綜 绿綠 缓緩 编編 缘緣 缚縛 缝縫 缠纏 缩縮 缴繳 网網 罗羅 罚罰 罢罷 羡羨 职職 联聯
+聋聾 聪聰 肃肅 肠腸 肤膚 肿腫 胁脅 胆膽 胜勝 胶膠 脉脈 脑腦 脚腳 脸臉 腊臘 腾騰 舰艦 艰艱 艳艷 艺藝
+节節 芦蘆 苍蒼 苏蘇 范範 茎莖 荆荊 荐薦 荡蕩 荣榮 药藥 莱萊 获獲 莲蓮 营營 萝蘿 萤螢 萧蕭 蓝藍 虏虜
+虑慮 虚虛 虫蟲 虽雖 蚀蝕 蚁蟻 蚕蠶 蛮蠻 蜡蠟 补補 衬襯 袭襲 袜襪 装裝 裤褲 见見 观觀 规規 视視 觅覓
+览覽 觉覺 触觸 誉譽 计計 订訂 认認 讨討 让讓 训訓 议議 讯訊 记記 讲講 讶訝 许許 论論 讽諷 设設 访訪
+诀訣 证證 评評 识識 诈詐 诉訴 诊診 词詞 译譯 试試 诗詩 诚誠 话話 诞誕 询詢 该該 详詳 诫誡 诬誣 语語
+误誤 诱誘 诲誨 说說 请請 诸諸 诺諾 读讀 课課 谁誰 调調 谅諒 谈談 谊誼 谋謀 谎謊 谐諧 谓謂 谕諭 谗讒
+谜謎 谢謝 谣謠 谤謗 谦謙 谨謹 谬謬 谱譜 贝貝 贞貞 负負 贡貢 财財 责責 贤賢 败敗 账賬 货貨 质質 贩販
+贪貪 贫貧 购購 贯貫 贬貶 贱賤 贴貼 贵貴 贷貸 贸貿 费費 贺賀 贼賊 资資 赋賦 赌賭 赎贖 赏賞 赐賜 赔賠
+赖賴 赚賺 赛賽 赞讚 赠贈 赢贏 赵趙 赶趕 趋趨 跃躍 践踐 踪蹤 躯軀 车車 轨軌 转轉 轮輪 软軟 轰轟 轻輕
+载載 较較 辅輔 辆輛 辈輩 辉輝 输輸 辖轄 辞辭 辩辯 边邊 达達 迁遷 过過 迈邁 运運 还還 这這 进進 远遠
+违違 连連 迟遲 迹跡 适適 选選 逊遜 递遞 逻邏 遗遺 遥遙 邓鄧 邮郵 邻鄰 郑鄭 酱醬 酿釀 释釋 里裡 针針
+钉釘 钓釣 钟鐘 钢鋼 钥鑰 钦欽 钱錢 铁鐵 铃鈴 铜銅 铭銘 银銀 铸鑄 铺鋪 链鏈 销銷 锁鎖 锅鍋 锋鋒 锐銳
+错錯 锡錫 锦錦 键鍵 镇鎮 镜鏡 长長 门門 闪閃 闭閉 问問 闯闖 闲閒 间間 闷悶 闹鬧 闻聞 阁閣 阅閱 阔闊
+队隊 阳陽 阴陰 阵陣 阶階 际際 陆陸 陈陳 险險 随隨 隐隱 隶隸 难難 雾霧 静靜 韦韋 韩韓 页頁 顶頂 项項
+顺順 须須 顽頑 顾顧 顿頓 颂頌 预預 领領 颇頗 颈頸 频頻 颗顆 题題 颜顏 额額 风風 飘飄 飞飛 饥飢 饭飯
+饮飲 饰飾 饱飽 饶饒 饼餅 饿餓 馆館 马馬 驱驅 驰馳 驴驢 驻駐 驶駛 驾駕 骂罵 骄驕 骆駱 验驗 骑騎 骗騙
+鱼魚 鲁魯 鲜鮮 鸟鳥 鸡雞 鸣鳴 鸭鴨 鸽鴿 鹅鵝 鹤鶴 鹰鷹 麦麥 黄黃 齐齊 齿齒 龄齡 龙龍 龟龜 着著 干幹
+后後 够夠 贰貳 箫簫 耻恥 汹洶 偻僂 娄婁
+`
+
+// 只用于繁转简：异体字和一繁对一简的其他写法
+const variant = `
+干乾 里裏 面麵 发髮 只隻 只衹 历曆 复複 系係 系繫 松鬆 台臺 台颱 冲沖 准準 余餘 征徵 郁鬱 谷穀
+制製 并併 钟鍾 借藉 获穫 卷捲 了瞭 咸鹹 胡鬍 向嚮 布佈 占佔 游遊 克剋 困睏 奸姦 岳嶽 御禦 托託 折摺
+沈瀋 辟闢 采採 饥饑 才纔 卜蔔 吁籲 苏甦 汇彙 周週 致緻 须鬚 姜薑 家傢 板闆 舍捨 表錶 叹歎 凶兇 群羣
+`
+
+// 一简对多繁时的例外词组
+const s2tPhrase = {
+  头发: '頭髮',
+  理发: '理髮',
+  白发: '白髮',
+  毛发: '毛髮',
+  王后: '王后',
+  皇后: '皇后',
+  后土: '后土',
+  公里: '公里',
+  茶几: '茶几',
+  复杂: '複雜',
+  重复: '重複',
+  复制: '複製',
+  关系: '關係',
+  联系: '聯繫',
+  干净: '乾淨',
+  干旱: '乾旱',
+  干燥: '乾燥',
+  干地: '乾地',
+  干了: '乾了',
+  干枯: '乾枯',
+  饼干: '餅乾',
+  若干: '若干',
+  干涉: '干涉',
+  干犯: '干犯',
+  干扰: '干擾',
+  干预: '干預',
+  日历: '日曆',
+  历法: '曆法',
+  一只: '一隻',
+  两只: '兩隻',
+  面包: '麵包',
+  面条: '麵條',
+  放松: '放鬆'
+}
+
+// 繁体的"著"多数对应简体的"着"，作者、著名一类保留
+const t2sPhrase = {
+  著作: '著作',
+  著名: '著名',
+  顯著: '显著',
+  著者: '著者',
+  著時: '著时',
+  著地: '著地',
+  著書: '著书',
+  原著: '原著',
+  名著: '名著',
+  土著: '土著',
+  乾坤: '乾坤'
+}
+
+const s2t = {}
+const t2s = {}
+table.trim().split(/\s+/).forEach(([s, t]) => {
+  s2t[s] = t
+  // 参、叁都对应參，以先出现的为准
+  if (!t2s[t]) t2s[t] = s
+})
+variant.trim().split(/\s+/).forEach(([s, t]) => {
+  t2s[t] = s
+})
+
+// 以词组首字为键，转换时只在可能命中时才查词组
+const phraseHead = (phrases) => {
+  const head = {}
+  Object.keys(phrases).forEach(w => {
+    head[w[0]] = Math.max(head[w[0]] || 0, w.length)
+  })
+  return head
+}
+const s2tHead = phraseHead(s2tPhrase)
+const t2sHead = phraseHead(t2sPhrase)
+
+const convert = (text, map, phrases, head) => {
+  if (!text) return text
+  let out = ''
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    let word = null
+    for (let n = head[c] || 0; n >= 2; n--) {
+      if (phrases[text.substr(i, n)]) {
+        word = phrases[text.substr(i, n)]
+        break
+      }
+    }
+    if (word) {
+      out += word
+      i += word.length - 1
+    } else {
+      out += map[c] || c
+    }
+  }
+  return out
+}
+
+export const toTraditional = (text) => convert(text, s2t, s2tPhrase, s2tHead)
+
+export const toSimplified = (text) => convert(text, t2s, t2sPhrase, t2sHead)
+
+/** 按语言转换文字，zh-tw 转繁体，zh-cn 转简体，其他语言不变
+ * @param  {String} text 文字
+ * @param  {String} lang 语言，默认取当前设置
+*/
+export const convertText = (text, lang = stg().getItem('lang')) => {
+  if (lang === 'zh-tw') return toTraditional(text)
+  if (lang === 'zh-cn') return toSimplified(text)
+  return text
+}
+
+/** 转换节点下所有的文字，用于 iframe 里的章节和 svg 歌词
+ * @param  {Node} root 根节点
+ * @param  {String} lang 语言，默认取当前设置
+*/
+export const convertNode = (root, lang = stg().getItem('lang')) => {
+  if (!root || (lang !== 'zh-tw' && lang !== 'zh-cn')) return
+  const doc = root.ownerDocument || root
+  // 4 即 NodeFilter.SHOW_TEXT，iframe 里的文档也能用
+  const walker = doc.createTreeWalker(root, 4, null, false)
+  let node = walker.nextNode()
+  while (node) {
+    const text = convertText(node.nodeValue, lang)
+    if (text !== node.nodeValue) node.nodeValue = text
+    node = walker.nextNode()
+  }
+}
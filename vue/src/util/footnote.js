@@ -0,0 +1,53 @@
+import { hrefToRef, formatRef, splitRefs } from '@/util/scripture'
+
+// 注解和串珠：每章一个数据文件，与章节放在一起，如 html/01001.html 对应 html/01001.json
+// { Notes: { '01001002101': '注解正文' }, Refs: { '010010021a': '约一1；来一10' } }
+// 注解的 id 为 卷2位 章3位 节3位 段1位 序号2位，串珠为 卷 章 节 段 字母，段 0 为整节，1、2 为上、下半节
+
+const cache = {}
+
+/** 取一章的注解和串珠，没有数据时返回空的
+ * @param  {Object} vm 当前vue实例
+ * @param  {String} href 章节地址，如 html/01001.html
+*/
+export const loadNotes = (vm, href) => {
+  if (!cache[href]) {
+    cache[href] = vm.$getHtml(href.replace(/\.html$/, '.json')).then(res => {
+      const data = typeof res === 'string' ? JSON.parse(res) : res
+      return { Notes: {}, Refs: {}, ...data }
+    }).catch(() => {
+      delete cache[href]
+      return { Notes: {}, Refs: {}}
+    })
+  }
+  return cache[href]
+}
+
+const halves = ['', '上', '下']
+
+/** 角标对应的经节，如 "约 1:2上"
+ * @param  {String} href 章节地址
+ * @param  {String} id 角标的 id
+*/
+const verseLabel = (href, id) => {
+  const ref = hrefToRef(href)
+  const verse = Number(id.substr(5, 3))
+  if (!ref || !verse) return ''
+  return `${formatRef({ ...ref, verse, endVerse: verse }, undefined, true)}${halves[id[8]] || ''}`
+}
+
+/** 点中的注解或串珠，正文按出处切成片段，出处的片段可以点进去
+ * @param  {Object} data loadNotes 的结果
+ * @param  {String} href 章节地址
+ * @param  {String} id 角标的 id
+ * @param  {Boolean} isBead 是否串珠
+*/
+export const resolveNote = (data, href, id, isBead) => {
+  const text = (isBead ? data.Refs[id] : data.Notes[id]) || ''
+  const mark = isBead ? id.substr(9) : `注${Number(id.substr(9))}`
+  return {
+    Id: id,
+    Title: [verseLabel(href, id), mark].filter(e => e).join(' '),
+    Parts: splitRefs(text)
+  }
+}
@@ -173,26 +173,24 @@ export const jsonValidator = str => {
   }
 }
 
+/** 按 Pid 路径(如 /1/12/)取出各级的名称，路径不完整时返回空数组
+ * @param  {Array} data treeFilter 得到的树
+ * @param  {String} pid 路径
+ * @param  {String} label 取哪个字段
+*/
 export const getPname = (data, pid, label = 'Name') => {
+  const name = []
   if (data && pid && pid !== '') {
-    const name = []
-    const ids = toIntArray(pid)
     let items = data
+    const ids = toIntArray(pid)
     for (let i = 0, len = ids.length; i < len; i++) {
-      for (let j = 0; j < items.length; j++) {
-        if (ids[i] === items[j]['Id']) {
-          name.push(items[j][label])
-          if (i === len - 1) {
-            return name
-          }
-          items = items[j]['children']
-          j = 0
-          continue
-        }
-      }
+      const item = (items || []).find(e => e['Id'] === ids[i])
+      if (!item) return []
+      name.push(item[label])
+      items = item['children']
     }
   }
-  return []
+  return name
 }
 
 export const getSinglePname = (data, pid, label = 'Name') => {
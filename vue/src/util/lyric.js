@@ -0,0 +1,131 @@
+// 诗歌歌词：LRC 或 JSON，按诗本的节和副歌分段，每行带开始的时间(秒)
+// LRC 里 [verse:1] 开始第几节，[chorus:] 开始副歌，空行也开始新的一节
+// 副歌每次唱的时间都写在同一行前面，如 [00:31.20][01:32.50]主是我的牧者，显示时副歌只出现一次，保持诗本的排版
+// JSON 直接给出分段：{ Stanzas: [{ Kind: 'verse' | 'chorus', No: 1, Lines: [{ Text, Times: [31.2, 92.5] }] }] }
+
+const timeTag = /\[(\d+):(\d+(?:[.:]\d+)?)\]/g
+
+const toSeconds = (min, sec) => Number(min) * 60 + Number(sec.replace(':', '.'))
+
+/** 整理成统一的分段，节号没写时按顺序补上
+ * @param  {Array} stanzas [{ Kind, No, Lines }]
+*/
+const normalize = (stanzas) => {
+  let no = 0
+  return stanzas.filter(e => e.Lines && e.Lines.length).map(e => {
+    const kind = e.Kind === 'chorus' ? 'chorus' : 'verse'
+    if (kind === 'verse') no = e.No || no + 1
+    return {
+      Kind: kind,
+      No: kind === 'verse' ? no : 0,
+      Lines: e.Lines.map(line => ({
+        Text: line.Text || '',
+        Times: (line.Times || (line.Time === undefined ? [] : [line.Time])).map(Number).sort((a, b) => a - b)
+      }))
+    }
+  })
+}
+
+/** 解析 LRC
+ * @param  {String} text LRC 文本
+*/
+export const parseLrc = (text) => {
+  const lyric = { Title: '', Artist: '', Album: '' }
+  const stanzas = []
+  let stanza = null
+  let offset = 0
+  const start = (kind, no) => {
+    stanza = { Kind: kind, No: no, Lines: [] }
+    stanzas.push(stanza)
+  }
+  (text || '').split(/\r?\n/).forEach(raw => {
+    const line = raw.trim()
+    const tag = line.match(/^\[([a-z]+):([^\]]*)\]$/i)
+    if (!line) {
+      stanza = null
+    } else if (tag) {
+      const [, key, value] = tag
+      switch (key.toLowerCase()) {
+        case 'ti': lyric.Title = value.trim(); break
+        case 'ar': lyric.Artist = value.trim(); break
+        case 'al': lyric.Album = value.trim(); break
+        case 'offset': offset = Number(value) / 1000 || 0; break
+        case 'verse': start('verse', Number(value) || 0); break
+        case 'chorus': start('chorus', 0); break
+      }
+    } else {
+      const times = []
+      const content = line.replace(timeTag, (m, min, sec) => {
+        times.push(toSeconds(min, sec))
+        return ''
+      }).trim()
+      if (!stanza) start('verse', 0)
+      // offset 为正时歌词提前
+      stanza.Lines.push({ Text: content, Times: times.map(t => Math.max(t - offset, 0)) })
+    }
+  })
+  return { ...lyric, Stanzas: normalize(stanzas) }
+}
+
+/** 解析 JSON 格式的歌词
+ * @param  {Object|String} data
+*/
+export const parseJson = (data) => {
+  const lyric = typeof data === 'string' ? JSON.parse(data) : data
+  return { Title: '', Artist: '', Album: '', ...lyric, Stanzas: normalize(lyric.Stanzas || []) }
+}
+
+/** 取诗歌的歌词，先找 LRC 再找 JSON，都没有时为 null
+ * @param  {Object} vm 当前vue实例
+ * @param  {String} id 诗歌的Id
+*/
+export const loadLyric = (vm, id) => {
+  return vm.$getHtml(`lyric/${id}.lrc`).then(parseLrc)
+    .catch(() => vm.$getHtml(`lyric/${id}.json`).then(parseJson))
+    .then(lyric => lyric.Stanzas.length ? lyric : null)
+    .catch(() => null)
+}
+
+/** 按时间排好的每一次演唱，副歌唱几次就有几条
+ * @param  {Object} lyric 歌词
+ * @return {Array} [{ Time, Stanza, Line }] Stanza、Line 为下标
+*/
+export const cuesOf = (lyric) => {
+  const cues = []
+  if (!lyric) return cues
+  lyric.Stanzas.forEach((stanza, s) => {
+    stanza.Lines.forEach((line, l) => {
+      line.Times.forEach(time => cues.push({ Time: time, Stanza: s, Line: l }))
+    })
+  })
+  return cues.sort((a, b) => a.Time - b.Time)
+}
+
+/** 播放到第几秒时唱的是哪一条，还没开始唱时为 -1
+ * @param  {Array} cues cuesOf 的结果
+ * @param  {Number} seconds 秒
+*/
+export const activeCue = (cues, seconds) => {
+  let lo = 0
+  let hi = cues.length - 1
+  let found = -1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (cues[mid].Time <= seconds) {
+      found = mid
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  return found
+}
+
+/** 点一行歌词时跳到的时间：副歌有几次时取离现在最近的一次
+ * @param  {Object} line 歌词的一行
+ * @param  {Number} seconds 现在播放到的秒数
+*/
+export const seekTimeOf = (line, seconds = 0) => {
+  if (!line.Times.length) return null
+  return line.Times.reduce((a, b) => Math.abs(b - seconds) < Math.abs(a - seconds) ? b : a)
+}
@@ -0,0 +1,35 @@
+// 翻页模式：章节按屏宽排成多栏，一栏一页，横向滚动一屏就是翻一页
+// 栏宽加上栏距正好等于屏宽，左右边距沿用阅读设置的 --reader-margin
+export const pagedStyle = [
+  'html.paged{height:100%;overflow:hidden}',
+  'html.paged body{box-sizing:border-box;height:100%;padding-top:16px;padding-bottom:24px;',
+  'column-width:calc(100vw - var(--reader-margin) * 2);column-gap:calc(var(--reader-margin) * 2);column-fill:auto}'
+].join('')
+
+const scroller = (doc) => doc.scrollingElement || doc.documentElement
+
+export const isPaged = (doc) => doc.documentElement.classList.contains('paged')
+
+/** 当前第几页(从0开始)和总页数
+ * @param  {Document} doc 章节文档
+*/
+export const pageInfo = (doc) => {
+  const width = doc.defaultView.innerWidth
+  const el = scroller(doc)
+  return {
+    page: Math.round(el.scrollLeft / width),
+    pages: Math.max(1, Math.ceil((el.scrollWidth - 1) / width))
+  }
+}
+
+export const goPage = (doc, page) => {
+  scroller(doc).scrollLeft = page * doc.defaultView.innerWidth
+}
+
+/** 元素所在的页
+ * @param  {Document} doc 章节文档
+ * @param  {Element} el 元素
+*/
+export const pageOf = (doc, el) => {
+  return Math.floor((el.getBoundingClientRect().left + scroller(doc).scrollLeft) / doc.defaultView.innerWidth)
+}
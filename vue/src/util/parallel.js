@@ -0,0 +1,105 @@
+import { stg } from '@/util/index'
+
+// 对照阅读：同一章的两个译本并排或逐节穿插
+// 书卷本身的章节在 html 下，对照的译本章节文件名相同，放在各自的目录下，经节同样用 .RCV-99 和 .RCV-SN 标记
+export const versions = [
+  { id: 'cuv', name: '和合本', path: 'html/cuv' },
+  { id: 'rcv-en', name: 'Recovery Version', path: 'html/rcv-en' },
+  { id: 'kjv', name: 'KJV', path: 'html/kjv' }
+]
+
+export const parallelStyle = '.parallel-verse{color:#607D8B;margin:0 0 .6em 1.2em;font-size:.95em}'
+
+/** 对照设置 { Mode, Version }，Mode 为 single 单栏、side 并排、interleave 逐节穿插
+*/
+export const getParallel = () => {
+  return { Mode: 'single', Version: 'cuv', ...JSON.parse(stg().getItem('parallel')) }
+}
+
+export const setParallel = (setting) => {
+  stg().setItem('parallel', JSON.stringify(setting))
+}
+
+/** 同一章在另一译本中的地址，html/43003.html => html/cuv/43003.html
+ * @param  {String} href 章节地址
+ * @param  {String} id 译本
+*/
+export const versionHref = (href, id) => {
+  const version = versions.find(e => e.id === id)
+  return version ? href.replace(/^html\//, `${version.path}/`) : href
+}
+
+const verseOf = (el) => {
+  const sn = el.querySelector('.RCV-SN')
+  return sn ? Number(sn.textContent) : 0
+}
+
+/** 按节分组的经文段落，同一节被纲目隔开时有几段
+ * @param  {Document} doc 章节文档
+*/
+const verseBlocks = (doc) => {
+  const map = {}
+  doc.querySelectorAll('.RCV-99').forEach(el => {
+    const verse = verseOf(el)
+    if (!verse) return
+    map[verse] = map[verse] || []
+    map[verse].push(el)
+  })
+  return map
+}
+
+/** 在每节后面插入另一译本的同一节，插入的段落不带注解角标，返回插入的段落
+ * @param  {Document} doc 当前章节
+ * @param  {String} html 另一译本的章节
+*/
+export const interleave = (doc, html) => {
+  const other = verseBlocks(new DOMParser().parseFromString(html, 'text/html'))
+  const mine = verseBlocks(doc)
+  return Object.keys(mine).filter(verse => other[verse]).map(verse => {
+    const last = mine[verse][mine[verse].length - 1]
+    const div = doc.createElement('div')
+    div.className = 'parallel-verse'
+    other[verse].forEach(el => {
+      el.querySelectorAll('sup, .RCV-SN').forEach(e => e.remove())
+      div.appendChild(doc.createTextNode(el.textContent))
+    })
+    last.parentNode.insertBefore(div, last.nextSibling)
+    return div
+  })
+}
+
+/** 去掉穿插进来的段落
+ * @param  {Document} doc 当前章节
+*/
+export const clearInterleave = (doc) => {
+  doc.querySelectorAll('.parallel-verse').forEach(e => e.remove())
+}
+
+/** 页面顶部的经节，以及已经滚过该节的比例
+ * @param  {Document} doc 章节文档
+*/
+export const topVerse = (doc) => {
+  const blocks = Array.from(doc.querySelectorAll('.RCV-99'))
+  const el = blocks.find(e => e.getBoundingClientRect().bottom > 0 && verseOf(e))
+  if (!el) return null
+  const verse = verseOf(el)
+  const all = blocks.filter(e => verseOf(e) === verse)
+  const top = all[0].getBoundingClientRect().top
+  const height = all[all.length - 1].getBoundingClientRect().bottom - top
+  return { verse, ratio: height > 0 ? Math.min(Math.max(-top / height, 0), 1) : 0 }
+}
+
+/** 滚动到某节，ratio 为该节已滚过的比例，返回是否真的滚动了
+ * @param  {Document} doc 章节文档
+ * @param  {Object} at topVerse 的结果
+*/
+export const scrollToVerseAt = (doc, at) => {
+  const all = verseBlocks(doc)[at.verse]
+  if (!all) return false
+  const top = all[0].getBoundingClientRect().top
+  const height = all[all.length - 1].getBoundingClientRect().bottom - top
+  const el = doc.scrollingElement || doc.documentElement
+  const before = el.scrollTop
+  el.scrollTop += Math.round(top + height * at.ratio)
+  return el.scrollTop !== before
+}
@@ -0,0 +1,299 @@
+import { stg, countBetweenDates } from '@/util/index'
+
+// 读书计划：把一本书的章节(或字数)分配到计划期内的每个阅读日
+// 计划要长期保存，存在 localStorage 里，stg() 是 sessionStorage，关了页面就没了
+const write = (plans) => {
+  localStorage.setItem('plans', JSON.stringify(plans))
+}
+
+const read = () => {
+  const plans = localStorage.getItem('plans')
+  if (plans !== null) return JSON.parse(plans) || []
+  // 以前存在 sessionStorage 里的计划搬过来
+  const old = JSON.parse(stg().getItem('plans')) || []
+  if (old.length) write(old)
+  return old
+}
+
+const pad = (n) => (n < 10 ? '0' : '') + n
+
+export const formatDay = (d) => {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+const isReadingDay = (d, weekdays) => {
+  if (!weekdays || weekdays.length === 0 || weekdays.length === 7) return true
+  return weekdays.map(Number).includes(d.getDay())
+}
+
+/** 计划期内的阅读日，天数与 countBetweenDates 一致
+ * @param  {String} start 开始日期
+ * @param  {String} end 截至日期
+ * @param  {Array} weekdays 指定工作日，为空则每天都读
+*/
+export const planDays = (start, end, weekdays) => {
+  const days = []
+  // 按本地时间的零点计算，避免时区导致日期错位
+  const d = new Date(`${start}T00:00:00`)
+  const e = new Date(`${end}T00:00:00`)
+  // eslint-disable-next-line
+  while (d <= e) {
+    if (isReadingDay(d, weekdays)) {
+      days.push(formatDay(d))
+    }
+    d.setDate(d.getDate() + 1)
+  }
+  return days.slice(0, countBetweenDates(start, end, weekdays))
+}
+
+/** 从 start 起(含当天)的 count 个阅读日，不受计划结束日期限制
+ * @param  {String} start 开始日期
+ * @param  {Array} weekdays 指定工作日
+ * @param  {Number} count 天数
+*/
+export const nextDays = (start, weekdays, count) => {
+  const days = []
+  const d = new Date(`${start}T00:00:00`)
+  while (days.length < count) {
+    if (isReadingDay(d, weekdays)) {
+      days.push(formatDay(d))
+    }
+    d.setDate(d.getDate() + 1)
+  }
+  return days
+}
+
+/** 把 total 平均分到 count 天，返回每天的 [起, 止)
+ * @param  {Number} total 总章数或字数
+ * @param  {Number} count 天数
+*/
+export const splitEvenly = (total, count) => {
+  const parts = []
+  for (let i = 0; i < count; i++) {
+    parts.push([Math.floor(i * total / count), Math.floor((i + 1) * total / count)])
+  }
+  return parts
+}
+
+/** 生成每天的阅读任务
+ * @param  {Object} plan 计划，unit 为 chapter 按章分配，word 按字分配
+ * @param  {Array} days 阅读日
+*/
+export const assign = (plan, days) => {
+  const total = plan.Unit === 'word' ? plan.Words : plan.Chapters
+  return splitEvenly(total, days.length).map(([from, to], i) => ({
+    Date: days[i],
+    From: from,
+    To: to,
+    Name: assignName(plan, from, to),
+    State: false,
+    DoneAt: null
+  })).filter(e => e.To > e.From)
+}
+
+export const assignName = (plan, from, to) => {
+  if (plan.Unit === 'word') {
+    return `第${from + 1}~${to}字`
+  }
+  return to - from > 1 ? `第${from + 1}~${to}章` : `第${to}章`
+}
+
+/** 某天任务的阅读地址，打开这天要读的第一章
+ * 按字分配时按字数的比例换算成章
+ * @param  {Object} plan 计划
+ * @param  {Object} day 阅读日的任务
+*/
+export const dayHref = (plan, day) => {
+  const chapter = plan.Unit === 'word'
+    ? Math.floor(day.From / (plan.Words || 1) * (plan.Chapters || 1))
+    : day.From
+  return `book.html#/detail?id=${plan.BookId}&chapter=${chapter + 1}`
+}
+
+export const listPlan = () => {
+  return read()
+}
+
+export const getPlan = (id) => {
+  return read().find(e => e.Id === id) || null
+}
+
+export const savePlan = (plan) => {
+  const plans = read()
+  const i = plans.findIndex(e => e.Id === plan.Id)
+  if (i === -1) {
+    plans.unshift(plan)
+  } else {
+    plans.splice(i, 1, plan)
+  }
+  write(plans)
+  return plan
+}
+
+/** 创建计划
+ * @param  {Object} form { book, startAt, endAt, weekday, unit }
+*/
+export const createPlan = ({ book, startAt, endAt, weekday, unit }) => {
+  const plan = {
+    Id: `${Date.now()}`,
+    BookId: book.id,
+    Name: book.name,
+    Author: book.author,
+    Chapters: book.chapters,
+    Words: book.words,
+    Unit: unit || 'chapter',
+    StartAt: startAt,
+    EndAt: endAt,
+    Weekday: weekday || [],
+    CreatedAt: Date.now()
+  }
+  plan.Days = assign(plan, planDays(startAt, endAt, weekday))
+  return savePlan(plan)
+}
+
+export const removePlan = (ids) => {
+  write(read().filter(e => !ids.includes(e.Id)))
+}
+
+/** 标记某天的任务完成与否
+ * @param  {String} id 计划Id
+ * @param  {String} date 阅读日
+ * @param  {Boolean} state 是否完成
+*/
+export const setDayState = (id, date, state) => {
+  const plan = getPlan(id)
+  if (!plan) return null
+  plan.Days.forEach(e => {
+    if (e.Date === date) {
+      e.State = state
+      e.DoneAt = state ? formatDay(new Date()) : null
+    }
+  })
+  return savePlan(plan)
+}
+
+export const isFinished = (plan) => {
+  return plan.Days.every(e => e.State)
+}
+
+// 已完成的天数
+export const doneCount = (plan) => {
+  return plan.Days.filter(e => e.State).length
+}
+
+// 今天之前没有读完的任务
+export const overdue = (plan, today = formatDay(new Date())) => {
+  return plan.Days.filter(e => !e.State && e.Date < today)
+}
+
+const byDate = (a, b) => {
+  if (a.Date !== b.Date) return a.Date < b.Date ? -1 : 1
+  return a.From - b.From
+}
+
+const newDay = (plan, date, from, to) => ({
+  Date: date,
+  From: from,
+  To: to,
+  Name: assignName(plan, from, to),
+  State: false,
+  DoneAt: null
+})
+
+/** 取出未读段落中第 a 到 b 个单位对应的实际范围，未读的章节可能不连续
+ * @param  {Array} segments 未读的 [起, 止) 段落，已排序
+ * @param  {Number} a 起
+ * @param  {Number} b 止
+*/
+const cut = (segments, a, b) => {
+  const ranges = []
+  let offset = 0
+  segments.forEach(([from, to]) => {
+    const start = Math.max(a, offset)
+    const end = Math.min(b, offset + to - from)
+    if (end > start) {
+      ranges.push([from + start - offset, from + end - offset])
+    }
+    offset += to - from
+  })
+  return ranges
+}
+
+/** 补读：生成调整后的计划，不保存，用于预览
+ * redistribute 把未读的部分平均分到剩余的阅读日
+ * extend 未读的任务依次顺延，每天的量不变，结束日期后移
+ * double 落下的任务全部加到下一个阅读日
+ * @param  {Object} plan 计划
+ * @param  {String} mode redistribute|extend|double
+ * @param  {String} today 今天
+*/
+export const catchUp = (plan, mode, today = formatDay(new Date())) => {
+  if (!overdue(plan, today).length) return null
+  const next = { ...plan }
+  const done = plan.Days.filter(e => e.State)
+  const undone = plan.Days.filter(e => !e.State).sort(byDate)
+  let days = []
+  if (mode === 'redistribute') {
+    const dates = planDays(today, plan.EndAt, plan.Weekday)
+    // 计划已经到期，没有剩余的阅读日可以分配
+    if (!dates.length) return null
+    // 相邻的段落合并，免得同一天被拆成几条
+    const segments = []
+    undone.map(e => [e.From, e.To]).sort((a, b) => a[0] - b[0]).forEach(([from, to]) => {
+      const last = segments[segments.length - 1]
+      if (last && last[1] === from) {
+        last[1] = to
+      } else {
+        segments.push([from, to])
+      }
+    })
+    const total = segments.reduce((sum, [from, to]) => sum + to - from, 0)
+    splitEvenly(total, dates.length).forEach(([a, b], i) => {
+      cut(segments, a, b).forEach(([from, to]) => {
+        days.push(newDay(plan, dates[i], from, to))
+      })
+    })
+  } else if (mode === 'extend') {
+    const groups = []
+    undone.forEach(e => {
+      const last = groups[groups.length - 1]
+      if (last && last[0].Date === e.Date) {
+        last.push(e)
+      } else {
+        groups.push([e])
+      }
+    })
+    const dates = nextDays(today, plan.Weekday, groups.length)
+    groups.forEach((group, i) => {
+      days = days.concat(group.map(e => ({ ...e, Date: dates[i] })))
+    })
+    next.EndAt = dates[dates.length - 1] > plan.EndAt ? dates[dates.length - 1] : plan.EndAt
+  } else if (mode === 'double') {
+    const [date] = nextDays(today, plan.Weekday, 1)
+    days = undone.map(e => e.Date < today ? { ...e, Date: date } : e)
+    next.EndAt = date > plan.EndAt ? date : plan.EndAt
+  } else {
+    return null
+  }
+  next.Days = done.concat(days).sort(byDate)
+  return next
+}
+
+/** 对比调整前后每天的任务，只返回有变化的日期
+ * @param  {Object} plan 调整前
+ * @param  {Object} next 调整后
+*/
+export const previewChanges = (plan, next) => {
+  const tasks = (days) => {
+    const map = {}
+    days.filter(e => !e.State).forEach(e => {
+      map[e.Date] = map[e.Date] ? `${map[e.Date]}、${e.Name}` : e.Name
+    })
+    return map
+  }
+  const before = tasks(plan.Days)
+  const after = tasks(next.Days)
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()
+    .filter(date => before[date] !== after[date])
+    .map(date => ({ Date: date, Before: before[date] || '', After: after[date] || '' }))
+}
@@ -0,0 +1,40 @@
+import { stg } from '@/util/index'
+
+// 阅读进度：每本书记录当前章节和章节内的滚动位置
+// 和阅读计划一样存在 localStorage 里，关了页面下次还能接着读
+const write = (all) => { localStorage.setItem('progress', JSON.stringify(all)) }
+const read = () => {
+  const all = localStorage.getItem('progress')
+  if (all !== null) return JSON.parse(all) || {}
+  // 以前存在 sessionStorage 里的进度搬过来
+  const old = JSON.parse(stg().getItem('progress')) || {}
+  if (Object.keys(old).length) write(old)
+  return old
+}
+
+export const getProgress = (bookId) => {
+  return read()[bookId] || null
+}
+
+export const listProgress = () => {
+  return read()
+}
+
+/** 保存阅读进度
+ * @param  {String} bookId 书的Id
+ * @param  {String} href 当前章节地址
+ * @param  {Number} offset 章节内的滚动比例 0~1
+ * @param  {Array} chapters 全部章节，用于计算整本书的百分比
+*/
+export const saveProgress = (bookId, href, offset, chapters) => {
+  const index = chapters.findIndex(e => e.href === href)
+  const all = read()
+  all[bookId] = {
+    Href: href,
+    Offset: offset,
+    Percent: index === -1 ? 0 : Math.floor((index + offset) / chapters.length * 100),
+    Time: Date.now()
+  }
+  write(all)
+  return all[bookId]
+}
@@ -0,0 +1,92 @@
+import { stg } from '@/util/index'
+
+// 阅读设置：字号、行距、字体、边距和主题，存在 stg() 里
+// 章节加载后注入一段样式，样式里只引用 CSS 变量，改设置时只换变量的值
+
+export const themes = [
+  { id: 'paper', name: '白纸', background: '#FFFFFF', color: '#212121' },
+  { id: 'sepia', name: '米黄', background: '#F6F0DA', color: '#5B4636' },
+  { id: 'green', name: '护眼', background: '#BECEC1', color: '#273830' },
+  { id: 'night', name: '夜间', background: '#1E2623', color: '#B8C2BD' }
+]
+
+export const fonts = [
+  { id: 'sans', name: '黑体', value: '-apple-system,"PingFang SC","Microsoft YaHei",sans-serif' },
+  { id: 'serif', name: '宋体', value: '"Songti SC","SimSun",serif' },
+  { id: 'kai', name: '楷体', value: '"Kaiti SC","KaiTi",serif' }
+]
+
+// 可调范围 [最小, 最大, 步长]
+export const limits = {
+  FontSize: [12, 32, 1],
+  LineHeight: [1.2, 2.6, 0.2],
+  Margin: [0, 48, 4]
+}
+
+const defaults = {
+  FontSize: 18,
+  LineHeight: 1.8,
+  FontFamily: 'sans',
+  Margin: 16,
+  Theme: 'sepia',
+  // 首页开了黑夜模式时用夜间主题
+  FollowDark: true,
+  // 翻页模式，否则上下滚动
+  Paged: false,
+  // 朗读的语速
+  SpeechRate: 1
+}
+
+export const getSetting = () => {
+  return { ...defaults, ...JSON.parse(stg().getItem('reader')) }
+}
+
+export const setSetting = (setting) => {
+  stg().setItem('reader', JSON.stringify(setting))
+}
+
+/** 调整一项数值设置，超出范围时取边界
+ * @param  {Object} setting 设置
+ * @param  {String} key FontSize、LineHeight 或 Margin
+ * @param  {Number} dir 1 加大，-1 减小
+*/
+export const stepSetting = (setting, key, dir) => {
+  const [min, max, step] = limits[key]
+  const value = Math.round((setting[key] + dir * step) * 10) / 10
+  return { ...setting, [key]: Math.min(Math.max(value, min), max) }
+}
+
+/** 实际使用的主题
+ * @param  {Object} setting 设置
+*/
+export const activeTheme = (setting) => {
+  const id = setting.FollowDark && stg().getItem('dark') === 'true' ? 'night' : setting.Theme
+  return themes.find(e => e.id === id) || themes[0]
+}
+
+// 章节的样式表里按 class 定了字号，这里要覆盖掉
+const readerStyle = [
+  'body{margin:0;padding:0 var(--reader-margin);background-color:var(--reader-background);color:var(--reader-color);font-family:var(--reader-font-family);font-size:var(--reader-font-size);line-height:var(--reader-line-height)}',
+  '.intro,.topic,.RCV-99{font-size:var(--reader-font-size)!important;line-height:var(--reader-line-height)!important}',
+  '.RCV-1{font-size:calc(var(--reader-font-size)*1.5)!important}',
+  '.RCV-2{font-size:calc(var(--reader-font-size)*1.3)!important}',
+  '.RCV-3{font-size:calc(var(--reader-font-size)*1.15)!important}',
+  '.RCV-4{font-size:calc(var(--reader-font-size)*1.05)!important}'
+].join('')
+
+/** 把设置应用到章节文档上，每次加载章节和改设置时调用
+ * @param  {Document} doc 章节文档
+ * @param  {Object} setting 设置
+*/
+export const applySetting = (doc, setting) => {
+  const theme = activeTheme(setting)
+  const font = fonts.find(e => e.id === setting.FontFamily) || fonts[0]
+  let style = doc.getElementById('reader-setting')
+  if (!style) {
+    style = doc.createElement('style')
+    style.id = 'reader-setting'
+    doc.head.appendChild(style)
+  }
+  style.textContent = `:root{--reader-font-size:${setting.FontSize}px;--reader-line-height:${setting.LineHeight};--reader-font-family:${font.value};--reader-margin:${setting.Margin}px;--reader-background:${theme.background};--reader-color:${theme.color}}${readerStyle}`
+  doc.body.setAttribute('data-theme', theme.id)
+}
@@ -0,0 +1,144 @@
+import { stg } from '@/util/index'
+
+// 浏览记录(history)、收藏(mark)与划线笔记(annotation)：本地存一份，登录后与服务器同步
+// FileType 与 util/index 的 fileType 一致：1书刊 2诗歌 3文章 4视频
+const MAX_HISTORY = 50
+
+// 划线笔记没登录时也要长期保存，存在 localStorage 里，其他记录仍用 sessionStorage
+const persistent = ['annotation']
+
+/** 取本地存的一项，划线笔记以前存在 sessionStorage 里的搬到 localStorage
+ * @param  {String} kind 记录的种类
+ * @param  {String} name 存储的键
+*/
+const load = (kind, name) => {
+  if (!persistent.includes(kind)) return JSON.parse(stg().getItem(name))
+  const value = localStorage.getItem(name)
+  if (value !== null) return JSON.parse(value)
+  const old = stg().getItem(name)
+  if (old !== null) localStorage.setItem(name, old)
+  return JSON.parse(old)
+}
+
+const storage = (kind) => persistent.includes(kind) ? localStorage : stg()
+
+const read = (kind) => load(kind, kind) || []
+
+const write = (kind, list) => {
+  storage(kind).setItem(kind, JSON.stringify(list))
+}
+
+// 离线时删除的记录，登录联网后再通知服务器
+const readRemoved = (kind) => load(kind, `${kind}Removed`) || []
+
+const writeRemoved = (kind, keys) => {
+  if (keys.length) {
+    storage(kind).setItem(`${kind}Removed`, JSON.stringify(keys))
+  } else {
+    storage(kind).removeItem(`${kind}Removed`)
+  }
+}
+
+export const recordKey = (fileType, id) => `${fileType}-${id}`
+
+export const isLogin = () => {
+  return !!(JSON.parse(stg().getItem('userInfo')) || {}).Id
+}
+
+/** 把服务器返回的记录与本地未同步的记录合并，按时间倒序
+ * @param  {Array} remote 服务器记录
+ * @param  {Array} local 本地记录
+*/
+const merge = (remote, local) => {
+  const map = {}
+  remote.forEach(e => {
+    map[e.Key] = { ...e, Synced: true }
+  })
+  local.filter(e => !e.Synced).forEach(e => {
+    if (!map[e.Key] || map[e.Key].Time < e.Time) {
+      map[e.Key] = e
+    }
+  })
+  return Object.values(map).sort((a, b) => b.Time - a.Time)
+}
+
+/** 上传本地未同步的记录和删除操作，再拉取服务器上的完整列表
+ * @param  {Object} vm 当前vue实例
+ * @param  {String} kind history或mark
+*/
+export const syncRecord = (vm, kind) => {
+  if (!isLogin()) {
+    return Promise.resolve(read(kind))
+  }
+  const local = read(kind)
+  const removed = readRemoved(kind)
+  return vm.$post('record/sync', {
+    Kind: kind,
+    Items: local.filter(e => !e.Synced),
+    Removed: removed
+  }).then(() => vm.$get('record/list', { Kind: kind })).then(res => {
+    // 同步期间本地可能又有新记录，以最新的本地数据合并
+    const list = merge(res || [], read(kind))
+    write(kind, list)
+    writeRemoved(kind, readRemoved(kind).filter(key => !removed.includes(key)))
+    return list
+  }).catch(() => read(kind))
+}
+
+/** 添加一条记录，同一内容只保留最新的一条
+ * @param  {Object} vm 当前vue实例
+ * @param  {String} kind history或mark
+ * @param  {Object} item { Id, FileType, Name, Subtitle, Href }
+*/
+export const addRecord = (vm, kind, item) => {
+  const key = recordKey(item.FileType, item.Id)
+  const entry = { ...item, Key: key, Time: Date.now(), Synced: false }
+  const list = read(kind).filter(e => e.Key !== key)
+  list.unshift(entry)
+  write(kind, kind === 'history' ? list.slice(0, MAX_HISTORY) : list)
+  writeRemoved(kind, readRemoved(kind).filter(e => e !== key))
+  if (!isLogin()) {
+    return Promise.resolve(entry)
+  }
+  return vm.$post('record/add', { Kind: kind, ...entry }).then(() => {
+    write(kind, read(kind).map(e => e.Key === key && e.Time === entry.Time ? { ...e, Synced: true } : e))
+    return entry
+  }).catch(() => entry)
+}
+
+/** 记录列表
+ * @param  {Object} vm 当前vue实例
+ * @param  {String} kind history或mark
+ * @param  {Number} fileType 只列出该类型，不传则列出全部
+*/
+export const listRecord = (vm, kind, fileType) => {
+  return syncRecord(vm, kind).then(list => {
+    return fileType ? list.filter(e => e.FileType === fileType) : list
+  })
+}
+
+/** 删除记录
+ * @param  {Object} vm 当前vue实例
+ * @param  {String} kind history或mark
+ * @param  {Array} keys 记录的Key
+*/
+export const removeRecord = (vm, kind, keys) => {
+  const list = read(kind)
+  // 从未同步过的记录服务器上没有，不需要通知服务器
+  const synced = list.filter(e => e.Synced && keys.includes(e.Key)).map(e => e.Key)
+  write(kind, list.filter(e => !keys.includes(e.Key)))
+  if (!synced.length) {
+    return Promise.resolve()
+  }
+  writeRemoved(kind, [...new Set([...readRemoved(kind), ...synced])])
+  if (!isLogin()) {
+    return Promise.resolve()
+  }
+  return vm.$post('record/remove', { Kind: kind, Keys: synced }).then(() => {
+    writeRemoved(kind, readRemoved(kind).filter(key => !synced.includes(key)))
+  }).catch(() => {})
+}
+
+export const isMarked = (fileType, id) => {
+  return read('mark').some(e => e.Key === recordKey(fileType, id))
+}
@@ -0,0 +1,237 @@
+import { activeCue } from '@/util/lyric'
+
+// 诗歌乐谱：ABC 或 MusicXML，MusicXML 先转成 ABC，统一由 abcjs 在本地画成 svg
+// 文件放在 score/ 下，与歌词同名，如 score/1.abc、score/1.musicxml
+// MusicXML 只取第一个声部的第一个 voice，支持调号、拍号、速度、和弦、连音线、反复、房子和多节歌词，装饰音忽略
+
+// 五度圈上的调，fifths 为 -7 到 7
+const majorKeys = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#']
+const minorKeys = ['Abm', 'Ebm', 'Bbm', 'Fm', 'Cm', 'Gm', 'Dm', 'Am', 'Em', 'Bm', 'F#m', 'C#m', 'G#m', 'D#m', 'A#m']
+const sharpOrder = 'FCGDAEB'
+const flatOrder = 'BEADGCF'
+const accidentals = { '-2': '__', '-1': '_', 0: '=', 1: '^', 2: '^^' }
+
+const gcd = (a, b) => b ? gcd(b, a % b) : a
+
+const child = (el, name) => el && Array.from(el.children).find(e => e.tagName === name)
+const text = (el, name) => {
+  const e = child(el, name)
+  return e ? e.textContent.trim() : ''
+}
+
+/** 时值写成 ABC 的长度，L:1/4 时四分音符为 1
+ * @param  {Number} duration MusicXML 的 duration
+ * @param  {Number} divisions 每个四分音符的 duration
+*/
+const abcLength = (duration, divisions) => {
+  const g = gcd(duration, divisions) || 1
+  const n = duration / g
+  const d = divisions / g
+  if (d === 1) return n === 1 ? '' : `${n}`
+  return `${n === 1 ? '' : n}/${d}`
+}
+
+/** 音高写成 ABC，C4 为 C，C5 为 c
+ * @param  {String} step 音名
+ * @param  {Number} octave 八度
+*/
+const abcPitch = (step, octave) => {
+  if (octave >= 5) return `${step.toLowerCase()}${"'".repeat(octave - 5)}`
+  return `${step}${','.repeat(4 - octave)}`
+}
+
+// 调号里各音名的升降
+const keyAlters = (fifths) => {
+  const alters = {}
+  for (let i = 0; i < Math.abs(fifths); i++) {
+    alters[fifths > 0 ? sharpOrder[i] : flatOrder[i]] = fifths > 0 ? 1 : -1
+  }
+  return alters
+}
+
+const syllable = (lyric) => {
+  const word = text(lyric, 'text').replace(/[\s-]/g, '~')
+  const syllabic = text(lyric, 'syllabic')
+  return syllabic === 'begin' || syllabic === 'middle' ? `${word}-` : word
+}
+
+/** MusicXML 转成 ABC
+ * @param  {String} xml MusicXML 文本
+*/
+export const musicXmlToAbc = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  const score = doc.documentElement
+  const part = score.getElementsByTagName('part')[0]
+  if (!part) throw new Error('MusicXML 里没有声部')
+  const title = text(child(score, 'work'), 'work-title') || text(score, 'movement-title')
+  const composer = Array.from(score.getElementsByTagName('creator')).find(e => e.getAttribute('type') === 'composer')
+  const header = { M: '4/4', K: 'C' }
+  let divisions = 1
+  let fifths = 0
+  const lines = []
+  let line = { music: '', lyrics: {}, notes: 0 }
+  const measures = Array.from(part.getElementsByTagName('measure'))
+  measures.forEach((measure, m) => {
+    // 换行：乐谱里标了新的一行，或者每四小节
+    const print = child(measure, 'print')
+    if (line.notes && ((print && print.getAttribute('new-system') === 'yes') || (!print && m % 4 === 0 && m > 0))) {
+      lines.push(line)
+      line = { music: '', lyrics: {}, notes: 0 }
+    }
+    const measureAlters = {}
+    let bar = '|'
+    let voice = null
+    let chordOpen = false
+    const closeChord = () => {
+      if (chordOpen) line.music = line.music.replace(/(\S+)$/, '[$1]')
+      chordOpen = false
+    }
+    Array.from(measure.children).forEach(el => {
+      switch (el.tagName) {
+        case 'attributes': {
+          divisions = Number(text(el, 'divisions')) || divisions
+          const key = child(el, 'key')
+          if (key) {
+            fifths = Number(text(key, 'fifths')) || 0
+            const name = (text(key, 'mode') === 'minor' ? minorKeys : majorKeys)[fifths + 7] || 'C'
+            if (m === 0) header.K = name
+            else line.music += `[K:${name}]`
+          }
+          const time = child(el, 'time')
+          if (time) {
+            const meter = `${text(time, 'beats')}/${text(time, 'beat-type')}`
+            if (m === 0) header.M = meter
+            else line.music += `[M:${meter}]`
+          }
+          break
+        }
+        case 'direction':
+        case 'sound': {
+          const sound = el.tagName === 'sound' ? el : el.getElementsByTagName('sound')[0]
+          if (sound && sound.getAttribute('tempo') && !header.Q) header.Q = `1/4=${Math.round(sound.getAttribute('tempo'))}`
+          break
+        }
+        case 'barline': {
+          const repeat = child(el, 'repeat')
+          const ending = child(el, 'ending')
+          if (el.getAttribute('location') === 'left') {
+            if (repeat && repeat.getAttribute('direction') === 'forward') line.music += '|:'
+            if (ending && ending.getAttribute('type') === 'start') line.music += `[${ending.getAttribute('number')} `
+          } else {
+            if (repeat && repeat.getAttribute('direction') === 'backward') bar = ':|'
+            else if (text(el, 'bar-style') === 'light-heavy') bar = '|]'
+            else if (text(el, 'bar-style') === 'light-light') bar = '||'
+          }
+          break
+        }
+        case 'note': {
+          if (child(el, 'grace')) break
+          const v = text(el, 'voice') || '1'
+          voice = voice || v
+          if (v !== voice) break
+          const isChord = !!child(el, 'chord')
+          if (!isChord) closeChord()
+          const length = abcLength(Number(text(el, 'duration')) || divisions, divisions)
+          let note
+          if (child(el, 'rest')) {
+            note = `z${length}`
+          } else {
+            const pitch = child(el, 'pitch')
+            const step = text(pitch, 'step')
+            const octave = Number(text(pitch, 'octave'))
+            const alter = Number(text(pitch, 'alter')) || 0
+            // 与调号和本小节前面的临时记号不同时才写升降号
+            const key = `${step}${octave}`
+            const current = key in measureAlters ? measureAlters[key] : keyAlters(fifths)[step] || 0
+            const accidental = alter === current ? '' : accidentals[alter] || ''
+            measureAlters[key] = alter
+            const tie = Array.from(el.getElementsByTagName('tie')).some(e => e.getAttribute('type') === 'start') ? '-' : ''
+            note = `${accidental}${abcPitch(step, octave)}${length}${tie}`
+            if (!isChord) {
+              line.notes++
+              Array.from(el.getElementsByTagName('lyric')).forEach(lyric => {
+                const no = lyric.getAttribute('number') || '1'
+                line.lyrics[no] = line.lyrics[no] || []
+                // 前面的音没有这一节的歌词时用 * 占位
+                while (line.lyrics[no].length < line.notes - 1) line.lyrics[no].push('*')
+                line.lyrics[no].push(syllable(lyric))
+              })
+            }
+          }
+          if (isChord) {
+            line.music += note
+            chordOpen = true
+          } else {
+            line.music += ` ${note}`
+          }
+          break
+        }
+      }
+    })
+    closeChord()
+    line.music += ` ${bar}`
+  })
+  if (line.notes) lines.push(line)
+  const head = ['X:1', `T:${title}`]
+  if (composer) head.push(`C:${composer.textContent.trim()}`)
+  head.push(`M:${header.M}`, 'L:1/4')
+  if (header.Q) head.push(`Q:${header.Q}`)
+  head.push(`K:${header.K}`)
+  const body = lines.map(e => [e.music.trim(), ...Object.keys(e.lyrics).sort().map(no => `w:${e.lyrics[no].join(' ')}`)].join('\n'))
+  return [...head, ...body].join('\n')
+}
+
+/** 取诗歌的乐谱，先找 ABC 再找 MusicXML，都没有时为 null
+ * @param  {Object} vm 当前vue实例
+ * @param  {String} id 诗歌的Id
+*/
+export const loadScore = (vm, id) => {
+  return vm.$getHtml(`score/${id}.abc`)
+    .catch(() => vm.$getHtml(`score/${id}.musicxml`).then(musicXmlToAbc))
+    .then(abc => typeof abc === 'string' && abc.trim() ? abc : null)
+    .catch(() => null)
+}
+
+const keyNames = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B']
+const pitchClass = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }
+
+/** ABC 里的调，移调后的调名
+ * @param  {String} abc 乐谱
+ * @param  {Number} semitones 升几个半音，负数为降
+*/
+export const keyName = (abc, semitones = 0) => {
+  const key = (abc || '').match(/^K:\s*([A-G])([b#]?)\s*(m(?:in)?(?![a-z]))?/mi)
+  if (!key) return ''
+  const [, step, sign, minor] = key
+  const pc = pitchClass[step.toUpperCase()] + (sign === '#' ? 1 : sign === 'b' ? -1 : 0)
+  return `${keyNames[((pc + semitones) % 12 + 24) % 12]}${minor ? 'm' : ''}`
+}
+
+/** 录音里每一遍从头唱的时间：歌词里每一节的第一行，没有歌词时只有一遍
+ * @param  {Object} lyric 歌词
+*/
+export const passesOf = (lyric) => {
+  const starts = []
+  if (lyric) {
+    lyric.Stanzas.filter(e => e.Kind === 'verse').forEach(stanza => {
+      const line = stanza.Lines.find(e => e.Times.length)
+      if (line) starts.push(...line.Times)
+    })
+  }
+  return starts.length ? starts.sort((a, b) => a - b) : [0]
+}
+
+/** 录音播放到第几秒时乐谱上在第几秒
+ * 每一遍的长短按录音里相邻两遍的间隔伸缩，最后一遍沿用前一遍的速度，前奏时为 null
+ * @param  {Number} seconds 录音的秒数
+ * @param  {Array} starts passesOf 的结果
+ * @param  {Number} scoreSeconds 乐谱从头到尾的秒数
+*/
+export const scoreTime = (seconds, starts, scoreSeconds) => {
+  const pass = activeCue(starts.map(Time => ({ Time })), seconds)
+  if (pass === -1 || !scoreSeconds) return null
+  let length = scoreSeconds
+  if (starts[pass + 1] !== undefined) length = starts[pass + 1] - starts[pass]
+  else if (pass > 0) length = starts[pass] - starts[pass - 1]
+  return ((seconds - starts[pass]) % length) / length * scoreSeconds
+}
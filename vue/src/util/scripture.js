@@ -0,0 +1,345 @@
+// 经文出处：解析 "太 5:3-12"、"马太福音5章3节"、"Matt 5:3"、"Rom 8:28; 12:1-2" 等写法，
+// 统一成 { book, chapter, verse, endChapter, endVerse }，再对应到章节文件 html/BBCCC.html
+// book 按 1~66 的卷序，verse 为 null 表示整章
+
+// en、cn、tw 的第一项是全称，第二项是简写，其余为别名
+export const books = [
+  { id: 1, en: ['Genesis', 'Gen', 'Ge', 'Gn'], cn: ['创世记', '创', '创世纪'], tw: ['創世記', '創'], chapters: 50 },
+  { id: 2, en: ['Exodus', 'Exo', 'Ex', 'Exod'], cn: ['出埃及记', '出'], tw: ['出埃及記', '出'], chapters: 40 },
+  { id: 3, en: ['Leviticus', 'Lev', 'Le', 'Lv'], cn: ['利未记', '利'], tw: ['利未記', '利'], chapters: 27 },
+  { id: 4, en: ['Numbers', 'Num', 'Nu', 'Nm'], cn: ['民数记', '民'], tw: ['民數記', '民'], chapters: 36 },
+  { id: 5, en: ['Deuteronomy', 'Deut', 'Dt', 'De'], cn: ['申命记', '申'], tw: ['申命記', '申'], chapters: 34 },
+  { id: 6, en: ['Joshua', 'Josh', 'Jos'], cn: ['约书亚记', '书'], tw: ['約書亞記', '書'], chapters: 24 },
+  { id: 7, en: ['Judges', 'Judg', 'Jdg'], cn: ['士师记', '士'], tw: ['士師記', '士'], chapters: 21 },
+  { id: 8, en: ['Ruth', 'Ruth', 'Ru'], cn: ['路得记', '得'], tw: ['路得記', '得'], chapters: 4 },
+  { id: 9, en: ['1 Samuel', '1 Sam', '1 Sa'], cn: ['撒母耳记上', '撒上'], tw: ['撒母耳記上', '撒上'], chapters: 31 },
+  { id: 10, en: ['2 Samuel', '2 Sam', '2 Sa'], cn: ['撒母耳记下', '撒下'], tw: ['撒母耳記下', '撒下'], chapters: 24 },
+  { id: 11, en: ['1 Kings', '1 Kgs', '1 Ki'], cn: ['列王纪上', '王上'], tw: ['列王紀上', '王上'], chapters: 22 },
+  { id: 12, en: ['2 Kings', '2 Kgs', '2 Ki'], cn: ['列王纪下', '王下'], tw: ['列王紀下', '王下'], chapters: 25 },
+  { id: 13, en: ['1 Chronicles', '1 Chron', '1 Chr', '1 Ch'], cn: ['历代志上', '代上'], tw: ['歷代志上', '代上'], chapters: 29 },
+  { id: 14, en: ['2 Chronicles', '2 Chron', '2 Chr', '2 Ch'], cn: ['历代志下', '代下'], tw: ['歷代志下', '代下'], chapters: 36 },
+  { id: 15, en: ['Ezra', 'Ezra', 'Ezr'], cn: ['以斯拉记', '拉'], tw: ['以斯拉記', '拉'], chapters: 10 },
+  { id: 16, en: ['Nehemiah', 'Neh', 'Ne'], cn: ['尼希米记', '尼'], tw: ['尼希米記', '尼'], chapters: 13 },
+  { id: 17, en: ['Esther', 'Esth', 'Est'], cn: ['以斯帖记', '斯'], tw: ['以斯帖記', '斯'], chapters: 10 },
+  { id: 18, en: ['Job', 'Job'], cn: ['约伯记', '伯'], tw: ['約伯記', '伯'], chapters: 42 },
+  { id: 19, en: ['Psalms', 'Psa', 'Ps', 'Psalm'], cn: ['诗篇', '诗'], tw: ['詩篇', '詩'], chapters: 150 },
+  { id: 20, en: ['Proverbs', 'Prov', 'Pr', 'Prv'], cn: ['箴言', '箴'], tw: ['箴言', '箴'], chapters: 31 },
+  { id: 21, en: ['Ecclesiastes', 'Eccl', 'Ecc', 'Qoh'], cn: ['传道书', '传'], tw: ['傳道書', '傳'], chapters: 12 },
+  { id: 22, en: ['Song of Songs', 'SS', 'Song', 'Song of Solomon', 'Cant'], cn: ['雅歌', '歌'], tw: ['雅歌', '歌'], chapters: 8 },
+  { id: 23, en: ['Isaiah', 'Isa', 'Is'], cn: ['以赛亚书', '赛'], tw: ['以賽亞書', '賽'], chapters: 66 },
+  { id: 24, en: ['Jeremiah', 'Jer', 'Je'], cn: ['耶利米书', '耶'], tw: ['耶利米書', '耶'], chapters: 52 },
+  { id: 25, en: ['Lamentations', 'Lam', 'La'], cn: ['耶利米哀歌', '哀'], tw: ['耶利米哀歌', '哀'], chapters: 5 },
+  { id: 26, en: ['Ezekiel', 'Ezek', 'Eze', 'Ezk'], cn: ['以西结书', '结'], tw: ['以西結書', '結'], chapters: 48 },
+  { id: 27, en: ['Daniel', 'Dan', 'Da', 'Dn'], cn: ['但以理书', '但'], tw: ['但以理書', '但'], chapters: 12 },
+  { id: 28, en: ['Hosea', 'Hos', 'Ho'], cn: ['何西阿书', '何'], tw: ['何西阿書', '何'], chapters: 14 },
+  { id: 29, en: ['Joel', 'Joel', 'Jl'], cn: ['约珥书', '珥'], tw: ['約珥書', '珥'], chapters: 3 },
+  { id: 30, en: ['Amos', 'Amos', 'Am'], cn: ['阿摩司书', '摩'], tw: ['阿摩司書', '摩'], chapters: 9 },
+  { id: 31, en: ['Obadiah', 'Obad', 'Ob'], cn: ['俄巴底亚书', '俄'], tw: ['俄巴底亞書', '俄'], chapters: 1 },
+  { id: 32, en: ['Jonah', 'Jonah', 'Jon'], cn: ['约拿书', '拿'], tw: ['約拿書', '拿'], chapters: 4 },
+  { id: 33, en: ['Micah', 'Mic', 'Mi'], cn: ['弥迦书', '弥'], tw: ['彌迦書', '彌'], chapters: 7 },
+  { id: 34, en: ['Nahum', 'Nah', 'Na'], cn: ['那鸿书', '鸿'], tw: ['那鴻書', '鴻'], chapters: 3 },
+  { id: 35, en: ['Habakkuk', 'Hab', 'Hb'], cn: ['哈巴谷书', '哈'], tw: ['哈巴谷書', '哈'], chapters: 3 },
+  { id: 36, en: ['Zephaniah', 'Zeph', 'Zep'], cn: ['西番雅书', '番'], tw: ['西番雅書', '番'], chapters: 3 },
+  { id: 37, en: ['Haggai', 'Hag', 'Hg'], cn: ['哈该书', '该'], tw: ['哈該書', '該'], chapters: 2 },
+  { id: 38, en: ['Zechariah', 'Zech', 'Zec'], cn: ['撒迦利亚书', '亚'], tw: ['撒迦利亞書', '亞'], chapters: 14 },
+  { id: 39, en: ['Malachi', 'Mal', 'Ml'], cn: ['玛拉基书', '玛'], tw: ['瑪拉基書', '瑪'], chapters: 4 },
+  { id: 40, en: ['Matthew', 'Matt', 'Mt', 'Mat'], cn: ['马太福音', '太'], tw: ['馬太福音', '太'], chapters: 28 },
+  { id: 41, en: ['Mark', 'Mark', 'Mk', 'Mar'], cn: ['马可福音', '可'], tw: ['馬可福音', '可'], chapters: 16 },
+  { id: 42, en: ['Luke', 'Luke', 'Lk', 'Lu'], cn: ['路加福音', '路'], tw: ['路加福音', '路'], chapters: 24 },
+  { id: 43, en: ['John', 'John', 'Jn', 'Joh'], cn: ['约翰福音', '约', '约翰'], tw: ['約翰福音', '約', '約翰'], chapters: 21 },
+  { id: 44, en: ['Acts', 'Acts', 'Ac'], cn: ['使徒行传', '徒'], tw: ['使徒行傳', '徒'], chapters: 28 },
+  { id: 45, en: ['Romans', 'Rom', 'Ro', 'Rm'], cn: ['罗马书', '罗'], tw: ['羅馬書', '羅'], chapters: 16 },
+  { id: 46, en: ['1 Corinthians', '1 Cor', '1 Co'], cn: ['哥林多前书', '林前'], tw: ['哥林多前書', '林前'], chapters: 16 },
+  { id: 47, en: ['2 Corinthians', '2 Cor', '2 Co'], cn: ['哥林多后书', '林后'], tw: ['哥林多後書', '林後'], chapters: 13 },
+  { id: 48, en: ['Galatians', 'Gal', 'Ga'], cn: ['加拉太书', '加'], tw: ['加拉太書', '加'], chapters: 6 },
+  { id: 49, en: ['Ephesians', 'Eph', 'Ep'], cn: ['以弗所书', '弗'], tw: ['以弗所書', '弗'], chapters: 6 },
+  { id: 50, en: ['Philippians', 'Phil', 'Php'], cn: ['腓立比书', '腓'], tw: ['腓立比書', '腓'], chapters: 4 },
+  { id: 51, en: ['Colossians', 'Col', 'Co'], cn: ['歌罗西书', '西'], tw: ['歌羅西書', '西'], chapters: 4 },
+  { id: 52, en: ['1 Thessalonians', '1 Thes', '1 Thess', '1 Th'], cn: ['帖撒罗尼迦前书', '帖前'], tw: ['帖撒羅尼迦前書', '帖前'], chapters: 5 },
+  { id: 53, en: ['2 Thessalonians', '2 Thes', '2 Thess', '2 Th'], cn: ['帖撒罗尼迦后书', '帖后'], tw: ['帖撒羅尼迦後書', '帖後'], chapters: 3 },
+  { id: 54, en: ['1 Timothy', '1 Tim', '1 Ti'], cn: ['提摩太前书', '提前'], tw: ['提摩太前書', '提前'], chapters: 6 },
+  { id: 55, en: ['2 Timothy', '2 Tim', '2 Ti'], cn: ['提摩太后书', '提后'], tw: ['提摩太後書', '提後'], chapters: 4 },
+  { id: 56, en: ['Titus', 'Titus', 'Tit'], cn: ['提多书', '多'], tw: ['提多書', '多'], chapters: 3 },
+  { id: 57, en: ['Philemon', 'Philem', 'Phm', 'Phlm'], cn: ['腓利门书', '门'], tw: ['腓利門書', '門'], chapters: 1 },
+  { id: 58, en: ['Hebrews', 'Heb', 'He'], cn: ['希伯来书', '来'], tw: ['希伯來書', '來'], chapters: 13 },
+  { id: 59, en: ['James', 'James', 'Jas', 'Jam'], cn: ['雅各书', '雅'], tw: ['雅各書', '雅'], chapters: 5 },
+  { id: 60, en: ['1 Peter', '1 Pet', '1 Pe'], cn: ['彼得前书', '彼前'], tw: ['彼得前書', '彼前'], chapters: 5 },
+  { id: 61, en: ['2 Peter', '2 Pet', '2 Pe'], cn: ['彼得后书', '彼后'], tw: ['彼得後書', '彼後'], chapters: 3 },
+  { id: 62, en: ['1 John', '1 John', '1 Jn'], cn: ['约翰一书', '约壹'], tw: ['約翰一書', '約壹'], chapters: 5 },
+  { id: 63, en: ['2 John', '2 John', '2 Jn'], cn: ['约翰二书', '约贰'], tw: ['約翰二書', '約貳'], chapters: 1 },
+  { id: 64, en: ['3 John', '3 John', '3 Jn'], cn: ['约翰三书', '约叁'], tw: ['約翰三書', '約參'], chapters: 1 },
+  { id: 65, en: ['Jude', 'Jude', 'Jud'], cn: ['犹大书', '犹'], tw: ['猶大書', '猶'], chapters: 1 },
+  { id: 66, en: ['Revelation', 'Rev', 'Re', 'Rv'], cn: ['启示录', '启'], tw: ['啟示錄', '啟'], chapters: 22 }
+]
+
+const aliasKey = (s) => s.toLowerCase().replace(/[\s.]/g, '')
+
+// 所有写法按长度倒序，优先匹配最长的，"约翰一书" 不会被当成 "约"
+const aliases = books.reduce((list, book) => {
+  [...book.en, ...book.cn, ...book.tw].forEach(e => {
+    list.push({ key: aliasKey(e), book })
+  })
+  return list
+}, []).sort((a, b) => b.key.length - a.key.length)
+
+const cnDigit = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 }
+const cnNumber = /[零〇一二两三四五六七八九十百]+/g
+
+// 一百五十 => 150，十二 => 12，一五〇 => 150
+const parseCnNumber = (s) => {
+  if (!/[十百]/.test(s)) {
+    return Number(s.split('').map(e => cnDigit[e]).join(''))
+  }
+  let total = 0
+  let cur = 0
+  s.split('').forEach(e => {
+    if (e === '百') {
+      total += (cur || 1) * 100
+      cur = 0
+    } else if (e === '十') {
+      total += (cur || 1) * 10
+      cur = 0
+    } else {
+      cur = cnDigit[e]
+    }
+  })
+  return total + cur
+}
+
+// 全角转半角，统一各种分隔符
+const normalize = (s) => {
+  return s
+    .replace(/[！-～]/g, e => String.fromCharCode(e.charCodeAt(0) - 0xfee0))
+    .replace(/\u3000/g, ' ')
+    .replace(/[~～–—―至到]/g, '-')
+    .replace(/[、，]/g, ',')
+    .replace(/(\d)\.(\d)/g, '$1:$2')
+}
+
+/** 按卷名查找，支持全称、简写和别名
+ * @param  {String} name 卷名，如 太、馬太福音、Matt
+*/
+export const findBook = (name) => {
+  const key = aliasKey(normalize(name || ''))
+  const e = aliases.find(e => e.key === key)
+  return e ? e.book : null
+}
+
+// 取出开头的卷名，后面必须紧跟章节而不是别的字，"Matthew" 不会被当成 "Matt" + "hew"
+const matchBook = (s) => {
+  const lower = s.toLowerCase()
+  for (const e of aliases) {
+    if (lower.startsWith(e.key)) {
+      const rest = s.slice(e.key.length)
+      if (/^([\d\-,:第零〇一二两三四五六七八九十百]|$)/.test(rest)) {
+        return { book: e.book, rest }
+      }
+    }
+  }
+  return null
+}
+
+// 中文的 "5章3节"、"第二十三篇" 转成 "5:3"、"23"
+// 注解里的 "三一9" 是中文数字的章紧跟阿拉伯数字的节，即 "31:9"
+const toColon = (s) => {
+  return s
+    .replace(/[零〇一二两三四五六七八九十百]+(?=\d)/g, e => `${parseCnNumber(e)}:`)
+    .replace(cnNumber, parseCnNumber)
+    .replace(/第/g, '')
+    .replace(/[章篇]/g, ':')
+    .replace(/[节節]/g, '')
+    .replace(/:(?=[-,]|$)/g, '')
+}
+
+const numberOrNull = (s) => s ? Number(s) : null
+
+/** 解析一段不含分号的章节，如 "5:3-12,15"、"3-4"、"1:28-2:3"
+ * @param  {Object} book 所在的卷
+ * @param  {String} s 章节部分
+*/
+const parseRange = (book, s) => {
+  if (!s) {
+    // 只有卷名，表示整卷
+    return [{ book: book.id, chapter: 1, verse: null, endChapter: book.chapters, endVerse: null }]
+  }
+  const refs = []
+  let chapter = null
+  for (const part of s.split(',')) {
+    const m = part.match(/^(\d+)(?::(\d+))?(?:-(\d+)(?::(\d+))?)?$/)
+    if (!m) return []
+    const [a, b, c, d] = m.slice(1).map(numberOrNull)
+    let ref
+    if (b !== null) {
+      // 5:3、5:3-12、5:3-6:2
+      chapter = a
+      ref = d !== null
+        ? { chapter: a, verse: b, endChapter: c, endVerse: d }
+        : { chapter: a, verse: b, endChapter: a, endVerse: c === null ? b : c }
+    } else if (chapter !== null || book.chapters === 1) {
+      // 逗号后面的数字沿用前面的章，独章书卷的数字直接是节
+      const cur = chapter === null ? 1 : chapter
+      ref = d !== null
+        ? { chapter: cur, verse: a, endChapter: c, endVerse: d }
+        : { chapter: cur, verse: a, endChapter: cur, endVerse: c === null ? a : c }
+    } else {
+      // 整章：3、3-4，或者 3-4:2
+      ref = d !== null
+        ? { chapter: a, verse: 1, endChapter: c, endVerse: d }
+        : { chapter: a, verse: null, endChapter: c === null ? a : c, endVerse: null }
+    }
+    if (ref.chapter < 1 || ref.endChapter > book.chapters || ref.endChapter < ref.chapter) return []
+    if (ref.verse !== null && (ref.verse < 1 || (ref.endChapter === ref.chapter && ref.endVerse < ref.verse))) return []
+    refs.push({ book: book.id, ...ref })
+  }
+  return refs
+}
+
+/** 解析经文出处，分号分隔的多段可以省略卷名，沿用前一段的卷
+ * 无法识别时返回空数组
+ * @param  {String} text 如 "太 5:3-12"、"马太福音5章3节"、"Rom 8:28; 12:1-2"
+*/
+export const parseRef = (text) => {
+  if (!text) return []
+  let book = null
+  const refs = []
+  for (const segment of normalize(text).split(/[;；]/)) {
+    const s = segment.replace(/[\s.]/g, '')
+    if (!s) continue
+    const matched = matchBook(s)
+    let rest = s
+    if (matched) {
+      book = matched.book
+      rest = matched.rest
+    } else if (!book || !/^[\d第零〇一二两三四五六七八九十百]/.test(s)) {
+      return []
+    }
+    const range = parseRange(book, toColon(rest))
+    if (!range.length) return []
+    refs.push(...range)
+  }
+  return refs
+}
+
+/** 格式化为文字
+ * @param  {Object} ref parseRef 的结果
+ * @param  {String} lang zh-cn、zh-tw 或 en-us
+ * @param  {Boolean} short 用简写的卷名
+*/
+export const formatRef = (ref, lang = 'zh-cn', short = false) => {
+  const book = books[ref.book - 1]
+  const names = lang === 'en-us' ? book.en : lang === 'zh-tw' ? book.tw : book.cn
+  const name = names[short ? 1 : 0]
+  const single = book.chapters === 1
+  let range
+  if (ref.verse === null) {
+    range = ref.endChapter === ref.chapter ? `${ref.chapter}` : `${ref.chapter}-${ref.endChapter}`
+  } else {
+    range = single ? `${ref.verse}` : `${ref.chapter}:${ref.verse}`
+    if (ref.endChapter !== ref.chapter) {
+      range += `-${ref.endChapter}:${ref.endVerse}`
+    } else if (ref.endVerse !== ref.verse) {
+      range += `-${ref.endVerse}`
+    }
+  }
+  // 英文和中文全称中间空一格，中文简写紧接着写
+  return lang !== 'en-us' && short ? `${name}${range}` : `${name} ${range}`
+}
+
+const pad = (n, len) => `${n}`.padStart(len, '0')
+
+/** 章节文件，与 book/detail 的 href 一致
+ * @param  {Number} book 卷序 1~66
+ * @param  {Number} chapter 章
+*/
+export const chapterHref = (book, chapter) => {
+  return `html/${pad(book, 2)}${pad(chapter, 3)}.html`
+}
+
+export const refHref = (ref) => {
+  return chapterHref(ref.book, ref.chapter)
+}
+
+// html/43003.html => 约翰福音第3章
+export const hrefToRef = (href) => {
+  const m = (href || '').match(/(\d{2})(\d{3})\.html/)
+  if (!m) return null
+  const [book, chapter] = [Number(m[1]), Number(m[2])]
+  if (!books[book - 1] || chapter < 1 || chapter > books[book - 1].chapters) return null
+  return { book, chapter, verse: null, endChapter: chapter, endVerse: null }
+}
+
+/** 用于链接的短格式：43.3.16、43.3.16-18、43.3.16-4.2、43.3
+ * @param  {Object} ref parseRef 的结果
+*/
+export const refId = (ref) => {
+  let id = `${ref.book}.${ref.chapter}`
+  if (ref.verse !== null) {
+    id += `.${ref.verse}`
+    if (ref.endChapter !== ref.chapter) {
+      id += `-${ref.endChapter}.${ref.endVerse}`
+    } else if (ref.endVerse !== ref.verse) {
+      id += `-${ref.endVerse}`
+    }
+  } else if (ref.endChapter !== ref.chapter) {
+    id += `-${ref.endChapter}`
+  }
+  return id
+}
+
+export const parseRefId = (id) => {
+  const m = `${id || ''}`.match(/^(\d+)\.(\d+)(?:\.(\d+))?(?:-(\d+)(?:\.(\d+))?)?$/)
+  if (!m) return null
+  const [book, chapter, verse, a, b] = m.slice(1).map(numberOrNull)
+  const info = books[book - 1]
+  if (!info || chapter < 1 || chapter > info.chapters) return null
+  let ref
+  if (verse === null) {
+    ref = { book, chapter, verse: null, endChapter: a === null ? chapter : a, endVerse: null }
+  } else if (b !== null) {
+    ref = { book, chapter, verse, endChapter: a, endVerse: b }
+  } else {
+    ref = { book, chapter, verse, endChapter: chapter, endVerse: a === null ? verse : a }
+  }
+  return ref.endChapter >= chapter && ref.endChapter <= info.chapters ? ref : null
+}
+
+// 注解正文里的出处：中文卷名 + "三一9"、"5:3" 这样的章节，后面可以跟 "，24"、"；六2" 等
+const cnNumberChars = '零〇一二两三四五六七八九十百'
+const chapterVerse = `(?:[${cnNumberChars}]+\\d+|\\d+[:：]\\d+)(?:[${cnNumberChars}\\d:：～~\\-，,]*\\d)?`
+const refPattern = new RegExp(`(?:${
+  aliases.filter(e => !/[a-z0-9]/.test(e.key)).map(e => e.key).join('|')
+})${chapterVerse}(?:[;；]${chapterVerse})*`, 'g')
+
+/** 找出一段文字里的经文出处，按顺序切成片段，出处的片段带有 ref
+ * "约一45，五46" 这样连写的几处拆开，每处单独一段
+ * @param  {String} text 如 "见约一1，来一10。"
+*/
+export const splitRefs = (text) => {
+  text = text || ''
+  const parts = []
+  const plain = (s) => {
+    if (s) parts.push({ text: s, ref: null })
+  }
+  let pos = 0
+  text.replace(refPattern, (match, index) => {
+    const refs = parseRef(match)
+    if (!refs.length) return match
+    plain(text.slice(pos, index))
+    const pieces = match.split(/([，,；;])/)
+    if (pieces.length === refs.length * 2 - 1) {
+      pieces.forEach((e, i) => {
+        if (i % 2) {
+          plain(e)
+        } else {
+          parts.push({ text: e, ref: refs[i / 2] })
+        }
+      })
+    } else {
+      parts.push({ text: match, ref: refs[0] })
+    }
+    pos = index + match.length
+    return match
+  })
+  plain(text.slice(pos))
+  return parts
+}
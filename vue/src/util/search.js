@@ -0,0 +1,281 @@
+import { hrefToRef, formatRef, refId } from '@/util/scripture'
+import { toSimplified } from '@/util/chinese'
+import { loadLyric } from '@/util/lyric'
+
+// 全文搜索：在客户端建倒排索引
+// 中文没有空格分词，按单字和相邻两字(bigram)建索引，英文和数字按单词
+// 索引和查询都先转成简体，繁体的关键字也能搜到简体的内容
+const wordRe = /[\u3400-\u9fff\uf900-\ufaff]+|[a-z0-9]+/g
+const isCjk = (s) => /^[\u3400-\u9fff\uf900-\ufaff]/.test(s)
+
+const normalize = (text) => toSimplified(text || '').toLowerCase()
+
+const words = (text) => normalize(text).match(wordRe) || []
+
+// 标题里的词按正文的几倍计算
+const TITLE_WEIGHT = 3
+
+/** 建索引用的切词，单字和两字都要
+ * @param  {String} text 文本
+*/
+export const tokenize = (text) => {
+  const tokens = []
+  words(text).forEach(w => {
+    if (!isCjk(w)) {
+      tokens.push(w)
+      return
+    }
+    for (let i = 0; i < w.length; i++) {
+      tokens.push(w[i])
+      if (i + 1 < w.length) tokens.push(w.substr(i, 2))
+    }
+  })
+  return tokens
+}
+
+/** 查询用的切词，两个字以上只用两字词，单个字才用单字
+ * @param  {String} keyword 关键字
+*/
+export const queryTokens = (keyword) => {
+  const tokens = []
+  words(keyword).forEach(w => {
+    if (!isCjk(w) || w.length === 1) {
+      tokens.push(w)
+      return
+    }
+    for (let i = 0; i + 1 < w.length; i++) {
+      tokens.push(w.substr(i, 2))
+    }
+  })
+  return [...new Set(tokens)]
+}
+
+export const createIndex = () => ({ docs: [], postings: {}, length: 0 })
+
+/** 添加一条文档
+ * @param  {Object} index createIndex 的结果
+ * @param  {Object} doc { Id, FileType, Title, Subtitle, Text, Href }
+*/
+export const addDoc = (index, doc) => {
+  const id = index.docs.length
+  const tf = {}
+  tokenize(doc.Title).forEach(t => {
+    tf[t] = (tf[t] || 0) + TITLE_WEIGHT
+  })
+  const body = tokenize(doc.Text)
+  body.forEach(t => {
+    tf[t] = (tf[t] || 0) + 1
+  })
+  Object.keys(tf).forEach(t => {
+    index.postings[t] = index.postings[t] || {}
+    index.postings[t][id] = tf[t]
+  })
+  const length = body.length + tokenize(doc.Title).length * TITLE_WEIGHT
+  index.docs.push({ ...doc, Length: length })
+  index.length += length
+}
+
+/** 搜索，按 BM25 排序，完整包含关键字的再加权
+ * 所有词都命中的排在前面，没有时退而求其次列出命中部分词的
+ * @param  {Object} index 索引
+ * @param  {String} keyword 关键字
+ * @param  {Number} limit 最多返回几条
+*/
+export const search = (index, keyword, limit = 50) => {
+  const terms = queryTokens(keyword)
+  const n = index.docs.length
+  if (!terms.length || !n) return []
+  const avg = index.length / n
+  const k1 = 1.2
+  const b = 0.75
+  const scores = {}
+  const hits = {}
+  terms.forEach(t => {
+    const posting = index.postings[t] || {}
+    const df = Object.keys(posting).length
+    const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5))
+    Object.keys(posting).forEach(id => {
+      const tf = posting[id]
+      const norm = 1 - b + b * index.docs[id].Length / avg
+      scores[id] = (scores[id] || 0) + idf * tf * (k1 + 1) / (tf + k1 * norm)
+      hits[id] = (hits[id] || 0) + 1
+    })
+  })
+  let ids = Object.keys(scores)
+  const all = ids.filter(id => hits[id] === terms.length)
+  if (all.length) ids = all
+  const phrase = normalize(keyword).trim()
+  return ids.map(id => {
+    const doc = index.docs[id]
+    let score = scores[id]
+    if (phrase && normalize(doc.Text).includes(phrase)) score *= 2
+    if (phrase && normalize(doc.Title).includes(phrase)) score *= 1.5
+    return { ...doc, Score: score, Snippet: snippet(doc.Text || doc.Title, keyword) }
+  }).sort((a, b) => b.Score - a.Score).slice(0, limit)
+}
+
+const escapeHtml = (s) => s.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+
+/** 截取命中位置附近的文字，命中的部分用 em 标出，返回 html
+ * @param  {String} text 原文
+ * @param  {String} keyword 关键字
+ * @param  {Number} size 截取长度
+*/
+export const snippet = (text, keyword, size = 60) => {
+  text = text || ''
+  // 简繁转换不改变长度，下标可以直接用在原文上
+  const lower = normalize(text)
+  const phrase = normalize(keyword).trim()
+  // 原文里有完整的关键字就只标关键字，否则标出命中的词
+  const terms = phrase && lower.includes(phrase) ? [phrase] : queryTokens(keyword)
+  const ranges = []
+  terms.forEach(t => {
+    let i = lower.indexOf(t)
+    while (i !== -1) {
+      ranges.push([i, i + t.length])
+      i = lower.indexOf(t, i + t.length)
+    }
+  })
+  ranges.sort((a, b) => a[0] - b[0])
+  const merged = []
+  ranges.forEach(([s, e]) => {
+    const last = merged[merged.length - 1]
+    if (last && s <= last[1]) {
+      last[1] = Math.max(last[1], e)
+    } else {
+      merged.push([s, e])
+    }
+  })
+  const first = merged.length ? merged[0][0] : 0
+  const start = Math.max(0, Math.min(first - Math.floor(size / 4), text.length - size))
+  const end = Math.min(text.length, start + size)
+  let html = ''
+  let pos = start
+  merged.filter(([s, e]) => e > start && s < end).forEach(([s, e]) => {
+    s = Math.max(s, start)
+    e = Math.min(e, end)
+    html += `${escapeHtml(text.slice(pos, s))}<em>${escapeHtml(text.slice(s, e))}</em>`
+    pos = e
+  })
+  html += escapeHtml(text.slice(pos, end))
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`
+}
+
+const parseHtml = (html) => new DOMParser().parseFromString(html, 'text/html')
+
+// 去掉注解和串珠的角标
+const plainText = (el) => {
+  const node = el.cloneNode(true)
+  node.querySelectorAll('sup, .RCV-SN').forEach(e => e.remove())
+  return node.textContent.replace(/\s+/g, ' ').trim()
+}
+
+/** 章节按节建索引，命中后直接跳到该节；不是圣经的章节整章作为一条
+ * @param  {Object} vm 当前vue实例
+ * @param  {Object} index 索引
+ * @param  {Object} book { id, name, isBook }
+ * @param  {Array} chapters 章节 [{ name, href }]
+*/
+export const indexChapters = (vm, index, book, chapters) => {
+  const page = `book.html?id=${book.id}&name=${book.name}&isBook=${book.isBook}`
+  return Promise.all(chapters.map(chapter => vm.$getHtml(chapter.href).then(html => {
+    const doc = parseHtml(html)
+    const ref = hrefToRef(chapter.href)
+    const verses = doc.querySelectorAll('.RCV-99')
+    if (!ref || !verses.length) {
+      addDoc(index, {
+        Id: chapter.href,
+        FileType: 1,
+        Title: chapter.name,
+        Subtitle: book.name,
+        Text: plainText(doc.body),
+        Href: encodeURI(`${page}#/detail?id=${book.id}&href=${chapter.href}`)
+      })
+      return
+    }
+    // 同一节被纲目隔开时合并成一条
+    const map = {}
+    verses.forEach(el => {
+      const sn = el.querySelector('.RCV-SN')
+      const verse = sn ? Number(sn.textContent) : 0
+      if (!verse) return
+      map[verse] = map[verse] ? `${map[verse]}${plainText(el)}` : plainText(el)
+    })
+    Object.keys(map).forEach(verse => {
+      const v = { ...ref, verse: Number(verse), endVerse: Number(verse) }
+      addDoc(index, {
+        Id: refId(v),
+        FileType: 1,
+        Title: formatRef(v),
+        Subtitle: book.name,
+        Text: map[verse],
+        Href: encodeURI(`${page}#/detail?id=${book.id}&ref=${refId(v)}`)
+      })
+    })
+  }).catch(() => {})))
+}
+
+// 歌词只取文字，副歌只算一次
+const lyricText = (lyric) => {
+  if (!lyric) return ''
+  return lyric.Stanzas.map(stanza => stanza.Lines.map(line => line.Text).join(' ')).join(' ')
+}
+
+/** 诗歌按标题、作者、诗本和歌词建索引
+ * @param  {Object} vm 当前vue实例
+ * @param  {Object} index 索引
+ * @param  {Array} hymns [{ id, name, artist, album }]
+*/
+export const indexHymns = (vm, index, hymns) => {
+  return Promise.all(hymns.map(hymn => loadLyric(vm, hymn.id)
+    .then(lyricText)
+    .then(text => {
+      addDoc(index, {
+        Id: hymn.id,
+        FileType: 2,
+        Title: hymn.name,
+        Subtitle: `${hymn.artist}•${hymn.album}`,
+        Text: `${hymn.artist} ${hymn.album} ${text}`,
+        Href: encodeURI(`hymn.html?id=${hymn.id}&name=${hymn.name}`)
+      })
+    })))
+}
+
+/** 文章只按标题建索引
+ * 文章列表来自后台接口 article/list，返回 [{ Id, Name, Author, Href }]，Href 为文章页的地址
+ * 接口不可用时 Promise 失败，由调用方提示，不当作没有文章
+ * @param  {Object} vm 当前vue实例
+ * @param  {Object} index 索引
+*/
+export const indexArticles = (vm, index) => {
+  return vm.$get('article/list').then(res => {
+    (res || []).forEach(e => {
+      addDoc(index, {
+        Id: e.Id,
+        FileType: 3,
+        Title: e.Name,
+        Subtitle: e.Author || '',
+        Text: '',
+        Href: e.Href
+      })
+    })
+  })
+}
+
+// 同一页面内索引只建一次
+const cache = {}
+
+/** 取索引，没有时调用 build 建立
+ * @param  {String} key 索引名
+ * @param  {Function} build (index) => Promise
+*/
+export const getIndex = (key, build) => {
+  if (!cache[key]) {
+    const index = createIndex()
+    cache[key] = build(index).then(() => index).catch(() => {
+      delete cache[key]
+      return index
+    })
+  }
+  return cache[key]
+}
@@ -0,0 +1,9 @@
+// 章节目录，阅读页和搜索共用
+export default [
+  { name: '第1章', href: 'html/01001.html' },
+  { name: '第2章', href: 'html/01002.html' },
+  { name: '第3章', href: 'html/01003.html' },
+  { name: '第4章', href: 'html/01004.html' },
+  { name: '第5章', href: 'html/01005.html' },
+  { name: '第6章', href: 'html/01006.html' }
+]
@@ -0,0 +1,17 @@
+// 诗歌列表，诗歌页、首页和播放队列共用
+export default [
+  {
+    id: '1',
+    'name': '让我爱而不受感戴',
+    'artist': '倪柝声',
+    'album': '补充本',
+    'url': 'https://521dimensions.com/song/Terrain-pglost.mp3'
+  },
+  {
+    id: '2',
+    'name': 'Terrain',
+    'artist': 'pg.lost',
+    'album': 'Key',
+    'url': 'https://521dimensions.com/song/Terrain-pglost.mp3'
+  }
+]
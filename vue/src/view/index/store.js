@@ -6,7 +6,8 @@ import { getLanguage, stg } from '@/util/index'
 Vue.use(Vuex)
 
 const state = {
-  dark: false,
+  // 存起来，阅读页等其他页面也按它切换夜间主题
+  dark: stg().getItem('dark') === 'true',
   lang: null,
   language: null
 }
@@ -14,6 +15,7 @@ const state = {
 const mutations = {
   setDark: (state, data) => {
     state.dark = data
+    stg().setItem('dark', data)
   },
   setLang: (state, data) => {
     state.lang = data
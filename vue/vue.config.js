@@ -27,6 +27,11 @@ const cdn = {
     // 'https://cdn.jsdelivr.net/npm/shaka-player@2.5.9/dist/shaka-player.compiled.min.js'
   ]
 }
+// 只有个别页面用到的cdn
+const pageCdn = {
+  // 诗歌乐谱
+  hymn: ['https://cdn.jsdelivr.net/npm/abcjs@6.0.0/dist/abcjs-basic-min.js']
+}
 
 module.exports = {
   // publicPath: '/res',
@@ -62,6 +67,13 @@ module.exports = {
         pathRewrite: {
           '^/lyric': ''
         }
+      },
+      '/score': {
+        target: 'http://localhost/score',
+        changeOrigin: true,
+        pathRewrite: {
+          '^/score': ''
+        }
       }
     },
     open: true, // 自动打开浏览器
@@ -85,7 +97,8 @@ module.exports = {
       'vue-router': 'VueRouter',
       vuex: 'Vuex',
       axios: 'axios',
-      vuetify: 'Vuetify'
+      vuetify: 'Vuetify',
+      abcjs: 'ABCJS'
       // 'shaka-player': 'shaka'
     },
     // 去掉console
@@ -125,7 +138,7 @@ module.exports = {
     Object.keys(entries).forEach(page => {
       config.plugin(`html-${page}`).tap(args => {
         // html中添加cdn
-        args[0].cdn = cdn
+        args[0].cdn = pageCdn[page] ? { ...cdn, js: [...cdn.js, ...pageCdn[page]] } : cdn
         // 修复 Lazy loading routes Error
         args[0].chunksSortMode = 'none'
         args[0].favicon = resolve('src/favicon.png')